@@ -8,6 +8,8 @@
 #include <WiFi.h>
 #include <WebServer.h>
 #include <ArduinoJson.h>
+#include "mbedtls/md.h"
+#include "mbedtls/base64.h"
 
 // Pines (ajusta si usas otros)
 #define BUZZER_PIN 27
@@ -15,26 +17,164 @@
 #define RX_PIN 16
 #define TX_PIN 17
 
+// Canal de eventos (Server-Sent Events)
+#define EVENTS_PORT 81
+#define MAX_EVENT_CLIENTS 3
+#define SCAN_INTERVAL_MS 500
+#define STATUS_EVENT_MS 20000
+#define PING_EVENT_MS 15000
+#define CAPTURE_PENDING_MS 120000
+
+// Marcaciones: una segunda lectura del mismo dedo dentro de este
+// margen se rechaza (409) en vez de guardarse como salida
+#define PUNCH_REPEAT_MS 60000
+
+// Kiosco: últimas marcaciones del día (leídas del final de asistencia.csv)
+// e intentos de PIN antes de bloquear la salida un minuto
+#define RECENT_MAX 10
+#define RECENT_TAIL 16384
+#define KIOSK_MAX_FAILS 5
+#define KIOSK_LOCK_MS 60000
+
+// Paginación de /api/database y /api/audit
+#define DATABASE_PAGE_MAX 100
+#define AUDIT_PAGE_MAX 50
+
+// Línea de usuarios.json (id, nombre, rol, grupos, huellas, perfil...).
+// Siempre en DynamicJsonDocument: varias anidadas no caben en la pila del loop
+#define USER_DOC_SIZE 1536
+#define MAX_GRUPOS_USUARIO 16
+#define MAX_HUELLAS_USUARIO 5
+#define PAPELERA_DIAS 30 // días que un usuario eliminado puede restaurarse
+
+// Perfil: documento, contacto, campos de /campos.json y foto en /fotos
+#define DOCUMENTO_MAX 20
+#define CONTACTO_MAX 64 // correo y teléfono
+#define MAX_CAMPOS 8
+#define CAMPO_MAX 40
+#define FOTO_MAX 16384 // data URL JPEG, ya reducida en el navegador
+
+// Correcciones de asistencia
+#define MOTIVO_MAX 200 // bytes; la línea de correcciones.json se arma en 512
+
+// Importación de usuarios (filas por petición a /api/pending)
+#define PENDING_BATCH_MAX 50
+
+// Respaldo: plantillas del sensor en paquetes de 32 bytes
+// (el buffer de Adafruit_Fingerprint_Packet no admite paquetes de 128)
+#define BACKUP_CHUNK 8192
+#define TEMPLATE_MAX 768
+#define TEMPLATE_PACKET 32
+#define CMD_DOWNCHAR 0x09
+#define CMD_READINDEX 0x1F
+#define SENSOR_SLOTS_MAX 1024 // tope de los mapas de slots (4 páginas del índice)
+
+// Sesiones del panel web
+#define MAX_SESSIONS 8
+#define SESSION_TTL_MS 28800000UL // 8 h sin actividad
+#define LOGIN_MAX_FAILS 5           // intentos antes de bloquear el inicio de sesión
+#define LOGIN_LOCK_MS 60000
+#define ROL_OPERADOR 1
+#define ROL_SUPERVISOR 2
+#define ROL_ADMIN 3
+
+// Configuración del equipo (/config.json): red del AP y nombre en la red.
+// Un cambio de red se aplica poco después de responder al navegador.
+#define AP_SSID_DEFECTO "AguasFrescas"
+#define AP_PASS_DEFECTO "12345678"
+#define NOMBRE_DEFECTO "AguasFrescas-ESP32"
+#define WIFI_APPLY_MS 1500
+
 RTC_DS3231 rtc;
 HardwareSerial mySerial(1);
 Adafruit_Fingerprint finger = Adafruit_Fingerprint(&mySerial);
 WebServer server(80);
+WiFiServer eventServer(EVENTS_PORT);
+WiFiClient eventClients[MAX_EVENT_CLIENTS];
+String eventTokens[MAX_EVENT_CLIENTS]; // sesión con la que se suscribió cada cliente
+bool eventKiosco[MAX_EVENT_CLIENTS];   // kiosco sin sesión: solo punch y status
 
 // Variables globales para captura de huella
 int tempID = -1;
 bool fingerprintCaptured = false;
 uint8_t captureStep = 0; // 0: esperando, 1: primera captura, 2: confirmación
+unsigned long capturaPendienteDesde = 0;
+// Destino de la captura: -1 es un usuario nuevo; si no, se agrega un dedo
+// a capturaUsuario o se reemplaza el del slot capturaReemplazo
+int capturaUsuario = -1;
+int capturaReemplazo = -1;
+
+// Marcaciones de hoy por ID (la paridad da entrada/salida) y última lectura
+uint8_t marcasHoy[256];
+String fechaMarcas = "";
+int ultimaMarcaID = -1;
+unsigned long ultimaMarcaMs = 0;
+
+// Intentos fallidos de PIN del kiosco
+int fallosPin = 0;
+unsigned long bloqueoPinDesde = 0;
+
+// Intentos fallidos de inicio de sesión
+int fallosLogin = 0;
+unsigned long bloqueoLoginDesde = 0;
+
+// Estado del canal de eventos
+bool enrolamientoActivo = false;
+String ultimoEventoCaptura = "";
+unsigned long ultimoEscaneo = 0;
+unsigned long ultimoEventoEstado = 0;
+unsigned long ultimoPing = 0;
+
+// Sesiones abiertas (solo en memoria: un reinicio obliga a iniciar sesión de nuevo)
+struct Sesion {
+  String token;
+  String usuario;
+  int nivel;
+  unsigned long ultimoUso;
+};
+Sesion sesiones[MAX_SESSIONS];
+
+// Configuración del equipo (se lee de /config.json en setup)
+String apSsid = AP_SSID_DEFECTO;
+String apPassword = AP_PASS_DEFECTO;
+String nombreEquipo = NOMBRE_DEFECTO;
+// Zona IANA de la hora del RTC (solo informativa: el panel calcula "hoy" con ella)
+String zonaHoraria = "";
+bool wifiPendiente = false;
+unsigned long wifiPendienteDesde = 0;
+
+// Reloj por software cuando no hay RTC: hora base (la de compilación o
+// la última sincronización desde el navegador) más el tiempo transcurrido
+uint32_t relojBase = 0;
+unsigned long relojBaseMs = 0;
 
 // -------------------------------------------------------
 // DECLARACIONES DE FUNCIONES
 // -------------------------------------------------------
 String buscarNombrePorID(int targetID);
 String buscarRolPorID(int targetID);
+void buscarNombresYRoles(const int *ids, int cantidad, String *nombres, String *roles);
+String buscarEstadoPorID(int targetID);
+int usuarioPorSlot(int slot);
+int usuarioPorSlotEn(const char* ruta, int slot);
+bool leerUsuario(int id, JsonDocument &destino);
+bool leerUsuarioEn(const char* ruta, int id, JsonDocument &destino);
 int obtenerSiguienteID();
-bool nombreYaRegistrado(String nombre);
+bool nombreYaRegistrado(String nombre, bool conDocumento);
+bool documentoYaRegistrado(const String &documento, int exceptoID);
+const char* perfilInvalido(JsonVariantConst perfil);
+void copiarPerfil(JsonVariantConst origen, JsonDocument &destino);
+String rutaFoto(int id);
 bool huellaYaRegistrada();
 void apiRegister();
 void apiEditUser();
+void apiPhoto();
+void apiSavePhoto();
+String estadoSistema();
+bool requerirRol(int nivel);
+bool quitarPendiente(const String &pid);
+void registrarAuditoria(const char* accion, const String &id, JsonVariantConst antes, JsonVariantConst despues);
+void enviarLineasJSON(const char* ruta, bool validar);
 
 // -------------------------------------------------------
 // Buzzer
@@ -62,21 +202,28 @@ bool iniciarSD() {
   return true;
 }
 
+// -------------------------------------------------------
+// Hora actual: la del RTC si responde; si no, el reloj por software
+// -------------------------------------------------------
+DateTime ahora() {
+  if (rtc.begin()) return rtc.now();
+
+  if (relojBase == 0) {
+    relojBase = DateTime(F(__DATE__), F(__TIME__)).unixtime();
+    relojBaseMs = 0;
+  }
+  return DateTime(relojBase + (millis() - relojBaseMs) / 1000);
+}
+
 // -------------------------------------------------------
 // Guardar asistencia (append CSV)
 // -------------------------------------------------------
 void guardarAsistencia(int id) {
-  DateTime now;
-  bool rtcOK = false;
-  
-  if (rtc.begin()) {
-    now = rtc.now();
-    rtcOK = true;
-  } else {
-    Serial.println("ADVERTENCIA: Usando fecha de compilación (RTC no disponible)");
-    now = DateTime(F(__DATE__), F(__TIME__));
-    uint32_t seconds = millis() / 1000;
-    now = DateTime(now.unixtime() + seconds);
+  DateTime now = ahora();
+  bool rtcOK = rtc.begin();
+
+  if (!rtcOK) {
+    Serial.println("ADVERTENCIA: Usando reloj por software (RTC no disponible)");
   }
 
   char fechaBuf[20];
@@ -102,38 +249,46 @@ void guardarAsistencia(int id) {
 
 // -------------------------------------------------------
 // Obtener siguiente ID disponible
+// También es el siguiente slot libre del sensor: los dedos extra
+// ocupan slots propios que no pueden reutilizarse como ID.
 // -------------------------------------------------------
+// Los usuarios de la papelera cuentan: su ID y sus slots siguen reservados
 int obtenerSiguienteID() {
-  File users = SD.open("/usuarios.json");
+  const char* rutas[] = { "/usuarios.json", "/papelera.json" };
   int maxID = 0;
-  
-  if (!users) {
-    Serial.println("usuarios.json no existe, empezando desde ID 1");
-    return 1;
-  }
 
-  while (users.available()) {
-    String line = users.readStringUntil('\n');
-    line.trim();
-    if (line.length() < 5) continue;
+  for (const char* ruta : rutas) {
+    File users = SD.open(ruta);
+    if (!users) continue;
 
-    StaticJsonDocument<256> doc;
-    DeserializationError err = deserializeJson(doc, line);
-    if (err) continue;
+    while (users.available()) {
+      String line = users.readStringUntil('\n');
+      line.trim();
+      if (line.length() < 5) continue;
+
+      DynamicJsonDocument doc(USER_DOC_SIZE);
+      DeserializationError err = deserializeJson(doc, line);
+      if (err) continue;
+
+      int currentID = doc["id"] | 0;
+      if (currentID > maxID) {
+        maxID = currentID;
+      }
 
-    int currentID = doc["id"] | 0;
-    if (currentID > maxID) {
-      maxID = currentID;
+      for (JsonObjectConst h : doc["huellas"].as<JsonArrayConst>()) {
+        int slot = h["slot"] | 0;
+        if (slot > maxID) maxID = slot;
+      }
     }
+    users.close();
   }
-  users.close();
 
   Serial.printf("Máximo ID encontrado: %d, siguiente será: %d\n", maxID, maxID + 1);
   return maxID + 1;
 }
 
 // -------------------------------------------------------
-// Buscar nombre por ID
+// Buscar nombre por ID (también en la papelera: su historial conserva el nombre)
 // -------------------------------------------------------
 String buscarNombrePorID(int targetID) {
   File users = SD.open("/usuarios.json");
@@ -147,7 +302,7 @@ String buscarNombrePorID(int targetID) {
     line.trim();
     if (line.length() < 5) continue;
 
-    StaticJsonDocument<256> doc;
+    DynamicJsonDocument doc(USER_DOC_SIZE);
     DeserializationError err = deserializeJson(doc, line);
     if (err) continue;
 
@@ -158,11 +313,14 @@ String buscarNombrePorID(int targetID) {
     }
   }
   users.close();
+
+  DynamicJsonDocument eliminado(USER_DOC_SIZE);
+  if (leerUsuarioEn("/papelera.json", targetID, eliminado)) return String((const char*)(eliminado["nombre"] | "Desconocido"));
   return "Desconocido";
 }
 
 // -------------------------------------------------------
-// Buscar rol por ID
+// Buscar rol por ID (también en la papelera)
 // -------------------------------------------------------
 String buscarRolPorID(int targetID) {
   File users = SD.open("/usuarios.json");
@@ -173,7 +331,7 @@ String buscarRolPorID(int targetID) {
     line.trim();
     if (line.length() < 5) continue;
 
-    StaticJsonDocument<256> doc;
+    DynamicJsonDocument doc(USER_DOC_SIZE);
     DeserializationError err = deserializeJson(doc, line);
     if (err) continue;
 
@@ -184,13 +342,118 @@ String buscarRolPorID(int targetID) {
     }
   }
   users.close();
+
+  DynamicJsonDocument eliminado(USER_DOC_SIZE);
+  if (leerUsuarioEn("/papelera.json", targetID, eliminado)) return String((const char*)(eliminado["rol"] | "N/A"));
   return "N/A";
 }
 
+// -------------------------------------------------------
+// Nombre y rol de varios IDs leyendo usuarios.json y la papelera una
+// sola vez (buscarNombrePorID/buscarRolPorID recorren ambos por cada ID).
+// Los no encontrados quedan como "Desconocido" y "N/A".
+// -------------------------------------------------------
+void buscarNombresYRoles(const int *ids, int cantidad, String *nombres, String *roles) {
+  int pendientes = cantidad;
+  for (int i = 0; i < cantidad; i++) {
+    nombres[i] = "";
+    roles[i] = "";
+  }
+
+  const char* rutas[] = { "/usuarios.json", "/papelera.json" };
+  for (const char* ruta : rutas) {
+    if (pendientes == 0) break;
+    File users = SD.open(ruta);
+    if (!users) continue;
+
+    while (users.available() && pendientes > 0) {
+      String line = users.readStringUntil('\n');
+      line.trim();
+      if (line.length() < 5) continue;
+
+      DynamicJsonDocument doc(USER_DOC_SIZE);
+      if (deserializeJson(doc, line)) continue;
+
+      int id = doc["id"] | -1;
+      for (int i = 0; i < cantidad; i++) {
+        if (nombres[i].length() > 0 || ids[i] != id) continue;
+        nombres[i] = String((const char*)(doc["nombre"] | "Desconocido"));
+        roles[i] = String((const char*)(doc["rol"] | "N/A"));
+        if (nombres[i].length() == 0) nombres[i] = "Desconocido";
+        pendientes--;
+      }
+    }
+    users.close();
+  }
+
+  for (int i = 0; i < cantidad; i++) {
+    if (nombres[i].length() == 0) nombres[i] = "Desconocido";
+    if (roles[i].length() == 0) roles[i] = "N/A";
+  }
+}
+
+// -------------------------------------------------------
+// Estado del usuario: "activo" (o sin campo), "inactivo" o "suspendido"
+// -------------------------------------------------------
+bool estadoValido(const char* estado) {
+  return strcmp(estado, "activo") == 0 || strcmp(estado, "inactivo") == 0 || strcmp(estado, "suspendido") == 0;
+}
+
+String buscarEstadoPorID(int targetID) {
+  DynamicJsonDocument doc(USER_DOC_SIZE);
+  if (!leerUsuario(targetID, doc)) return "activo";
+  return String((const char*)(doc["estado"] | "activo"));
+}
+
+// -------------------------------------------------------
+// Usuario dueño de un slot del sensor
+// Sin lista "huellas" (usuarios anteriores) el único slot es el ID.
+// Devuelve -1 si ningún usuario lo tiene.
+// -------------------------------------------------------
+int usuarioPorSlot(int slot) {
+  return usuarioPorSlotEn("/usuarios.json", slot);
+}
+
+int usuarioPorSlotEn(const char* ruta, int slot) {
+  File users = SD.open(ruta);
+  if (!users) return -1;
+
+  while (users.available()) {
+    String line = users.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    DynamicJsonDocument doc(USER_DOC_SIZE);
+    if (deserializeJson(doc, line)) continue;
+
+    int id = doc["id"] | -1;
+    JsonArrayConst huellas = doc["huellas"];
+
+    if (huellas.isNull()) {
+      if (id == slot) {
+        users.close();
+        return id;
+      }
+      continue;
+    }
+
+    for (JsonObjectConst h : huellas) {
+      if ((h["slot"] | -1) == slot) {
+        users.close();
+        return id;
+      }
+    }
+  }
+  users.close();
+  return -1;
+}
+
 // -------------------------------------------------------
 // Verificar si el nombre ya está registrado
+// conDocumento: el nuevo usuario trae documento, así que solo chocan
+// los homónimos que no lo tienen (si no, no habría cómo distinguirlos)
 // -------------------------------------------------------
-bool nombreYaRegistrado(String nombre) {
+bool nombreYaRegistrado(String nombre, bool conDocumento) {
   File users = SD.open("/usuarios.json");
   if (!users) return false;
 
@@ -202,9 +465,10 @@ bool nombreYaRegistrado(String nombre) {
     line.trim();
     if (line.length() < 5) continue;
 
-    StaticJsonDocument<256> doc;
+    DynamicJsonDocument doc(USER_DOC_SIZE);
     DeserializationError err = deserializeJson(doc, line);
     if (err) continue;
+    if (conDocumento && strlen(doc["documento"] | "") > 0) continue;
 
     String nombreExistente = String((const char*)doc["nombre"]);
     nombreExistente.toLowerCase();
@@ -220,6 +484,105 @@ bool nombreYaRegistrado(String nombre) {
   return false;
 }
 
+// -------------------------------------------------------
+// Perfil del usuario
+// "documento" (DNI o código de estudiante) identifica a la persona:
+// es único y, si lo tienen, dos usuarios pueden llamarse igual.
+// "email", "telefono" y "campos" ({id de /campos.json: valor}) son
+// opcionales; la foto va aparte en /fotos/<id>.json.
+// -------------------------------------------------------
+bool documentoYaRegistrado(const String &documento, int exceptoID) {
+  if (documento.length() == 0) return false;
+
+  File users = SD.open("/usuarios.json");
+  if (!users) return false;
+
+  while (users.available()) {
+    String line = users.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    DynamicJsonDocument doc(USER_DOC_SIZE);
+    if (deserializeJson(doc, line)) continue;
+
+    if ((doc["id"] | -1) != exceptoID && documento.equalsIgnoreCase(doc["documento"] | "")) {
+      users.close();
+      return true;
+    }
+  }
+  users.close();
+  return false;
+}
+
+// Mensaje de error del perfil recibido, o nullptr si es válido
+const char* perfilInvalido(JsonVariantConst perfil) {
+  const char* documento = perfil["documento"] | "";
+  const char* email = perfil["email"] | "";
+  const char* telefono = perfil["telefono"] | "";
+
+  if (strlen(documento) > DOCUMENTO_MAX) return "Documento invalido";
+  for (const char* c = documento; *c; c++) {
+    if (!isAlphaNumeric(*c) && *c != '-') return "Documento invalido";
+  }
+
+  if (strlen(email) > CONTACTO_MAX || (strlen(email) > 0 && !strchr(email, '@'))) return "Correo invalido";
+
+  if (strlen(telefono) > CONTACTO_MAX) return "Telefono invalido";
+  for (const char* c = telefono; *c; c++) {
+    if (!isDigit(*c) && !strchr("+-() ", *c)) return "Telefono invalido";
+  }
+
+  JsonVariantConst campos = perfil["campos"];
+  if (campos.isNull()) return nullptr;
+  if (!campos.is<JsonObjectConst>() || campos.size() > MAX_CAMPOS) return "Campos invalidos";
+  for (JsonPairConst c : campos.as<JsonObjectConst>()) {
+    if (!c.value().is<const char*>() || strlen(c.value().as<const char*>()) > CAMPO_MAX) return "Campos invalidos";
+  }
+  return nullptr;
+}
+
+// Pasa a la línea los campos del perfil presentes en `origen`.
+// Los vacíos se quitan para no guardar claves sin valor.
+void copiarPerfil(JsonVariantConst origen, JsonDocument &destino) {
+  const char* claves[] = { "documento", "email", "telefono" };
+  for (const char* clave : claves) {
+    if (!origen.containsKey(clave)) continue;
+    String valor = origen[clave] | "";
+    valor.trim();
+    if (valor.length() > 0) destino[clave] = valor;
+    else destino.remove(clave);
+  }
+
+  if (!origen.containsKey("campos")) return;
+  destino.remove("campos");
+
+  JsonObject campos;
+  for (JsonPairConst c : origen["campos"].as<JsonObjectConst>()) {
+    String valor = c.value() | "";
+    valor.trim();
+    if (valor.length() == 0) continue;
+    if (campos.isNull()) campos = destino.createNestedObject("campos");
+    campos[String(c.key().c_str())] = valor;
+  }
+}
+
+// Campos del perfil que cambian entre dos versiones de la línea (auditoría)
+void diferenciasPerfil(JsonVariantConst original, JsonVariantConst nuevo, JsonDocument &antes, JsonDocument &despues) {
+  const char* claves[] = { "documento", "email", "telefono", "campos" };
+  for (const char* clave : claves) {
+    String a, b;
+    serializeJson(original[clave], a);
+    serializeJson(nuevo[clave], b);
+    if (a == b) continue;
+    if (!original[clave].isNull()) antes[clave] = original[clave];
+    if (!nuevo[clave].isNull()) despues[clave] = nuevo[clave];
+  }
+}
+
+String rutaFoto(int id) {
+  return "/fotos/" + String(id) + ".json";
+}
+
 // -------------------------------------------------------
 // ⭐ NUEVA FUNCIÓN: Verificar si la huella ya está registrada
 // -------------------------------------------------------
@@ -246,61 +609,75 @@ bool huellaYaRegistrada() {
 }
 
 // -------------------------------------------------------
-// API: /api/fingerprint/start - CON VALIDACIÓN DE DUPLICADOS
+// Rechazo de huellas ya enroladas
+// Se acepta solo el mismo dedo que se está reemplazando.
+// Devuelve true y deja la respuesta 409 en payload si se rechaza.
 // -------------------------------------------------------
-void apiStartFingerprint() {
-  Serial.println("API: /api/fingerprint/start -> captura paso " + String(captureStep));
+bool rechazarDuplicado(String &payload) {
+  if (!huellaYaRegistrada()) return false;
+
+  int slotExistente = finger.fingerID;
+  if (capturaReemplazo >= 0 && slotExistente == capturaReemplazo) {
+    Serial.printf("↻ Mismo dedo del slot %d: se reemplaza la plantilla\n", slotExistente);
+    return false;
+  }
+
+  int idExistente = usuarioPorSlot(slotExistente);
+  if (idExistente < 0) idExistente = slotExistente;
+  String nombreExistente = buscarNombrePorID(idExistente);
 
+  Serial.println("❌ CAPTURA RECHAZADA: Huella duplicada");
+
+  captureStep = 0; // Reiniciar proceso
+  beep(400, 200);
+  delay(100);
+  beep(400, 200);
+
+  payload = "{\"step\":-1,\"error\":\"duplicate\",\"id\":" + 
+            String(idExistente) + 
+            ",\"nombre\":\"" + nombreExistente + 
+            "\",\"msg\":\"Esta huella ya pertenece a " + nombreExistente + "\"}";
+  return true;
+}
+
+// -------------------------------------------------------
+// Paso de captura - CON VALIDACIÓN DE DUPLICADOS
+// Compartido por /api/fingerprint/start y el canal de eventos.
+// Devuelve el código HTTP y deja la respuesta en payload.
+// -------------------------------------------------------
+int pasoCaptura(String &payload) {
   // PASO 0: Esperando primera huella
   if (captureStep == 0) {
     int res = finger.getImage();
     if (res != FINGERPRINT_OK) {
-      server.send(200, "application/json", "{\"step\":0,\"msg\":\"Coloque el dedo\"}");
-      return;
+      payload = "{\"step\":0,\"msg\":\"Coloque el dedo\"}";
+      return 200;
     }
 
     // Convertir primera imagen
     res = finger.image2Tz(1);
     if (res != FINGERPRINT_OK) {
       Serial.println("Error en image2Tz(1)");
-      server.send(200, "application/json", "{\"step\":0,\"msg\":\"Error al procesar imagen\"}");
-      return;
+      payload = "{\"step\":0,\"msg\":\"Error al procesar imagen\"}";
+      return 200;
     }
 
     // ⭐ VALIDACIÓN 1: Verificar si la huella ya existe
-    if (huellaYaRegistrada()) {
-      int idExistente = finger.fingerID;
-      String nombreExistente = buscarNombrePorID(idExistente);
-      
-      Serial.println("❌ CAPTURA RECHAZADA: Huella duplicada");
-      
-      captureStep = 0; // Reiniciar proceso
-      beep(400, 200);
-      delay(100);
-      beep(400, 200);
-      
-      String payload = "{\"step\":-1,\"error\":\"duplicate\",\"id\":" + 
-                       String(idExistente) + 
-                       ",\"nombre\":\"" + nombreExistente + 
-                       "\",\"msg\":\"Esta huella ya pertenece a " + nombreExistente + "\"}";
-      
-      server.send(409, "application/json", payload);
-      return;
-    }
+    if (rechazarDuplicado(payload)) return 409;
 
     Serial.println("✓ Primera captura exitosa (huella única)");
     captureStep = 1;
     beep(1000, 100);
-    server.send(200, "application/json", "{\"step\":1,\"msg\":\"Retire el dedo\"}");
-    return;
+    payload = "{\"step\":1,\"msg\":\"Retire el dedo\"}";
+    return 200;
   }
 
   // PASO 1: Esperando segunda huella (confirmación)
   if (captureStep == 1) {
     int res = finger.getImage();
     if (res != FINGERPRINT_OK) {
-      server.send(200, "application/json", "{\"step\":1,\"msg\":\"Coloque el dedo nuevamente\"}");
-      return;
+      payload = "{\"step\":1,\"msg\":\"Coloque el dedo nuevamente\"}";
+      return 200;
     }
 
     // Convertir segunda imagen
@@ -308,8 +685,8 @@ void apiStartFingerprint() {
     if (res != FINGERPRINT_OK) {
       Serial.println("Error en image2Tz(2)");
       captureStep = 0;
-      server.send(200, "application/json", "{\"step\":0,\"msg\":\"Error. Intente nuevamente\"}");
-      return;
+      payload = "{\"step\":0,\"msg\":\"Error. Intente nuevamente\"}";
+      return 200;
     }
 
     // Crear modelo
@@ -317,50 +694,73 @@ void apiStartFingerprint() {
     if (res != FINGERPRINT_OK) {
       Serial.println("Error en createModel()");
       captureStep = 0;
-      server.send(200, "application/json", "{\"step\":0,\"msg\":\"Las huellas no coinciden\"}");
-      return;
+      payload = "{\"step\":0,\"msg\":\"Las huellas no coinciden\"}";
+      return 200;
     }
 
     // ⭐ VALIDACIÓN 2: Verificar nuevamente después de crear el modelo
-    if (huellaYaRegistrada()) {
-      int idExistente = finger.fingerID;
-      String nombreExistente = buscarNombrePorID(idExistente);
-      
-      Serial.println("❌ CAPTURA RECHAZADA: Huella duplicada (confirmación)");
-      
-      captureStep = 0;
-      beep(400, 200);
-      delay(100);
-      beep(400, 200);
-      
-      String payload = "{\"step\":-1,\"error\":\"duplicate\",\"id\":" + 
-                       String(idExistente) + 
-                       ",\"nombre\":\"" + nombreExistente + 
-                       "\",\"msg\":\"Esta huella ya pertenece a " + nombreExistente + "\"}";
-      
-      server.send(409, "application/json", payload);
-      return;
-    }
+    if (rechazarDuplicado(payload)) return 409;
 
-    // Generar ID secuencial
-    tempID = obtenerSiguienteID();
+    // Generar ID secuencial (o slot libre para un dedo extra); al reemplazar se reutiliza el slot
+    tempID = capturaReemplazo >= 0 ? capturaReemplazo : obtenerSiguienteID();
     fingerprintCaptured = true;
+    capturaPendienteDesde = millis();
     
-    Serial.println("✓✓ Huella capturada exitosamente. ID asignado: " + String(tempID));
+    Serial.println("✓✓ Huella capturada exitosamente. ID/slot asignado: " + String(tempID));
     
-    String payload = "{\"step\":2,\"id\":" + String(tempID) + ",\"msg\":\"Huella capturada\"}";
-    server.send(200, "application/json", payload);
+    payload = "{\"step\":2,\"id\":" + String(tempID) + ",\"msg\":\"Huella capturada\"}";
     
     beep(1500, 200);
     captureStep = 2;
-    return;
+    return 200;
   }
 
   // PASO 2: Ya está capturada
-  if (captureStep == 2) {
-    String payload = "{\"step\":2,\"id\":" + String(tempID) + ",\"msg\":\"Huella ya capturada\"}";
-    server.send(200, "application/json", payload);
-    return;
+  payload = "{\"step\":2,\"id\":" + String(tempID) + ",\"msg\":\"Huella ya capturada\"}";
+  return 200;
+}
+
+// -------------------------------------------------------
+// Destino de la captura desde la query: ?usuario=ID agrega un dedo
+// a ese usuario y &slot=N reemplaza ese dedo; sin parámetros es un
+// usuario nuevo. Si el destino cambia, la captura empieza de cero.
+// -------------------------------------------------------
+void destinoCaptura() {
+  int usuario = server.hasArg("usuario") ? server.arg("usuario").toInt() : -1;
+  int slot = usuario >= 0 && server.hasArg("slot") ? server.arg("slot").toInt() : -1;
+  if (usuario == capturaUsuario && slot == capturaReemplazo) return;
+
+  capturaUsuario = usuario;
+  capturaReemplazo = slot;
+  captureStep = 0;
+  fingerprintCaptured = false;
+  tempID = -1;
+}
+
+// -------------------------------------------------------
+// API: /api/fingerprint/start
+// -------------------------------------------------------
+void apiStartFingerprint() {
+  if (!requerirRol(ROL_ADMIN)) return;
+  destinoCaptura();
+  Serial.println("API: /api/fingerprint/start -> captura paso " + String(captureStep));
+
+  String payload;
+  int code = pasoCaptura(payload);
+  server.send(code, "application/json", payload);
+}
+
+// -------------------------------------------------------
+// Grupos del usuario: lista de ids de /grupos.json
+// -------------------------------------------------------
+void copiarGrupos(JsonArrayConst grupos, JsonDocument &destino) {
+  if (grupos.isNull() || grupos.size() == 0) return;
+
+  JsonArray arr = destino.createNestedArray("grupos");
+  for (JsonVariantConst g : grupos) {
+    const char* id = g | "";
+    if (strlen(id) == 0 || arr.size() >= MAX_GRUPOS_USUARIO) continue;
+    arr.add(String(id));
   }
 }
 
@@ -368,6 +768,7 @@ void apiStartFingerprint() {
 // API: /api/register - CON VALIDACIÓN COMPLETA
 // -------------------------------------------------------
 void apiRegister() {
+  if (!requerirRol(ROL_ADMIN)) return;
   Serial.println("\n========== REGISTRO DE USUARIO ==========");
 
   if (server.method() != HTTP_POST) {
@@ -383,7 +784,7 @@ void apiRegister() {
     return;
   }
 
-  StaticJsonDocument<512> doc;
+  DynamicJsonDocument doc(2048);
   DeserializationError err = deserializeJson(doc, body);
   if (err) {
     Serial.print("ERROR JSON: ");
@@ -395,8 +796,13 @@ void apiRegister() {
   int id = doc["id"] | -1;
   const char* nombre = doc["name"] | "";
   const char* role = doc["role"] | "";
+  JsonArrayConst grupos = doc["grupos"];
+  const char* dedo = doc["dedo"] | "";
+  const char* pendiente = doc["pendiente"] | "";
+  String documento = doc["documento"] | "";
+  documento.trim();
 
-  Serial.printf("ID: %d, Nombre: %s, Rol: %s\n", id, nombre, role);
+  Serial.printf("ID: %d, Nombre: %s, Rol: %s, Documento: %s\n", id, nombre, role, documento.c_str());
 
   // Validación de ID
   if (id < 0 || id > 255) {
@@ -410,8 +816,14 @@ void apiRegister() {
     return;
   }
 
-  // ⭐ VALIDACIÓN: Nombre único
-  if (nombreYaRegistrado(String(nombre))) {
+  const char* errorPerfil = perfilInvalido(doc.as<JsonVariantConst>());
+  if (errorPerfil) {
+    server.send(400, "application/json", String("{\"message\":\"") + errorPerfil + "\"}");
+    return;
+  }
+
+  // ⭐ VALIDACIÓN: Nombre único, salvo que ambos documentos los distingan
+  if (nombreYaRegistrado(String(nombre), documento.length() > 0)) {
     Serial.println("❌ Nombre duplicado: " + String(nombre));
     server.send(409, "application/json", "{\"message\":\"Este nombre ya está registrado\"}");
     beep(400, 200);
@@ -420,8 +832,17 @@ void apiRegister() {
     return;
   }
 
-  // Validación de huella capturada
-  if (!fingerprintCaptured || tempID != id) {
+  if (documentoYaRegistrado(documento, -1)) {
+    Serial.println("❌ Documento duplicado: " + documento);
+    server.send(409, "application/json", "{\"message\":\"Este documento ya está registrado\"}");
+    beep(400, 200);
+    delay(100);
+    beep(400, 200);
+    return;
+  }
+
+  // Validación de huella capturada (para un usuario nuevo, no un dedo extra)
+  if (!fingerprintCaptured || tempID != id || capturaUsuario >= 0) {
     server.send(400, "application/json", "{\"message\":\"Huella no capturada o ID no coincide\"}");
     return;
   }
@@ -434,7 +855,7 @@ void apiRegister() {
       line.trim();
       if (line.length() < 5) continue;
 
-      StaticJsonDocument<256> checkDoc;
+      DynamicJsonDocument checkDoc(USER_DOC_SIZE);
       if (deserializeJson(checkDoc, line) == DeserializationError::Ok) {
         int existingId = checkDoc["id"];
         if (existingId == id) {
@@ -472,19 +893,41 @@ void apiRegister() {
     return;
   }
 
-  String nombreEscaped = String(nombre);
-  nombreEscaped.replace("\"", "\\\"");
-  
-  String uline = "{\"id\":" + String(id) + 
-                 ",\"nombre\":\"" + nombreEscaped + 
-                 "\",\"rol\":\"" + String(role) + "\"}\n";
+  DynamicJsonDocument userDoc(USER_DOC_SIZE);
+  userDoc["id"] = id;
+  userDoc["nombre"] = nombre;
+  userDoc["rol"] = role;
+  copiarGrupos(grupos, userDoc);
+  copiarPerfil(doc.as<JsonVariantConst>(), userDoc);
+  // Fecha de alta: las ausencias se cuentan desde ese día
+  DateTime alta = ahora();
+  char fechaAlta[11];
+  sprintf(fechaAlta, "%04d-%02d-%02d", alta.year(), alta.month(), alta.day());
+  userDoc["alta"] = fechaAlta;
+  JsonObject primera = userDoc.createNestedArray("huellas").createNestedObject();
+  primera["slot"] = id;
+  primera["dedo"] = dedo;
+
+  String uline;
+  serializeJson(userDoc, uline);
+  uline += "\n";
 
   users.print(uline);
   users.close();
 
+  // Usuario importado: sale de la lista de pendientes
+  if (strlen(pendiente) > 0) quitarPendiente(String(pendiente));
+
   Serial.println("✓ Usuario guardado en SD: " + uline);
   Serial.println("========== REGISTRO EXITOSO ==========\n");
 
+  DynamicJsonDocument despues(USER_DOC_SIZE);
+  despues["nombre"] = nombre;
+  despues["rol"] = role;
+  copiarGrupos(grupos, despues);
+  copiarPerfil(doc.as<JsonVariantConst>(), despues);
+  registrarAuditoria("registrar", String(id), JsonVariantConst(), despues.as<JsonVariantConst>());
+
   // Resetear estado
   fingerprintCaptured = false;
   captureStep = 0;
@@ -500,13 +943,15 @@ void apiRegister() {
 // API: /api/edit-user
 // -------------------------------------------------------
 void apiEditUser() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
   if (server.method() != HTTP_POST) {
     server.send(405, "application/json", "{\"message\":\"Use POST\"}");
     return;
   }
 
   String body = server.arg("plain");
-  StaticJsonDocument<256> doc;
+  DynamicJsonDocument doc(2048);
   DeserializationError err = deserializeJson(doc, body);
   
   if (err) {
@@ -517,17 +962,40 @@ void apiEditUser() {
   int id = doc["id"] | -1;
   const char* nuevoNombre = doc["nombre"] | "";
   const char* nuevoRol = doc["rol"] | "";
+  // Sin "grupos" en el body se conservan los del usuario
+  bool cambiaGrupos = doc.containsKey("grupos");
+  JsonArrayConst nuevosGrupos = doc["grupos"];
+  // Igual con "estado"
+  bool cambiaEstado = doc.containsKey("estado");
+  const char* nuevoEstado = doc["estado"] | "activo";
   
   if (id < 0 || strlen(nuevoNombre) < 3) {
     server.send(400, "application/json", "{\"message\":\"Datos invalidos\"}");
     return;
   }
 
+  if (cambiaEstado && !estadoValido(nuevoEstado)) {
+    server.send(400, "application/json", "{\"message\":\"Estado invalido\"}");
+    return;
+  }
+
+  // Perfil: cada clave ausente del body se conserva
+  const char* errorPerfil = perfilInvalido(doc.as<JsonVariantConst>());
+  if (errorPerfil) {
+    server.send(400, "application/json", String("{\"message\":\"") + errorPerfil + "\"}");
+    return;
+  }
+
   Serial.printf("\n========== EDITANDO USUARIO ID: %d ==========\n", id);
 
   // Validar nombre único (excepto el mismo usuario)
   File usersCheck = SD.open("/usuarios.json");
   String nombreOriginal = "";
+  String rolOriginal = "";
+  String estadoOriginal = "activo";
+  DynamicJsonDocument original(USER_DOC_SIZE);
+  bool nombreRepetido = false;
+  bool homonimoSinDocumento = false;
   
   if (usersCheck) {
     String nuevoNombreLower = String(nuevoNombre);
@@ -539,26 +1007,24 @@ void apiEditUser() {
       line.trim();
       if (line.length() < 5) continue;
       
-      StaticJsonDocument<256> lineDoc;
+      DynamicJsonDocument lineDoc(USER_DOC_SIZE);
       if (deserializeJson(lineDoc, line) == DeserializationError::Ok) {
         int currentId = lineDoc["id"];
         String currentName = String((const char*)lineDoc["nombre"]);
         
         if (currentId == id) {
           nombreOriginal = currentName;
+          rolOriginal = String((const char*)(lineDoc["rol"] | ""));
+          original.set(lineDoc);
+          estadoOriginal = String((const char*)(lineDoc["estado"] | "activo"));
         } else {
           String currentNameLower = currentName;
           currentNameLower.toLowerCase();
           currentNameLower.trim();
           
           if (currentNameLower == nuevoNombreLower) {
-            usersCheck.close();
-            Serial.println("❌ Nombre duplicado: " + String(nuevoNombre));
-            server.send(409, "application/json", "{\"message\":\"Este nombre ya está registrado por otro usuario\"}");
-            beep(400, 200);
-            delay(100);
-            beep(400, 200);
-            return;
+            nombreRepetido = true;
+            if (strlen(lineDoc["documento"] | "") == 0) homonimoSinDocumento = true;
           }
         }
       }
@@ -566,6 +1032,30 @@ void apiEditUser() {
     usersCheck.close();
   }
 
+  // Perfil que quedará: el nombre puede repetirse si ambos tienen documento
+  DynamicJsonDocument perfil(USER_DOC_SIZE);
+  perfil.set(original);
+  copiarPerfil(doc.as<JsonVariantConst>(), perfil);
+  String documento = perfil["documento"] | "";
+
+  if (homonimoSinDocumento || (nombreRepetido && documento.length() == 0)) {
+    Serial.println("❌ Nombre duplicado: " + String(nuevoNombre));
+    server.send(409, "application/json", "{\"message\":\"Este nombre ya está registrado por otro usuario\"}");
+    beep(400, 200);
+    delay(100);
+    beep(400, 200);
+    return;
+  }
+
+  if (documentoYaRegistrado(documento, id)) {
+    Serial.println("❌ Documento duplicado: " + documento);
+    server.send(409, "application/json", "{\"message\":\"Este documento ya está registrado por otro usuario\"}");
+    beep(400, 200);
+    delay(100);
+    beep(400, 200);
+    return;
+  }
+
   // Reescribir archivo
   File usersRead = SD.open("/usuarios.json");
   File usersTemp = SD.open("/usuarios_temp.json", FILE_WRITE);
@@ -579,14 +1069,23 @@ void apiEditUser() {
       
       if (line.length() < 5) continue;
       
-      StaticJsonDocument<256> lineDoc;
+      DynamicJsonDocument lineDoc(USER_DOC_SIZE);
       if (deserializeJson(lineDoc, line) == DeserializationError::Ok) {
         if ((int)lineDoc["id"] == id) {
           userFound = true;
-          String uline = "{\"id\":" + String(id) + 
-                        ",\"nombre\":\"" + String(nuevoNombre) + 
-                        "\",\"rol\":\"" + String(nuevoRol) + "\"}\n";
-          usersTemp.print(uline);
+          // Se conservan los demás campos de la línea (grupo, etc.)
+          lineDoc["nombre"] = nuevoNombre;
+          lineDoc["rol"] = nuevoRol;
+          if (cambiaGrupos) {
+            // El grupo en texto de las importaciones queda reemplazado por la lista
+            lineDoc.remove("grupo");
+            lineDoc.remove("grupos");
+            copiarGrupos(nuevosGrupos, lineDoc);
+          }
+          if (cambiaEstado) lineDoc["estado"] = nuevoEstado;
+          copiarPerfil(doc.as<JsonVariantConst>(), lineDoc);
+          serializeJson(lineDoc, usersTemp);
+          usersTemp.println();
           Serial.println("✓ Usuario actualizado: " + String(nuevoNombre));
           continue;
         }
@@ -609,158 +1108,2505 @@ void apiEditUser() {
     return;
   }
 
+  DynamicJsonDocument antes(USER_DOC_SIZE);
+  antes["nombre"] = nombreOriginal;
+  antes["rol"] = rolOriginal;
+  DynamicJsonDocument despues(USER_DOC_SIZE);
+  despues["nombre"] = nuevoNombre;
+  despues["rol"] = nuevoRol;
+  if (cambiaGrupos) {
+    antes["grupos"] = original["grupos"];
+    copiarGrupos(nuevosGrupos, despues);
+  }
+  diferenciasPerfil(original.as<JsonVariantConst>(), perfil.as<JsonVariantConst>(), antes, despues);
+  if (cambiaEstado && estadoOriginal != nuevoEstado) {
+    antes["estado"] = estadoOriginal;
+    despues["estado"] = nuevoEstado;
+  }
+  registrarAuditoria("editar", String(id), antes.as<JsonVariantConst>(), despues.as<JsonVariantConst>());
+
   server.send(200, "application/json", "{\"message\":\"Usuario actualizado correctamente\"}");
   beep(1200, 100);
   Serial.println("========== EDICIÓN EXITOSA ==========\n");
 }
 
 // -------------------------------------------------------
-// Verificar si ya registró hoy
+// Huellas por usuario: "huellas" es [{slot, dedo}]. El primer dedo
+// usa el slot igual al ID; los demás, slots libres de obtenerSiguienteID().
 // -------------------------------------------------------
-bool yaRegistroHoy(int id) {
-  DateTime now;
-  if (rtc.begin()) {
-    now = rtc.now();
-  } else {
-    now = DateTime(F(__DATE__), F(__TIME__));
-    now = DateTime(now.unixtime() + (millis() / 1000));
-  }
-  
-  char fechaHoy[20];
-  sprintf(fechaHoy, "%04d-%02d-%02d", now.year(), now.month(), now.day());
-  
-  File f = SD.open("/asistencia.csv");
-  if (!f) return false;
-  
-  while (f.available()) {
-    String line = f.readStringUntil('\n');
+bool leerUsuario(int id, JsonDocument &destino) {
+  return leerUsuarioEn("/usuarios.json", id, destino);
+}
+
+bool leerUsuarioEn(const char* ruta, int id, JsonDocument &destino) {
+  File users = SD.open(ruta);
+  if (!users) return false;
+
+  while (users.available()) {
+    String line = users.readStringUntil('\n');
     line.trim();
-    if (line.length() < 3) continue;
-    
-    int c1 = line.indexOf(',');
-    int c2 = line.indexOf(',', c1 + 1);
-    
-    if (c1 < 0 || c2 < 0) continue;
-    
-    String idStr = line.substring(0, c1);
-    String fecha = line.substring(c1 + 1, c2);
-    
-    if (idStr.toInt() == id && fecha == String(fechaHoy)) {
-      f.close();
-      Serial.printf("Usuario ID %d ya registró hoy (%s)\n", id, fechaHoy);
+    if (line.length() < 5) continue;
+
+    if (deserializeJson(destino, line) == DeserializationError::Ok && (int)destino["id"] == id) {
+      users.close();
       return true;
     }
   }
-  
-  f.close();
+  users.close();
+  destino.clear();
   return false;
 }
 
-// -------------------------------------------------------
-// API: /api/attendance
-// -------------------------------------------------------
-void apiAttendance() {
-  int res = finger.getImage();
-  if (res != FINGERPRINT_OK) {
-    server.send(400, "application/json", "{\"error\":\"No hay dedo\"}");
-    return;
+bool reescribirUsuario(int id, JsonDocument &linea) {
+  File usersRead = SD.open("/usuarios.json");
+  File usersTemp = SD.open("/usuarios_temp.json", FILE_WRITE);
+  if (!usersRead || !usersTemp) {
+    if (usersRead) usersRead.close();
+    if (usersTemp) usersTemp.close();
+    return false;
   }
 
-  res = finger.image2Tz();
+  while (usersRead.available()) {
+    String line = usersRead.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    DynamicJsonDocument lineDoc(USER_DOC_SIZE);
+    if (deserializeJson(lineDoc, line) == DeserializationError::Ok && (int)lineDoc["id"] == id) {
+      serializeJson(linea, usersTemp);
+      usersTemp.println();
+      continue;
+    }
+    usersTemp.println(line);
+  }
+
+  usersRead.close();
+  usersTemp.close();
+  SD.remove("/usuarios.json");
+  SD.rename("/usuarios_temp.json", "/usuarios.json");
+  return true;
+}
+
+// Usuarios anteriores sin lista: se crea con el slot del ID
+JsonArray huellasDe(JsonDocument &linea) {
+  if (linea["huellas"].is<JsonArray>()) return linea["huellas"].as<JsonArray>();
+
+  JsonArray huellas = linea.createNestedArray("huellas");
+  JsonObject h = huellas.createNestedObject();
+  h["slot"] = linea["id"].as<int>();
+  h["dedo"] = "";
+  return huellas;
+}
+
+// Quita el slot de la lista "reenrolar" (se borra la lista al quedar vacía)
+void quitarReenrolar(JsonDocument &linea, int slot) {
+  JsonArray pendientes = linea["reenrolar"];
+  if (pendientes.isNull()) return;
+
+  for (size_t i = pendientes.size(); i-- > 0;) {
+    if ((pendientes[i] | -1) == slot) pendientes.remove(i);
+  }
+  if (pendientes.size() == 0) linea.remove("reenrolar");
+}
+
+// -------------------------------------------------------
+// API: /api/fingerprint/finger  {id, dedo, slot?}
+// Guarda la huella capturada para un usuario existente: sin slot
+// agrega un dedo, con slot reemplaza ese dedo. El ID no cambia.
+// -------------------------------------------------------
+void apiSaveFinger() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<256> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  int id = doc["id"] | -1;
+  int slot = doc["slot"] | -1;
+  const char* dedo = doc["dedo"] | "";
+
+  if (id < 0 || !fingerprintCaptured || capturaUsuario != id || capturaReemplazo != slot) {
+    server.send(400, "application/json", "{\"message\":\"Huella no capturada para este usuario\"}");
+    return;
+  }
+
+  DynamicJsonDocument usuario(USER_DOC_SIZE);
+  if (!leerUsuario(id, usuario)) {
+    server.send(404, "application/json", "{\"message\":\"Usuario no encontrado\"}");
+    return;
+  }
+
+  JsonArray huellas = huellasDe(usuario);
+  DynamicJsonDocument antes(USER_DOC_SIZE);
+  antes["huellas"].set(huellas);
+
+  if (slot >= 0) {
+    JsonObject existente;
+    for (JsonObject h : huellas) {
+      if ((h["slot"] | -1) == slot) existente = h;
+    }
+    if (existente.isNull()) {
+      server.send(404, "application/json", "{\"message\":\"El usuario no tiene ese dedo\"}");
+      return;
+    }
+    if (strlen(dedo) > 0) existente["dedo"] = dedo;
+    quitarReenrolar(usuario, slot);
+  } else {
+    if (huellas.size() >= MAX_HUELLAS_USUARIO) {
+      server.send(409, "application/json", "{\"message\":\"El usuario ya tiene el máximo de huellas\"}");
+      return;
+    }
+    JsonObject nueva = huellas.createNestedObject();
+    nueva["slot"] = tempID;
+    nueva["dedo"] = dedo;
+  }
+
+  Serial.printf("Guardando dedo de ID %d en slot %d...\n", id, tempID);
+  if (finger.storeModel(tempID) != FINGERPRINT_OK) {
+    server.send(500, "application/json", "{\"message\":\"Error al guardar huella en sensor\"}");
+    beep(400, 500);
+    return;
+  }
+
+  if (!reescribirUsuario(id, usuario)) {
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return;
+  }
+
+  DynamicJsonDocument despues(USER_DOC_SIZE);
+  despues["huellas"].set(huellas);
+  registrarAuditoria(slot >= 0 ? "huella-reemplazar" : "huella-agregar", String(id),
+                     antes.as<JsonVariantConst>(), despues.as<JsonVariantConst>());
+
+  String response = "{\"message\":\"Huella guardada\",\"slot\":" + String(tempID) + "}";
+
+  fingerprintCaptured = false;
+  captureStep = 0;
+  tempID = -1;
+  capturaUsuario = -1;
+  capturaReemplazo = -1;
+
+  server.send(200, "application/json", response);
+  beep(1500, 150);
+}
+
+// -------------------------------------------------------
+// API: /api/fingerprint/finger/delete  {id, slot}
+// El usuario conserva al menos un dedo.
+// -------------------------------------------------------
+void apiDeleteFinger() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  int id = doc["id"] | -1;
+  int slot = doc["slot"] | -1;
+
+  DynamicJsonDocument usuario(USER_DOC_SIZE);
+  if (id < 0 || !leerUsuario(id, usuario)) {
+    server.send(404, "application/json", "{\"message\":\"Usuario no encontrado\"}");
+    return;
+  }
+
+  JsonArray huellas = huellasDe(usuario);
+  DynamicJsonDocument antes(USER_DOC_SIZE);
+  antes["huellas"].set(huellas);
+
+  int indice = -1;
+  for (size_t i = 0; i < huellas.size(); i++) {
+    if ((huellas[i]["slot"] | -1) == slot) indice = i;
+  }
+
+  if (indice < 0) {
+    server.send(404, "application/json", "{\"message\":\"El usuario no tiene ese dedo\"}");
+    return;
+  }
+
+  if (huellas.size() <= 1) {
+    server.send(409, "application/json", "{\"message\":\"El usuario debe conservar al menos una huella\"}");
+    return;
+  }
+
+  huellas.remove(indice);
+  quitarReenrolar(usuario, slot);
+  if (finger.deleteModel(slot) != FINGERPRINT_OK) {
+    Serial.printf("⚠️  No se pudo eliminar el slot %d del sensor\n", slot);
+  }
+
+  if (!reescribirUsuario(id, usuario)) {
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return;
+  }
+
+  DynamicJsonDocument despues(USER_DOC_SIZE);
+  despues["huellas"].set(huellas);
+  registrarAuditoria("huella-quitar", String(id), antes.as<JsonVariantConst>(), despues.as<JsonVariantConst>());
+
+  server.send(200, "application/json", "{\"message\":\"Huella eliminada\"}");
+  beep(1000, 100);
+}
+
+// -------------------------------------------------------
+// Foto del usuario
+// /fotos/<id>.json guarda {"foto":"data:image/jpeg;base64,..."}; el
+// navegador la recorta y reduce antes de subirla. La línea del
+// usuario lleva "foto":true para no abrir el archivo al listar.
+// -------------------------------------------------------
+bool fotoValida(const String &foto) {
+  const char* prefijo = "data:image/jpeg;base64,";
+  if (foto.length() > FOTO_MAX || !foto.startsWith(prefijo)) return false;
+
+  for (size_t i = strlen(prefijo); i < foto.length(); i++) {
+    char c = foto[i];
+    if (!isAlphaNumeric(c) && c != '+' && c != '/' && c != '=') return false;
+  }
+  return true;
+}
+
+// GET ?id=N -> {foto}. El kiosco no tiene sesión: sin ella solo se ve
+// la foto de la marcación recién registrada.
+void apiPhoto() {
+  int id = server.hasArg("id") ? server.arg("id").toInt() : -1;
+  bool reciente = id >= 0 && id == ultimaMarcaID && millis() - ultimaMarcaMs < PUNCH_REPEAT_MS;
+  if (!reciente && !requerirRol(ROL_SUPERVISOR)) return;
+
+  File f = SD.open(rutaFoto(id));
+  if (!f) {
+    server.send(404, "application/json", "{\"message\":\"Sin foto\"}");
+    return;
+  }
+  server.streamFile(f, "application/json");
+  f.close();
+}
+
+// POST ?id=N con la data URL como texto; vacío quita la foto
+void apiSavePhoto() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  int id = server.hasArg("id") ? server.arg("id").toInt() : -1;
+  String foto = server.arg("plain");
+  foto.trim();
+
+  DynamicJsonDocument linea(USER_DOC_SIZE);
+  if (id < 0 || !leerUsuario(id, linea)) {
+    server.send(404, "application/json", "{\"message\":\"Usuario no encontrado\"}");
+    return;
+  }
+
+  if (foto.length() > 0 && !fotoValida(foto)) {
+    server.send(400, "application/json", "{\"message\":\"Foto invalida\"}");
+    return;
+  }
+
+  String ruta = rutaFoto(id);
+  SD.remove(ruta);
+
+  if (foto.length() > 0) {
+    if (!SD.exists("/fotos")) SD.mkdir("/fotos");
+    File f = SD.open(ruta, FILE_WRITE);
+    if (!f) {
+      server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+      return;
+    }
+    f.print("{\"foto\":\"");
+    f.print(foto);
+    f.print("\"}");
+    f.close();
+    linea["foto"] = true;
+  } else {
+    linea.remove("foto");
+  }
+
+  if (!reescribirUsuario(id, linea)) {
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return;
+  }
+
+  registrarAuditoria(foto.length() > 0 ? "foto-cambiar" : "foto-quitar", String(id), JsonVariantConst(), JsonVariantConst());
+
+  server.send(200, "application/json", foto.length() > 0 ? "{\"message\":\"Foto guardada\"}" : "{\"message\":\"Foto quitada\"}");
+  beep(1200, 100);
+}
+
+// -------------------------------------------------------
+// Papelera de usuarios
+// /papelera.json guarda las líneas de usuarios.json eliminados con
+// "eliminado":"YYYY-MM-DD". Sus dedos siguen en el sensor (el lector
+// los rechaza) y su ID no se reutiliza, así que al restaurar vuelven
+// las huellas y el historial tal cual. Pasados PAPELERA_DIAS se borran
+// del sensor y de la papelera.
+// -------------------------------------------------------
+long diaDeFecha(const char* fecha) {
+  int y, m, d;
+  if (sscanf(fecha, "%d-%d-%d", &y, &m, &d) != 3) return 0;
+  return DateTime(y, m, d).unixtime() / 86400L;
+}
+
+void borrarHuellasYFoto(JsonDocument &linea) {
+  for (JsonObject h : huellasDe(linea)) {
+    int slot = h["slot"] | -1;
+    if (slot >= 0 && finger.deleteModel(slot) != FINGERPRINT_OK) {
+      Serial.printf("⚠️  No se pudo eliminar el slot %d del sensor\n", slot);
+    }
+  }
+  SD.remove(rutaFoto(linea["id"] | -1));
+}
+
+// Reescribe la papelera sin el usuario `id` (su línea queda en `quitado`)
+// y sin los vencidos, que se borran del sensor. id < 0: solo vencidos.
+bool reescribirPapelera(int id, JsonDocument &quitado) {
+  File read = SD.open("/papelera.json");
+  if (!read) return false;
+  File temp = SD.open("/papelera_temp.json", FILE_WRITE);
+  if (!temp) {
+    read.close();
+    return false;
+  }
+
+  DateTime now = ahora();
+  long hoy = DateTime(now.year(), now.month(), now.day()).unixtime() / 86400L;
+  bool encontrado = false;
+
+  while (read.available()) {
+    String line = read.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    DynamicJsonDocument linea(USER_DOC_SIZE);
+    if (deserializeJson(linea, line)) continue;
+
+    if (id >= 0 && (linea["id"] | -1) == id) {
+      quitado.set(linea);
+      encontrado = true;
+      continue;
+    }
+
+    long dia = diaDeFecha(linea["eliminado"] | "");
+    if (dia > 0 && hoy - dia >= PAPELERA_DIAS) {
+      Serial.printf("Papelera: vence el usuario ID %d\n", linea["id"].as<int>());
+      borrarHuellasYFoto(linea);
+
+      StaticJsonDocument<256> antes;
+      antes["nombre"] = linea["nombre"];
+      antes["rol"] = linea["rol"];
+      StaticJsonDocument<128> despues;
+      despues["motivo"] = "Retención vencida";
+      registrarAuditoria("usuario-purgar", String(linea["id"].as<int>()), antes.as<JsonVariantConst>(), despues.as<JsonVariantConst>());
+      continue;
+    }
+
+    temp.println(line);
+  }
+
+  read.close();
+  temp.close();
+  SD.remove("/papelera.json");
+  SD.rename("/papelera_temp.json", "/papelera.json");
+  return encontrado;
+}
+
+void limpiarPapelera() {
+  StaticJsonDocument<16> nada;
+  reescribirPapelera(-1, nada);
+}
+
+// GET -> usuarios en la papelera (se quitan antes los vencidos)
+void apiTrash() {
+  if (!requerirRol(ROL_ADMIN)) return;
+  limpiarPapelera();
+  enviarLineasJSON("/papelera.json", true);
+}
+
+// POST {"id":N}: vuelve a usuarios.json con sus huellas e historial
+void apiTrashRestore() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  int id = doc["id"] | -1;
+  DynamicJsonDocument linea(USER_DOC_SIZE);
+  if (id < 0 || !leerUsuarioEn("/papelera.json", id, linea)) {
+    server.send(404, "application/json", "{\"message\":\"Usuario no encontrado en la papelera\"}");
+    return;
+  }
+
+  DynamicJsonDocument existente(USER_DOC_SIZE);
+  if (leerUsuario(id, existente)) {
+    server.send(409, "application/json", "{\"message\":\"Este ID ya está registrado\"}");
+    return;
+  }
+  String documento = linea["documento"] | "";
+  if (nombreYaRegistrado(String((const char*)(linea["nombre"] | "")), documento.length() > 0)) {
+    server.send(409, "application/json", "{\"message\":\"Este nombre ya está registrado por otro usuario\"}");
+    return;
+  }
+  if (documentoYaRegistrado(documento, -1)) {
+    server.send(409, "application/json", "{\"message\":\"Este documento ya está registrado por otro usuario\"}");
+    return;
+  }
+
+  if (!reescribirPapelera(id, linea)) {
+    server.send(404, "application/json", "{\"message\":\"Usuario no encontrado en la papelera\"}");
+    return;
+  }
+  linea.remove("eliminado");
+
+  File users = SD.open("/usuarios.json", FILE_APPEND);
+  if (!users) {
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return;
+  }
+  serializeJson(linea, users);
+  users.println();
+  users.close();
+
+  StaticJsonDocument<256> despues;
+  despues["nombre"] = linea["nombre"];
+  despues["rol"] = linea["rol"];
+  registrarAuditoria("usuario-restaurar", String(id), JsonVariantConst(), despues.as<JsonVariantConst>());
+
+  server.send(200, "application/json", "{\"message\":\"Usuario restaurado\"}");
+  beep(1200, 100);
+}
+
+// POST {"id":N}: lo borra ya de la papelera y del sensor
+void apiTrashDelete() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  int id = doc["id"] | -1;
+  DynamicJsonDocument linea(USER_DOC_SIZE);
+  if (id < 0 || !reescribirPapelera(id, linea)) {
+    server.send(404, "application/json", "{\"message\":\"Usuario no encontrado en la papelera\"}");
+    return;
+  }
+
+  borrarHuellasYFoto(linea);
+
+  StaticJsonDocument<256> antes;
+  antes["nombre"] = linea["nombre"];
+  antes["rol"] = linea["rol"];
+  registrarAuditoria("usuario-purgar", String(id), antes.as<JsonVariantConst>(), JsonVariantConst());
+
+  server.send(200, "application/json", "{\"message\":\"Usuario eliminado definitivamente\"}");
+  beep(1000, 100);
+  delay(50);
+  beep(800, 100);
+}
+
+// -------------------------------------------------------
+// Marcaciones de hoy por ID
+// Se cuentan desde asistencia.csv una vez por día (o tras reiniciar)
+// y después se llevan en memoria. Así el ESP32 sabe si una marcación
+// es entrada o salida sin que el navegador tenga el historial.
+// -------------------------------------------------------
+void cargarMarcasHoy(const char* fechaHoy) {
+  memset(marcasHoy, 0, sizeof(marcasHoy));
+  fechaMarcas = fechaHoy;
+
+  File f = SD.open("/asistencia.csv");
+  if (!f) return;
+  
+  while (f.available()) {
+    String line = f.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 3) continue;
+    
+    int c1 = line.indexOf(',');
+    int c2 = line.indexOf(',', c1 + 1);
+    
+    if (c1 < 0 || c2 < 0) continue;
+    if (line.substring(c1 + 1, c2) != fechaMarcas) continue;
+
+    int id = line.substring(0, c1).toInt();
+    if (id >= 0 && id < 256 && marcasHoy[id] < 255) marcasHoy[id]++;
+  }
+  
+  f.close();
+  Serial.printf("✓ Marcaciones de %s contadas\n", fechaHoy);
+}
+
+// -------------------------------------------------------
+// Lectura de asistencia
+// Compartida por /api/attendance y el canal de eventos.
+// Devuelve 400 cuando no hay dedo en el sensor.
+// -------------------------------------------------------
+int procesarAsistencia(String &payload) {
+  int res = finger.getImage();
   if (res != FINGERPRINT_OK) {
-    server.send(400, "application/json", "{\"error\":\"Error al convertir imagen\"}");
+    payload = "{\"error\":\"No hay dedo\"}";
+    return 400;
+  }
+
+  res = finger.image2Tz();
+  if (res != FINGERPRINT_OK) {
+    payload = "{\"error\":\"Error al convertir imagen\"}";
+    return 400;
+  }
+
+  res = finger.fingerFastSearch();
+  if (res != FINGERPRINT_OK) {
+    Serial.println("Huella no encontrada");
+    payload = "{\"error\":\"Huella no registrada\"}";
+    beep(300, 300);
+    return 404;
+  }
+
+  // El slot puede ser un dedo extra: la marcación se guarda con el ID del usuario
+  int slot = finger.fingerID;
+  int confidence = finger.confidence;
+  int id = usuarioPorSlot(slot);
+
+  // Los dedos de un usuario en la papelera siguen en el sensor hasta que vence
+  String estado = "eliminado";
+  int eliminado = id < 0 ? usuarioPorSlotEn("/papelera.json", slot) : -1;
+  if (eliminado >= 0) {
+    id = eliminado;
+  } else {
+    if (id < 0) id = slot;
+    estado = buscarEstadoPorID(id);
+  }
+
+  Serial.printf("Huella encontrada: slot=%d, ID=%d, Confianza=%d, estado=%s\n", slot, id, confidence, estado.c_str());
+
+  String nombreReal = buscarNombrePorID(id);
+
+  // Inactivos, suspendidos y eliminados no marcan
+  if (estado != "activo") {
+    StaticJsonDocument<256> rechazo;
+    rechazo["id"] = id;
+    rechazo["nombre"] = nombreReal;
+    rechazo["error"] = estado;
+    serializeJson(rechazo, payload);
+
+    static unsigned long ultimoRechazo = 0;
+    if (millis() - ultimoRechazo > 3000) beep(300, 600);
+    ultimoRechazo = millis();
+    return 403;
+  }
+
+  // Mismo dedo todavía en el lector o leído dos veces seguidas: no es una salida
+  if (id == ultimaMarcaID && millis() - ultimaMarcaMs < PUNCH_REPEAT_MS) {
+    StaticJsonDocument<256> rep;
+    rep["id"] = id;
+    rep["nombre"] = nombreReal;
+    rep["error"] = "repetida";
+    serializeJson(rep, payload);
+
+    // Un solo aviso sonoro mientras el dedo siga apoyado
+    static unsigned long ultimoAviso = 0;
+    if (millis() - ultimoAviso > 3000) beep(600, 150);
+    ultimoAviso = millis();
+    return 409;
+  }
+
+  DateTime now = ahora();
+
+  char fechaBuf[20];
+  sprintf(fechaBuf, "%04d-%02d-%02d", now.year(), now.month(), now.day());
+  
+  char horaBuf[20];
+  sprintf(horaBuf, "%02d:%02d:%02d", now.hour(), now.minute(), now.second());
+
+  if (fechaMarcas != fechaBuf) cargarMarcasHoy(fechaBuf);
+  int previas = id >= 0 && id < 256 ? marcasHoy[id] : 0;
+
+  guardarAsistencia(id);
+  if (id >= 0 && id < 256 && marcasHoy[id] < 255) marcasHoy[id]++;
+  ultimaMarcaID = id;
+  ultimaMarcaMs = millis();
+
+  StaticJsonDocument<512> resp;
+  resp["id"] = id;
+  resp["nombre"] = nombreReal;
+  resp["confidence"] = confidence;
+  resp["fecha"] = fechaBuf;
+  resp["hora"] = horaBuf;
+  resp["tipo"] = previas % 2 == 0 ? "entrada" : "salida";
+  if (SD.exists(rutaFoto(id))) resp["foto"] = true;
+
+  serializeJson(resp, payload);
+
+  beep(1500, 120);
+  return 200;
+}
+
+// -------------------------------------------------------
+// API: /api/attendance
+// -------------------------------------------------------
+void apiAttendance() {
+  String payload;
+  int code = procesarAsistencia(payload);
+  server.send(code, "application/json", payload);
+}
+
+// -------------------------------------------------------
+// Kiosco (kiosk.html, sin sesión)
+// -------------------------------------------------------
+
+// GET /api/recent: últimas marcaciones de hoy, la más reciente primero.
+// Solo se lee el final del archivo; el tipo sale de marcasHoy.
+void apiRecent() {
+  DateTime now = ahora();
+  char hoy[20];
+  sprintf(hoy, "%04d-%02d-%02d", now.year(), now.month(), now.day());
+  if (fechaMarcas != hoy) cargarMarcasHoy(hoy);
+
+  File f = SD.open("/asistencia.csv");
+  if (!f) {
+    server.send(200, "application/json", "[]");
+    return;
+  }
+
+  if (f.size() > RECENT_TAIL) {
+    f.seek(f.size() - RECENT_TAIL);
+    f.readStringUntil('\n'); // línea cortada
+  }
+
+  // Anillo con las últimas RECENT_MAX marcaciones del día
+  int ids[RECENT_MAX];
+  String horas[RECENT_MAX];
+  int total = 0;
+
+  while (f.available()) {
+    String line = f.readStringUntil('\n');
+    line.trim();
+    int c1 = line.indexOf(',');
+    int c2 = line.indexOf(',', c1 + 1);
+    if (c1 < 0 || c2 < 0 || line.substring(c1 + 1, c2) != hoy) continue;
+
+    ids[total % RECENT_MAX] = line.substring(0, c1).toInt();
+    horas[total % RECENT_MAX] = line.substring(c2 + 1);
+    total++;
+  }
+  f.close();
+
+  int cantidad = min(total, RECENT_MAX);
+  DynamicJsonDocument doc(2048);
+  JsonArray arr = doc.to<JsonArray>();
+
+  for (int k = 0; k < cantidad; k++) {
+    int i = (total - 1 - k) % RECENT_MAX;
+    int id = ids[i];
+
+    // Marcaciones posteriores del mismo ID (ya recorridas: k son más recientes)
+    int posteriores = 0;
+    for (int j = 0; j < k; j++) {
+      if (ids[(total - 1 - j) % RECENT_MAX] == id) posteriores++;
+    }
+    int orden = (id >= 0 && id < 256 ? marcasHoy[id] : 1) - 1 - posteriores;
+
+    JsonObject o = arr.createNestedObject();
+    o["id"] = id;
+    o["nombre"] = buscarNombrePorID(id);
+    o["hora"] = horas[i];
+    o["tipo"] = orden % 2 == 0 ? "entrada" : "salida";
+  }
+
+  String out;
+  serializeJson(doc, out);
+  server.send(200, "application/json", out);
+}
+
+// GET /api/kiosk: si hay PIN configurado. Sin PIN no se entra al kiosco,
+// así que también lo consultan los operadores antes de activarlo
+void apiKioskStatus() {
+  if (!requerirRol(ROL_OPERADOR)) return;
+  server.send(200, "application/json", SD.exists("/kiosco.json") ? "{\"pin\":true}" : "{\"pin\":false}");
+}
+
+// POST /api/kiosk/pin {pin}: 4 a 8 dígitos; vacío quita el PIN
+void apiKioskPin() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  String pin = doc["pin"] | "";
+  bool digitos = pin.length() >= 4 && pin.length() <= 8;
+  for (size_t i = 0; i < pin.length(); i++) {
+    if (!isDigit(pin[i])) digitos = false;
+  }
+
+  if (pin.length() > 0 && !digitos) {
+    server.send(400, "application/json", "{\"message\":\"El PIN debe tener de 4 a 8 dígitos\"}");
+    return;
+  }
+
+  SD.remove("/kiosco.json");
+  if (pin.length() > 0) {
+    File f = SD.open("/kiosco.json", FILE_WRITE);
+    if (!f) {
+      server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+      return;
+    }
+    StaticJsonDocument<128> kiosco;
+    kiosco["hash"] = hashClave("kiosco", pin);
+    serializeJson(kiosco, f);
+    f.close();
+  }
+
+  registrarAuditoria("kiosco-pin", "kiosco", JsonVariantConst(), JsonVariantConst());
+  server.send(200, "application/json", pin.length() > 0 ? "{\"message\":\"PIN guardado\"}" : "{\"message\":\"PIN eliminado\"}");
+}
+
+// POST /api/kiosk/unlock {pin}: permite salir del kiosco. Sin PIN configurado
+// no se desbloquea: un administrador debe configurarlo desde otro equipo.
+// Los intentos fallidos los frena el bloqueo, no una espera que detenga el loop
+void apiKioskUnlock() {
+  if (fallosPin >= KIOSK_MAX_FAILS) {
+    if (millis() - bloqueoPinDesde < KIOSK_LOCK_MS) {
+      server.send(429, "application/json", "{\"message\":\"Demasiados intentos. Espere un minuto\"}");
+      return;
+    }
+    fallosPin = 0;
+  }
+
+  File f = SD.open("/kiosco.json");
+  if (!f) {
+    server.send(403, "application/json", "{\"message\":\"Sin PIN configurado\"}");
+    return;
+  }
+
+  StaticJsonDocument<128> kiosco;
+  DeserializationError err = deserializeJson(kiosco, f);
+  f.close();
+
+  StaticJsonDocument<128> doc;
+  deserializeJson(doc, server.arg("plain"));
+  String pin = doc["pin"] | "";
+
+  if (err || hashClave("kiosco", pin) != String((const char*)(kiosco["hash"] | ""))) {
+    fallosPin++;
+    if (fallosPin >= KIOSK_MAX_FAILS) bloqueoPinDesde = millis();
+    Serial.println("⚠️  PIN de kiosco incorrecto");
+    server.send(403, "application/json", "{\"message\":\"PIN incorrecto\"}");
+    return;
+  }
+
+  fallosPin = 0;
+  server.send(200, "application/json", "{\"message\":\"Kiosco desbloqueado\"}");
+}
+
+// -------------------------------------------------------
+// API: /api/database?cursor=0&limit=100
+// El cursor es la posición en bytes dentro de asistencia.csv,
+// así cada página continúa sin releer el archivo desde el inicio.
+// Respuesta: { records: [...], next: <cursor|null>, size: <bytes> }
+// -------------------------------------------------------
+void apiDatabase() {
+  if (!requerirRol(ROL_SUPERVISOR)) return;
+  Serial.println("API: /api/database");
+
+  File f = SD.open("/asistencia.csv");
+  if (!f) {
+    File newFile = SD.open("/asistencia.csv", FILE_WRITE);
+    if (newFile) newFile.close();
+    server.send(200, "application/json", "{\"records\":[],\"next\":null,\"size\":0}");
+    return;
+  }
+
+  uint32_t cursor = server.hasArg("cursor") ? server.arg("cursor").toInt() : 0;
+  int limit = server.hasArg("limit") ? server.arg("limit").toInt() : DATABASE_PAGE_MAX;
+  if (limit <= 0 || limit > DATABASE_PAGE_MAX) limit = DATABASE_PAGE_MAX;
+
+  uint32_t size = f.size();
+  if (cursor > size) cursor = size;
+
+  // Primera pasada por la página: IDs distintos, para leer sus nombres y roles una vez
+  int ids[DATABASE_PAGE_MAX];
+  int cantidadIDs = 0;
+  f.seek(cursor);
+  for (int leidas = 0; f.available() && leidas < limit; ) {
+    String line = f.readStringUntil('\n');
+    line.trim();
+    int c1 = line.indexOf(',');
+    if (line.length() < 3 || c1 < 0 || line.indexOf(',', c1 + 1) < 0) continue;
+    leidas++;
+
+    int id = line.substring(0, c1).toInt();
+    bool repetido = false;
+    for (int i = 0; i < cantidadIDs && !repetido; i++) repetido = ids[i] == id;
+    if (!repetido) ids[cantidadIDs++] = id;
+  }
+  String nombres[DATABASE_PAGE_MAX];
+  String roles[DATABASE_PAGE_MAX];
+  buscarNombresYRoles(ids, cantidadIDs, nombres, roles);
+  f.seek(cursor);
+
+  DynamicJsonDocument doc(16384);
+  JsonObject root = doc.to<JsonObject>();
+  JsonArray arr = root.createNestedArray("records");
+  // Claves creadas antes de llenar el documento: al final solo cambia su valor
+  root["next"] = nullptr;
+  root["size"] = size;
+
+  int count = 0;
+  bool lleno = false;
+  uint32_t inicioLinea = cursor;
+  while (f.available() && count < limit) {
+    inicioLinea = f.position();
+    String line = f.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 3) continue;
+
+    int c1 = line.indexOf(',');
+    int c2 = line.indexOf(',', c1 + 1);
+
+    if (c1 < 0 || c2 < 0) continue;
+
+    String idStr = line.substring(0, c1);
+    String fecha = line.substring(c1 + 1, c2);
+    String hora = line.substring(c2 + 1);
+
+    int id = idStr.toInt();
+    int k = 0;
+    while (k < cantidadIDs - 1 && ids[k] != id) k++;
+
+    JsonObject o = arr.createNestedObject();
+    o["id"] = idStr;
+    o["nombre"] = nombres[k];
+    o["fecha"] = fecha;
+    o["hora"] = hora;
+    o["rol"] = roles[k];
+
+    // Documento lleno: la línea queda para la página siguiente en vez de perderse
+    if (o.isNull() || doc.overflowed()) {
+      if (!o.isNull()) arr.remove(arr.size() - 1);
+      lleno = true;
+      break;
+    }
+
+    count++;
+  }
+
+  if (lleno) {
+    root["next"] = inicioLinea;
+  } else if (f.available()) {
+    root["next"] = (uint32_t)f.position();
+  }
+
+  f.close();
+
+  String out;
+  serializeJson(doc, out);
+  server.send(200, "application/json", out);
+}
+
+// -------------------------------------------------------
+// Archivos JSON de configuración (horarios, etc.)
+// -------------------------------------------------------
+void enviarArchivoJSON(const char* ruta, const char* porDefecto) {
+  File f = SD.open(ruta);
+  if (!f) {
+    server.send(200, "application/json", porDefecto);
+    return;
+  }
+  server.streamFile(f, "application/json");
+  f.close();
+}
+
+bool guardarArchivoJSON(const char* ruta) {
+  if (server.method() != HTTP_POST) {
+    server.send(405, "application/json", "{\"message\":\"Use POST\"}");
+    return false;
+  }
+
+  String body = server.arg("plain");
+  DynamicJsonDocument doc(8192);
+  DeserializationError err = deserializeJson(doc, body);
+
+  if (err) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return false;
+  }
+
+  SD.remove(ruta);
+  File f = SD.open(ruta, FILE_WRITE);
+  if (!f) {
+    Serial.printf("ERROR: No se pudo escribir %s\n", ruta);
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return false;
+  }
+
+  serializeJson(doc, f);
+  f.close();
+  Serial.printf("✓ %s actualizado\n", ruta);
+  return true;
+}
+
+// -------------------------------------------------------
+// Autenticación del panel web
+// Cuentas en /admins.json (una por línea): {"usuario","hash","rol"}
+// hash = sha256("usuario:contraseña") en hexadecimal.
+// Roles: operador (kiosco), supervisor (reportes), admin (todo).
+// -------------------------------------------------------
+String hashClave(const String &usuario, const String &clave) {
+  String texto = usuario + ":" + clave;
+  uint8_t out[32];
+  mbedtls_md(mbedtls_md_info_from_type(MBEDTLS_MD_SHA256),
+             (const unsigned char*)texto.c_str(), texto.length(), out);
+
+  char hex[65];
+  for (int i = 0; i < 32; i++) sprintf(hex + i * 2, "%02x", out[i]);
+  hex[64] = '\0';
+  return String(hex);
+}
+
+// 3 a 32 caracteres: letras, números, punto, guion o guion bajo
+bool usuarioValido(const String &usuario) {
+  if (usuario.length() < 3 || usuario.length() > 32) return false;
+  for (unsigned int i = 0; i < usuario.length(); i++) {
+    char c = usuario[i];
+    if (!isalnum(c) && c != '.' && c != '_' && c != '-') return false;
+  }
+  return true;
+}
+
+int nivelRol(const String &rol) {
+  if (rol == "admin") return ROL_ADMIN;
+  if (rol == "supervisor") return ROL_SUPERVISOR;
+  if (rol == "operador") return ROL_OPERADOR;
+  return 0;
+}
+
+void crearAdminPorDefecto() {
+  if (SD.exists("/admins.json")) return;
+
+  File f = SD.open("/admins.json", FILE_WRITE);
+  if (!f) return;
+  f.println("{\"usuario\":\"admin\",\"hash\":\"" + hashClave("admin", "admin") + "\",\"rol\":\"admin\"}");
+  f.close();
+  Serial.println("⚠️  Cuenta admin/admin creada: cambie la contraseña desde el panel");
+}
+
+bool leerCuenta(const String &usuario, String &hash, String &rol) {
+  File f = SD.open("/admins.json");
+  if (!f) return false;
+
+  bool encontrada = false;
+  while (f.available()) {
+    String line = f.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    StaticJsonDocument<256> doc;
+    if (deserializeJson(doc, line) != DeserializationError::Ok) continue;
+
+    if (usuario == (const char*)(doc["usuario"] | "")) {
+      hash = String((const char*)(doc["hash"] | ""));
+      rol = String((const char*)(doc["rol"] | ""));
+      encontrada = true;
+      break;
+    }
+  }
+  f.close();
+  return encontrada;
+}
+
+// Reescribe admins.json sin la cuenta indicada y, si hash no está vacío, la agrega de nuevo
+bool guardarCuenta(const String &usuario, const String &hash, const String &rol) {
+  File lectura = SD.open("/admins.json");
+  File temp = SD.open("/admins_temp.json", FILE_WRITE);
+  if (!temp) {
+    if (lectura) lectura.close();
+    return false;
+  }
+
+  if (lectura) {
+    while (lectura.available()) {
+      String line = lectura.readStringUntil('\n');
+      line.trim();
+      if (line.length() < 5) continue;
+
+      StaticJsonDocument<256> doc;
+      if (deserializeJson(doc, line) == DeserializationError::Ok &&
+          usuario == (const char*)(doc["usuario"] | "")) continue;
+
+      temp.println(line);
+    }
+    lectura.close();
+  }
+
+  if (hash.length() > 0) {
+    StaticJsonDocument<256> doc;
+    doc["usuario"] = usuario;
+    doc["hash"] = hash;
+    doc["rol"] = rol;
+    serializeJson(doc, temp);
+    temp.println();
+  }
+  temp.close();
+
+  SD.remove("/admins.json");
+  SD.rename("/admins_temp.json", "/admins.json");
+  return true;
+}
+
+String generarToken() {
+  char token[33];
+  for (int i = 0; i < 4; i++) sprintf(token + i * 8, "%08x", (unsigned int)esp_random());
+  token[32] = '\0';
+  return String(token);
+}
+
+String crearSesion(const String &usuario, int nivel) {
+  // Hueco libre o, si no hay, la sesión usada hace más tiempo
+  int slot = 0;
+  for (int i = 0; i < MAX_SESSIONS; i++) {
+    if (sesiones[i].token.length() == 0) {
+      slot = i;
+      break;
+    }
+    if (sesiones[i].ultimoUso < sesiones[slot].ultimoUso) slot = i;
+  }
+
+  sesiones[slot].token = generarToken();
+  sesiones[slot].usuario = usuario;
+  sesiones[slot].nivel = nivel;
+  sesiones[slot].ultimoUso = millis();
+  return sesiones[slot].token;
+}
+
+void cerrarSesionesDe(const String &usuario) {
+  for (int i = 0; i < MAX_SESSIONS; i++) {
+    if (sesiones[i].usuario == usuario) sesiones[i].token = "";
+  }
+}
+
+// Sesión vigente con ese token, o nullptr
+Sesion* buscarSesion(const String &token) {
+  if (token.length() == 0) return nullptr;
+
+  for (int i = 0; i < MAX_SESSIONS; i++) {
+    Sesion &s = sesiones[i];
+    if (s.token.length() == 0 || s.token != token) continue;
+
+    if (millis() - s.ultimoUso > SESSION_TTL_MS) {
+      s.token = "";
+      return nullptr;
+    }
+    s.ultimoUso = millis();
+    return &s;
+  }
+  return nullptr;
+}
+
+// Como buscarSesion, pero sin renovar el uso: el canal de eventos no mantiene viva la sesión
+bool sesionAbierta(const String &token) {
+  for (int i = 0; i < MAX_SESSIONS; i++) {
+    if (sesiones[i].token.length() > 0 && sesiones[i].token == token) {
+      return millis() - sesiones[i].ultimoUso <= SESSION_TTL_MS;
+    }
+  }
+  return false;
+}
+
+// Sesión del encabezado "Authorization: Bearer <token>", o nullptr
+Sesion* sesionActual() {
+  String auth = server.header("Authorization");
+  if (!auth.startsWith("Bearer ")) return nullptr;
+  return buscarSesion(auth.substring(7));
+}
+
+// Responde 401/403 y devuelve false si no hay una sesión con el nivel requerido
+bool requerirRol(int nivel) {
+  Sesion *s = sesionActual();
+  if (!s) {
+    server.send(401, "application/json", "{\"message\":\"Sesión requerida\"}");
+    return false;
+  }
+  if (s->nivel < nivel) {
+    server.send(403, "application/json", "{\"message\":\"Permiso insuficiente\"}");
+    return false;
+  }
+  return true;
+}
+
+// -------------------------------------------------------
+// API: /api/login, /api/logout, /api/accounts
+// -------------------------------------------------------
+// Tras LOGIN_MAX_FAILS fallos seguidos se rechaza el inicio de sesión durante LOGIN_LOCK_MS
+void apiLogin() {
+  if (fallosLogin >= LOGIN_MAX_FAILS) {
+    if (millis() - bloqueoLoginDesde < LOGIN_LOCK_MS) {
+      server.send(429, "application/json", "{\"message\":\"Demasiados intentos. Espere un minuto\"}");
+      return;
+    }
+    fallosLogin = 0;
+  }
+
+  StaticJsonDocument<256> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  String usuario = doc["usuario"] | "";
+  String clave = doc["password"] | "";
+  String hash, rol;
+
+  if (!leerCuenta(usuario, hash, rol) || hash != hashClave(usuario, clave) || nivelRol(rol) == 0) {
+    fallosLogin++;
+    if (fallosLogin >= LOGIN_MAX_FAILS) bloqueoLoginDesde = millis();
+    Serial.println("⚠️  Inicio de sesión fallido: " + usuario);
+    server.send(401, "application/json", "{\"message\":\"Usuario o contraseña incorrectos\"}");
+    return;
+  }
+
+  fallosLogin = 0;
+  StaticJsonDocument<256> res;
+  res["token"] = crearSesion(usuario, nivelRol(rol));
+  res["usuario"] = usuario;
+  res["rol"] = rol;
+  res["porDefecto"] = (usuario == "admin" && clave == "admin");
+
+  String out;
+  serializeJson(res, out);
+  server.send(200, "application/json", out);
+  Serial.println("✓ Sesión iniciada: " + usuario + " (" + rol + ")");
+}
+
+void apiLogout() {
+  Sesion *s = sesionActual();
+  if (s) s->token = "";
+  server.send(200, "application/json", "{\"message\":\"Sesión cerrada\"}");
+}
+
+void apiAccounts() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  File f = SD.open("/admins.json");
+  DynamicJsonDocument doc(2048);
+  JsonArray arr = doc.to<JsonArray>();
+
+  while (f && f.available()) {
+    String line = f.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    StaticJsonDocument<256> lineDoc;
+    if (deserializeJson(lineDoc, line) != DeserializationError::Ok) continue;
+
+    JsonObject o = arr.createNestedObject();
+    o["usuario"] = lineDoc["usuario"];
+    o["rol"] = lineDoc["rol"];
+  }
+  if (f) f.close();
+
+  String out;
+  serializeJson(arr, out);
+  server.send(200, "application/json", out);
+}
+
+// Crea la cuenta o cambia su rol/contraseña (password vacío conserva la actual)
+void apiSaveAccount() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<256> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  String usuario = doc["usuario"] | "";
+  String clave = doc["password"] | "";
+  String rol = doc["rol"] | "";
+
+  if (!usuarioValido(usuario) || nivelRol(rol) == 0) {
+    server.send(400, "application/json", "{\"message\":\"Usuario o rol invalido\"}");
+    return;
+  }
+
+  Sesion *actual = sesionActual();
+  String hash, rolActual;
+  bool existe = leerCuenta(usuario, hash, rolActual);
+
+  if (actual->usuario == usuario && rol != rolActual) {
+    server.send(400, "application/json", "{\"message\":\"No puede cambiar su propio rol\"}");
+    return;
+  }
+  if (clave.length() > 0 && clave.length() < 4) {
+    server.send(400, "application/json", "{\"message\":\"La contraseña debe tener al menos 4 caracteres\"}");
+    return;
+  }
+  if (!existe && clave.length() == 0) {
+    server.send(400, "application/json", "{\"message\":\"Contraseña requerida\"}");
+    return;
+  }
+
+  if (clave.length() > 0) hash = hashClave(usuario, clave);
+
+  if (!guardarCuenta(usuario, hash, rol)) {
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return;
+  }
+
+  StaticJsonDocument<128> antes;
+  if (existe) antes["rol"] = rolActual;
+  StaticJsonDocument<128> despues;
+  despues["rol"] = rol;
+  if (clave.length() > 0) despues["password"] = "cambiada";
+  registrarAuditoria(existe ? "cuenta-editar" : "cuenta-crear", usuario,
+                     existe ? antes.as<JsonVariantConst>() : JsonVariantConst(), despues.as<JsonVariantConst>());
+
+  // Las sesiones abiertas de esa cuenta quedan con permisos viejos
+  if (actual->usuario != usuario) cerrarSesionesDe(usuario);
+
+  server.send(200, "application/json", existe ?
+    "{\"message\":\"Cuenta actualizada\"}" : "{\"message\":\"Cuenta creada\"}");
+}
+
+void apiDeleteAccount() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  String usuario = doc["usuario"] | "";
+  String hash, rol;
+
+  if (sesionActual()->usuario == usuario) {
+    server.send(400, "application/json", "{\"message\":\"No puede eliminar su propia cuenta\"}");
+    return;
+  }
+  if (!leerCuenta(usuario, hash, rol)) {
+    server.send(404, "application/json", "{\"message\":\"Cuenta no encontrada\"}");
+    return;
+  }
+
+  guardarCuenta(usuario, "", "");
+  cerrarSesionesDe(usuario);
+
+  StaticJsonDocument<128> antes;
+  antes["rol"] = rol;
+  registrarAuditoria("cuenta-eliminar", usuario, antes.as<JsonVariantConst>(), JsonVariantConst());
+  server.send(200, "application/json", "{\"message\":\"Cuenta eliminada\"}");
+}
+
+// -------------------------------------------------------
+// Auditoría de cambios administrativos
+// /auditoria.log: una línea JSON por cambio
+// {"fecha","hora","actor","accion","id","antes":{...},"despues":{...}}
+// -------------------------------------------------------
+void registrarAuditoria(const char* accion, const String &id, JsonVariantConst antes, JsonVariantConst despues) {
+  DateTime now = ahora();
+
+  char fechaBuf[20];
+  sprintf(fechaBuf, "%04d-%02d-%02d", now.year(), now.month(), now.day());
+  char horaBuf[20];
+  sprintf(horaBuf, "%02d:%02d:%02d", now.hour(), now.minute(), now.second());
+
+  Sesion *s = sesionActual();
+
+  // antes y después pueden traer el perfil completo del usuario
+  DynamicJsonDocument doc(2 * USER_DOC_SIZE);
+  doc["fecha"] = fechaBuf;
+  doc["hora"] = horaBuf;
+  doc["actor"] = s ? s->usuario : String("desconocido");
+  doc["accion"] = accion;
+  doc["id"] = id;
+  if (!antes.isNull()) doc["antes"] = antes;
+  if (!despues.isNull()) doc["despues"] = despues;
+
+  File f = SD.open("/auditoria.log", FILE_APPEND);
+  if (!f) {
+    Serial.println("ERROR: No se pudo abrir auditoria.log");
+    return;
+  }
+  serializeJson(doc, f);
+  f.println();
+  f.close();
+}
+
+// -------------------------------------------------------
+// Archivos de líneas JSON enviados como arreglo, por partes
+// (no se arma la respuesta completa en memoria)
+// -------------------------------------------------------
+// validar: omite líneas dañadas (archivos que pueden editarse a mano)
+void enviarLineasJSON(const char* ruta, bool validar) {
+  File f = SD.open(ruta);
+  if (!f) {
+    server.send(200, "application/json", "[]");
+    return;
+  }
+
+  server.setContentLength(CONTENT_LENGTH_UNKNOWN);
+  server.send(200, "application/json", "");
+  server.sendContent("[");
+
+  bool primera = true;
+  while (f.available()) {
+    String line = f.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    if (validar) {
+      DynamicJsonDocument check(USER_DOC_SIZE);
+      if (deserializeJson(check, line)) continue;
+    }
+
+    if (!primera) line = "," + line;
+    server.sendContent(line);
+    primera = false;
+  }
+  f.close();
+
+  server.sendContent("]");
+  server.sendContent("");
+}
+
+// -------------------------------------------------------
+// API: /api/corrections
+// Correcciones manuales en /correcciones.json (una por línea).
+// asistencia.csv nunca se modifica: el panel aplica las correcciones
+// sobre las marcaciones originales.
+//   agregar:  {tipo, id, fecha, hora, motivo}
+//   corregir: {tipo, id, fecha, hora, original:{fecha,hora}, motivo}
+//   anular:   {tipo, id, original:{fecha,hora}, motivo}
+// -------------------------------------------------------
+bool fechaValida(const char* fecha) {
+  return strlen(fecha) == 10 && fecha[4] == '-' && fecha[7] == '-';
+}
+
+bool horaValida(const char* hora) {
+  return strlen(hora) == 8 && hora[2] == ':' && hora[5] == ':';
+}
+
+void apiSaveCorrection() {
+  if (!requerirRol(ROL_SUPERVISOR)) return;
+
+  StaticJsonDocument<1024> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  String tipo = doc["tipo"] | "";
+  int id = doc["id"] | -1;
+  String motivo = doc["motivo"] | "";
+  const char* fecha = doc["fecha"] | "";
+  const char* hora = doc["hora"] | "";
+  const char* fechaOriginal = doc["original"]["fecha"] | "";
+  const char* horaOriginal = doc["original"]["hora"] | "";
+  motivo.trim();
+
+  if (tipo != "agregar" && tipo != "corregir" && tipo != "anular") {
+    server.send(400, "application/json", "{\"message\":\"Tipo de corrección invalido\"}");
+    return;
+  }
+  if (id < 0 || motivo.length() < 3) {
+    server.send(400, "application/json", "{\"message\":\"El motivo es obligatorio\"}");
+    return;
+  }
+  if (motivo.length() > MOTIVO_MAX) {
+    server.send(400, "application/json", "{\"message\":\"Motivo muy largo\"}");
+    return;
+  }
+  if (tipo != "anular" && (!fechaValida(fecha) || !horaValida(hora))) {
+    server.send(400, "application/json", "{\"message\":\"Fecha u hora invalida\"}");
+    return;
+  }
+  if (tipo != "agregar" && (!fechaValida(fechaOriginal) || !horaValida(horaOriginal))) {
+    server.send(400, "application/json", "{\"message\":\"Falta la marcación original\"}");
+    return;
+  }
+
+  DateTime now = ahora();
+  char creado[20];
+  sprintf(creado, "%04d-%02d-%02d %02d:%02d:%02d",
+          now.year(), now.month(), now.day(), now.hour(), now.minute(), now.second());
+
+  Sesion *s = sesionActual();
+
+  StaticJsonDocument<512> linea;
+  linea["tipo"] = tipo;
+  linea["id"] = id;
+  if (tipo != "anular") {
+    linea["fecha"] = fecha;
+    linea["hora"] = hora;
+  }
+  if (tipo != "agregar") {
+    linea["original"]["fecha"] = fechaOriginal;
+    linea["original"]["hora"] = horaOriginal;
+  }
+  linea["motivo"] = motivo;
+  linea["actor"] = s->usuario;
+  linea["creado"] = creado;
+
+  File f = SD.open("/correcciones.json", FILE_APPEND);
+  if (!f) {
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return;
+  }
+  serializeJson(linea, f);
+  f.println();
+  f.close();
+
+  StaticJsonDocument<256> antes;
+  if (tipo != "agregar") {
+    antes["fecha"] = fechaOriginal;
+    antes["hora"] = horaOriginal;
+  }
+  StaticJsonDocument<384> despues;
+  if (tipo != "anular") {
+    despues["fecha"] = fecha;
+    despues["hora"] = hora;
+  }
+  despues["motivo"] = motivo;
+  registrarAuditoria(("asistencia-" + tipo).c_str(), String(id),
+                     tipo != "agregar" ? antes.as<JsonVariantConst>() : JsonVariantConst(),
+                     despues.as<JsonVariantConst>());
+
+  String out;
+  serializeJson(linea, out);
+  server.send(200, "application/json", out);
+  beep(1200, 100);
+}
+
+// -------------------------------------------------------
+// API: /api/pending
+// Usuarios importados que esperan enrolar su huella.
+// /pendientes.json: {"pid","nombre","rol","grupo"} por línea
+// -------------------------------------------------------
+// Misma regla que nombreYaRegistrado: sin distinguir mayúsculas ni espacios extremos
+bool nombrePendiente(String nombre) {
+  File f = SD.open("/pendientes.json");
+  if (!f) return false;
+
+  nombre.toLowerCase();
+  nombre.trim();
+
+  bool encontrado = false;
+  while (f.available() && !encontrado) {
+    String line = f.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    StaticJsonDocument<256> doc;
+    if (deserializeJson(doc, line) != DeserializationError::Ok) continue;
+
+    String existente = String((const char*)(doc["nombre"] | ""));
+    existente.toLowerCase();
+    existente.trim();
+    encontrado = existente == nombre;
+  }
+  f.close();
+  return encontrado;
+}
+
+bool quitarPendiente(const String &pid) {
+  File lectura = SD.open("/pendientes.json");
+  File temp = SD.open("/pendientes_temp.json", FILE_WRITE);
+  if (!lectura || !temp) {
+    if (lectura) lectura.close();
+    if (temp) temp.close();
+    return false;
+  }
+
+  bool encontrado = false;
+  while (lectura.available()) {
+    String line = lectura.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    StaticJsonDocument<256> doc;
+    if (deserializeJson(doc, line) == DeserializationError::Ok && pid == (const char*)(doc["pid"] | "")) {
+      encontrado = true;
+      continue;
+    }
+    temp.println(line);
+  }
+  lectura.close();
+  temp.close();
+
+  SD.remove("/pendientes.json");
+  SD.rename("/pendientes_temp.json", "/pendientes.json");
+  return encontrado;
+}
+
+// Body: {"usuarios":[{"nombre","rol","grupo"}, ...]} (hasta PENDING_BATCH_MAX)
+void apiAddPending() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  DynamicJsonDocument doc(8192);
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  JsonArray usuarios = doc["usuarios"];
+  if (usuarios.isNull() || usuarios.size() > PENDING_BATCH_MAX) {
+    server.send(400, "application/json", "{\"message\":\"Lista de usuarios invalida\"}");
+    return;
+  }
+
+  DynamicJsonDocument res(4096);
+  JsonArray omitidos = res.createNestedArray("omitidos");
+  int agregados = 0;
+
+  for (JsonObject u : usuarios) {
+    String nombre = u["nombre"] | "";
+    nombre.trim();
+
+    const char* motivo = nullptr;
+    if (nombre.length() < 3) motivo = "Nombre muy corto";
+    else if (nombreYaRegistrado(nombre, false)) motivo = "Ya registrado";
+    else if (nombrePendiente(nombre)) motivo = "Ya está pendiente";
+
+    if (motivo) {
+      JsonObject o = omitidos.createNestedObject();
+      o["nombre"] = nombre;
+      o["motivo"] = motivo;
+      continue;
+    }
+
+    StaticJsonDocument<256> linea;
+    linea["pid"] = generarToken().substring(0, 8);
+    linea["nombre"] = nombre;
+    linea["rol"] = u["rol"] | "Estudiante";
+    if (strlen(u["grupo"] | "") > 0) linea["grupo"] = u["grupo"];
+
+    // Se escribe fila por fila para que nombrePendiente vea las anteriores del lote
+    File f = SD.open("/pendientes.json", FILE_APPEND);
+    if (!f) {
+      server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+      return;
+    }
+    serializeJson(linea, f);
+    f.println();
+    f.close();
+    agregados++;
+  }
+
+  res["agregados"] = agregados;
+
+  if (agregados > 0) {
+    StaticJsonDocument<64> despues;
+    despues["usuarios"] = agregados;
+    registrarAuditoria("importar", "pendientes", JsonVariantConst(), despues.as<JsonVariantConst>());
+  }
+
+  String out;
+  serializeJson(res, out);
+  server.send(200, "application/json", out);
+}
+
+// Body: {"pid":"..."} o {"todos":true}
+void apiDeletePending() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  if (doc["todos"] | false) {
+    SD.remove("/pendientes.json");
+    server.send(200, "application/json", "{\"message\":\"Pendientes eliminados\"}");
+    return;
+  }
+
+  if (!quitarPendiente(String((const char*)(doc["pid"] | "")))) {
+    server.send(404, "application/json", "{\"message\":\"Pendiente no encontrado\"}");
+    return;
+  }
+  server.send(200, "application/json", "{\"message\":\"Pendiente eliminado\"}");
+}
+
+// -------------------------------------------------------
+// Respaldo y restauración
+// Solo se exponen los archivos de datos de esta lista; la subida
+// se escribe en /rst_<archivo> y se aplica con /api/backup/commit.
+// -------------------------------------------------------
+const char* ARCHIVOS_RESPALDO[] = {
+  "usuarios.json", "asistencia.csv", "horarios.json", "correcciones.json",
+  "pendientes.json", "admins.json", "auditoria.log", "grupos.json", "calendario.json",
+  "kiosco.json", "papelera.json", "campos.json"
+};
+const int NUM_ARCHIVOS_RESPALDO = sizeof(ARCHIVOS_RESPALDO) / sizeof(ARCHIVOS_RESPALDO[0]);
+
+bool archivoRespaldable(const String &nombre) {
+  for (int i = 0; i < NUM_ARCHIVOS_RESPALDO; i++) {
+    if (nombre == ARCHIVOS_RESPALDO[i]) return true;
+  }
+  return false;
+}
+
+void apiBackupFiles() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  DynamicJsonDocument doc(1024);
+  JsonArray arr = doc.to<JsonArray>();
+
+  for (int i = 0; i < NUM_ARCHIVOS_RESPALDO; i++) {
+    String ruta = "/" + String(ARCHIVOS_RESPALDO[i]);
+    File f = SD.open(ruta);
+
+    JsonObject o = arr.createNestedObject();
+    o["nombre"] = ARCHIVOS_RESPALDO[i];
+    o["existe"] = (bool)f;
+    o["tamano"] = f ? (uint32_t)f.size() : 0;
+    if (f) f.close();
+  }
+
+  String out;
+  serializeJson(arr, out);
+  server.send(200, "application/json", out);
+}
+
+// GET ?name=&offset=: hasta BACKUP_CHUNK bytes crudos desde offset
+void apiBackupDownload() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  String nombre = server.arg("name");
+  if (!archivoRespaldable(nombre)) {
+    server.send(403, "application/json", "{\"message\":\"Archivo no permitido\"}");
+    return;
+  }
+
+  File f = SD.open("/" + nombre);
+  if (!f) {
+    server.send(200, "application/octet-stream", "");
+    return;
+  }
+
+  uint32_t offset = server.arg("offset").toInt();
+  uint32_t size = f.size();
+  uint32_t len = offset < size ? min((uint32_t)BACKUP_CHUNK, size - offset) : 0;
+  f.seek(offset);
+
+  server.setContentLength(len);
+  server.send(200, "application/octet-stream", "");
+
+  uint8_t buf[512];
+  while (len > 0) {
+    size_t n = f.read(buf, min((uint32_t)sizeof(buf), len));
+    if (n == 0) break;
+    server.sendContent((const char*)buf, n);
+    len -= n;
+  }
+  f.close();
+}
+
+// POST ?name=&offset=: agrega un fragmento al archivo temporal.
+// offset debe coincidir con lo ya recibido para detectar fragmentos perdidos.
+void apiBackupUpload() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  String nombre = server.arg("name");
+  uint32_t offset = server.arg("offset").toInt();
+  if (!archivoRespaldable(nombre)) {
+    server.send(403, "application/json", "{\"message\":\"Archivo no permitido\"}");
+    return;
+  }
+
+  String temp = "/rst_" + nombre;
+  if (offset == 0) SD.remove(temp);
+
+  File f = SD.open(temp, offset == 0 ? FILE_WRITE : FILE_APPEND);
+  if (!f) {
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return;
+  }
+  if (f.size() != offset) {
+    f.close();
+    server.send(409, "application/json", "{\"message\":\"Fragmento fuera de orden\"}");
+    return;
+  }
+
+  f.print(server.arg("plain"));
+  uint32_t size = f.size();
+  f.close();
+
+  server.send(200, "application/json", "{\"size\":" + String(size) + "}");
+}
+
+// Body: {"archivos":["usuarios.json", ...]}: reemplaza cada original por su temporal
+void apiBackupCommit() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<512> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  // Primero se comprueba que estén todos, para no dejar una restauración a medias
+  JsonArray archivos = doc["archivos"];
+  for (JsonVariant v : archivos) {
+    String nombre = v.as<String>();
+    if (!archivoRespaldable(nombre) || !SD.exists("/rst_" + nombre)) {
+      server.send(400, "application/json", "{\"message\":\"Falta el archivo " + nombre + "\"}");
+      return;
+    }
+  }
+
+  bool marcas = false, cuentas = false;
+  for (JsonVariant v : archivos) {
+    String nombre = v.as<String>();
+    SD.remove("/" + nombre);
+    SD.rename("/rst_" + nombre, "/" + nombre);
+    Serial.println("✓ Restaurado " + nombre);
+    if (nombre == "asistencia.csv") marcas = true;
+    if (nombre == "admins.json") cuentas = true;
+  }
+
+  // Las marcas del día en memoria corresponden al archivo anterior
+  if (marcas) {
+    fechaMarcas = "";
+    ultimaMarcaID = -1;
+  }
+
+  // Con otras cuentas se cierran todas las sesiones. La actual sigue
+  // (para cargar las huellas) solo si su cuenta quedó con el mismo rol.
+  if (cuentas) {
+    Sesion *actual = sesionActual();
+    for (int i = 0; i < MAX_SESSIONS; i++) {
+      if (&sesiones[i] == actual) continue;
+      sesiones[i].token = "";
+    }
+    String hash, rol;
+    if (actual && (!leerCuenta(actual->usuario, hash, rol) || nivelRol(rol) != actual->nivel)) {
+      actual->token = "";
+    }
+  }
+
+  StaticJsonDocument<64> despues;
+  despues["archivos"] = archivos.size();
+  registrarAuditoria("restaurar", "respaldo", JsonVariantConst(), despues.as<JsonVariantConst>());
+
+  server.send(200, "application/json", "{\"message\":\"Archivos restaurados\"}");
+  beep(1500, 150);
+}
+
+// Lee la plantilla del slot (UpChar) y la devuelve en base64
+bool leerPlantilla(uint16_t slot, String &base64) {
+  finger.setPacketSize(FINGERPRINT_PACKET_SIZE_32);
+  if (finger.loadModel(slot) != FINGERPRINT_OK) return false;
+  if (finger.getModel() != FINGERPRINT_OK) return false;
+
+  uint8_t plantilla[TEMPLATE_MAX];
+  size_t total = 0;
+  Adafruit_Fingerprint_Packet packet;
+
+  while (true) {
+    if (finger.getStructuredPacket(&packet) != FINGERPRINT_OK) return false;
+    if (packet.type != FINGERPRINT_DATAPACKET && packet.type != FINGERPRINT_ENDDATAPACKET) return false;
+
+    uint16_t len = packet.length - 2; // sin checksum
+    if (total + len > TEMPLATE_MAX) return false;
+    memcpy(plantilla + total, packet.data, len);
+    total += len;
+
+    if (packet.type == FINGERPRINT_ENDDATAPACKET) break;
+  }
+
+  unsigned char out[TEMPLATE_MAX * 4 / 3 + 4];
+  size_t outLen = 0;
+  if (mbedtls_base64_encode(out, sizeof(out), &outLen, plantilla, total) != 0) return false;
+  out[outLen] = '\0';
+  base64 = String((const char*)out);
+  return true;
+}
+
+// Envía la plantilla al buffer 1 (DownChar) y la guarda en el slot
+bool escribirPlantilla(uint16_t slot, const char* base64) {
+  uint8_t plantilla[TEMPLATE_MAX];
+  size_t total = 0;
+  if (mbedtls_base64_decode(plantilla, sizeof(plantilla), &total,
+                            (const unsigned char*)base64, strlen(base64)) != 0 || total == 0) {
+    return false;
+  }
+
+  finger.setPacketSize(FINGERPRINT_PACKET_SIZE_32);
+
+  uint8_t cmd[] = { CMD_DOWNCHAR, 0x01 };
+  Adafruit_Fingerprint_Packet comando(FINGERPRINT_COMMANDPACKET, sizeof(cmd), cmd);
+  finger.writeStructuredPacket(comando);
+
+  Adafruit_Fingerprint_Packet ack;
+  if (finger.getStructuredPacket(&ack) != FINGERPRINT_OK ||
+      ack.type != FINGERPRINT_ACKPACKET || ack.data[0] != FINGERPRINT_OK) {
+    return false;
+  }
+
+  for (size_t i = 0; i < total; i += TEMPLATE_PACKET) {
+    uint16_t len = min((size_t)TEMPLATE_PACKET, total - i);
+    bool ultimo = i + len >= total;
+    Adafruit_Fingerprint_Packet data(ultimo ? FINGERPRINT_ENDDATAPACKET : FINGERPRINT_DATAPACKET, len, plantilla + i);
+    finger.writeStructuredPacket(data);
+  }
+
+  return finger.storeModel(slot) == FINGERPRINT_OK;
+}
+
+// GET ?slot=N -> {"slot":N,"data":"<base64>"}
+void apiBackupTemplate() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  int slot = server.hasArg("slot") ? server.arg("slot").toInt() : -1;
+  String base64;
+  if (slot < 0 || slot > 255 || !leerPlantilla(slot, base64)) {
+    server.send(404, "application/json", "{\"message\":\"Slot sin plantilla\"}");
+    return;
+  }
+
+  server.send(200, "application/json", "{\"slot\":" + String(slot) + ",\"data\":\"" + base64 + "\"}");
+}
+
+// POST {"slot":N,"data":"<base64>"}
+void apiRestoreTemplate() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<1536> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  int slot = doc["slot"] | -1;
+  const char* data = doc["data"] | "";
+
+  if (slot < 0 || slot > 255 || !escribirPlantilla(slot, data)) {
+    server.send(500, "application/json", "{\"message\":\"No se pudo cargar la plantilla en el sensor\"}");
+    return;
+  }
+
+  server.send(200, "application/json", "{\"message\":\"Plantilla restaurada\"}");
+}
+
+// -------------------------------------------------------
+// Sensor vs usuarios.json
+// La tabla de índice del sensor (ReadIndexTable) trae un bit por slot,
+// 256 slots por página. Se cruza con los slots de cada usuario para
+// hallar plantillas sin dueño (huérfanas: un borrado a medias, una SD
+// que falló al registrar o una SD cambiada) y usuarios con dedos que
+// ya no están en el sensor.
+// -------------------------------------------------------
+bool leerIndiceSensor(uint8_t *mapa, uint16_t capacidad) {
+  memset(mapa, 0, SENSOR_SLOTS_MAX / 8);
+  finger.setPacketSize(FINGERPRINT_PACKET_SIZE_32);
+
+  for (uint8_t pagina = 0; pagina * 256 < capacidad; pagina++) {
+    uint8_t cmd[] = { CMD_READINDEX, pagina };
+    Adafruit_Fingerprint_Packet comando(FINGERPRINT_COMMANDPACKET, sizeof(cmd), cmd);
+    finger.writeStructuredPacket(comando);
+
+    Adafruit_Fingerprint_Packet ack;
+    if (finger.getStructuredPacket(&ack) != FINGERPRINT_OK ||
+        ack.type != FINGERPRINT_ACKPACKET || ack.data[0] != FINGERPRINT_OK) {
+      return false;
+    }
+    memcpy(mapa + pagina * 32, ack.data + 1, 32);
+  }
+  return true;
+}
+
+bool slotEnMapa(const uint8_t *mapa, int slot) {
+  return slot >= 0 && slot < SENSOR_SLOTS_MAX && (mapa[slot / 8] & (1 << (slot % 8)));
+}
+
+// {capacidad, usados, huerfanos: [slot], sinHuella: [{id, nombre, huellas: [{slot, dedo}], reenrolar}]}
+bool revisarSensor(JsonDocument &doc) {
+  uint16_t capacidad = min((uint16_t)finger.capacity, (uint16_t)SENSOR_SLOTS_MAX);
+  uint8_t ocupados[SENSOR_SLOTS_MAX / 8];
+  uint8_t asignados[SENSOR_SLOTS_MAX / 8];
+  memset(asignados, 0, sizeof(asignados));
+
+  if (capacidad == 0 || !leerIndiceSensor(ocupados, capacidad)) return false;
+
+  doc["capacidad"] = capacidad;
+  JsonArray sinHuella = doc.createNestedArray("sinHuella");
+
+  // Los dedos de la papelera siguen en el sensor a propósito: no son huérfanos
+  File papelera = SD.open("/papelera.json");
+  while (papelera && papelera.available()) {
+    String line = papelera.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    DynamicJsonDocument usuario(USER_DOC_SIZE);
+    if (deserializeJson(usuario, line)) continue;
+
+    for (JsonObject h : huellasDe(usuario)) {
+      int slot = h["slot"] | -1;
+      if (slot >= 0 && slot < capacidad) asignados[slot / 8] |= 1 << (slot % 8);
+    }
+  }
+  if (papelera) papelera.close();
+
+  File users = SD.open("/usuarios.json");
+  while (users && users.available()) {
+    String line = users.readStringUntil('\n');
+    line.trim();
+    if (line.length() < 5) continue;
+
+    DynamicJsonDocument usuario(USER_DOC_SIZE);
+    if (deserializeJson(usuario, line)) continue;
+
+    JsonObject fila;
+    for (JsonObject h : huellasDe(usuario)) {
+      int slot = h["slot"] | -1;
+      if (slot >= 0 && slot < capacidad) {
+        asignados[slot / 8] |= 1 << (slot % 8);
+        if (slotEnMapa(ocupados, slot)) continue;
+      }
+
+      if (fila.isNull()) {
+        fila = sinHuella.createNestedObject();
+        fila["id"] = usuario["id"].as<int>();
+        fila["nombre"] = String((const char*)(usuario["nombre"] | ""));
+        fila["reenrolar"] = usuario["reenrolar"].is<JsonArray>();
+        fila.createNestedArray("huellas");
+      }
+      JsonObject falta = fila["huellas"].createNestedObject();
+      falta["slot"] = slot;
+      falta["dedo"] = String((const char*)(h["dedo"] | ""));
+    }
+  }
+  if (users) users.close();
+
+  int usados = 0;
+  JsonArray huerfanos = doc.createNestedArray("huerfanos");
+  for (int slot = 0; slot < capacidad; slot++) {
+    if (!slotEnMapa(ocupados, slot)) continue;
+    usados++;
+    if (!slotEnMapa(asignados, slot)) huerfanos.add(slot);
+  }
+  doc["usados"] = usados;
+  return true;
+}
+
+// GET -> estado del sensor cruzado con los usuarios
+void apiSensor() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  DynamicJsonDocument doc(16384);
+  if (!revisarSensor(doc)) {
+    server.send(503, "application/json", "{\"message\":\"El sensor no responde\"}");
+    return;
+  }
+
+  String out;
+  serializeJson(doc, out);
+  server.send(200, "application/json", out);
+}
+
+// POST {"slots":[...]}: borra del sensor los slots pedidos que sigan huérfanos
+void apiSensorPurge() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<2048> body;
+  if (deserializeJson(body, server.arg("plain")) || !body["slots"].is<JsonArray>()) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  DynamicJsonDocument estado(16384);
+  if (!revisarSensor(estado)) {
+    server.send(503, "application/json", "{\"message\":\"El sensor no responde\"}");
+    return;
+  }
+
+  StaticJsonDocument<512> despues;
+  JsonArray eliminados = despues.createNestedArray("eliminados");
+
+  for (int slot : body["slots"].as<JsonArrayConst>()) {
+    bool huerfano = false;
+    for (int h : estado["huerfanos"].as<JsonArrayConst>()) {
+      if (h == slot) huerfano = true;
+    }
+    if (!huerfano) continue;
+
+    if (finger.deleteModel(slot) == FINGERPRINT_OK) {
+      eliminados.add(slot);
+    } else {
+      Serial.printf("⚠️  No se pudo eliminar el slot %d del sensor\n", slot);
+    }
+  }
+
+  finger.getTemplateCount();
+  registrarAuditoria("sensor-purgar", "sensor", JsonVariantConst(), despues.as<JsonVariantConst>());
+
+  server.send(200, "application/json",
+              "{\"message\":\"Huellas huérfanas eliminadas\",\"eliminados\":" + String(eliminados.size()) + "}");
+  beep(1000, 100);
+}
+
+// POST {"ids":[...]}: marca a esos usuarios para reenrolar los dedos que
+// faltan en el sensor ("reenrolar": [slot]). Se desmarcan solos al
+// reemplazar o quitar cada dedo.
+void apiSensorReenroll() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<1024> body;
+  if (deserializeJson(body, server.arg("plain")) || !body["ids"].is<JsonArray>()) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
     return;
   }
 
-  res = finger.fingerFastSearch();
-  if (res != FINGERPRINT_OK) {
-    Serial.println("Huella no encontrada");
-    server.send(404, "application/json", "{\"error\":\"Huella no registrada\"}");
-    beep(300, 300);
+  DynamicJsonDocument estado(16384);
+  if (!revisarSensor(estado)) {
+    server.send(503, "application/json", "{\"message\":\"El sensor no responde\"}");
     return;
   }
 
-  int id = finger.fingerID;
-  int confidence = finger.confidence;
+  int marcados = 0;
+  for (JsonObjectConst fila : estado["sinHuella"].as<JsonArrayConst>()) {
+    int id = fila["id"] | -1;
 
-  Serial.printf("Huella encontrada: ID=%d, Confianza=%d\n", id, confidence);
+    bool pedido = false;
+    for (int i : body["ids"].as<JsonArrayConst>()) {
+      if (i == id) pedido = true;
+    }
 
-  String nombreReal = buscarNombrePorID(id);
-  guardarAsistencia(id);
+    DynamicJsonDocument usuario(USER_DOC_SIZE);
+    if (!pedido || !leerUsuario(id, usuario)) continue;
 
-  DateTime now = rtc.now();
+    StaticJsonDocument<256> antes;
+    if (usuario["reenrolar"].is<JsonArray>()) antes["reenrolar"] = usuario["reenrolar"];
 
-  StaticJsonDocument<512> resp;
-  resp["id"] = id;
-  resp["nombre"] = nombreReal;
-  resp["confidence"] = confidence;
-  
-  char fechaBuf[20];
-  sprintf(fechaBuf, "%04d-%02d-%02d", now.year(), now.month(), now.day());
-  resp["fecha"] = fechaBuf;
-  
-  char horaBuf[20];
-  sprintf(horaBuf, "%02d:%02d:%02d", now.hour(), now.minute(), now.second());
-  resp["hora"] = horaBuf;
-  
-  resp["tipo"] = "entrada";
+    usuario.remove("reenrolar");
+    JsonArray pendientes = usuario.createNestedArray("reenrolar");
+    for (JsonObjectConst h : fila["huellas"].as<JsonArrayConst>()) pendientes.add(h["slot"].as<int>());
 
-  String out;
-  serializeJson(resp, out);
-  server.send(200, "application/json", out);
+    if (!reescribirUsuario(id, usuario)) {
+      server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+      return;
+    }
 
-  beep(1500, 120);
+    StaticJsonDocument<256> despues;
+    despues["reenrolar"] = pendientes;
+    registrarAuditoria("reenrolar", String(id), antes.as<JsonVariantConst>(), despues.as<JsonVariantConst>());
+    marcados++;
+  }
+
+  server.send(200, "application/json",
+              "{\"message\":\"Usuarios marcados para reenrolar\",\"marcados\":" + String(marcados) + "}");
 }
 
 // -------------------------------------------------------
-// API: /api/database
+// API: /api/audit?cursor=0&limit=50
+// Misma paginación por cursor en bytes que /api/database
 // -------------------------------------------------------
-void apiDatabase() {
-  Serial.println("API: /api/database");
+void apiAudit() {
+  if (!requerirRol(ROL_ADMIN)) return;
 
-  File f = SD.open("/asistencia.csv");
+  File f = SD.open("/auditoria.log");
   if (!f) {
-    File newFile = SD.open("/asistencia.csv", FILE_WRITE);
-    if (newFile) newFile.close();
-    server.send(200, "application/json", "[]");
+    server.send(200, "application/json", "{\"records\":[],\"next\":null,\"size\":0}");
     return;
   }
 
-  DynamicJsonDocument doc(8192);
-  JsonArray arr = doc.to<JsonArray>();
+  uint32_t cursor = server.hasArg("cursor") ? server.arg("cursor").toInt() : 0;
+  int limit = server.hasArg("limit") ? server.arg("limit").toInt() : AUDIT_PAGE_MAX;
+  if (limit <= 0 || limit > AUDIT_PAGE_MAX) limit = AUDIT_PAGE_MAX;
 
+  uint32_t size = f.size();
+  if (cursor > size) cursor = size;
+  f.seek(cursor);
+
+  // Las líneas ya son JSON: se copian tal cual, descartando las corruptas
+  String out = "{\"records\":[";
   int count = 0;
-  while (f.available() && count < 100) {
+  while (f.available() && count < limit) {
     String line = f.readStringUntil('\n');
     line.trim();
-    if (line.length() < 3) continue;
+    if (line.length() < 5) continue;
 
-    int c1 = line.indexOf(',');
-    int c2 = line.indexOf(',', c1 + 1);
+    StaticJsonDocument<768> check;
+    if (deserializeJson(check, line) != DeserializationError::Ok) continue;
 
-    if (c1 < 0 || c2 < 0) continue;
+    if (count > 0) out += ",";
+    out += line;
+    count++;
+  }
 
-    String idStr = line.substring(0, c1);
-    String fecha = line.substring(c1 + 1, c2);
-    String hora = line.substring(c2 + 1);
+  out += "],\"next\":";
+  out += f.available() ? String((uint32_t)f.position()) : String("null");
+  out += ",\"size\":" + String(size) + "}";
+  f.close();
 
-    int id = idStr.toInt();
+  server.send(200, "application/json", out);
+}
 
-    JsonObject o = arr.createNestedObject();
-    o["id"] = idStr;
-    o["nombre"] = buscarNombrePorID(id);
-    o["fecha"] = fecha;
-    o["hora"] = hora;
-    o["rol"] = buscarRolPorID(id);
-    
-    count++;
+// Solo se sirven recursos del panel; los datos (.json, .csv, .log) pasan por la API
+bool archivoPublico(String path) {
+  path.toLowerCase();
+  return path.endsWith(".html") || path.endsWith(".css") || path.endsWith(".js") ||
+         path.endsWith(".png") || path.endsWith(".svg") || path.endsWith(".ico");
+}
+
+// -------------------------------------------------------
+// Canal de eventos (SSE en el puerto 81)
+// El ESP32 lee el sensor por su cuenta y empuja los eventos
+// punch / capture / status a los navegadores suscritos.
+// EventSource no envía encabezados: la sesión va en GET /events?token=...
+// El kiosco no tiene sesión: GET /events?kiosco=1 recibe solo punch y status,
+// lo mismo que ya ve por /api/attendance. Así el loop no le quita las lecturas.
+// -------------------------------------------------------
+bool hayClientesEventos() {
+  for (int i = 0; i < MAX_EVENT_CLIENTS; i++) {
+    if (eventClients[i] && eventClients[i].connected()) return true;
+  }
+  return false;
+}
+
+void enviarEvento(const char* tipo, const String &data) {
+  for (int i = 0; i < MAX_EVENT_CLIENTS; i++) {
+    if (eventClients[i] && eventClients[i].connected()) {
+      if (eventKiosco[i]) {
+        if (strcmp(tipo, "capture") == 0) continue;
+      } else if (!sesionAbierta(eventTokens[i])) {
+        // Sesión cerrada o vencida: el cliente deja de recibir eventos
+        eventClients[i].stop();
+        continue;
+      }
+      eventClients[i].print("event: ");
+      eventClients[i].print(tipo);
+      eventClients[i].print("\ndata: ");
+      eventClients[i].print(data);
+      eventClients[i].print("\n\n");
+    }
+  }
+}
+
+void aceptarClienteEventos() {
+  WiFiClient nuevo = eventServer.available();
+  if (!nuevo) return;
+
+  // Línea de petición con el token; el resto de la cabecera se descarta
+  unsigned long inicio = millis();
+  String peticion = nuevo.readStringUntil('\n');
+  while (nuevo.connected() && millis() - inicio < 1000) {
+    String line = nuevo.readStringUntil('\n');
+    if (line.length() <= 1) break;
+  }
+
+  String token;
+  int desde = peticion.indexOf("token=");
+  if (desde >= 0) {
+    desde += 6;
+    int hasta = desde;
+    while (hasta < (int)peticion.length() && isAlphaNumeric(peticion[hasta])) hasta++;
+    token = peticion.substring(desde, hasta);
+  }
+
+  bool kiosco = token.length() == 0 && peticion.indexOf("kiosco=1") >= 0;
+  if (!kiosco && !buscarSesion(token)) {
+    nuevo.print("HTTP/1.1 401 Unauthorized\r\n"
+                "Access-Control-Allow-Origin: *\r\n"
+                "Connection: close\r\n\r\n");
+    nuevo.stop();
+    return;
+  }
+
+  for (int i = 0; i < MAX_EVENT_CLIENTS; i++) {
+    if (!eventClients[i] || !eventClients[i].connected()) {
+      eventClients[i] = nuevo;
+      eventTokens[i] = token;
+      eventKiosco[i] = kiosco;
+      nuevo.print("HTTP/1.1 200 OK\r\n"
+                  "Content-Type: text/event-stream\r\n"
+                  "Cache-Control: no-cache\r\n"
+                  "Connection: keep-alive\r\n"
+                  "Access-Control-Allow-Origin: *\r\n\r\n");
+      nuevo.print("retry: 5000\n\n");
+      Serial.printf("✓ Cliente de eventos conectado (slot %d)\n", i);
+      enviarEvento("status", estadoSistema());
+      return;
+    }
+  }
+
+  nuevo.print("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n");
+  nuevo.stop();
+}
+
+void atenderEventos() {
+  aceptarClienteEventos();
+
+  if (!hayClientesEventos()) return;
+
+  unsigned long ahora = millis();
+
+  if (ahora - ultimoPing >= PING_EVENT_MS) {
+    ultimoPing = ahora;
+    for (int i = 0; i < MAX_EVENT_CLIENTS; i++) {
+      if (eventClients[i] && eventClients[i].connected()) eventClients[i].print(": ping\n\n");
+    }
+  }
+
+  if (ahora - ultimoEventoEstado >= STATUS_EVENT_MS) {
+    ultimoEventoEstado = ahora;
+    enviarEvento("status", estadoSistema());
+  }
+
+  if (ahora - ultimoEscaneo < SCAN_INTERVAL_MS) return;
+  ultimoEscaneo = ahora;
+
+  String payload;
+
+  if (enrolamientoActivo) {
+    int code = pasoCaptura(payload);
+    String evento = "{\"status\":" + String(code) + ",\"data\":" + payload + "}";
+
+    // Solo notificar cambios para no saturar a los clientes
+    if (evento != ultimoEventoCaptura) {
+      ultimoEventoCaptura = evento;
+      enviarEvento("capture", evento);
+    }
+
+    if (code != 200 || captureStep == 2) enrolamientoActivo = false;
+    return;
   }
 
+  // No leer asistencia mientras hay una huella capturada sin guardar:
+  // image2Tz() sobrescribiría el modelo que usará /api/register
+  if (fingerprintCaptured && ahora - capturaPendienteDesde < CAPTURE_PENDING_MS) return;
+
+  int code = procesarAsistencia(payload);
+  if (code == 400) return;
+
+  enviarEvento("punch", "{\"status\":" + String(code) + ",\"data\":" + payload + "}");
+}
+
+// -------------------------------------------------------
+// Configuración del equipo
+// /config.json: {"ssid","password","nombre","zona"}; lo que falte queda por defecto
+// -------------------------------------------------------
+void cargarConfiguracion() {
+  File f = SD.open("/config.json");
+  if (!f) return;
+
+  StaticJsonDocument<384> doc;
+  if (deserializeJson(doc, f) == DeserializationError::Ok) {
+    apSsid = String((const char*)(doc["ssid"] | AP_SSID_DEFECTO));
+    apPassword = String((const char*)(doc["password"] | AP_PASS_DEFECTO));
+    nombreEquipo = String((const char*)(doc["nombre"] | NOMBRE_DEFECTO));
+    zonaHoraria = String((const char*)(doc["zona"] | ""));
+    Serial.println("✓ config.json cargado");
+  } else {
+    Serial.println("⚠️  config.json inválido, se usan valores por defecto");
+  }
   f.close();
+}
 
-  String out;
-  serializeJson(arr, out);
-  server.send(200, "application/json", out);
+void aplicarWiFi() {
+  IPAddress local_IP(192, 168, 4, 1);
+  IPAddress gateway(192, 168, 4, 1);
+  IPAddress subnet(255, 255, 255, 0);
+
+  WiFi.softAP(apSsid.c_str(), apPassword.c_str());
+  delay(200);
+  WiFi.softAPConfig(local_IP, gateway, subnet);
+  WiFi.softAPsetHostname(nombreEquipo.c_str());
+}
+
+bool nombreEquipoValido(const String &nombre) {
+  if (nombre.length() < 1 || nombre.length() > 32) return false;
+  for (unsigned int i = 0; i < nombre.length(); i++) {
+    char c = nombre[i];
+    if (!isalnum(c) && c != '-') return false;
+  }
+  return true;
+}
+
+// Nombre IANA como "America/Lima" o "Etc/GMT+5"; vacío = la del navegador
+bool zonaValida(const String &zona) {
+  if (zona.length() > 40) return false;
+  for (unsigned int i = 0; i < zona.length(); i++) {
+    char c = zona[i];
+    if (!isalnum(c) && c != '/' && c != '_' && c != '-' && c != '+') return false;
+  }
+  return true;
+}
+
+// GET /api/settings: la contraseña del AP nunca se devuelve
+void apiSettings() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<256> doc;
+  doc["ssid"] = apSsid;
+  doc["nombre"] = nombreEquipo;
+  doc["zona"] = zonaHoraria;
+
+  String response;
+  serializeJson(doc, response);
+  server.send(200, "application/json", response);
+}
+
+// POST /api/settings {ssid, password, nombre, zona}: password vacío conserva la actual
+void apiSaveSettings() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<384> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  String ssid = String((const char*)(doc["ssid"] | ""));
+  String password = String((const char*)(doc["password"] | ""));
+  String nombre = String((const char*)(doc["nombre"] | ""));
+  String zona = String((const char*)(doc["zona"] | ""));
+  ssid.trim();
+  nombre.trim();
+  zona.trim();
+
+  if (ssid.length() < 1 || ssid.length() > 32) {
+    server.send(400, "application/json", "{\"message\":\"El nombre de la red debe tener de 1 a 32 caracteres\"}");
+    return;
+  }
+  if (password.length() > 0 && (password.length() < 8 || password.length() > 63)) {
+    server.send(400, "application/json", "{\"message\":\"La contraseña Wi-Fi debe tener de 8 a 63 caracteres\"}");
+    return;
+  }
+  if (!nombreEquipoValido(nombre)) {
+    server.send(400, "application/json", "{\"message\":\"Nombre del equipo invalido\"}");
+    return;
+  }
+  if (!zonaValida(zona)) {
+    server.send(400, "application/json", "{\"message\":\"Zona horaria invalida\"}");
+    return;
+  }
+
+  String nuevaClave = password.length() > 0 ? password : apPassword;
+
+  StaticJsonDocument<384> config;
+  config["ssid"] = ssid;
+  config["password"] = nuevaClave;
+  config["nombre"] = nombre;
+  config["zona"] = zona;
+
+  SD.remove("/config.json");
+  File f = SD.open("/config.json", FILE_WRITE);
+  if (!f) {
+    server.send(500, "application/json", "{\"message\":\"Error al abrir archivo SD\"}");
+    return;
+  }
+  serializeJson(config, f);
+  f.close();
+
+  StaticJsonDocument<256> antes;
+  antes["ssid"] = apSsid;
+  antes["nombre"] = nombreEquipo;
+  antes["zona"] = zonaHoraria;
+  StaticJsonDocument<256> despues;
+  despues["ssid"] = ssid;
+  despues["nombre"] = nombre;
+  despues["zona"] = zona;
+  if (nuevaClave != apPassword) despues["password"] = "cambiada";
+  registrarAuditoria("configuracion", "equipo", antes.as<JsonVariantConst>(), despues.as<JsonVariantConst>());
+
+  bool reconectar = ssid != apSsid || nuevaClave != apPassword || nombre != nombreEquipo;
+  apSsid = ssid;
+  apPassword = nuevaClave;
+  nombreEquipo = nombre;
+  zonaHoraria = zona;
+
+  if (reconectar) {
+    wifiPendiente = true;
+    wifiPendienteDesde = millis();
+  }
+
+  server.send(200, "application/json",
+              String("{\"message\":\"Configuración guardada\",\"reconectar\":") + (reconectar ? "true" : "false") + "}");
+  beep(1200, 100);
+}
+
+// POST /api/clock {fecha, hora}: hora local del navegador. Ajusta el RTC
+// y también el reloj por software, por si el RTC falla después.
+void apiClock() {
+  if (!requerirRol(ROL_ADMIN)) return;
+
+  StaticJsonDocument<128> doc;
+  if (deserializeJson(doc, server.arg("plain"))) {
+    server.send(400, "application/json", "{\"message\":\"JSON invalido\"}");
+    return;
+  }
+
+  const char* fecha = doc["fecha"] | "";
+  const char* hora = doc["hora"] | "";
+  int y, mo, d, h, mi, s;
+  if (!fechaValida(fecha) || !horaValida(hora) ||
+      sscanf(fecha, "%d-%d-%d", &y, &mo, &d) != 3 || sscanf(hora, "%d:%d:%d", &h, &mi, &s) != 3 ||
+      y < 2000 || mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59 || s > 59) {
+    server.send(400, "application/json", "{\"message\":\"Fecha u hora invalida\"}");
+    return;
+  }
+
+  DateTime anterior = ahora();
+  DateTime nueva(y, mo, d, h, mi, s);
+  if (rtc.begin()) rtc.adjust(nueva);
+  relojBase = nueva.unixtime();
+  relojBaseMs = millis();
+
+  // La fecha pudo cambiar: las marcas del día se recalculan en la próxima lectura
+  fechaMarcas = "";
+
+  char antesFecha[11], antesHora[9];
+  sprintf(antesFecha, "%04d-%02d-%02d", anterior.year(), anterior.month(), anterior.day());
+  sprintf(antesHora, "%02d:%02d:%02d", anterior.hour(), anterior.minute(), anterior.second());
+
+  StaticJsonDocument<128> antes;
+  antes["fecha"] = antesFecha;
+  antes["hora"] = antesHora;
+  StaticJsonDocument<128> despues;
+  despues["fecha"] = fecha;
+  despues["hora"] = hora;
+  registrarAuditoria("reloj", "equipo", antes.as<JsonVariantConst>(), despues.as<JsonVariantConst>());
+
+  String response = String("{\"message\":\"Reloj sincronizado\",\"datetime\":\"") + fecha + " " + hora + "\"}";
+  server.send(200, "application/json", response);
+  beep(1200, 100);
+}
+
+// -------------------------------------------------------
+// Estado del sistema (también enviado como evento)
+// -------------------------------------------------------
+String estadoSistema() {
+  StaticJsonDocument<384> doc;
+  doc["esp32"] = true;
+  doc["sensor"] = finger.verifyPassword();
+  doc["rtc"] = rtc.begin();
+  doc["sd"] = SD.begin(SD_CS_PIN);
+  doc["nombre"] = nombreEquipo;
+  doc["zona"] = zonaHoraria;
+
+  // Sin RTC se informa el reloj por software para que el panel vea el desfase
+  DateTime now = ahora();
+  char buffer[20];
+  sprintf(buffer, "%04d-%02d-%02d %02d:%02d:%02d",
+          now.year(), now.month(), now.day(),
+          now.hour(), now.minute(), now.second());
+  doc["datetime"] = buffer;
+
+  String response;
+  serializeJson(doc, response);
+  return response;
 }
 
 // -------------------------------------------------------
@@ -781,6 +3627,9 @@ void setup() {
   }
 
   if (sdOK) {
+    crearAdminPorDefecto();
+    cargarConfiguracion();
+
     File test = SD.open("/index.html");
     if (!test) {
       Serial.println("ERROR: index.html NO ENCONTRADO");
@@ -840,63 +3689,103 @@ void setup() {
     Serial.println(finger.capacity);
     Serial.print("  - Templates: ");
     Serial.println(finger.templateCount);
+    if (sdOK) limpiarPapelera();
   } else {
     Serial.println("ERROR: Sensor no responde");
   }
 
-  IPAddress local_IP(192, 168, 4, 1);
-  IPAddress gateway(192, 168, 4, 1);
-  IPAddress subnet(255, 255, 255, 0);
-
-  WiFi.softAP("AguasFrescas", "12345678");
-  delay(200);
-  WiFi.softAPConfig(local_IP, gateway, subnet);
-  WiFi.softAPsetHostname("AguasFrescas-ESP32");
+  aplicarWiFi();
 
   Serial.println("\n✓ WiFi AP Creado");
-  Serial.println("  - SSID: AguasFrescas");
+  Serial.println("  - SSID: " + apSsid);
   Serial.println("  - IP: 192.168.4.1");
 
   server.on("/api/fingerprint/start", HTTP_GET, apiStartFingerprint);
   server.on("/api/register", HTTP_POST, apiRegister);
+  server.on("/api/fingerprint/finger", HTTP_POST, apiSaveFinger);
+  server.on("/api/fingerprint/finger/delete", HTTP_POST, apiDeleteFinger);
   server.on("/api/attendance", HTTP_GET, apiAttendance);
+  server.on("/api/recent", HTTP_GET, apiRecent);
+  server.on("/api/kiosk", HTTP_GET, apiKioskStatus);
+  server.on("/api/kiosk/pin", HTTP_POST, apiKioskPin);
+  server.on("/api/kiosk/unlock", HTTP_POST, apiKioskUnlock);
   server.on("/api/database", HTTP_GET, apiDatabase);
+
+  server.on("/api/login", HTTP_POST, apiLogin);
+  server.on("/api/logout", HTTP_POST, apiLogout);
+  server.on("/api/accounts", HTTP_GET, apiAccounts);
+  server.on("/api/accounts", HTTP_POST, apiSaveAccount);
+  server.on("/api/accounts/delete", HTTP_POST, apiDeleteAccount);
+  server.on("/api/audit", HTTP_GET, apiAudit);
+
+  server.on("/api/corrections", HTTP_GET, []() {
+    if (!requerirRol(ROL_SUPERVISOR)) return;
+    enviarLineasJSON("/correcciones.json", false);
+  });
+  server.on("/api/corrections", HTTP_POST, apiSaveCorrection);
+
+  server.on("/api/pending", HTTP_GET, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+    enviarLineasJSON("/pendientes.json", false);
+  });
+  server.on("/api/pending", HTTP_POST, apiAddPending);
+  server.on("/api/pending/delete", HTTP_POST, apiDeletePending);
+
+  server.on("/api/backup/files", HTTP_GET, apiBackupFiles);
+  server.on("/api/backup/file", HTTP_GET, apiBackupDownload);
+  server.on("/api/backup/file", HTTP_POST, apiBackupUpload);
+  server.on("/api/backup/commit", HTTP_POST, apiBackupCommit);
+  server.on("/api/backup/template", HTTP_GET, apiBackupTemplate);
+  server.on("/api/backup/template", HTTP_POST, apiRestoreTemplate);
+
+  server.on("/api/sensor", HTTP_GET, apiSensor);
+  server.on("/api/sensor/purge", HTTP_POST, apiSensorPurge);
+  server.on("/api/sensor/reenroll", HTTP_POST, apiSensorReenroll);
   
   server.on("/api/next-id", HTTP_GET, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
     int nextID = obtenerSiguienteID();
     String response = "{\"nextId\":" + String(nextID) + "}";
     server.send(200, "application/json", response);
   });
 
   server.on("/api/system-status", HTTP_GET, []() {
-    StaticJsonDocument<256> doc;
-    doc["esp32"] = true;
-    doc["sensor"] = finger.verifyPassword();
-    doc["rtc"] = rtc.begin();
-    doc["sd"] = SD.begin(SD_CS_PIN);
-    
-    if (rtc.begin()) {
-      DateTime now = rtc.now();
-      char buffer[20];
-      sprintf(buffer, "%04d-%02d-%02d %02d:%02d:%02d", 
-              now.year(), now.month(), now.day(),
-              now.hour(), now.minute(), now.second());
-      doc["datetime"] = buffer;
-    }
-    
-    String response;
-    serializeJson(doc, response);
-    server.send(200, "application/json", response);
+    server.send(200, "application/json", estadoSistema());
+  });
+
+  server.on("/api/settings", HTTP_GET, apiSettings);
+  server.on("/api/settings", HTTP_POST, apiSaveSettings);
+  server.on("/api/clock", HTTP_POST, apiClock);
+
+  // Enrolamiento por eventos: el ESP32 avanza los pasos y los empuja por SSE
+  server.on("/api/fingerprint/enroll", HTTP_GET, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+    destinoCaptura();
+    captureStep = 0;
+    fingerprintCaptured = false;
+    tempID = -1;
+    ultimoEventoCaptura = "";
+    enrolamientoActivo = true;
+    server.send(200, "application/json", "{\"message\":\"Enrolamiento iniciado\"}");
+  });
+
+  server.on("/api/fingerprint/cancel", HTTP_GET, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+    enrolamientoActivo = false;
+    if (captureStep != 2) captureStep = 0;
+    server.send(200, "application/json", "{\"message\":\"Enrolamiento cancelado\"}");
   });
 
   server.on("/api/check-name", HTTP_POST, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+
     if (server.method() != HTTP_POST) {
       server.send(405, "application/json", "{\"message\":\"Use POST\"}");
       return;
     }
 
     String body = server.arg("plain");
-    StaticJsonDocument<128> doc;
+    StaticJsonDocument<256> doc;
     DeserializationError err = deserializeJson(doc, body);
     
     if (err) {
@@ -905,22 +3794,28 @@ void setup() {
     }
 
     const char* nombre = doc["name"] | "";
-    
-    if (strlen(nombre) < 3) {
-      server.send(200, "application/json", "{\"exists\":false}");
-      return;
-    }
+    // {documento, id}: también si el documento es de otro usuario
+    String documento = doc["documento"] | "";
+    documento.trim();
+    int id = doc["id"] | -1;
 
-    bool exists = nombreYaRegistrado(String(nombre));
-    
-    String response = exists ? 
-      "{\"exists\":true,\"message\":\"Este nombre ya está registrado\"}" : 
-      "{\"exists\":false}";
-    
+    // exists: hay algún homónimo; conflicto: el nombre no se puede usar con este documento
+    bool exists = strlen(nombre) >= 3 && nombreYaRegistrado(String(nombre), false);
+
+    StaticJsonDocument<128> res;
+    res["exists"] = exists;
+    res["conflicto"] = exists && nombreYaRegistrado(String(nombre), documento.length() > 0);
+    res["documentoExiste"] = documentoYaRegistrado(documento, id);
+    if (exists) res["message"] = "Este nombre ya está registrado";
+
+    String response;
+    serializeJson(res, response);
     server.send(200, "application/json", response);
   });
 
   server.on("/api/delete-user", HTTP_POST, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+
     if (server.method() != HTTP_POST) {
       server.send(405, "application/json", "{\"message\":\"Use POST\"}");
       return;
@@ -944,31 +3839,38 @@ void setup() {
 
     Serial.printf("\n========== ELIMINANDO USUARIO ID: %d ==========\n", id);
 
-    if (finger.deleteModel(id) == FINGERPRINT_OK) {
-      Serial.println("✓ Huella eliminada del sensor");
-    } else {
-      Serial.println("⚠️  No se pudo eliminar del sensor");
-    }
+    // La línea pasa a la papelera con la fecha; las huellas quedan en el
+    // sensor hasta que se borre de ahí o venza
+    DateTime now = ahora();
+    char fechaBuf[20];
+    sprintf(fechaBuf, "%04d-%02d-%02d", now.year(), now.month(), now.day());
 
     File usersRead = SD.open("/usuarios.json");
     File usersTemp = SD.open("/usuarios_temp.json", FILE_WRITE);
+    File papelera = SD.open("/papelera.json", FILE_APPEND);
     
     bool userFound = false;
     String userName = "Desconocido";
+    String userRole = "";
     
-    if (usersRead && usersTemp) {
+    if (usersRead && usersTemp && papelera) {
       while (usersRead.available()) {
         String line = usersRead.readStringUntil('\n');
         line.trim();
         
         if (line.length() < 5) continue;
         
-        StaticJsonDocument<256> lineDoc;
+        DynamicJsonDocument lineDoc(USER_DOC_SIZE);
         if (deserializeJson(lineDoc, line) == DeserializationError::Ok) {
           if ((int)lineDoc["id"] == id) {
             userFound = true;
             userName = String((const char*)lineDoc["nombre"]);
+            userRole = String((const char*)(lineDoc["rol"] | ""));
             Serial.println("✓ Usuario encontrado: " + userName);
+
+            lineDoc["eliminado"] = fechaBuf;
+            serializeJson(lineDoc, papelera);
+            papelera.println();
             continue;
           }
         }
@@ -978,11 +3880,16 @@ void setup() {
       
       usersRead.close();
       usersTemp.close();
+      papelera.close();
       
       SD.remove("/usuarios.json");
       SD.rename("/usuarios_temp.json", "/usuarios.json");
       
       Serial.println("✓ usuarios.json actualizado");
+    } else {
+      if (usersRead) usersRead.close();
+      if (usersTemp) usersTemp.close();
+      if (papelera) papelera.close();
     }
 
     if (!userFound) {
@@ -990,7 +3897,12 @@ void setup() {
       return;
     }
 
-    String response = "{\"message\":\"Usuario eliminado\",\"nombre\":\"" + userName + "\"}";
+    StaticJsonDocument<256> antes;
+    antes["nombre"] = userName;
+    antes["rol"] = userRole;
+    registrarAuditoria("eliminar", String(id), antes.as<JsonVariantConst>(), JsonVariantConst());
+
+    String response = "{\"message\":\"Usuario enviado a la papelera\",\"nombre\":\"" + userName + "\"}";
     server.send(200, "application/json", response);
     beep(1000, 100);
     delay(50);
@@ -998,42 +3910,84 @@ void setup() {
     Serial.println("========== ELIMINACIÓN EXITOSA ==========\n");
   });
 
+  // Líneas completas: incluyen grupos y cualquier campo nuevo del usuario
   server.on("/api/users", HTTP_GET, []() {
-    File users = SD.open("/usuarios.json");
-    
-    if (!users) {
-      server.send(200, "application/json", "[]");
-      return;
+    if (!requerirRol(ROL_SUPERVISOR)) return;
+    enviarLineasJSON("/usuarios.json", true);
+  });
+
+  server.on("/api/edit-user", HTTP_POST, apiEditUser);
+  server.on("/api/photo", HTTP_GET, apiPhoto);
+  server.on("/api/photo", HTTP_POST, apiSavePhoto);
+  server.on("/api/trash", HTTP_GET, apiTrash);
+  server.on("/api/trash/restore", HTTP_POST, apiTrashRestore);
+  server.on("/api/trash/delete", HTTP_POST, apiTrashDelete);
+
+  server.on("/api/schedules", HTTP_GET, []() {
+    if (!requerirRol(ROL_SUPERVISOR)) return;
+    enviarArchivoJSON("/horarios.json", "{\"turnos\":[],\"roles\":{},\"usuarios\":{}}");
+  });
+
+  server.on("/api/groups", HTTP_GET, []() {
+    if (!requerirRol(ROL_SUPERVISOR)) return;
+    enviarArchivoJSON("/grupos.json", "[]");
+  });
+
+  server.on("/api/groups", HTTP_POST, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+    if (guardarArchivoJSON("/grupos.json")) {
+      server.send(200, "application/json", "{\"message\":\"Grupos guardados\"}");
+      beep(1200, 100);
     }
+  });
 
-    DynamicJsonDocument doc(4096);
-    JsonArray arr = doc.to<JsonArray>();
+  // Campos personalizados del perfil: [{id, nombre}]
+  server.on("/api/fields", HTTP_GET, []() {
+    if (!requerirRol(ROL_SUPERVISOR)) return;
+    enviarArchivoJSON("/campos.json", "[]");
+  });
 
-    while (users.available()) {
-      String line = users.readStringUntil('\n');
-      line.trim();
-      if (line.length() < 5) continue;
+  server.on("/api/fields", HTTP_POST, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+    if (guardarArchivoJSON("/campos.json")) {
+      server.send(200, "application/json", "{\"message\":\"Campos guardados\"}");
+      beep(1200, 100);
+    }
+  });
 
-      StaticJsonDocument<256> lineDoc;
-      if (deserializeJson(lineDoc, line) == DeserializationError::Ok) {
-        JsonObject obj = arr.createNestedObject();
-        obj["id"] = lineDoc["id"];
-        obj["nombre"] = lineDoc["nombre"];
-        obj["rol"] = lineDoc["rol"];
-      }
+  server.on("/api/schedules", HTTP_POST, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+    if (guardarArchivoJSON("/horarios.json")) {
+      server.send(200, "application/json", "{\"message\":\"Horarios guardados\"}");
+      beep(1200, 100);
     }
-    users.close();
+  });
 
-    String response;
-    serializeJson(arr, response);
-    server.send(200, "application/json", response);
+  // Calendario institucional: días de descanso semanal y feriados/vacaciones/cierres
+  server.on("/api/calendar", HTTP_GET, []() {
+    if (!requerirRol(ROL_SUPERVISOR)) return;
+    enviarArchivoJSON("/calendario.json", "{\"descanso\":[0,6],\"dias\":[]}");
   });
 
-  server.on("/api/edit-user", HTTP_POST, apiEditUser);
+  server.on("/api/calendar", HTTP_POST, []() {
+    if (!requerirRol(ROL_ADMIN)) return;
+    if (guardarArchivoJSON("/calendario.json")) {
+      server.send(200, "application/json", "{\"message\":\"Calendario guardado\"}");
+      beep(1200, 100);
+    }
+  });
 
   if (sdOK) {
     server.serveStatic("/", SD, "/index.html");
+    server.serveStatic("/kiosk", SD, "/kiosk.html");
+    server.serveStatic("/kiosk.html", SD, "/kiosk.html");
+    server.serveStatic("/kiosk.css", SD, "/kiosk.css");
+    server.serveStatic("/i18n.js", SD, "/i18n.js");
+    server.serveStatic("/simulator.js", SD, "/simulator.js");
     server.serveStatic("/scripts.js", SD, "/scripts.js");
+    server.serveStatic("/xlsx-lite.js", SD, "/xlsx-lite.js");
+    server.serveStatic("/pdf-lite.js", SD, "/pdf-lite.js");
+    server.serveStatic("/print.css", SD, "/print.css");
     server.serveStatic("/style.css", SD, "/style.css");
   }
 
@@ -1043,6 +3997,11 @@ void setup() {
 
     if (path == "/") path = "/index.html";
 
+    if (!archivoPublico(path) && SD.exists(path)) {
+      server.send(403, "application/json", "{\"message\":\"Acceso denegado\"}");
+      return;
+    }
+
     if (SD.exists(path)) {
       File file = SD.open(path, FILE_READ);
       if (file) {
@@ -1070,8 +4029,14 @@ void setup() {
     server.send(404, "text/plain", "404: No encontrado");
   });
 
+  // WebServer descarta las cabeceras que no se piden explícitamente
+  const char* cabeceras[] = { "Authorization" };
+  server.collectHeaders(cabeceras, 1);
+
   server.begin();
+  eventServer.begin();
   Serial.println("\n✓ Servidor HTTP iniciado");
+  Serial.printf("✓ Canal de eventos en puerto %d\n", EVENTS_PORT);
   Serial.println("========================================\n");
   Serial.println("Accede a http://192.168.4.1");
   
@@ -1084,5 +4049,12 @@ void setup() {
 
 void loop() {
   server.handleClient();
+  atenderEventos();
+
+  // Cambio de red guardado: se aplica cuando la respuesta ya salió
+  if (wifiPendiente && millis() - wifiPendienteDesde >= WIFI_APPLY_MS) {
+    wifiPendiente = false;
+    aplicarWiFi();
+  }
   delay(2);
 }
\ No newline at end of file
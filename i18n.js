@@ -0,0 +1,789 @@
+// ============================================
+// I18N
+// Traducción del panel y del kiosco. Los textos fuente están en español
+// y sirven de clave: t('Texto') devuelve la traducción al idioma activo
+// o el mismo texto si no hay entrada. Los valores guardados (cargos,
+// tipos de marcación) siguen en español y solo se traducen al mostrarlos.
+// Se carga antes de scripts.js para que t() funcione desde el inicio.
+// ============================================
+const I18n = {
+  STORAGE_KEY: 'asistencia-idioma',
+  LANGS: { es: 'Español', en: 'English' },
+  LOCALES: { es: 'es-ES', en: 'en-US' },
+  lang: 'es',
+
+  // Placeholders {nombre} se reemplazan con los parámetros de t()
+  EN: {
+    // Sesión y mensajes del ESP32
+    'Ingrese usuario y contraseña': 'Enter user and password',
+    'Está usando la contraseña por defecto: cámbiela en Usuarios': 'You are using the default password: change it in Users',
+    'Bienvenido, {usuario}': 'Welcome, {usuario}',
+    'Sin conexión con el ESP32': 'No connection to the ESP32',
+    'Sesión expirada, inicie sesión de nuevo': 'Session expired, please sign in again',
+    'operador': 'operator',
+    'supervisor': 'supervisor',
+    'admin': 'admin',
+    'Sin conexión': 'Offline',
+    'Conectado': 'Connected',
+    'Desconectado': 'Disconnected',
+    'Error': 'Error',
+    'Sin RTC': 'No RTC',
+    'Sin conexión: el cambio se aplicará al reconectar': 'Offline: the change will be applied when the connection returns',
+    'Datos sin conexión': 'Offline data',
+    'Última sincronización: {fecha}': 'Last sync: {fecha}',
+    '{n} cambio(s) en cola': '{n} change(s) queued',
+    '{n} conflicto(s)': '{n} conflict(s)',
+    '{n} cambio(s) sincronizado(s)': '{n} change(s) synced',
+    '{n} cambio(s) en conflicto requieren revisión': '{n} conflicting change(s) need review',
+    'Editar': 'Edit',
+    'Eliminar': 'Delete',
+    'En el dispositivo ahora:': 'Now on the device:',
+    'Encolado por la cuenta {usuario}': 'Queued by the account {usuario}',
+    'Encolado por otra cuenta': 'Queued by another account',
+    'El usuario ya no existe en el dispositivo': 'The user no longer exists on the device',
+    'Aplicar': 'Apply',
+    'Descartar': 'Discard',
+    'Cambio aplicado': 'Change applied',
+
+    // Registro y captura de huellas
+    'Mínimo 3 caracteres': 'At least 3 characters',
+    'Verificando...': 'Checking...',
+    'Este nombre ya está registrado': 'This name is already registered',
+    'Este nombre ya existe': 'This name already exists',
+    'Nombre disponible': 'Name available',
+    'Siguiente ID: {id}': 'Next ID: {id}',
+    'Ya hay una captura en proceso': 'A capture is already in progress',
+    'Siguiente ID disponible: {id}': 'Next available ID: {id}',
+    'Iniciando captura...': 'Starting capture...',
+    'Tiempo agotado. Intente nuevamente.': 'Timed out. Please try again.',
+    'Tiempo de captura agotado': 'Capture timed out',
+    'Esta huella ya está registrada': 'This fingerprint is already registered',
+    'Esta huella pertenece a: {nombre} (ID: {id})': 'This fingerprint belongs to: {nombre} (ID: {id})',
+    'Esta huella ya está registrada en el sistema': 'This fingerprint is already registered in the system',
+    'Huella Duplicada': 'Duplicate Fingerprint',
+    'Coloque el dedo en el sensor...': 'Place your finger on the sensor...',
+    'Primera lectura OK. Retire el dedo...': 'First reading OK. Lift your finger...',
+    'Primera lectura completada': 'First reading completed',
+    '¡Huella capturada correctamente! ID: {id}': 'Fingerprint captured successfully! ID: {id}',
+    'Huella capturada - ID: {id}': 'Fingerprint captured - ID: {id}',
+    'Guardar Usuario': 'Save User',
+    'Esperando huella...': 'Waiting for fingerprint...',
+    'Debe capturar la huella primero': 'You must capture the fingerprint first',
+    'Ingrese un nombre válido (mínimo 3 caracteres)': 'Enter a valid name (at least 3 characters)',
+    'Registrando...': 'Registering...',
+    'No se pudo crear el grupo: {error}': 'Could not create the group: {error}',
+    'Este ID ya está registrado. Intente capturar nuevamente.': 'This ID is already registered. Try capturing again.',
+    'Usuario registrado. Puede agregar más dedos desde Usuarios → Editar': 'User registered. More fingers can be added from Users → Edit',
+
+    // Dedos
+    'Índice derecho': 'Right index',
+    'Medio derecho': 'Right middle',
+    'Pulgar derecho': 'Right thumb',
+    'Anular derecho': 'Right ring',
+    'Meñique derecho': 'Right little',
+    'Índice izquierdo': 'Left index',
+    'Medio izquierdo': 'Left middle',
+    'Pulgar izquierdo': 'Left thumb',
+    'Anular izquierdo': 'Left ring',
+    'Meñique izquierdo': 'Left little',
+    'Dedo sin especificar': 'Unspecified finger',
+    'Reemplazar': 'Replace',
+    'Quitar': 'Remove',
+    'Máximo {n} dedos por usuario': 'At most {n} fingers per user',
+    'Primera lectura OK. Retire el dedo y vuelva a colocarlo...': 'First reading OK. Lift your finger and place it again...',
+    'Guardando huella...': 'Saving fingerprint...',
+    '{dedo} reenrolado': '{dedo} re-enrolled',
+    '{dedo} agregado': '{dedo} added',
+    '¿Quitar {dedo} de {nombre}?': 'Remove {dedo} from {nombre}?',
+    'Huella eliminada': 'Fingerprint deleted',
+    'Captura cancelada': 'Capture cancelled',
+
+    // Sesiones y horarios
+    'Anulada': 'Voided',
+    'Sin salida': 'No exit',
+    'Completa': 'Complete',
+    'Horarios guardados': 'Schedules saved',
+    'A tiempo': 'On time',
+    'Tarde ({n} min)': 'Late ({n} min)',
+    'Fuera de turno': 'Off shift',
+    'Ausente': 'Absent',
+    'No laborable': 'Non-working day',
+    'Complete nombre, inicio y fin del turno': 'Fill in the shift name, start and end',
+    'La hora de fin debe ser posterior al inicio': 'The end time must be after the start',
+    'Seleccione al menos un día': 'Select at least one day',
+    '¿Eliminar el turno "{nombre}"?\n\nSe quitarán sus asignaciones.': 'Delete the shift "{nombre}"?\n\nIts assignments will be removed.',
+    'Seleccione un usuario': 'Select a user',
+    'No hay turnos definidos': 'No shifts defined',
+    'Tolerancia {n} min': 'Tolerance {n} min',
+    'Sin turno': 'No shift',
+    'Seleccione usuario': 'Select user',
+    'Usar turno del cargo': 'Use the role shift',
+    'Dom': 'Sun',
+    'Lun': 'Mon',
+    'Mar': 'Tue',
+    'Mié': 'Wed',
+    'Jue': 'Thu',
+    'Vie': 'Fri',
+    'Sáb': 'Sat',
+    'Estudiante': 'Student',
+    'Profesor': 'Teacher',
+    'Administrativo': 'Staff',
+
+    // Calendario institucional
+    'Calendario guardado': 'Calendar saved',
+    'Feriado': 'Holiday',
+    'Vacaciones': 'Vacation',
+    'Cierre': 'Closure',
+    'Descanso semanal': 'Weekly rest day',
+    'Complete la fecha y el motivo': 'Fill in the date and the reason',
+    'La fecha final debe ser igual o posterior a la inicial': 'The end date must be the same as or after the start date',
+    '¿Quitar "{nombre}" del calendario?': 'Remove "{nombre}" from the calendar?',
+    'No hay feriados ni periodos cargados': 'No holidays or periods added',
+    '{n} de {total} usuarios': '{n} of {total} users',
+
+    // Historial y planilla mensual
+    'Días asistidos': 'Days attended',
+    'Ausencias': 'Absences',
+    'Asistencia': 'Attendance',
+    'Tardanzas': 'Late arrivals',
+    'Racha actual': 'Current streak',
+    'Mejor racha': 'Best streak',
+    'Responsable': 'Supervisor',
+    'Dirección': 'Management',
+    'Fecha': 'Date',
+    'Todos los usuarios': 'All users',
+    'Cargo': 'Role',
+    'Grupo': 'Group',
+    'Planilla de asistencia': 'Attendance sheet',
+    '{n} usuario(s)': '{n} user(s)',
+    'Nombre': 'Name',
+    'Asist.': 'Att.',
+    'Tard.': 'Late',
+    'Aus.': 'Abs.',
+    'Sin usuarios para este filtro': 'No users for this filter',
+    'P presente · T tarde · A ausente · - no laborable · Asist. incluye tardanzas': 'P present · L late · A absent · - non-working day · Att. includes late arrivals',
+    // Iniciales de las marcas de la planilla
+    'P': 'P',
+    'T': 'L',
+    'A': 'A',
+    'Página {n}': 'Page {n}',
+    'PDF generado ({n} usuarios, {pages} página(s))': 'PDF generated ({n} users, {pages} page(s))',
+
+    // Asistencia
+    'Lectura repetida': 'Repeated reading',
+    'Duplicado': 'Duplicate',
+    'Tu marcación ya fue registrada': 'Your punch was already recorded',
+    '{nombre} ya marcó hace un momento': '{nombre} punched a moment ago',
+    'Usuario': 'User',
+    'Esperando huella para asistencia...': 'Waiting for fingerprint for attendance...',
+    'entrada': 'entry',
+    'salida': 'exit',
+    'Asistencia registrada correctamente': 'Attendance recorded successfully',
+    'Salida registrada: {nombre}': 'Exit recorded: {nombre}',
+    'Entrada registrada: {nombre}': 'Entry recorded: {nombre}',
+
+    // Kiosco
+    '¡Buenos días!': 'Good morning!',
+    '¡Buenas tardes!': 'Good afternoon!',
+    '¡Buenas noches!': 'Good evening!',
+    'Coloque su dedo en el lector': 'Place your finger on the reader',
+    'La asistencia se registra automáticamente': 'Attendance is recorded automatically',
+    '¡Hasta luego!': 'See you later!',
+    'Salida registrada': 'Exit recorded',
+    'Entrada registrada': 'Entry recorded',
+    'Ya registrado': 'Already registered',
+    'Su marcación anterior ya fue guardada': 'Your previous punch was already saved',
+    'Huella no registrada': 'Fingerprint not registered',
+    'Intente de nuevo o consulte con administración': 'Try again or contact the office',
+    'Todavía no hay marcaciones hoy': 'No punches yet today',
+    'PIN configurado: se pide para salir del kiosco.': 'PIN set: it is required to leave the kiosk.',
+    'Sin PIN: el modo kiosco no se puede activar.': 'No PIN: kiosk mode cannot be turned on.',
+    'Configure el PIN del kiosco en Usuarios antes de activarlo': 'Set the kiosk PIN in Users before turning it on',
+    'No se pudo consultar el PIN': 'Could not check the PIN',
+    'El PIN debe tener de 4 a 8 dígitos': 'The PIN must have 4 to 8 digits',
+    'PIN del kiosco eliminado': 'Kiosk PIN removed',
+    'PIN del kiosco guardado': 'Kiosk PIN saved',
+
+    // Correcciones
+    'Desconocido': 'Unknown',
+    'Reemplazada': 'Replaced',
+    'Agregada': 'Added',
+    'Corregida': 'Corrected',
+    'original': 'original',
+    'Justificar': 'Justify',
+    'Corregir': 'Correct',
+    'Corregir Marcación': 'Correct Punch',
+    'Original:': 'Original:',
+    'Agregar Marcación': 'Add Punch',
+    'La marcación se agrega sin modificar el registro del sensor.': 'The punch is added without changing the sensor log.',
+    'El motivo es obligatorio': 'A reason is required',
+    'Indique fecha y hora': 'Enter date and time',
+    'La fecha y hora no cambiaron': 'The date and time did not change',
+    '¿Anular esta marcación? El registro original se conserva.': 'Void this punch? The original record is kept.',
+    'Marcación agregada': 'Punch added',
+    'Marcación corregida': 'Punch corrected',
+    'Marcación anulada': 'Punch voided',
+    'Sin conexión: la corrección no se guardó': 'Offline: the correction was not saved',
+    'No se pudo cargar la base de datos': 'Could not load the database',
+    'Error al cargar datos': 'Error loading data',
+
+    // Reportes y exportaciones
+    'Cargando historial... {n}%': 'Loading history... {n}%',
+    'Filtros limpiados': 'Filters cleared',
+    'No hay registros': 'No records',
+    'No hay datos para exportar': 'No data to export',
+    'ID': 'ID',
+    'Hora': 'Time',
+    'Tipo': 'Type',
+    'Horas': 'Hours',
+    'Sesión': 'Session',
+    'Estado': 'Status',
+    'Grupos': 'Groups',
+    'Corrección': 'Correction',
+    'CSV exportado: {n} registros': 'CSV exported: {n} records',
+    'Marcaciones': 'Punches',
+    'Resumen': 'Summary',
+    'Por grupo': 'By group',
+    'Por día': 'By day',
+    'Excel exportado ({n} registros)': 'Excel exported ({n} records)',
+    'Presentes': 'Present',
+    'Usuarios': 'Users',
+    'Asistencia %': 'Attendance %',
+
+    // Usuarios
+    'No hay usuarios registrados': 'No registered users',
+    'Registra tu primer usuario en la pestaña "Nuevo Usuario"': 'Register your first user in the "New User" tab',
+    'Error al cargar usuarios': 'Error loading users',
+    'Total: {n} usuarios registrados': 'Total: {n} registered users',
+    '{n} huella(s)': '{n} fingerprint(s)',
+    'Historial': 'History',
+    'El nombre debe tener al menos 3 caracteres': 'The name must have at least 3 characters',
+    'Este nombre ya está registrado por otro usuario': 'This name is already registered by another user',
+    'Usuario actualizado': 'User updated',
+    '¿Eliminar a "{nombre}"?\n\nPasará a la papelera: no podrá marcar y se podrá restaurar con sus huellas durante {dias} días.\n\nLos registros históricos se mantendrán.': 'Delete "{nombre}"?\n\nThey will go to the trash: they cannot punch in and can be restored with their fingerprints for {dias} days.\n\nHistorical records are kept.',
+    'Usuario enviado a la papelera': 'User moved to the trash',
+    'No hay usuarios para exportar': 'No users to export',
+    'Nombre Completo': 'Full Name',
+    'Activo': 'Active',
+    'Inactivo': 'Inactive',
+    'Suspendido': 'Suspended',
+    'Todos los estados': 'All statuses',
+    'Activos': 'Active',
+    'Inactivos': 'Inactive',
+    'Suspendidos': 'Suspended',
+    'Solo los usuarios activos pueden marcar asistencia.': 'Only active users can punch in.',
+    'Usuario inactivo: no puede marcar asistencia': 'Inactive user: cannot punch in',
+    'Usuario suspendido: no puede marcar asistencia': 'Suspended user: cannot punch in',
+    'Usuario eliminado: no puede marcar asistencia': 'Deleted user: cannot punch in',
+    'No puede marcar asistencia': 'Cannot punch in',
+    'Rechazada': 'Refused',
+    'Consulte con administración': 'Please contact the office',
+
+    // Papelera
+    'Papelera': 'Trash',
+    'Los usuarios eliminados se pueden restaurar con sus huellas y su historial durante 30 días; después se borran del sensor.': 'Deleted users can be restored with their fingerprints and history for 30 days; after that they are erased from the sensor.',
+    'Error al cargar la papelera': 'Error loading the trash',
+    'La papelera está vacía': 'The trash is empty',
+    'Eliminado el {fecha}': 'Deleted on {fecha}',
+    'se borra en {n} día(s)': 'erased in {n} day(s)',
+    'Borrar definitivamente': 'Delete permanently',
+    '¿Borrar definitivamente a "{nombre}"?\n\nSus huellas se borran del sensor y ya no podrá restaurarse.': 'Permanently delete "{nombre}"?\n\nTheir fingerprints are erased from the sensor and they can no longer be restored.',
+    'Usuario restaurado': 'User restored',
+    'Usuario eliminado definitivamente': 'User permanently deleted',
+    'Eliminado definitivamente': 'Permanently deleted',
+    'Excel exportado: {n} usuarios': 'Excel exported: {n} users',
+    'JSON exportado: {n} usuarios': 'JSON exported: {n} users',
+
+    // Perfil
+    'Documento': 'Document',
+    'Correo': 'Email',
+    'Teléfono': 'Phone',
+    'Foto': 'Photo',
+    'Sí': 'Yes',
+    'No': 'No',
+    'Campos personalizados': 'Custom fields',
+    'Documento disponible': 'Document available',
+    'Este documento ya está registrado': 'This document is already registered',
+    'Este documento ya está registrado por otro usuario': 'This document is already registered by another user',
+    'Este nombre o documento ya existe': 'This name or document already exists',
+    'Ya hay un usuario con este nombre; el documento los distingue': 'A user with this name already exists; the document tells them apart',
+    'Ya hay un usuario con este nombre y sin documento: asígnele uno para distinguirlos': 'A user with this name and no document already exists: give them one to tell them apart',
+    'Este nombre ya está registrado: ingrese el documento para distinguirlos': 'This name is already registered: enter the document to tell them apart',
+    'El documento solo admite letras, números y guiones (máximo {n})': 'The document only allows letters, numbers and hyphens (maximum {n})',
+    'Correo inválido': 'Invalid email',
+    'Teléfono inválido': 'Invalid phone',
+    'No hay campos personalizados': 'No custom fields',
+    '{n} usuario(s) con dato': '{n} user(s) with data',
+    'El nombre del campo debe tener al menos 2 caracteres': 'The field name must have at least 2 characters',
+    'Máximo {n} campos personalizados': 'Maximum {n} custom fields',
+    'Ya existe un campo con ese nombre': 'A field with that name already exists',
+    'Campo agregado': 'Field added',
+    '¿Eliminar el campo "{nombre}"?': 'Delete the field "{nombre}"?',
+    'Campo eliminado': 'Field deleted',
+    'No se pudo leer la imagen': 'The image could not be read',
+    'El usuario se registró, pero la foto no se guardó: {error}': 'The user was registered, but the photo was not saved: {error}',
+    'Los datos se guardaron, pero la foto no: {error}': 'The data was saved, but the photo was not: {error}',
+
+    // Grupos
+    'eliminado': 'deleted',
+    'No hay grupos creados': 'No groups created',
+    'Renombrar': 'Rename',
+    'Sin grupos. Créelos en la pestaña Usuarios.': 'No groups. Create them in the Users tab.',
+    'Todos los grupos': 'All groups',
+    'Guardar': 'Save',
+    'Agregar grupo': 'Add group',
+    'El nombre del grupo debe tener al menos 2 caracteres': 'The group name must have at least 2 characters',
+    'Ya existe un grupo con ese nombre': 'A group with that name already exists',
+    'Grupo renombrado': 'Group renamed',
+    'Grupo creado': 'Group created',
+    '{n} usuario(s) dejarán de pertenecer a él.': '{n} user(s) will no longer belong to it.',
+    '¿Eliminar el grupo "{nombre}"?': 'Delete the group "{nombre}"?',
+    'Grupo eliminado': 'Group deleted',
+
+    // Importación
+    'El JSON debe ser una lista de usuarios': 'The JSON must be a list of users',
+    'Formato .xls no soportado; guárdelo como .xlsx o CSV': '.xls format not supported; save it as .xlsx or CSV',
+    'El libro no tiene hojas': 'The workbook has no sheets',
+    'Nombre muy corto': 'Name too short',
+    'Falta el cargo': 'Missing role',
+    'Cargo desconocido: {rol}': 'Unknown role: {rol}',
+    'Ya está pendiente': 'Already pending',
+    'Repetido (fila {n})': 'Duplicate (row {n})',
+    '{n} filas': '{n} rows',
+    '{n} válidas': '{n} valid',
+    '{n} con errores': '{n} with errors',
+    'Fila': 'Row',
+    'Crear {n} pendiente(s)': 'Create {n} pending user(s)',
+    'Enviando {desde}-{hasta} de {total}...': 'Sending {desde}-{hasta} of {total}...',
+    '{n} usuario(s) pendientes de enrolar': '{n} user(s) pending enrollment',
+    '{n} omitido(s)': '{n} skipped',
+    'Importación interrumpida ({n} creados): {error}': 'Import interrupted ({n} created): {error}',
+
+    // Pendientes
+    'En curso': 'In progress',
+    'Enrolar': 'Enroll',
+    'Enrolando pendiente {n} de {total}: {nombre}': 'Enrolling pending user {n} of {total}: {nombre}',
+    'Siguiente: {nombre}': 'Next: {nombre}',
+    '¿Quitar a "{nombre}" de los pendientes?': 'Remove "{nombre}" from the pending list?',
+    '¿Quitar los {n} usuarios pendientes?': 'Remove the {n} pending users?',
+
+    // Auditoría
+    'Registro': 'Registration',
+    'Edición': 'Edit',
+    'Eliminación': 'Deletion',
+    'Cuenta creada': 'Account created',
+    'Cuenta editada': 'Account edited',
+    'Cuenta eliminada': 'Account deleted',
+    'Importación': 'Import',
+    'Restauración': 'Restore',
+    'PIN del kiosco': 'Kiosk PIN',
+    'Dedo agregado': 'Finger added',
+    'Dedo reenrolado': 'Finger re-enrolled',
+    'Dedo quitado': 'Finger removed',
+    'Rol': 'Role',
+    'Contraseña': 'Password',
+    'Motivo': 'Reason',
+    'Archivos': 'Files',
+    'Huellas': 'Fingerprints',
+    'Error al cargar auditoría': 'Error loading audit log',
+    'Usuarios pendientes': 'Pending users',
+    'Modo kiosco': 'Kiosk mode',
+    'Cuenta {id}': 'Account {id}',
+    'Usuario ID {id}': 'User ID {id}',
+    'No hay cambios registrados': 'No changes recorded',
+    'por {actor}': 'by {actor}',
+    'Realizado por': 'Done by',
+    'Acción': 'Action',
+    'Objetivo': 'Target',
+    'Campo': 'Field',
+    'Antes': 'Before',
+    'Después': 'After',
+    'Auditoría exportada: {n} cambios': 'Audit log exported: {n} changes',
+
+    // Respaldo y restauración
+    'No existe': 'Does not exist',
+    'Descargando {archivo} ({hecho} de {total})...': 'Downloading {archivo} ({hecho} of {total})...',
+    'Exportando huella {n} de {total}...': 'Exporting fingerprint {n} of {total}...',
+    'Respaldo creado: {usuarios} usuarios, {marcaciones} marcaciones, {huellas} huellas': 'Backup created: {usuarios} users, {marcaciones} punches, {huellas} fingerprints',
+    'Error creando respaldo: {error}': 'Error creating backup: {error}',
+    'El archivo no es un respaldo de este sistema': 'The file is not a backup of this system',
+    'Versión de respaldo inválida': 'Invalid backup version',
+    'Respaldo versión {version}: este panel admite hasta la versión {max}': 'Backup version {version}: this panel supports up to version {max}',
+    'El respaldo no contiene archivos': 'The backup contains no files',
+    'Archivo no reconocido: {nombre}': 'Unrecognized file: {nombre}',
+    'Contenido inválido en {nombre}': 'Invalid content in {nombre}',
+    'usuarios.json tiene líneas dañadas': 'usuarios.json has damaged lines',
+    'Falta la lista de huellas': 'The fingerprint list is missing',
+    'Huella {n} inválida': 'Fingerprint {n} is invalid',
+    'respaldo no válido': 'invalid backup',
+    'No se pudo leer el respaldo: {error}': 'Could not read the backup: {error}',
+    'Se conserva': 'Kept',
+    'Se reemplaza': 'Replaced',
+    'Se crea': 'Created',
+    '{n} líneas': '{n} lines',
+    'y {n} más': 'and {n} more',
+    '{n} nuevos': '{n} new',
+    '{n} modificados': '{n} modified',
+    '{n} eliminados': '{n} deleted',
+    'Nuevos': 'New',
+    'Modificados': 'Modified',
+    'Eliminados': 'Deleted',
+    'versión {version}': 'version {version}',
+    'creado {fecha}': 'created {fecha}',
+    'Archivo': 'File',
+    'En el dispositivo': 'On the device',
+    'En el respaldo': 'In the backup',
+    'Cambio': 'Change',
+    '{n} plantilla(s) para cargar en el sensor': '{n} template(s) to load into the sensor',
+    'Subiendo {archivo} ({hecho} de {total})...': 'Uploading {archivo} ({hecho} of {total})...',
+    '¿Reemplazar los datos del dispositivo con este respaldo? Esta acción no se puede deshacer.': 'Replace the device data with this backup? This action cannot be undone.',
+    'Aplicando archivos...': 'Applying files...',
+    'Cargando huella {n} de {total} en el sensor...': 'Loading fingerprint {n} of {total} into the sensor...',
+    'Datos restaurados · {n} huella(s) no se cargaron (slots {slots})': 'Data restored · {n} fingerprint(s) were not loaded (slots {slots})',
+    'Respaldo restaurado': 'Backup restored',
+    'Restauración interrumpida: {error}': 'Restore interrupted: {error}',
+
+    // Cuentas del panel
+    'Operador (kiosco)': 'Operator (kiosk)',
+    'Supervisor (reportes)': 'Supervisor (reports)',
+    'Administrador': 'Administrator',
+    'Error al cargar cuentas': 'Error loading accounts',
+    'usted': 'you',
+    'Usuario: 3 a 32 letras, números, punto, guion o guion bajo': 'User: 3 to 32 letters, digits, dot, hyphen or underscore',
+    '¿Eliminar la cuenta "{usuario}"?': 'Delete the account "{usuario}"?',
+
+    // Configuración del equipo
+    'Configuración': 'Settings',
+    'Red y Equipo': 'Network and Device',
+    'Nombre del equipo': 'Device name',
+    'Letras, números y guiones. Es el nombre del equipo en la red.': 'Letters, digits and hyphens. It is the device name on the network.',
+    'Red Wi-Fi (SSID)': 'Wi-Fi network (SSID)',
+    'Contraseña Wi-Fi': 'Wi-Fi password',
+    'Guardar configuración': 'Save settings',
+    'Al cambiar la red, el equipo la reinicia y hay que volver a conectarse con el nombre y la contraseña nuevos.': 'When the network changes, the device restarts it and you have to reconnect with the new name and password.',
+    'Reloj del Equipo': 'Device Clock',
+    'Sincronizar con este navegador': 'Sync with this browser',
+    'Las marcaciones usan la hora del equipo. Sin RTC, la hora se pierde al reiniciar y hay que volver a sincronizarla.': 'Punches use the device time. Without an RTC, the time is lost on restart and must be synced again.',
+    'Hora desfasada': 'Clock drift',
+    'Hora del equipo: {hora}': 'Device time: {hora}',
+    'No se pudo leer la configuración: {error}': 'Could not read the settings: {error}',
+    'Nombre del equipo: 1 a 32 letras, números o guiones': 'Device name: 1 to 32 letters, digits or hyphens',
+    'El nombre de la red debe tener de 1 a 32 caracteres': 'The network name must have 1 to 32 characters',
+    'La contraseña Wi-Fi debe tener de 8 a 63 caracteres': 'The Wi-Fi password must have 8 to 63 characters',
+    'El equipo reiniciará su red Wi-Fi y esta página perderá la conexión. ¿Continuar?': 'The device will restart its Wi-Fi network and this page will lose the connection. Continue?',
+    'Configuración guardada. Conéctese a la red "{ssid}" para seguir usando el panel': 'Settings saved. Connect to the "{ssid}" network to keep using the panel',
+    'Navegador': 'Browser',
+    'Equipo': 'Device',
+    'El equipo no informó su hora': 'The device did not report its time',
+    'Sin diferencia con el navegador': 'No difference with the browser',
+    'Diferencia: {segundos} s': 'Difference: {segundos} s',
+    'Configuración del equipo': 'Device settings',
+    'Reloj sincronizado': 'Clock synced',
+    'Red Wi-Fi': 'Wi-Fi network',
+    'Zona horaria': 'Time zone',
+    'Vacío = la del navegador': 'Empty = the browser\'s',
+    'la del navegador': 'the browser\'s',
+    'La del reloj del equipo, p. ej. America/Lima. Define qué es "hoy" en reportes y estadísticas.': 'The device clock\'s, e.g. America/Lima. It defines what "today" is in reports and statistics.',
+    'Zona horaria desconocida: use un nombre como America/Lima': 'Unknown time zone: use a name like America/Lima',
+
+    // Sensor de huellas
+    'Sensor de Huellas': 'Fingerprint Sensor',
+    'Sensor de huellas': 'Fingerprint sensor',
+    'Revisar sensor': 'Check sensor',
+    'Compara las plantillas del sensor con los usuarios registrados. Una plantilla huérfana ocupa un slot y hace que el sensor rechace esa huella como ya registrada.': 'Compares the sensor templates with the registered users. An orphan template takes up a slot and makes the sensor reject that fingerprint as already registered.',
+    'Revisando el sensor...': 'Checking the sensor...',
+    'Slots usados': 'Slots used',
+    'Plantillas huérfanas': 'Orphan templates',
+    'Usuarios sin plantilla': 'Users without template',
+    'Plantillas sin usuario': 'Templates without user',
+    'Todas las plantillas del sensor tienen usuario.': 'Every template on the sensor has a user.',
+    'Borrar huérfanas ({n})': 'Delete orphans ({n})',
+    'Usuarios sin plantilla en el sensor': 'Users without a template on the sensor',
+    'Todos los usuarios tienen sus huellas en el sensor.': 'Every user has their fingerprints on the sensor.',
+    'Faltan': 'Missing',
+    'Marcado para reenrolar': 'Flagged for re-enrollment',
+    'Marcar para reenrolar ({n})': 'Flag for re-enrollment ({n})',
+    '¿Borrar {n} plantilla(s) sin usuario del sensor? No se puede deshacer.': 'Delete {n} template(s) without a user from the sensor? This cannot be undone.',
+    '{n} plantilla(s) borradas del sensor': '{n} template(s) deleted from the sensor',
+    '{n} usuario(s) marcados para reenrolar': '{n} user(s) flagged for re-enrollment',
+    'Falta en el sensor': 'Missing from the sensor',
+    'Reenrolar huella': 'Re-enroll fingerprint',
+    'Huérfanas borradas': 'Orphans deleted',
+    'Slots borrados': 'Deleted slots',
+    'Slots por reenrolar': 'Slots to re-enroll',
+
+    // Textos fijos de index.html y kiosk.html
+    'Sistema de Asistencia': 'Attendance System',
+    'Se generará automáticamente': 'Generated automatically',
+    'Ej: Juan Pérez González': 'E.g.: John Smith',
+    'Ej: 3ro A, Turno tarde': 'E.g.: 3rd A, Afternoon shift',
+    'Vacío = sin cambios': 'Empty = no change',
+    '4 a 8 dígitos': '4 to 8 digits',
+    'Buscar nombre o ID': 'Search name or ID',
+    'Ej: Mañana': 'E.g.: Morning',
+    'Ej: Navidad': 'E.g.: Christmas',
+    'Ej: Justificado – cita médica': 'E.g.: Excused – medical appointment',
+    'Salir': 'Sign out',
+    'Registrar Asistencia': 'Record Attendance',
+    'Nuevo Usuario': 'New User',
+    'Reportes': 'Reports',
+    'Horarios': 'Schedules',
+    'Auditoría': 'Audit',
+    'Respaldo': 'Backup',
+    'El sistema registrará tu asistencia automáticamente': 'The system will record your attendance automatically',
+    'Último Registro': 'Last Record',
+    'Usuario:': 'User:',
+    'Fecha y Hora:': 'Date and Time:',
+    'Tipo:': 'Type:',
+    '🖥 Modo kiosco': '🖥 Kiosk mode',
+    'Registrar Nuevo Usuario': 'Register New User',
+    'ID Automático': 'Automatic ID',
+    'El ID se asigna automáticamente al capturar la huella': 'The ID is assigned automatically when the fingerprint is captured',
+    'Dedo': 'Finger',
+    'Otros dedos se agregan después desde Usuarios → Editar': 'Other fingers are added later from Users → Edit',
+    'Retire y vuelva a colocar el dedo': 'Lift and place the finger again',
+    'Capturar Huella': 'Capture Fingerprint',
+    'Pendientes de Enrolar (': 'Pending Enrollment (',
+    'Quitar todos': 'Remove all',
+    'Gestión de Usuarios': 'User Management',
+    'Cargando usuarios...': 'Loading users...',
+    'Cargando grupos...': 'Loading groups...',
+    'Importar Usuarios': 'Import Users',
+    'Columnas: Nombre, Cargo y Grupo (opcional). Los usuarios quedan pendientes de enrolar su huella en “Nuevo Usuario”.': 'Columns: Name, Role and Group (optional). Users stay pending until their fingerprint is enrolled in “New User”.',
+    'Crear pendientes': 'Create pending users',
+    'Cancelar': 'Cancel',
+    'Cuentas del Panel': 'Panel Accounts',
+    'Cargando cuentas...': 'Loading accounts...',
+    'Guardar cuenta': 'Save account',
+    'Modo Kiosco': 'Kiosk Mode',
+    'Cargando...': 'Loading...',
+    'Guardar PIN': 'Save PIN',
+    'Quitar PIN': 'Remove PIN',
+    'El PIN se pide para salir de la pantalla de kiosco (kiosk.html) y volver al panel.': 'The PIN is required to leave the kiosk screen (kiosk.html) and return to the panel.',
+    'Total Registros': 'Total Records',
+    'Registros Hoy': 'Records Today',
+    'Usuarios Activos': 'Active Users',
+    'Por Grupo': 'By Group',
+    'Días-usuario según los filtros actuales. Un usuario en varios grupos cuenta en cada uno.': 'User-days for the current filters. A user in several groups counts in each of them.',
+    'Tabla': 'Table',
+    'Calendario': 'Calendar',
+    'Planilla': 'Sheet',
+    'Planilla Mensual': 'Monthly Sheet',
+    'Imprimir': 'Print',
+    'Descargar PDF': 'Download PDF',
+    'Usuarios presentes por día. Pulse un día para ver sus registros.': 'Users present per day. Click a day to see its records.',
+    'Desde': 'From',
+    'Hasta': 'To',
+    'a': 'to',
+    'Todos los cargos': 'All roles',
+    'Limpiar': 'Clear',
+    'Agregar marcación': 'Add punch',
+    'Exportar Excel (.xlsx)': 'Export Excel (.xlsx)',
+    'Exportar CSV': 'Export CSV',
+    'Cargando datos...': 'Loading data...',
+    'Turnos': 'Shifts',
+    'Cargando turnos...': 'Loading shifts...',
+    'Inicio': 'Start',
+    'Fin': 'End',
+    'Tolerancia (min)': 'Tolerance (min)',
+    'Días': 'Days',
+    'Agregar Turno': 'Add Shift',
+    'Asignación por Cargo': 'Assignment by Role',
+    'Asignación por Usuario': 'Assignment by User',
+    'Turno': 'Shift',
+    'Asignar': 'Assign',
+    'Calendario Institucional': 'Institutional Calendar',
+    'Prevalece sobre los días de los turnos: en estos días no se cuentan ausencias.': 'Overrides the shift days: absences are not counted on these days.',
+    'Hasta (opcional)': 'To (optional)',
+    'Agregar al calendario': 'Add to calendar',
+    'Auditoría de Cambios': 'Change Audit',
+    'Todas las acciones': 'All actions',
+    'Cargando auditoría...': 'Loading audit log...',
+    'Crear Respaldo': 'Create Backup',
+    'Descarga un único archivo con usuarios, historial de asistencia, horarios, correcciones, cuentas y auditoría. Las huellas se exportan desde el sensor como plantillas crudas.': 'Downloads a single file with users, attendance history, schedules, corrections, accounts and audit log. Fingerprints are exported from the sensor as raw templates.',
+    'Cargando archivos...': 'Loading files...',
+    'Incluir huellas': 'Include fingerprints',
+    'Descargar respaldo': 'Download backup',
+    'Restaurar Respaldo': 'Restore Backup',
+    'Se valida el archivo y se muestran los cambios antes de aplicar nada. Para un sensor nuevo, marca “Cargar huellas en el sensor”.': 'The file is validated and the changes are shown before anything is applied. For a new sensor, check “Load fingerprints into the sensor”.',
+    'Cargar huellas en el sensor': 'Load fingerprints into the sensor',
+    'Restaurar': 'Restore',
+    'Iniciar Sesión': 'Sign In',
+    'Entrar': 'Sign in',
+    'Editar Usuario': 'Edit User',
+    'Agregar dedo': 'Add finger',
+    'Presente': 'Present',
+    'Tarde': 'Late',
+    'Motivo (obligatorio)': 'Reason (required)',
+    'Anular marcación': 'Void punch',
+    'Conflictos de Sincronización': 'Sync Conflicts',
+    'Estos cambios se hicieron sin conexión, pero el usuario fue modificado en el dispositivo mientras tanto.': 'These changes were made offline, but the user was modified on the device in the meantime.',
+    'Kiosco de Asistencia': 'Attendance Kiosk',
+    'Salir del modo kiosco': 'Exit kiosk mode',
+    'Últimas marcaciones': 'Latest punches',
+    '🔒 Salir del modo kiosco': '🔒 Exit kiosk mode',
+    'Desbloquear': 'Unlock',
+    'Idioma': 'Language',
+    'DNI o código de estudiante': 'ID card or student code',
+    'Identifica a la persona: con documento, dos usuarios pueden llamarse igual': 'Identifies the person: with a document, two users can share a name',
+    'Quitar foto': 'Remove photo',
+    'Opcional. Se muestra en el kiosco al marcar asistencia.': 'Optional. Shown on the kiosk when punching in.',
+    'Campos del Perfil': 'Profile Fields',
+    'Ej: Apoderado, Código de aula': 'E.g.: Guardian, Classroom code',
+    'Agregar campo': 'Add field',
+    'Datos extra que se piden al registrar y editar usuarios y que salen en las exportaciones.': 'Extra data requested when registering and editing users, included in the exports.',
+    'Foto cambiada': 'Photo changed',
+    'Foto quitada': 'Photo removed',
+
+    // Simulador del dispositivo
+    'Simulador': 'Simulator',
+    'Dedo a apoyar': 'Finger to place',
+    'Apoyar dedo': 'Place finger',
+    'Reiniciar datos': 'Reset data',
+    'Dedo nuevo (no enrolado)': 'New finger (not enrolled)',
+    'Dedo en el lector': 'Finger on the reader',
+    'Lector libre': 'Reader idle',
+    '¿Borrar los datos del simulador y volver a los de ejemplo?': 'Delete the simulator data and go back to the sample data?',
+    'No encontrado': 'Not found',
+
+    // Respuestas del ESP32 (API.request las pasa por t)
+    'Configuración guardada': 'Settings saved',
+    'Nombre del equipo invalido': 'Invalid device name',
+    'Zona horaria invalida': 'Invalid time zone',
+    'Estado invalido': 'Invalid status',
+    'Usuario no encontrado en la papelera': 'User not found in the trash',
+    'El sensor no responde': 'The sensor does not respond',
+    'Huellas huérfanas eliminadas': 'Orphan fingerprints deleted',
+    'Usuarios marcados para reenrolar': 'Users flagged for re-enrollment',
+    'Documento invalido': 'Invalid document',
+    'Correo invalido': 'Invalid email',
+    'Telefono invalido': 'Invalid phone',
+    'Campos invalidos': 'Invalid fields',
+    'Foto invalida': 'Invalid photo',
+    'Foto guardada': 'Photo saved',
+    'Sin foto': 'No photo',
+    'Campos guardados': 'Fields saved',
+    'Acceso denegado': 'Access denied',
+    'Archivo no permitido': 'File not allowed',
+    'Archivos restaurados': 'Files restored',
+    'Body vacio': 'Empty body',
+    'Contraseña requerida': 'Password required',
+    'Cuenta actualizada': 'Account updated',
+    'Cuenta no encontrada': 'Account not found',
+    'Datos invalidos': 'Invalid data',
+    'Demasiados intentos. Espere un minuto': 'Too many attempts. Wait a minute',
+    'El usuario debe conservar al menos una huella': 'The user must keep at least one fingerprint',
+    'El usuario no tiene ese dedo': 'The user does not have that finger',
+    'El usuario ya tiene el máximo de huellas': 'The user already has the maximum number of fingerprints',
+    'Enrolamiento cancelado': 'Enrollment cancelled',
+    'Enrolamiento iniciado': 'Enrollment started',
+    'Error al abrir archivo SD': 'Error opening SD file',
+    'Error al guardar huella en sensor': 'Error saving fingerprint in the sensor',
+    'Este ID ya está registrado': 'This ID is already registered',
+    'Falta la marcación original': 'The original punch is missing',
+    'Motivo muy largo': 'Reason too long',
+    'Fecha u hora invalida': 'Invalid date or time',
+    'Fragmento fuera de orden': 'Chunk out of order',
+    'Grupos guardados': 'Groups saved',
+    'Huella guardada': 'Fingerprint saved',
+    'Huella no capturada o ID no coincide': 'Fingerprint not captured or ID mismatch',
+    'Huella no capturada para este usuario': 'Fingerprint not captured for this user',
+    'ID invalido': 'Invalid ID',
+    'ID invalido (0-255)': 'Invalid ID (0-255)',
+    'JSON invalido': 'Invalid JSON',
+    'Kiosco desbloqueado': 'Kiosk unlocked',
+    'La contraseña debe tener al menos 4 caracteres': 'The password must have at least 4 characters',
+    'Lista de usuarios invalida': 'Invalid user list',
+    'No puede cambiar su propio rol': 'You cannot change your own role',
+    'No puede eliminar su propia cuenta': 'You cannot delete your own account',
+    'No se pudo cargar la plantilla en el sensor': 'The template could not be loaded into the sensor',
+    'PIN eliminado': 'PIN removed',
+    'PIN guardado': 'PIN saved',
+    'PIN incorrecto': 'Wrong PIN',
+    'Pendiente eliminado': 'Pending user removed',
+    'Pendiente no encontrado': 'Pending user not found',
+    'Pendientes eliminados': 'Pending users removed',
+    'Permiso insuficiente': 'Insufficient permission',
+    'Plantilla restaurada': 'Template restored',
+    'Sesión cerrada': 'Signed out',
+    'Sesión requerida': 'Session required',
+    'Sin PIN configurado': 'No PIN configured',
+    'Slot sin plantilla': 'Slot without template',
+    'Tipo de corrección invalido': 'Invalid correction type',
+    'Use POST': 'Use POST',
+    'Usuario actualizado correctamente': 'User updated successfully',
+    'Usuario no encontrado': 'User not found',
+    'Usuario o contraseña incorrectos': 'Wrong user or password',
+    'Usuario o rol invalido': 'Invalid user or role',
+    'Usuario registrado correctamente': 'User registered successfully'
+  },
+
+  // Guardado en el navegador > idioma del navegador > español
+  detect() {
+    const saved = localStorage.getItem(this.STORAGE_KEY);
+    if (this.LANGS[saved]) return saved;
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return this.LANGS[browser] ? browser : 'es';
+  },
+
+  t(text, params) {
+    const dict = this.lang === 'en' ? this.EN : {};
+    let out = Object.prototype.hasOwnProperty.call(dict, text) ? dict[text] : text;
+    if (params) {
+      out = String(out).replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+    }
+    return out;
+  },
+
+  // Locale para fechas: el del navegador si coincide con el idioma elegido
+  locale() {
+    const browser = navigator.language || '';
+    return browser.toLowerCase().startsWith(this.lang) ? browser : this.LOCALES[this.lang];
+  },
+
+  // Traduce el HTML estático: nodos de texto y atributos visibles
+  apply(root = document.body) {
+    document.documentElement.lang = this.lang;
+    if (this.lang === 'es') return;
+
+    document.title = this.t(document.title);
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (['SCRIPT', 'STYLE'].includes(node.parentNode.nodeName)
+        ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach(node => {
+      const text = node.nodeValue.replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      const translated = this.t(text);
+      if (translated === text) return;
+      // Conservar los espacios alrededor para no pegar el texto a otros elementos
+      const [lead] = node.nodeValue.match(/^\s*/);
+      const [trail] = node.nodeValue.match(/\s*$/);
+      node.nodeValue = lead + translated + trail;
+    });
+
+    ['placeholder', 'title', 'aria-label'].forEach(attr => {
+      root.querySelectorAll(`[${attr}]`).forEach(el => {
+        el.setAttribute(attr, this.t(el.getAttribute(attr)));
+      });
+    });
+  },
+
+  set(lang) {
+    if (!this.LANGS[lang] || lang === this.lang) return;
+    localStorage.setItem(this.STORAGE_KEY, lang);
+    // Recargar: buena parte del contenido se pinta una sola vez al iniciar
+    location.reload();
+  }
+};
+
+I18n.lang = I18n.detect();
+
+function t(text, params) {
+  return I18n.t(text, params);
+}
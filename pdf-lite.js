@@ -0,0 +1,161 @@
+// ============================================
+// PDF LITE
+// Generador mínimo de PDF en el navegador, sin dependencias:
+// texto con Helvetica estándar (WinAnsi), rectángulos y líneas.
+// Coordenadas en puntos desde la esquina superior izquierda.
+// ============================================
+const PDFLite = {
+  // Tamaños de página en puntos
+  A4: { width: 595.28, height: 841.89 },
+  A4_LANDSCAPE: { width: 841.89, height: 595.28 },
+
+  // Anchos Helvetica (AFM, 1/1000 em) para ASCII 32..126
+  WIDTHS: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+
+  // Caracteres fuera de Latin-1 que WinAnsi sí tiene
+  WIN_ANSI: {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+  },
+
+  create(size = PDFLite.A4) {
+    const pdf = this;
+    const pages = [];
+    let ops = null;
+
+    const num = (n) => (Math.round(n * 100) / 100).toString();
+    const color = (rgb) => rgb.map(c => num(c / 255)).join(' ');
+
+    const doc = {
+      width: size.width,
+      height: size.height,
+
+      addPage() {
+        ops = [];
+        pages.push(ops);
+        return doc;
+      },
+
+      textWidth(text, fontSize) {
+        return pdf.textWidth(text, fontSize);
+      },
+
+      // Recorta con '…' hasta que el texto quepa en maxWidth
+      fit(text, fontSize, maxWidth) {
+        let value = String(text);
+        if (pdf.textWidth(value, fontSize) <= maxWidth) return value;
+        while (value.length > 1 && pdf.textWidth(value + '…', fontSize) > maxWidth) {
+          value = value.slice(0, -1);
+        }
+        return value + '…';
+      },
+
+      // options: { size, bold, color: [r,g,b], align: 'left'|'center'|'right' }
+      text(text, x, y, options = {}) {
+        const fontSize = options.size || 10;
+        const value = String(text);
+        let left = x;
+        if (options.align === 'center') left = x - pdf.textWidth(value, fontSize) / 2;
+        if (options.align === 'right') left = x - pdf.textWidth(value, fontSize);
+
+        ops.push(`${color(options.color || [0, 0, 0])} rg BT /${options.bold ? 'F2' : 'F1'} ${fontSize} Tf ` +
+          `${num(left)} ${num(size.height - y)} Td (${pdf.encode(value)}) Tj ET`);
+        return doc;
+      },
+
+      // options: { fill: [r,g,b], stroke: [r,g,b], lineWidth }
+      rect(x, y, w, h, options = {}) {
+        const paint = options.fill && options.stroke ? 'B' : (options.fill ? 'f' : 'S');
+        ops.push(`${options.lineWidth || 0.5} w` +
+          (options.fill ? ` ${color(options.fill)} rg` : '') +
+          (options.stroke || !options.fill ? ` ${color(options.stroke || [0, 0, 0])} RG` : '') +
+          ` ${num(x)} ${num(size.height - y - h)} ${num(w)} ${num(h)} re ${paint}`);
+        return doc;
+      },
+
+      line(x1, y1, x2, y2, options = {}) {
+        ops.push(`${options.lineWidth || 0.5} w ${color(options.color || [0, 0, 0])} RG ` +
+          `${num(x1)} ${num(size.height - y1)} m ${num(x2)} ${num(size.height - y2)} l S`);
+        return doc;
+      },
+
+      output() {
+        return pdf.build(pages, size);
+      }
+    };
+
+    return doc.addPage();
+  },
+
+  textWidth(text, fontSize) {
+    let units = 0;
+    for (const ch of String(text)) {
+      const code = ch.charCodeAt(0);
+      units += code >= 32 && code <= 126 ? this.WIDTHS[code - 32] : 556;
+    }
+    return units * fontSize / 1000;
+  },
+
+  // Texto → cadena literal PDF en WinAnsi
+  encode(text) {
+    let out = '';
+    for (const ch of text) {
+      const code = ch.charCodeAt(0);
+      let byte = this.WIN_ANSI[ch];
+      if (byte === undefined) byte = code >= 32 && code <= 255 && (code < 127 || code >= 160) ? code : 63; // '?'
+      const c = String.fromCharCode(byte);
+      out += c === '(' || c === ')' || c === '\\' ? '\\' + c : c;
+    }
+    return out;
+  },
+
+  // Ensambla objetos y tabla xref. Todo el contenido es de un byte
+  // por carácter, así que la longitud de la cadena es la de bytes.
+  build(pages, size) {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pagesId = add(null);
+    const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const fontBold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const kids = pages.map(ops => {
+      const stream = ops.join('\n');
+      const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${size.width} ${size.height}] ` +
+        `/Resources << /Font << /F1 ${font} 0 R /F2 ${fontBold} 0 R >> >> /Contents ${content} 0 R >>`);
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    let out = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = out.length;
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      out += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+    const bytes = new Uint8Array(out.length);
+    for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+    return new Blob([bytes], { type: 'application/pdf' });
+  }
+};
@@ -1,1251 +1,6424 @@
-// ============================================
-// CONFIGURACIÓN OPTIMIZADA PARA ESP32
-// ============================================
-const CONFIG = {
-  API_BASE: '',
-  CAPTURE_TIMEOUT: 30000,
-  CAPTURE_INTERVAL: 1500,
-  ATTENDANCE_INTERVAL: 4000,
-  STATUS_CHECK_INTERVAL: 20000,
-  NOTIFICATION_DURATION: 3500,
-  REQUEST_TIMEOUT: 10000,
-  MAX_RETRIES: 2,
-  MAX_CONCURRENT_REQUESTS: 2
-};
-
-// ============================================
-// ESTADO GLOBAL
-// ============================================
-const State = {
-  intervals: {
-    capture: null,
-    attendance: null,
-    status: null
-  },
-  data: {
-    full: [],
-    users: [],
-    filtered: []
-  },
-  flags: {
-    captureActive: false,
-    dbLoading: false,
-    usersLoading: false
-  },
-  requests: {
-    pending: 0,
-    queue: []
-  }
-};
-
-// ============================================
-// GESTOR DE REQUESTS (EVITA SOBRECARGA)
-// ============================================
-const RequestManager = {
-  async execute(fn) {
-    while (State.requests.pending >= CONFIG.MAX_CONCURRENT_REQUESTS) {
-      await new Promise(r => setTimeout(r, 100));
-    }
-    
-    State.requests.pending++;
-    try {
-      return await fn();
-    } finally {
-      State.requests.pending--;
-    }
-  }
-};
-
-// ============================================
-// API OPTIMIZADA CON VALIDACIÓN DE NOMBRES
-// ============================================
-const API = {
-  async request(endpoint, options = {}, retries = 0) {
-    return RequestManager.execute(async () => {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
-
-      try {
-        const response = await fetch(`${CONFIG.API_BASE}${endpoint}`, {
-          ...options,
-          signal: controller.signal,
-          headers: {
-            'Content-Type': 'application/json',
-            ...options.headers
-          }
-        });
-
-        clearTimeout(timeoutId);
-        const data = await response.json();
-
-        if (!response.ok) {
-          throw new Error(data.message || data.error || `Error ${response.status}`);
-        }
-
-        return { data, status: response.status };
-
-      } catch (error) {
-        clearTimeout(timeoutId);
-
-        if (error.name === 'AbortError' && retries < CONFIG.MAX_RETRIES) {
-          console.log(`Reintento ${retries + 1}/${CONFIG.MAX_RETRIES} en ${endpoint}`);
-          await new Promise(r => setTimeout(r, 1000));
-          return this.request(endpoint, options, retries + 1);
-        }
-
-        throw error;
-      }
-    });
-  },
-
-  getNextId: () => API.request('/api/next-id'),
-  getSystemStatus: () => API.request('/api/system-status'),
-  startFingerprint: () => API.request('/api/fingerprint/start'),
-  registerUser: (data) => API.request('/api/register', { method: 'POST', body: JSON.stringify(data) }),
-  checkAttendance: () => API.request('/api/attendance'),
-  getDatabase: () => API.request('/api/database'),
-  getUsers: () => API.request('/api/users'),
-  editUser: (data) => API.request('/api/edit-user', { method: 'POST', body: JSON.stringify(data) }),
-  deleteUser: (id) => API.request('/api/delete-user', { method: 'POST', body: JSON.stringify({ id }) }),
-  checkName: (name) => API.request('/api/check-name', { method: 'POST', body: JSON.stringify({ name }) })
-};
-
-// ============================================
-// UTILIDADES
-// ============================================
-const Utils = {
-  formatDate(date) {
-    return new Date(date).toLocaleDateString('es-ES', {
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
-    });
-  },
-
-  formatTime(time) {
-    return time || '---';
-  },
-
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  },
-
-  debounce(func, wait) {
-    let timeout;
-    return function(...args) {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => func.apply(this, args), wait);
-    };
-  },
-
-  getElement(id) {
-    return document.getElementById(id);
-  },
-
-  setContent(id, content) {
-    const el = this.getElement(id);
-    if (el) el.textContent = content;
-  },
-
-  setHTML(id, html) {
-    const el = this.getElement(id);
-    if (el) el.innerHTML = html;
-  }
-};
-
-// ============================================
-// NOTIFICACIONES
-// ============================================
-const Notification = {
-  show(message, type = 'info') {
-    const box = Utils.getElement('notification');
-    const text = Utils.getElement('notification-message');
-
-    if (!box || !text) return;
-
-    text.textContent = message;
-    box.style.borderLeftColor = this.getColor(type);
-    box.classList.add('show');
-
-    setTimeout(() => {
-      box.classList.remove('show');
-    }, CONFIG.NOTIFICATION_DURATION);
-  },
-
-  getColor(type) {
-    const colors = {
-      success: '#28a745',
-      error: '#dc3545',
-      warning: '#ffc107',
-      info: '#667eea'
-    };
-    return colors[type] || colors.info;
-  }
-};
-
-// ============================================
-// GESTOR DE INTERVALOS
-// ============================================
-const IntervalManager = {
-  clear(name) {
-    if (State.intervals[name]) {
-      clearInterval(State.intervals[name]);
-      State.intervals[name] = null;
-    }
-  },
-
-  clearAll() {
-    Object.keys(State.intervals).forEach(key => this.clear(key));
-  },
-
-  set(name, callback, interval) {
-    this.clear(name);
-    State.intervals[name] = setInterval(callback, interval);
-  }
-};
-
-// ============================================
-// NAVEGACIÓN
-// ============================================
-const Navigation = {
-  init() {
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const tab = e.target.dataset.tab;
-        if (tab) this.switchTab(tab);
-      });
-    });
-  },
-
-  switchTab(tabName) {
-    document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
-    document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
-
-    const section = Utils.getElement(tabName);
-    if (section) section.classList.add('active');
-
-    const btn = document.querySelector(`[data-tab="${tabName}"]`);
-    if (btn) btn.classList.add('active');
-
-    const actions = {
-      usuarios: () => Users.load(),
-      reportes: () => Database.load(),
-      registro: () => Fingerprint.showNextID()
-    };
-
-    if (actions[tabName]) actions[tabName]();
-  }
-};
-
-// ============================================
-// ESTADO DEL SISTEMA
-// ============================================
-const SystemStatus = {
-  async check() {
-    try {
-      const { data } = await API.getSystemStatus();
-
-      this.updatePill('esp32', data.esp32 ? 'success' : 'error',
-        data.esp32 ? 'Conectado' : 'Desconectado');
-
-      this.updatePill('sensor', data.sensor ? 'success' : 'error',
-        data.sensor ? 'OK' : 'Error');
-
-      this.updatePill('rtc', data.rtc ? 'success' : 'warning',
-        data.rtc ? 'OK' : 'Sin RTC');
-
-    } catch (error) {
-      this.updatePill('esp32', 'error', 'Sin conexión');
-      this.updatePill('sensor', 'error', '---');
-      this.updatePill('rtc', 'error', '---');
-    }
-  },
-
-  updatePill(device, status, text) {
-    const pill = Utils.getElement(`status-${device}`);
-    const statusText = Utils.getElement(`${device}-status`);
-
-    if (!pill || !statusText) return;
-
-    pill.className = `pill ${status}`;
-    statusText.textContent = text;
-  },
-
-  startMonitoring() {
-    this.check();
-    IntervalManager.set('status', () => this.check(), CONFIG.STATUS_CHECK_INTERVAL);
-  }
-};
-
-
-// ============================================
-// VALIDACIÓN DE NOMBRE EN TIEMPO REAL
-// ============================================
-const NameValidator = {
-  timeout: null,
-  lastChecked: '',
-  
-  async check(name) {
-    name = name.trim();
-    
-    const input = Utils.getElement('userName');
-    const feedback = Utils.getElement('name-feedback');
-    
-    if (!input || !feedback) return;
-    
-    // Resetear estilos
-    input.style.borderColor = '';
-    feedback.textContent = '';
-    feedback.className = 'input-feedback';
-    
-    // Validación mínima
-    if (name.length < 3) {
-      if (name.length > 0) {
-        feedback.textContent = 'Mínimo 3 caracteres';
-        feedback.className = 'input-feedback warning';
-      }
-      return;
-    }
-    
-    // No verificar si ya se chequeó este nombre
-    if (name === this.lastChecked) return;
-    this.lastChecked = name;
-    
-    // Mostrar verificando
-    feedback.textContent = 'Verificando...';
-    feedback.className = 'input-feedback info';
-    
-    try {
-      const { data } = await API.checkName(name);
-      
-      if (data.exists) {
-        input.style.borderColor = '#dc3545';
-        feedback.textContent = '❌ Este nombre ya está registrado';
-        feedback.className = 'input-feedback error';
-        
-        // Deshabilitar botón de registro
-        const registerBtn = Utils.getElement('registerBtn');
-        if (registerBtn) {
-          registerBtn.disabled = true;
-          registerBtn.title = 'Este nombre ya existe';
-        }
-      } else {
-        input.style.borderColor = '#28a745';
-        feedback.textContent = '✓ Nombre disponible';
-        feedback.className = 'input-feedback success';
-        
-        // Habilitar botón de registro
-        const registerBtn = Utils.getElement('registerBtn');
-        if (registerBtn) {
-          registerBtn.disabled = false;
-          registerBtn.title = '';
-        }
-      }
-    } catch (error) {
-      console.error('Error verificando nombre:', error);
-      feedback.textContent = '';
-      input.style.borderColor = '';
-    }
-  },
-  
-  debounced(name) {
-    clearTimeout(this.timeout);
-    this.timeout = setTimeout(() => this.check(name), 500);
-  },
-  
-  reset() {
-    this.lastChecked = '';
-    const input = Utils.getElement('userName');
-    const feedback = Utils.getElement('name-feedback');
-    
-    if (input) input.style.borderColor = '';
-    if (feedback) {
-      feedback.textContent = '';
-      feedback.className = 'input-feedback';
-    }
-  }
-};
-
-// ============================================
-// CAPTURA DE HUELLA
-// ============================================
-// ============================================
-// CAPTURA DE HUELLA CON DETECCIÓN DE DUPLICADOS
-// ============================================
-const Fingerprint = {
-  state: {
-    attempts: 0,
-    maxAttempts: Math.floor(CONFIG.CAPTURE_TIMEOUT / CONFIG.CAPTURE_INTERVAL)
-  },
-
-  async showNextID() {
-    try {
-      const { data } = await API.getNextId();
-      const input = Utils.getElement('fingerprintId');
-      if (input) {
-        input.placeholder = `Siguiente ID: ${data.nextId}`;
-      }
-    } catch (error) {
-      console.error('Error obteniendo siguiente ID:', error);
-    }
-  },
-
-  async start() {
-    if (State.flags.captureActive) {
-      Notification.show('Ya hay una captura en proceso', 'warning');
-      return;
-    }
-
-    IntervalManager.clear('attendance');
-    State.flags.captureActive = true;
-
-    try {
-      const { data: idData } = await API.getNextId();
-      const nextID = idData.nextId;
-      Utils.getElement('fingerprintId').value = nextID;
-      Notification.show(`Siguiente ID disponible: ${nextID}`, 'info');
-    } catch (error) {
-      console.error('Error obteniendo siguiente ID:', error);
-    }
-
-    this.updateUI('Iniciando captura...', false, true);
-    this.state.attempts = 0;
-
-    IntervalManager.set('capture', () => this.captureStep(), CONFIG.CAPTURE_INTERVAL);
-  },
-
-  async captureStep() {
-    this.state.attempts++;
-
-    if (this.state.attempts > this.state.maxAttempts) {
-      this.stop('Tiempo agotado. Intente nuevamente.');
-      Notification.show('Tiempo de captura agotado', 'warning');
-      Attendance.startMonitoring();
-      return;
-    }
-
-    try {
-      const response = await fetch('/api/fingerprint/start');
-      const data = await response.json();
-
-      // ⭐ DETECTAR HUELLA DUPLICADA (código 409 o step -1)
-      if (response.status === 409 || data.step === -1) {
-        this.stop('❌ Esta huella ya está registrada');
-        
-        const mensaje = data.nombre ? 
-          `Esta huella pertenece a: ${data.nombre} (ID: ${data.id})` :
-          'Esta huella ya está registrada en el sistema';
-        
-        Notification.show(mensaje, 'error');
-        
-        // Mostrar mensaje de error más prominente
-        const status = Utils.getElement('fingerprint-status');
-        if (status) {
-          status.innerHTML = `
-            <div style="color:#dc3545;font-weight:700;margin-bottom:10px">
-              ❌ Huella Duplicada
-            </div>
-            <div style="color:#6c757d;font-size:0.9em">
-              ${mensaje}
-            </div>
-          `;
-        }
-        
-        // Reiniciar después de 4 segundos
-        setTimeout(() => {
-          this.resetForm();
-          Attendance.startMonitoring();
-        }, 4000);
-        
-        return;
-      }
-
-      if (data.step === 0) {
-        this.updateUI('Coloque el dedo en el sensor...', false, true);
-      } else if (data.step === 1) {
-        this.updateUI('Primera lectura OK. Retire el dedo...', true, true);
-        Notification.show('Primera lectura completada', 'success');
-      } else if (data.step === 2 && data.id) {
-        this.stop(`Huella capturada correctamente! ID: ${data.id}`);
-        Utils.getElement('fingerprintId').value = data.id;
-        this.showRegisterButton();
-        Notification.show(`Huella capturada - ID: ${data.id}`, 'success');
-        setTimeout(() => Attendance.startMonitoring(), 2000);
-      }
-    } catch (error) {
-      // Silencioso - requests normales sin huella
-    }
-  },
-
-  stop(message) {
-    IntervalManager.clear('capture');
-    State.flags.captureActive = false;
-    this.updateUI(message, true, false);
-  },
-
-  updateUI(message, showSteps, disableButton) {
-    Utils.setContent('fingerprint-status', message);
-    
-    const steps = Utils.getElement('fingerprint-steps');
-    if (steps) steps.style.display = showSteps ? 'block' : 'none';
-
-    const btn = Utils.getElement('captureBtn');
-    if (btn) btn.disabled = disableButton;
-  },
-
-  showRegisterButton() {
-    const registerBtn = Utils.getElement('registerBtn');
-    const captureBtn = Utils.getElement('captureBtn');
-
-    if (registerBtn) registerBtn.style.display = 'inline-flex';
-    if (captureBtn) captureBtn.style.display = 'none';
-  },
-
-  resetForm() {
-    Utils.getElement('fingerprintId').value = '';
-    Utils.getElement('userName').value = '';
-    Utils.getElement('userRole').value = 'Estudiante';
-
-    const registerBtn = Utils.getElement('registerBtn');
-    const captureBtn = Utils.getElement('captureBtn');
-
-    if (registerBtn) {
-      registerBtn.style.display = 'none';
-      registerBtn.disabled = false;
-      registerBtn.innerHTML = 'Guardar Usuario';
-    }
-
-    if (captureBtn) {
-      captureBtn.style.display = 'inline-flex';
-      captureBtn.disabled = false;
-    }
-
-    this.updateUI('Esperando huella...', false, false);
-    this.showNextID();
-    NameValidator.reset();
-  }
-};
-
-// ============================================
-// REGISTRO DE USUARIO CON VALIDACIÓN
-// ============================================
-// ============================================
-// REGISTRO CON MANEJO DE ERRORES MEJORADO
-// ============================================
-const Registration = {
-  async register() {
-    const id = Utils.getElement('fingerprintId').value.trim();
-    const name = Utils.getElement('userName').value.trim();
-    const role = Utils.getElement('userRole').value.trim();
-
-    if (!id) {
-      Notification.show('Debe capturar la huella primero', 'error');
-      return;
-    }
-
-    if (!name || name.length < 3) {
-      Notification.show('Ingrese un nombre válido (mínimo 3 caracteres)', 'error');
-      return;
-    }
-
-    // Verificar nombre antes de registrar
-    try {
-      const { data } = await API.checkName(name);
-      
-      if (data.exists) {
-        Notification.show('❌ Este nombre ya está registrado', 'error');
-        const input = Utils.getElement('userName');
-        if (input) {
-          input.style.borderColor = '#dc3545';
-          input.focus();
-        }
-        return;
-      }
-    } catch (error) {
-      console.error('Error verificando nombre:', error);
-    }
-
-    const registerBtn = Utils.getElement('registerBtn');
-    const originalText = registerBtn.innerHTML;
-
-    registerBtn.disabled = true;
-    registerBtn.innerHTML = '<span class="spinner"></span> Registrando...';
-
-    try {
-      const response = await fetch('/api/register', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id: parseInt(id), name, role })
-      });
-
-      const data = await response.json();
-
-      // ⭐ MANEJAR ERRORES DE DUPLICADO (409)
-      if (response.status === 409) {
-        let mensaje = data.message || 'Error de duplicado';
-        
-        if (mensaje.includes('nombre')) {
-          Notification.show('❌ Este nombre ya está registrado', 'error');
-          const input = Utils.getElement('userName');
-          if (input) {
-            input.style.borderColor = '#dc3545';
-            input.focus();
-          }
-        } else if (mensaje.includes('ID')) {
-          Notification.show('❌ Este ID ya está registrado. Intente capturar nuevamente.', 'error');
-          Fingerprint.resetForm();
-        } else if (mensaje.includes('huella')) {
-          Notification.show('❌ Esta huella ya está registrada', 'error');
-          Fingerprint.resetForm();
-        } else {
-          Notification.show(`❌ ${mensaje}`, 'error');
-        }
-        
-        registerBtn.disabled = false;
-        registerBtn.innerHTML = originalText;
-        return;
-      }
-
-      if (!response.ok) {
-        throw new Error(data.message || `Error ${response.status}`);
-      }
-
-      Notification.show('✓ Usuario registrado correctamente', 'success');
-      Fingerprint.resetForm();
-
-      setTimeout(() => {
-        Database.load();
-        Users.load();
-      }, 1000);
-
-    } catch (error) {
-      Notification.show(`Error: ${error.message}`, 'error');
-      registerBtn.disabled = false;
-      registerBtn.innerHTML = originalText;
-    }
-  }
-};
-
-// ============================================
-// ASISTENCIA
-// ============================================
-const Attendance = {
-  async check() {
-    if (State.flags.captureActive) return;
-
-    try {
-      const response = await fetch('/api/attendance');
-      const lastRecord = Utils.getElement('last-record');
-      const attStatus = Utils.getElement('attendance-status');
-
-      if (response.status === 409) {
-        const data = await response.json();
-
-        lastRecord.classList.add('warning');
-        Utils.setContent('last-user', data.nombre || '---');
-        Utils.setContent('last-time', 'Ya registrado hoy');
-        Utils.setContent('last-type', 'Duplicado');
-
-        if (attStatus) {
-          attStatus.textContent = 'Ya registraste asistencia hoy';
-        }
-
-        Notification.show(`${data.nombre || 'Usuario'} ya registró asistencia hoy`, 'warning');
-
-        setTimeout(() => {
-          lastRecord.classList.remove('warning');
-          if (attStatus) {
-            attStatus.textContent = 'Esperando huella para asistencia...';
-          }
-        }, 5000);
-        return;
-      }
-
-      if (!response.ok) return;
-
-      const data = await response.json();
-
-      lastRecord.classList.remove('warning');
-      Utils.setContent('last-user', data.nombre || '---');
-      Utils.setContent('last-time', `${data.fecha || '---'} ${data.hora || '---'}`);
-      Utils.setContent('last-type', `✓ ${data.tipo || 'entrada'}`);
-
-      if (attStatus) {
-        attStatus.textContent = 'Asistencia registrada correctamente';
-      }
-
-      Notification.show(`Asistencia registrada: ${data.nombre}`, 'success');
-      
-      setTimeout(() => {
-        Database.load();
-        if (attStatus) {
-          attStatus.textContent = 'Esperando huella para asistencia...';
-        }
-      }, 3000);
-
-    } catch (error) {
-      // Silencioso - normal cuando no hay huella
-    }
-  },
-
-  startMonitoring() {
-    IntervalManager.set('attendance', () => this.check(), CONFIG.ATTENDANCE_INTERVAL);
-  }
-};
-
-// ============================================
-// BASE DE DATOS - EXPORTACIÓN CSV CORREGIDA
-// ============================================
-const Database = {
-  async load() {
-    if (State.flags.dbLoading) return;
-    State.flags.dbLoading = true;
-
-    try {
-      const { data } = await API.getDatabase();
-      State.data.full = data;
-      State.data.filtered = data;
-
-      this.renderTable(data);
-      this.updateStats(data);
-      this.fillUserFilter(data);
-
-    } catch (error) {
-      console.error('Error cargando base de datos:', error);
-      Notification.show('No se pudo cargar la base de datos', 'error');
-
-      Utils.setHTML('attendance-table',
-        "<tr><td colspan='5' style='text-align:center;padding:32px;color:#dc3545'>Error al cargar datos</td></tr>");
-    } finally {
-      State.flags.dbLoading = false;
-    }
-  },
-
-  filter() {
-    const date = Utils.getElement('filter-date').value;
-    const user = Utils.getElement('filter-user').value;
-
-    let filtered = State.data.full;
-
-    if (date) {
-      filtered = filtered.filter(r => r.fecha === date);
-    }
-
-    if (user) {
-      filtered = filtered.filter(r => r.nombre === user);
-    }
-
-    State.data.filtered = filtered;
-    this.renderTable(filtered);
-    this.updateStats(filtered);
-  },
-
-  clearFilters() {
-    Utils.getElement('filter-date').value = '';
-    Utils.getElement('filter-user').value = '';
-    State.data.filtered = State.data.full;
-    this.renderTable(State.data.full);
-    this.updateStats(State.data.full);
-    Notification.show('Filtros limpiados', 'info');
-  },
-
-  renderTable(data) {
-    const tbody = Utils.getElement('attendance-table');
-    if (!tbody) return;
-
-    if (!data || data.length === 0) {
-      Utils.setHTML('attendance-table',
-        "<tr><td colspan='5' style='text-align:center;padding:32px;color:#6c757d'>No hay registros</td></tr>");
-      return;
-    }
-
-    const sortedData = [...data].reverse();
-    const fragment = document.createDocumentFragment();
-
-    sortedData.forEach(reg => {
-      const row = document.createElement('tr');
-      row.innerHTML = `
-        <td><strong style="color:#667eea">${reg.id || '---'}</strong></td>
-        <td><strong>${Utils.escapeHtml(reg.nombre || 'Desconocido')}</strong></td>
-        <td>${Utils.formatDate(reg.fecha) || '---'}</td>
-        <td>${Utils.formatTime(reg.hora) || '---'}</td>
-        <td><span class="badge">${Utils.escapeHtml(reg.rol || 'N/A')}</span></td>
-      `;
-      fragment.appendChild(row);
-    });
-
-    tbody.innerHTML = '';
-    tbody.appendChild(fragment);
-  },
-
-  fillUserFilter(data) {
-    const users = [...new Set(data.map(r => r.nombre))].sort();
-    const select = Utils.getElement('filter-user');
-
-    if (!select) return;
-
-    let html = '<option value="">Todos los usuarios</option>';
-    users.forEach(u => {
-      html += `<option value="${Utils.escapeHtml(u)}">${Utils.escapeHtml(u)}</option>`;
-    });
-
-    select.innerHTML = html;
-  },
-
-  updateStats(data) {
-    Utils.setContent('stat-total', data.length);
-
-    const today = new Date().toISOString().split('T')[0];
-    const todayCount = data.filter(r => r.fecha === today).length;
-    Utils.setContent('stat-today', todayCount);
-
-    const uniqueUsers = new Set(data.map(r => r.nombre)).size;
-    Utils.setContent('stat-users', uniqueUsers);
-  },
-
-  // ⭐ FUNCIÓN CORREGIDA: CSV con celdas separadas correctamente
-  exportCSV() {
-    if (State.data.full.length === 0) {
-      Notification.show('No hay datos para exportar', 'warning');
-      return;
-    }
-
-    // Crear CSV con formato correcto (sin comillas dobles innecesarias)
-   let csv = 'ID;Nombre;Fecha;Hora;Cargo\n';
-
-    State.data.full.forEach(row => {
-      // Limpiar y formatear cada campo
-      const id = (row.id || '').toString().trim();
-      const nombre = (row.nombre || '').trim();
-      const fecha = (row.fecha || '').trim();
-      const hora = (row.hora || '').trim();
-      const rol = (row.rol || '').trim();
-
-      // Solo usar comillas si el campo contiene comas o comillas
-      const formatField = (field) => {
-        if (!field) return '';
-        if (field.includes(',') || field.includes('"') || field.includes('\n')) {
-          return `"${field.replace(/"/g, '""')}"`;
-        }
-        return field;
-      };
-      // Construir línea CSV
-      csv += `${id};${formatField(nombre)};${fecha};${hora};${formatField(rol)}\n`;
-    });
-
-    // Crear y descargar archivo
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    this.downloadFile(blob, `asistencia_${this.getDateString()}.csv`);
-
-    Notification.show(`✓ CSV exportado: ${State.data.full.length} registros`, 'success');
-  },
-
-  downloadFile(blob, filename) {
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
-  },
-
-  getDateString() {
-    return new Date().toISOString().split('T')[0];
-  },
-  exportXLSX() {
-  if (State.data.filtered.length === 0) {
-    Notification.show('No hay datos para exportar', 'warning');
-    return;
-  }
-
-  // Encabezados
-  const data = [
-    ['ID', 'Nombre', 'Fecha', 'Hora', 'Cargo']
-  ];
-
-  // Filas (usa datos filtrados)
-  State.data.filtered.forEach(r => {
-    data.push([
-      r.id || '',
-      r.nombre || '',
-      r.fecha || '',
-      r.hora || '',
-      r.rol || ''
-    ]);
-  });
-
-  // Crear hoja
-  const ws = XLSX.utils.aoa_to_sheet(data);
-
-  // ⭐ Ancho de columnas
-  ws['!cols'] = [
-    { wch: 6 },   // ID
-    { wch: 35 },  // Nombre (ancha)
-    { wch: 12 },  // Fecha
-    { wch: 10 },  // Hora
-    { wch: 15 }   // Cargo
-  ];
-
-  // Congelar encabezado
-  ws['!freeze'] = { xSplit: 0, ySplit: 1 };
-
-  // Crear libro
-  const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, 'Asistencia');
-
-  // Descargar
-  XLSX.writeFile(
-    wb,
-    `asistencia_${this.getDateString()}.xlsx`
-  );
-
-  Notification.show(
-    `✓ Excel exportado (${State.data.filtered.length} registros)`,
-    'success'
-  );
-},
-
-};
-// ============================================
-// GESTIÓN DE USUARIOS
-// ============================================
-const Users = {
-  async load() {
-    if (State.flags.usersLoading) return;
-    State.flags.usersLoading = true;
-
-    const container = Utils.getElement('usersList');
-    if (!container) return;
-
-    try {
-      const { data } = await API.getUsers();
-      State.data.users = data;
-
-      if (data.length === 0) {
-        Utils.setHTML('usersList', `
-          <div style="text-align:center;padding:60px 20px;color:#6c757d">
-            <div style="font-size:4em;margin-bottom:16px">👥</div>
-            <div style="font-size:1.3em;font-weight:700;margin-bottom:8px">No hay usuarios registrados</div>
-            <div style="font-size:1em">Registra tu primer usuario en la pestaña "Nuevo Usuario"</div>
-          </div>
-        `);
-        return;
-      }
-
-      this.render(data);
-
-    } catch (error) {
-      console.error('Error:', error);
-      Utils.setHTML('usersList', `
-        <div style="text-align:center;padding:40px;color:#dc3545">
-          <div style="font-size:3em;margin-bottom:16px">✗</div>
-          <div style="font-size:1.1em;font-weight:600">Error al cargar usuarios</div>
-        </div>
-      `);
-    } finally {
-      State.flags.usersLoading = false;
-    }
-  },
-
-  render(users) {
-    users.sort((a, b) => a.id - b.id);
-
-    let html = `
-      <div style="background:linear-gradient(135deg,#e7f3ff,#d6e9ff);padding:20px;border-radius:16px;margin-bottom:24px;text-align:center;border-left:5px solid #667eea">
-        <strong style="font-size:1.2em;color:#667eea">Total: ${users.length} usuarios registrados</strong>
-      </div>
-      <div class="user-list">
-    `;
-
-    users.forEach(user => {
-      html += `
-        <div class="user-item">
-          <div class="user-info">
-            <div class="user-name">
-              <span style="background:linear-gradient(135deg,#667eea,#764ba2);color:white;padding:4px 12px;border-radius:8px;font-size:.85em;margin-right:10px;font-weight:700">ID ${user.id}</span>
-              ${Utils.escapeHtml(user.nombre)}
-            </div>
-            <div class="user-meta">${Utils.escapeHtml(user.rol)}</div>
-          </div>
-          <div class="user-actions">
-            <button class="btn btn-outline" style="padding:10px 18px;font-size:.85em" onclick="Users.edit(${user.id})">
-              Editar
-            </button>
-            <button class="btn btn-danger" style="padding:10px 18px;font-size:.85em" onclick="Users.delete(${user.id}, '${Utils.escapeHtml(user.nombre).replace(/'/g, "\\'")}')">
-              Eliminar
-            </button>
-          </div>
-        </div>
-      `;
-    });
-
-    html += "</div>";
-    Utils.setHTML('usersList', html);
-  },
-
-  edit(id) {
-    const user = State.data.users.find(u => u.id === id);
-    if (!user) return;
-
-    Utils.getElement('edit-user-id').value = user.id;
-    Utils.getElement('edit-user-name').value = user.nombre;
-    Utils.getElement('edit-user-role').value = user.rol;
-
-    Utils.getElement('editModal').classList.add('active');
-  },
-
-  closeEditModal() {
-    Utils.getElement('editModal').classList.remove('active');
-    
-    // Limpiar feedback
-    const input = Utils.getElement('edit-user-name');
-    if (input) input.style.borderColor = '';
-  },
-
-  async saveEdit() {
-    const id = Utils.getElement('edit-user-id').value;
-    const nombre = Utils.getElement('edit-user-name').value.trim();
-    const rol = Utils.getElement('edit-user-role').value;
-
-    if (!nombre || nombre.length < 3) {
-      Notification.show('El nombre debe tener al menos 3 caracteres', 'error');
-      return;
-    }
-
-    // ⭐ VERIFICAR SI EL NOMBRE YA EXISTE (excepto si es el mismo usuario)
-    const originalUser = State.data.users.find(u => u.id === parseInt(id));
-    
-    if (originalUser && originalUser.nombre.toLowerCase().trim() !== nombre.toLowerCase().trim()) {
-      try {
-        const { data } = await API.checkName(nombre);
-        
-        if (data.exists) {
-          Notification.show('❌ Este nombre ya está registrado por otro usuario', 'error');
-          const input = Utils.getElement('edit-user-name');
-          if (input) {
-            input.style.borderColor = '#dc3545';
-            input.focus();
-          }
-          return;
-        }
-      } catch (error) {
-        console.error('Error verificando nombre:', error);
-      }
-    }
-
-    try {
-      await API.editUser({ id: parseInt(id), nombre, rol });
-
-      Notification.show('✓ Usuario actualizado', 'success');
-      this.closeEditModal();
-      
-      setTimeout(() => {
-        this.load();
-        Database.load();
-      }, 800);
-
-    } catch (error) {
-      if (error.message.includes('ya está registrado')) {
-        Notification.show('❌ Este nombre ya está registrado por otro usuario', 'error');
-      } else {
-        Notification.show(`Error: ${error.message}`, 'error');
-      }
-    }
-  },
-
-  async delete(id, nombre) {
-    if (!confirm(`¿Eliminar a "${nombre}"?\n\nSe eliminará:\n✓ Huella del sensor\n✓ Usuario del sistema\n\nLos registros históricos se mantendrán.`)) {
-      return;
-    }
-
-    try {
-      await API.deleteUser(id);
-
-      Notification.show('Usuario eliminado', 'success');
-      
-      setTimeout(() => {
-        this.load();
-        Database.load();
-      }, 800);
-
-    } catch (error) {
-      Notification.show(`Error: ${error.message}`, 'error');
-    }
-  },
-
-  exportExcel() {
-    if (State.data.users.length === 0) {
-      Notification.show('No hay usuarios para exportar', 'warning');
-      return;
-    }
-
-    let html = `
-      <html xmlns:x="urn:schemas-microsoft-com:office:excel">
-      <head>
-        <meta charset="UTF-8">
-        <xml>
-          <x:ExcelWorkbook>
-            <x:ExcelWorksheets>
-              <x:ExcelWorksheet>
-                <x:Name>Usuarios</x:Name>
-                <x:WorksheetOptions><x:DisplayGridlines/></x:WorksheetOptions>
-              </x:ExcelWorksheet>
-            </x:ExcelWorksheets>
-          </x:ExcelWorkbook>
-        </xml>
-        <style>
-          table{border-collapse:collapse;width:100%}
-          th{background-color:#667eea;color:white;font-weight:bold;padding:10px;border:1px solid #ddd}
-          td{padding:8px;border:1px solid #ddd}
-          tr:nth-child(even){background-color:#f2f2f2}
-        </style>
-      </head>
-      <body>
-        <table>
-          <thead>
-            <tr><th>ID</th><th>Nombre Completo</th><th>Cargo</th><th>Estado</th></tr>
-          </thead>
-          <tbody>
-    `;
-
-    State.data.users.forEach(user => {
-      html += `<tr>
-        <td>${user.id}</td>
-        <td>${Utils.escapeHtml(user.nombre)}</td>
-        <td>${Utils.escapeHtml(user.rol)}</td>
-        <td>Activo</td>
-      </tr>`;
-    });
-
-    html += '</tbody></table></body></html>';
-
-    const blob = new Blob([html], { type: 'application/vnd.ms-excel' });
-    Database.downloadFile(blob, `usuarios_${Database.getDateString()}.xls`);
-
-    Notification.show(`Excel exportado: ${State.data.users.length} usuarios`, 'success');
-  },
-
-  exportJSON() {
-    if (State.data.users.length === 0) {
-      Notification.show('No hay usuarios para exportar', 'warning');
-      return;
-    }
-
-    const jsonData = JSON.stringify(State.data.users, null, 2);
-    const blob = new Blob([jsonData], { type: 'application/json' });
-    Database.downloadFile(blob, `usuarios_${Database.getDateString()}.json`);
-
-    Notification.show(`JSON exportado: ${State.data.users.length} usuarios`, 'success');
-  }
-};
-
-// ============================================
-// EVENT LISTENERS
-// ============================================
-function setupEventListeners() {
-  // Navegación
-  Navigation.init();
-
-  // Captura de huella
-  const captureBtn = Utils.getElement('captureBtn');
-  if (captureBtn) {
-    captureBtn.addEventListener('click', () => Fingerprint.start());
-  }
-
-  // Registro de usuario
-  const registerBtn = Utils.getElement('registerBtn');
-  if (registerBtn) {
-    registerBtn.addEventListener('click', () => Registration.register());
-  }
-
-  // ⭐ VALIDACIÓN EN TIEMPO REAL DEL NOMBRE
-  const userName = Utils.getElement('userName');
-  if (userName) {
-    userName.addEventListener('input', (e) => {
-      NameValidator.debounced(e.target.value);
-    });
-    
-    userName.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        const regBtn = Utils.getElement('registerBtn');
-        if (regBtn && regBtn.style.display !== 'none' && !regBtn.disabled) {
-          Registration.register();
-        }
-      }
-    });
-  }
-
-  // ⭐ VALIDACIÓN EN MODAL DE EDICIÓN
-  const editUserName = Utils.getElement('edit-user-name');
-  if (editUserName) {
-    editUserName.addEventListener('input', (e) => {
-      // Limpiar borde rojo al escribir
-      e.target.style.borderColor = '';
-    });
-  }
-
-  // Filtros de reportes
-  const filterDate = Utils.getElement('filter-date');
-  const filterUser = Utils.getElement('filter-user');
-  if (filterDate) filterDate.addEventListener('change', () => Database.filter());
-  if (filterUser) filterUser.addEventListener('change', () => Database.filter());
-
-  // Limpiar filtros
-  const clearBtn = Utils.getElement('clearFiltersBtn');
-  if (clearBtn) clearBtn.addEventListener('click', () => Database.clearFilters());
-
-  // Exportar CSV
-  const exportCsvBtn = Utils.getElement('exportCsvBtn');
-  if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => Database.exportCSV());
-
-  // Exportar usuarios
-  const exportExcelBtn = Utils.getElement('exportExcelBtn');
-  const exportJsonBtn = Utils.getElement('exportJsonBtn');
-  if (exportExcelBtn) exportExcelBtn.addEventListener('click', () => Users.exportExcel());
-  if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => Users.exportJSON());
-
-  // Modal de edición
-  const closeModalBtn = Utils.getElement('closeModalBtn');
-  const cancelEditBtn = Utils.getElement('cancelEditBtn');
-  const saveEditBtn = Utils.getElement('saveEditBtn');
-  
-  if (closeModalBtn) closeModalBtn.addEventListener('click', () => Users.closeEditModal());
-  if (cancelEditBtn) cancelEditBtn.addEventListener('click', () => Users.closeEditModal());
-  if (saveEditBtn) saveEditBtn.addEventListener('click', () => Users.saveEdit());
-}
-
-// ============================================
-// INICIALIZACIÓN
-// ============================================
-function init() {
-  console.log('🚀 Sistema de asistencia inicializado');
-
-  // Configurar eventos
-  setupEventListeners();
-
-  // Cargar datos iniciales
-  Database.load();
-  Fingerprint.showNextID();
-
-  // Iniciar monitoreo
-  SystemStatus.startMonitoring();
-  Attendance.startMonitoring();
-
-  // Limpiar intervalos al cerrar
-  window.addEventListener('beforeunload', () => {
-    IntervalManager.clearAll();
-  });
-
-  console.log('✅ Sistema listo');
-}
-
-// Iniciar cuando el DOM esté listo
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
+// ============================================
+// CONFIGURACIÓN OPTIMIZADA PARA ESP32
+// ============================================
+const CONFIG = {
+  API_BASE: '',
+  CAPTURE_TIMEOUT: 30000,
+  CAPTURE_INTERVAL: 1500,
+  ATTENDANCE_INTERVAL: 4000,
+  STATUS_CHECK_INTERVAL: 20000,
+  NOTIFICATION_DURATION: 3500,
+  REQUEST_TIMEOUT: 10000,
+  MAX_RETRIES: 2,
+  MAX_CONCURRENT_REQUESTS: 2,
+  ROLES: ['Estudiante', 'Profesor', 'Administrativo'],
+  FINGERS: {
+    'indice-der': 'Índice derecho', 'medio-der': 'Medio derecho', 'pulgar-der': 'Pulgar derecho',
+    'anular-der': 'Anular derecho', 'menique-der': 'Meñique derecho',
+    'indice-izq': 'Índice izquierdo', 'medio-izq': 'Medio izquierdo', 'pulgar-izq': 'Pulgar izquierdo',
+    'anular-izq': 'Anular izquierdo', 'menique-izq': 'Meñique izquierdo'
+  },
+  MAX_FINGERS: 5,
+  // Sin "estado" el usuario está activo; solo los activos marcan
+  USER_STATUS: { activo: 'Activo', inactivo: 'Inactivo', suspendido: 'Suspendido' },
+  TRASH_DAYS: 30,
+  // Foto de perfil: lado en px y calidad JPEG (cabe en FOTO_MAX del firmware)
+  PHOTO_SIZE: 160,
+  PHOTO_QUALITY: 0.8,
+  OFFLINE_DB: 'asistencia-offline',
+  SHIFT_MARGIN_MINUTES: 60,
+  EVENTS_PORT: 81,
+  EVENTS_RETRY: 15000,
+  DATABASE_PAGE_SIZE: 100,
+  ROW_HEIGHT: 46,
+  TABLE_OVERSCAN: 10,
+  SESSION_KEY: 'asistencia-sesion',
+  KIOSK_KEY: 'asistencia-kiosco',
+  KIOSK_RESULT_MS: 6000,
+  KIOSK_RECENT_INTERVAL: 60000,
+  // Zona horaria del equipo (IANA); vacía = la del navegador. Si el equipo
+  // tiene una zona configurada, se usa esa.
+  TIMEZONE: '',
+  CLOCK_DRIFT_MS: 120000
+};
+
+// ============================================
+// ESTADO GLOBAL
+// ============================================
+const State = {
+  intervals: {
+    capture: null,
+    attendance: null,
+    status: null
+  },
+  data: {
+    full: [],
+    users: [],
+    filtered: [],
+    schedules: { turnos: [], roles: {}, usuarios: {} }
+  },
+  filters: {
+    from: '',
+    to: '',
+    user: '',
+    role: '',
+    group: '',
+    q: '',
+    timeFrom: '',
+    timeTo: '',
+    sort: 'fecha',
+    dir: 'desc'
+  },
+  flags: {
+    captureActive: false,
+    dbLoading: false,
+    usersLoading: false,
+    offline: false,
+    replaying: false,
+    pushActive: false
+  },
+  requests: {
+    pending: 0,
+    queue: []
+  }
+};
+
+// ============================================
+// GESTOR DE REQUESTS (EVITA SOBRECARGA)
+// ============================================
+const RequestManager = {
+  async execute(fn) {
+    while (State.requests.pending >= CONFIG.MAX_CONCURRENT_REQUESTS) {
+      await new Promise(r => setTimeout(r, 100));
+    }
+    
+    State.requests.pending++;
+    try {
+      return await fn();
+    } finally {
+      State.requests.pending--;
+    }
+  }
+};
+
+// ============================================
+// API OPTIMIZADA CON VALIDACIÓN DE NOMBRES
+// ============================================
+const API = {
+  async request(endpoint, options = {}, retries = 0) {
+    return RequestManager.execute(async () => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+
+      try {
+        const response = await fetch(`${CONFIG.API_BASE}${endpoint}`, {
+          ...options,
+          signal: controller.signal,
+          headers: {
+            'Content-Type': 'application/json',
+            ...Auth.headers(),
+            ...options.headers
+          }
+        });
+
+        clearTimeout(timeoutId);
+        // options.binary: descarga de archivos crudos (respaldo)
+        const data = options.binary && response.ok ? await response.arrayBuffer() : await response.json();
+
+        if (response.status === 401) Auth.expired();
+
+        if (!response.ok) {
+          const httpError = new Error(t(data.message || data.error || `Error ${response.status}`));
+          httpError.status = response.status;
+          throw httpError;
+        }
+
+        return { data, status: response.status };
+
+      } catch (error) {
+        clearTimeout(timeoutId);
+
+        if (error.name === 'AbortError' && retries < CONFIG.MAX_RETRIES) {
+          console.log(`Reintento ${retries + 1}/${CONFIG.MAX_RETRIES} en ${endpoint}`);
+          await new Promise(r => setTimeout(r, 1000));
+          return this.request(endpoint, options, retries + 1);
+        }
+
+        // Sin respuesta del ESP32 (AP caído o timeout agotado)
+        if (error.name === 'AbortError' || error.name === 'TypeError') {
+          error.offline = true;
+        }
+
+        throw error;
+      }
+    });
+  },
+
+  getNextId: () => API.request('/api/next-id'),
+  getSystemStatus: () => API.request('/api/system-status'),
+  startFingerprint: () => API.request('/api/fingerprint/start'),
+  startEnrollment: (query = '') => API.request(`/api/fingerprint/enroll${query}`),
+  cancelEnrollment: () => API.request('/api/fingerprint/cancel'),
+  registerUser: (data) => API.request('/api/register', { method: 'POST', body: JSON.stringify(data) }),
+  saveFinger: (data) => API.request('/api/fingerprint/finger', { method: 'POST', body: JSON.stringify(data) }),
+  deleteFinger: (id, slot) => API.request('/api/fingerprint/finger/delete', { method: 'POST', body: JSON.stringify({ id, slot }) }),
+  checkAttendance: () => API.request('/api/attendance'),
+  getRecent: () => API.request('/api/recent'),
+  getKiosk: () => API.request('/api/kiosk'),
+  saveKioskPin: (pin) => API.request('/api/kiosk/pin', { method: 'POST', body: JSON.stringify({ pin }) }),
+  unlockKiosk: (pin) => API.request('/api/kiosk/unlock', { method: 'POST', body: JSON.stringify({ pin }) }),
+  getDatabase: (cursor = 0, limit = CONFIG.DATABASE_PAGE_SIZE) =>
+    API.request(`/api/database?cursor=${cursor}&limit=${limit}`),
+  getUsers: () => API.request('/api/users'),
+  editUser: (data) => API.request('/api/edit-user', { method: 'POST', body: JSON.stringify(data) }),
+  deleteUser: (id) => API.request('/api/delete-user', { method: 'POST', body: JSON.stringify({ id }) }),
+  getTrash: () => API.request('/api/trash'),
+  restoreUser: (id) => API.request('/api/trash/restore', { method: 'POST', body: JSON.stringify({ id }) }),
+  purgeUser: (id) => API.request('/api/trash/delete', { method: 'POST', body: JSON.stringify({ id }) }),
+  // extra: {documento, id} para saber también si el documento es de otro usuario
+  checkName: (name, extra = {}) => API.request('/api/check-name', { method: 'POST', body: JSON.stringify({ name, ...extra }) }),
+  getSchedules: () => API.request('/api/schedules'),
+  getGroups: () => API.request('/api/groups'),
+  saveGroups: (list) => API.request('/api/groups', { method: 'POST', body: JSON.stringify(list) }),
+  getFields: () => API.request('/api/fields'),
+  saveFields: (list) => API.request('/api/fields', { method: 'POST', body: JSON.stringify(list) }),
+  getPhoto: (id) => API.request(`/api/photo?id=${id}`),
+  // foto: data URL JPEG; vacía quita la foto
+  savePhoto: (id, foto) => API.request(`/api/photo?id=${id}`, {
+    method: 'POST', body: foto, headers: { 'Content-Type': 'text/plain' }
+  }),
+  saveSchedules: (data) => API.request('/api/schedules', { method: 'POST', body: JSON.stringify(data) }),
+  getCalendar: () => API.request('/api/calendar'),
+  saveCalendar: (data) => API.request('/api/calendar', { method: 'POST', body: JSON.stringify(data) }),
+  login: (usuario, password) => API.request('/api/login', { method: 'POST', body: JSON.stringify({ usuario, password }) }),
+  logout: () => API.request('/api/logout', { method: 'POST' }),
+  getAccounts: () => API.request('/api/accounts'),
+  getAudit: (cursor = 0) => API.request(`/api/audit?cursor=${cursor}`),
+  getCorrections: () => API.request('/api/corrections'),
+  saveCorrection: (data) => API.request('/api/corrections', { method: 'POST', body: JSON.stringify(data) }),
+  getPending: () => API.request('/api/pending'),
+  addPending: (usuarios) => API.request('/api/pending', { method: 'POST', body: JSON.stringify({ usuarios }) }),
+  deletePending: (pid) => API.request('/api/pending/delete', { method: 'POST', body: JSON.stringify({ pid }) }),
+  clearPending: () => API.request('/api/pending/delete', { method: 'POST', body: JSON.stringify({ todos: true }) }),
+  saveAccount: (data) => API.request('/api/accounts', { method: 'POST', body: JSON.stringify(data) }),
+  deleteAccount: (usuario) => API.request('/api/accounts/delete', { method: 'POST', body: JSON.stringify({ usuario }) }),
+  getBackupFiles: () => API.request('/api/backup/files'),
+  downloadBackupFile: (name, offset) =>
+    API.request(`/api/backup/file?name=${encodeURIComponent(name)}&offset=${offset}`, { binary: true }),
+  uploadBackupFile: (name, offset, chunk) =>
+    API.request(`/api/backup/file?name=${encodeURIComponent(name)}&offset=${offset}`, {
+      method: 'POST', body: chunk, headers: { 'Content-Type': 'text/plain' }
+    }),
+  commitBackup: (archivos) => API.request('/api/backup/commit', { method: 'POST', body: JSON.stringify({ archivos }) }),
+  getTemplate: (slot) => API.request(`/api/backup/template?slot=${slot}`),
+  restoreTemplate: (template) => API.request('/api/backup/template', { method: 'POST', body: JSON.stringify(template) }),
+  getSettings: () => API.request('/api/settings'),
+  saveSettings: (data) => API.request('/api/settings', { method: 'POST', body: JSON.stringify(data) }),
+  syncClock: (fecha, hora) => API.request('/api/clock', { method: 'POST', body: JSON.stringify({ fecha, hora }) }),
+  getSensor: () => API.request('/api/sensor'),
+  purgeSensor: (slots) => API.request('/api/sensor/purge', { method: 'POST', body: JSON.stringify({ slots }) }),
+  flagReenroll: (ids) => API.request('/api/sensor/reenroll', { method: 'POST', body: JSON.stringify({ ids }) })
+};
+
+// ============================================
+// AUTENTICACIÓN Y ROLES
+// ============================================
+const Auth = {
+  LEVELS: { operador: 1, supervisor: 2, admin: 3 },
+  // Nivel mínimo para ver cada pestaña
+  TABS: { asistencia: 1, reportes: 2, registro: 3, usuarios: 3, horarios: 3, auditoria: 3, respaldo: 3, configuracion: 3 },
+  session: null,
+  onLogin: null,
+
+  // La sesión vive en sessionStorage: se conserva al recargar y se pierde al cerrar la pestaña
+  init(onLogin) {
+    this.onLogin = onLogin;
+
+    try {
+      this.session = JSON.parse(sessionStorage.getItem(CONFIG.SESSION_KEY));
+    } catch (error) {
+      this.session = null;
+    }
+
+    if (this.session) {
+      this.applyRole();
+      onLogin();
+    } else {
+      this.showLogin();
+    }
+  },
+
+  level() {
+    return this.session ? (this.LEVELS[this.session.rol] || 0) : 0;
+  },
+
+  can(rol) {
+    return this.level() >= this.LEVELS[rol];
+  },
+
+  canView(tab) {
+    return this.level() >= (this.TABS[tab] || this.LEVELS.admin);
+  },
+
+  headers() {
+    return this.session ? { Authorization: `Bearer ${this.session.token}` } : {};
+  },
+
+  async login() {
+    const usuario = Utils.getElement('login-user').value.trim();
+    const password = Utils.getElement('login-password').value;
+
+    if (!usuario || !password) {
+      Notification.show(t('Ingrese usuario y contraseña'), 'warning');
+      return;
+    }
+
+    const btn = Utils.getElement('loginBtn');
+    btn.disabled = true;
+
+    try {
+      const { data } = await API.login(usuario, password);
+      this.session = { token: data.token, usuario: data.usuario, rol: data.rol };
+      sessionStorage.setItem(CONFIG.SESSION_KEY, JSON.stringify(this.session));
+
+      Utils.getElement('login-password').value = '';
+      this.hideLogin();
+      this.applyRole();
+
+      if (data.porDefecto) {
+        Notification.show(`⚠️ ${t('Está usando la contraseña por defecto: cámbiela en Usuarios')}`, 'warning');
+      } else {
+        Notification.show(`✓ ${t('Bienvenido, {usuario}', { usuario: data.usuario })}`, 'success');
+      }
+
+      if (this.onLogin) this.onLogin();
+      EventStream.connect();
+    } catch (error) {
+      Notification.show(`❌ ${error.offline ? t('Sin conexión con el ESP32') : error.message}`, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  },
+
+  async logout() {
+    try {
+      await API.logout();
+    } catch (error) {
+      // La sesión se descarta en el navegador aunque el ESP32 no responda
+    }
+    this.clear();
+    this.showLogin();
+  },
+
+  // Respuesta 401: el token venció o el ESP32 se reinició
+  expired() {
+    if (!this.session) return;
+    this.clear();
+    this.showLogin();
+    Notification.show(t('Sesión expirada, inicie sesión de nuevo'), 'warning');
+  },
+
+  clear() {
+    this.session = null;
+    sessionStorage.removeItem(CONFIG.SESSION_KEY);
+    EventStream.fallback();
+    OfflineStore.clearCache().catch(error => console.error('Error borrando caché:', error));
+    Database.raw = [];
+    Database.end = 0;
+    State.data.full = [];
+    State.data.users = [];
+    Groups.list = [];
+    Groups.loaded = false;
+  },
+
+  showLogin() {
+    const modal = Utils.getElement('loginModal');
+    if (modal) modal.classList.add('active');
+
+    const input = Utils.getElement('login-user');
+    if (input) input.focus();
+  },
+
+  hideLogin() {
+    const modal = Utils.getElement('loginModal');
+    if (modal) modal.classList.remove('active');
+  },
+
+  // Oculta las pestañas sin permiso y sale de la actual si no corresponde al rol
+  applyRole() {
+    document.querySelectorAll('.nav-btn').forEach(btn => {
+      btn.style.display = this.canView(btn.dataset.tab) ? '' : 'none';
+    });
+
+    Utils.setContent('session-user', `${this.session.usuario} · ${t(this.session.rol)}`);
+
+    const active = document.querySelector('.section.active');
+    if (active && !this.canView(active.id)) Navigation.switchTab('asistencia');
+  }
+};
+
+// ============================================
+// UTILIDADES
+// ============================================
+const Utils = {
+  formatTime(time) {
+    return time || '---';
+  },
+
+  // Horas decimales → 'HH:MM'
+  formatHours(hours) {
+    if (hours === null || hours === undefined) return '---';
+    const totalMinutes = Math.round(hours * 60);
+    const h = Math.floor(totalMinutes / 60);
+    const m = totalMinutes % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+  },
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  },
+
+  debounce(func, wait) {
+    let timeout;
+    return function(...args) {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+  },
+
+  getElement(id) {
+    return document.getElementById(id);
+  },
+
+  setContent(id, content) {
+    const el = this.getElement(id);
+    if (el) el.textContent = content;
+  },
+
+  setHTML(id, html) {
+    const el = this.getElement(id);
+    if (el) el.innerHTML = html;
+  }
+};
+
+// ============================================
+// FECHAS Y HORAS
+// El equipo guarda fechas de calendario ('YYYY-MM-DD') y horas de reloj
+// ('HH:MM:SS') sin zona: son la hora local de la institución. Aquí se
+// tratan como calendario puro (las cuentas de días se hacen en UTC para
+// que ni la zona del navegador ni los cambios de horario las muevan) y
+// "ahora" se calcula en la zona del equipo (CONFIG.TIMEZONE).
+// ============================================
+const Dates = {
+  DAY_MS: 86400000,
+  // Día 0 de las fechas de Excel
+  EXCEL_EPOCH: Date.UTC(1899, 11, 30),
+  formatter: null,
+
+  // Zona IANA (p. ej. 'America/Lima'); vacía = la del navegador.
+  // Devuelve true si la zona cambió.
+  setZone(zone) {
+    const value = zone || '';
+    if (value && !this.validZone(value)) {
+      console.warn(`Zona horaria inválida: ${value}`);
+      return false;
+    }
+    if (value === CONFIG.TIMEZONE) return false;
+
+    CONFIG.TIMEZONE = value;
+    this.formatter = null;
+    return true;
+  },
+
+  validZone(zone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  // Fecha y hora actuales en la zona del equipo, como un Date cuyos campos
+  // locales (getDate, getHours...) son los de esa zona
+  now() {
+    const date = new Date();
+    if (!CONFIG.TIMEZONE) return date;
+
+    if (!this.formatter) {
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: CONFIG.TIMEZONE, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+      });
+    }
+
+    const p = {};
+    this.formatter.formatToParts(date).forEach(part => { p[part.type] = parseInt(part.value, 10); });
+    return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  },
+
+  today() {
+    return this.dateKey(this.now());
+  },
+
+  // Date → 'HH:MM:SS' con sus campos locales
+  clock(date = this.now()) {
+    return [date.getHours(), date.getMinutes(), date.getSeconds()].map(n => String(n).padStart(2, '0')).join(':');
+  },
+
+  // Date → 'YYYY-MM-DD' con sus campos locales
+  dateKey(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  },
+
+  isDateKey(fecha) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(fecha || '');
+  },
+
+  // 'YYYY-MM-DD' → milisegundos de su medianoche UTC
+  utc(fecha) {
+    const [y, m, d] = fecha.split('-').map(n => parseInt(n, 10));
+    return Date.UTC(y, m - 1, d);
+  },
+
+  fromUTC(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+  },
+
+  addDays(fecha, days) {
+    return this.fromUTC(this.utc(fecha) + days * this.DAY_MS);
+  },
+
+  // 0 = domingo … 6 = sábado
+  weekday(fecha) {
+    return new Date(this.utc(fecha)).getUTCDay();
+  },
+
+  // ['desde', ..., 'hasta'] día por día
+  range(desde, hasta) {
+    const days = [];
+    for (let fecha = desde; fecha <= hasta; fecha = this.addDays(fecha, 1)) days.push(fecha);
+    return days;
+  },
+
+  // 'YYYY-MM' → ['YYYY-MM-01', ..., 'YYYY-MM-31']
+  monthDays(month) {
+    const [y, m] = month.split('-').map(n => parseInt(n, 10));
+    const total = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return Array.from({ length: total }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+  },
+
+  shiftMonth(month, delta) {
+    const [y, m] = month.split('-').map(n => parseInt(n, 10));
+    return this.fromUTC(Date.UTC(y, m - 1 + delta, 1)).slice(0, 7);
+  },
+
+  // 'YYYY-MM-DD' en el idioma del panel, sin cambiar de día por la zona
+  formatDate(fecha, options = { year: 'numeric', month: '2-digit', day: '2-digit' }) {
+    if (!this.isDateKey(fecha)) return '';
+    return new Date(this.utc(fecha)).toLocaleDateString(I18n.locale(), { ...options, timeZone: 'UTC' });
+  },
+
+  formatMonth(month) {
+    const label = this.formatDate(`${month}-01`, { month: 'long', year: 'numeric' });
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  },
+
+  // Instante (ms o ISO) → fecha y hora en la zona del equipo
+  formatInstant(value) {
+    const options = CONFIG.TIMEZONE ? { timeZone: CONFIG.TIMEZONE } : {};
+    return new Date(value).toLocaleString(I18n.locale(), options);
+  },
+
+  // 'HH:MM:SS' → segundos desde medianoche
+  timeToSeconds(time) {
+    const [h = 0, m = 0, s = 0] = (time || '').split(':').map(n => parseInt(n, 10) || 0);
+    return h * 3600 + m * 60 + s;
+  },
+
+  // Celdas de Excel: días desde 1899-12-30 y fracción del día
+  excelDate(fecha) {
+    return this.isDateKey(fecha) ? (this.utc(fecha) - this.EXCEL_EPOCH) / this.DAY_MS : '';
+  },
+
+  excelTime(hora) {
+    return hora ? this.timeToSeconds(hora) / 86400 : '';
+  }
+};
+
+// ============================================
+// NOTIFICACIONES
+// ============================================
+const Notification = {
+  show(message, type = 'info') {
+    const box = Utils.getElement('notification');
+    const text = Utils.getElement('notification-message');
+
+    if (!box || !text) return;
+
+    text.textContent = message;
+    box.style.borderLeftColor = this.getColor(type);
+    box.classList.add('show');
+
+    setTimeout(() => {
+      box.classList.remove('show');
+    }, CONFIG.NOTIFICATION_DURATION);
+  },
+
+  getColor(type) {
+    const colors = {
+      success: '#28a745',
+      error: '#dc3545',
+      warning: '#ffc107',
+      info: '#667eea'
+    };
+    return colors[type] || colors.info;
+  }
+};
+
+// ============================================
+// GESTOR DE INTERVALOS
+// ============================================
+const IntervalManager = {
+  clear(name) {
+    if (State.intervals[name]) {
+      clearInterval(State.intervals[name]);
+      State.intervals[name] = null;
+    }
+  },
+
+  clearAll() {
+    Object.keys(State.intervals).forEach(key => this.clear(key));
+  },
+
+  set(name, callback, interval) {
+    this.clear(name);
+    State.intervals[name] = setInterval(callback, interval);
+  }
+};
+
+// ============================================
+// NAVEGACIÓN
+// ============================================
+const Navigation = {
+  init() {
+    document.querySelectorAll('.nav-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const tab = e.target.dataset.tab;
+        if (tab) this.switchTab(tab);
+      });
+    });
+  },
+
+  switchTab(tabName) {
+    if (!Auth.canView(tabName)) return;
+
+    document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
+    document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
+
+    const section = Utils.getElement(tabName);
+    if (section) section.classList.add('active');
+
+    const btn = document.querySelector(`[data-tab="${tabName}"]`);
+    if (btn) btn.classList.add('active');
+
+    if (tabName === 'reportes') {
+      Filters.toHash();
+    } else {
+      history.replaceState(null, '', `#${tabName}`);
+    }
+
+    const actions = {
+      usuarios: () => {
+        Users.load();
+        Trash.load();
+        Groups.load();
+        Profile.load();
+        Accounts.load();
+        Kiosk.loadPin();
+      },
+      reportes: () => Database.load(),
+      registro: () => {
+        Fingerprint.showNextID();
+        Groups.load();
+        Profile.load();
+        Pending.load();
+      },
+      horarios: () => {
+        Schedules.open();
+        WorkCalendar.open();
+      },
+      auditoria: () => Audit.load(),
+      respaldo: () => Backup.load(),
+      configuracion: () => {
+        Settings.load();
+        Sensor.load();
+      }
+    };
+
+    if (actions[tabName]) actions[tabName]();
+  }
+};
+
+// ============================================
+// ESTADO DEL SISTEMA
+// ============================================
+const SystemStatus = {
+  // Última hora informada por el equipo y cuándo llegó
+  device: null,
+
+  async check() {
+    try {
+      const { data } = await API.getSystemStatus();
+      this.apply(data);
+    } catch (error) {
+      if (error.offline) Offline.markOffline();
+      this.updatePill('esp32', 'error', t('Sin conexión'));
+      this.updatePill('sensor', 'error', '---');
+      this.updatePill('rtc', 'error', '---');
+    }
+  },
+
+  apply(data) {
+    Offline.markOnline();
+    Offline.replay();
+
+    this.updatePill('esp32', data.esp32 ? 'success' : 'error',
+      data.esp32 ? t('Conectado') : t('Desconectado'));
+
+    this.updatePill('sensor', data.sensor ? 'success' : 'error',
+      data.sensor ? 'OK' : t('Error'));
+
+    // La zona del equipo manda sobre la del navegador: con otra zona cambia "hoy"
+    if (data.zona && Dates.setZone(data.zona) && State.data.full.length) Database.refresh();
+
+    const drift = this.drift(data.datetime);
+    if (!data.rtc) {
+      this.updatePill('rtc', 'warning', t('Sin RTC'));
+    } else if (drift !== null && Math.abs(drift) > CONFIG.CLOCK_DRIFT_MS) {
+      this.updatePill('rtc', 'warning', t('Hora desfasada'));
+    } else {
+      this.updatePill('rtc', 'success', 'OK');
+    }
+
+    const rtcPill = Utils.getElement('status-rtc');
+    if (rtcPill) rtcPill.title = data.datetime ? t('Hora del equipo: {hora}', { hora: data.datetime }) : '';
+
+    const espPill = Utils.getElement('status-esp32');
+    if (espPill) espPill.title = data.nombre || '';
+
+    if (Settings.active()) Settings.renderClock();
+  },
+
+  // Diferencia en ms entre el reloj del equipo y el del navegador (null si no informó hora)
+  drift(datetime) {
+    const match = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(datetime || '');
+    if (!match) {
+      this.device = null;
+      return null;
+    }
+
+    const [, y, mo, d, h, mi, s] = match.map(Number);
+    this.device = { time: new Date(y, mo - 1, d, h, mi, s).getTime(), at: Dates.now().getTime() };
+    return this.device.time - this.device.at;
+  },
+
+  updatePill(device, status, text) {
+    const pill = Utils.getElement(`status-${device}`);
+    const statusText = Utils.getElement(`${device}-status`);
+
+    if (!pill || !statusText) return;
+
+    pill.className = `pill ${status}`;
+    statusText.textContent = text;
+  },
+
+  startMonitoring() {
+    this.check();
+    IntervalManager.set('status', () => this.check(), CONFIG.STATUS_CHECK_INTERVAL);
+  }
+};
+
+
+// ============================================
+// CANAL DE EVENTOS (SSE) CON RESPALDO POR SONDEO
+// ============================================
+const EventStream = {
+  source: null,
+  retryTimer: null,
+
+  // EventSource no admite encabezados: el token de la sesión va en la URL.
+  // El kiosco no tiene sesión y se suscribe solo a las marcaciones
+  url() {
+    const query = Auth.session ? `token=${encodeURIComponent(Auth.session.token)}` : 'kiosco=1';
+    return `http://${window.location.hostname}:${CONFIG.EVENTS_PORT}/events?${query}`;
+  },
+
+  connect() {
+    // El simulador no tiene canal de eventos: el panel queda en sondeo.
+    // Sin sesión tampoco, salvo el kiosco: el ESP32 rechaza el canal con 401
+    if (!window.EventSource || this.source || Simulator.active || !(Auth.session || Kiosk.active)) return;
+
+    clearTimeout(this.retryTimer);
+    this.source = new EventSource(this.url());
+
+    this.source.onopen = () => {
+      State.flags.pushActive = true;
+      IntervalManager.clear('attendance');
+      IntervalManager.clear('status');
+      console.log('📡 Canal de eventos conectado');
+    };
+
+    this.source.onerror = () => this.fallback();
+
+    this.source.addEventListener('punch', (e) => {
+      const { status, data } = JSON.parse(e.data);
+      Attendance.handleResult(status, data);
+    });
+
+    this.source.addEventListener('capture', (e) => {
+      const { status, data } = JSON.parse(e.data);
+      Fingerprint.handleStep(status, data);
+    });
+
+    this.source.addEventListener('status', (e) => {
+      SystemStatus.apply(JSON.parse(e.data));
+    });
+  },
+
+  // Vuelve al sondeo mientras el canal no esté disponible
+  fallback() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+
+    const wasActive = State.flags.pushActive;
+    State.flags.pushActive = false;
+
+    if (wasActive) console.log('📡 Canal de eventos caído, usando sondeo');
+    if (!State.intervals.status) SystemStatus.startMonitoring();
+    if (!State.flags.captureActive) Attendance.startMonitoring();
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.connect(), CONFIG.EVENTS_RETRY);
+  },
+
+  close() {
+    clearTimeout(this.retryTimer);
+    if (this.source) this.source.close();
+    this.source = null;
+    State.flags.pushActive = false;
+  }
+};
+
+// ============================================
+// ALMACÉN LOCAL (INDEXEDDB)
+// ============================================
+const OfflineStore = {
+  db: null,
+
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(CONFIG.OFFLINE_DB, 1);
+
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('cache')) {
+          db.createObjectStore('cache', { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains('queue')) {
+          db.createObjectStore('queue', { keyPath: 'qid', autoIncrement: true });
+        }
+      };
+
+      req.onsuccess = () => {
+        this.db = req.result;
+        resolve(this.db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  async run(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+
+  put(key, data) {
+    return this.run('cache', 'readwrite', store => store.put({ key, data, syncedAt: Date.now() }));
+  },
+
+  get(key) {
+    return this.run('cache', 'readonly', store => store.get(key));
+  },
+
+  enqueue(action) {
+    return this.run('queue', 'readwrite', store => store.add({ ...action, createdAt: Date.now() }));
+  },
+
+  updateQueued(entry) {
+    return this.run('queue', 'readwrite', store => store.put(entry));
+  },
+
+  getQueue() {
+    return this.run('queue', 'readonly', store => store.getAll());
+  },
+
+  // Al cerrar sesión: la copia de usuarios y marcaciones no debe quedar legible sin login.
+  // La cola se conserva para no perder cambios sin sincronizar
+  clearCache() {
+    return this.run('cache', 'readwrite', store => store.clear());
+  },
+
+  dequeue(qid) {
+    return this.run('queue', 'readwrite', store => store.delete(qid));
+  }
+};
+
+// ============================================
+// MODO SIN CONEXIÓN Y SINCRONIZACIÓN
+// ============================================
+const Offline = {
+  // Ejecuta la petición y guarda la respuesta; si el ESP32 no responde
+  // devuelve la última copia guardada y muestra el aviso de datos sin conexión
+  async fetch(key, requestFn) {
+    try {
+      const { data } = await requestFn();
+      OfflineStore.put(key, data).catch(error => console.error('Error guardando caché:', error));
+      this.markOnline();
+      return data;
+    } catch (error) {
+      if (!error.offline) throw error;
+
+      const cached = await OfflineStore.get(key).catch(() => null);
+      if (!cached) throw error;
+
+      this.markOffline(cached.syncedAt);
+      return cached.data;
+    }
+  },
+
+  // Guarda una acción administrativa para repetirla al reconectar.
+  // Queda a nombre de la cuenta que la hizo: solo esa la repite sin preguntar
+  async queue(type, payload, base) {
+    await OfflineStore.enqueue({ type, payload, base, usuario: Auth.session ? Auth.session.usuario : '' });
+    await this.updateBanner();
+    Notification.show(t('Sin conexión: el cambio se aplicará al reconectar'), 'warning');
+  },
+
+  markOffline(syncedAt) {
+    State.flags.offline = true;
+    this.updateBanner(syncedAt);
+  },
+
+  markOnline() {
+    if (!State.flags.offline) return;
+    State.flags.offline = false;
+    this.updateBanner();
+  },
+
+  async updateBanner(syncedAt) {
+    const banner = Utils.getElement('offline-banner');
+    if (!banner) return;
+
+    const queue = await OfflineStore.getQueue().catch(() => []);
+    const pending = queue.filter(a => !a.conflict).length;
+    const conflicts = queue.length - pending;
+
+    if (!State.flags.offline && queue.length === 0) {
+      banner.classList.remove('show');
+      return;
+    }
+
+    let html = '';
+    if (State.flags.offline) {
+      html += `⚠️ <strong>${t('Datos sin conexión')}</strong>`;
+      if (syncedAt) html += ` · ${t('Última sincronización: {fecha}', { fecha: Dates.formatInstant(syncedAt) })}`;
+    }
+    if (pending > 0) {
+      html += `${html ? ' · ' : ''}${t('{n} cambio(s) en cola', { n: pending })}`;
+    }
+    if (conflicts > 0) {
+      html += `${html ? ' · ' : ''}<a href="#" onclick="Offline.showConflicts();return false">${t('{n} conflicto(s)', { n: conflicts })}</a>`;
+    }
+
+    banner.innerHTML = html;
+    banner.classList.add('show');
+  },
+
+  // Repite las acciones en cola. Si el usuario cambió en el dispositivo
+  // desde que se encoló la acción, se marca como conflicto en vez de aplicarla.
+  async replay() {
+    // Los cambios en cola son de un administrador: esperan a que inicie sesión
+    if (State.flags.replaying || !Auth.can('admin')) return;
+    State.flags.replaying = true;
+
+    try {
+      const queue = (await OfflineStore.getQueue()).filter(a => !a.conflict);
+      if (queue.length === 0) return;
+
+      const { data: serverUsers } = await API.getUsers();
+      let applied = 0;
+      let conflicts = 0;
+
+      for (const entry of queue) {
+        const current = serverUsers.find(u => u.id === entry.payload.id) || null;
+
+        // Cambio de otra cuenta: aplicarlo lo firmaría quien inició sesión ahora
+        if (entry.usuario !== Auth.session.usuario) {
+          entry.conflict = { current, owner: true };
+          await OfflineStore.updateQueued(entry);
+          conflicts++;
+          continue;
+        }
+
+        if (this.hasConflict(entry, current)) {
+          entry.conflict = { current };
+          await OfflineStore.updateQueued(entry);
+          conflicts++;
+          continue;
+        }
+
+        try {
+          await this.apply(entry);
+          await OfflineStore.dequeue(entry.qid);
+          applied++;
+
+          // Mantener la copia local al día para las acciones siguientes
+          if (entry.type === 'edit-user') Object.assign(current, entry.payload);
+          else serverUsers.splice(serverUsers.indexOf(current), 1);
+        } catch (error) {
+          if (error.offline) break;
+          entry.conflict = { current, error: error.message };
+          await OfflineStore.updateQueued(entry);
+          conflicts++;
+        }
+      }
+
+      if (applied > 0) {
+        Notification.show(`✓ ${t('{n} cambio(s) sincronizado(s)', { n: applied })}`, 'success');
+        Users.load();
+        Database.load(true);
+      }
+
+      if (conflicts > 0) {
+        Notification.show(t('{n} cambio(s) en conflicto requieren revisión', { n: conflicts }), 'warning');
+        this.showConflicts();
+      }
+    } catch (error) {
+      console.error('Error sincronizando cola:', error);
+    } finally {
+      State.flags.replaying = false;
+      this.updateBanner();
+    }
+  },
+
+  // Valor comparable de un campo: lo que falta en la línea equivale a vacío
+  normalize(key, value) {
+    if (key === 'estado') return value || 'activo';
+    if (key === 'grupos') return [...(value || [])].sort((a, b) => a - b);
+    if (key === 'campos') {
+      const campos = {};
+      Object.keys(value || {}).sort().forEach(k => {
+        if (String(value[k]).trim()) campos[k] = String(value[k]).trim();
+      });
+      return campos;
+    }
+    return value === undefined || value === null ? '' : value;
+  },
+
+  // Copia de los campos que enviará la acción, tal como estaban al encolarla
+  snapshot(user, keys) {
+    const base = {};
+    keys.forEach(key => { base[key] = this.normalize(key, user[key]); });
+    return base;
+  },
+
+  differs(key, a, b) {
+    return JSON.stringify(this.normalize(key, a)) !== JSON.stringify(this.normalize(key, b));
+  },
+
+  // Campos que cambiaron en el dispositivo desde que se encoló la acción
+  changedFields(entry, current) {
+    return Object.keys(entry.base).filter(key => this.differs(key, current[key], entry.base[key]));
+  },
+
+  hasConflict(entry, current) {
+    if (!current) return true;
+    return this.changedFields(entry, current).length > 0;
+  },
+
+  fieldValue(key, value) {
+    const text = Audit.value(key, this.normalize(key, value));
+    return `${t(Audit.FIELDS[key] || key)}: "${text}"`;
+  },
+
+  apply(entry) {
+    const actions = {
+      'edit-user': () => API.editUser(entry.payload),
+      'delete-user': () => API.deleteUser(entry.payload.id)
+    };
+    return actions[entry.type]();
+  },
+
+  describe(entry) {
+    const { payload, base } = entry;
+    if (entry.type === 'edit-user') {
+      const changes = Object.keys(base)
+        .filter(key => this.differs(key, payload[key], base[key]))
+        .map(key => `${this.fieldValue(key, base[key])} → "${Audit.value(key, this.normalize(key, payload[key]))}"`);
+      return `${t('Editar')} ID ${payload.id} "${base.nombre}"${changes.length ? `: ${changes.join(', ')}` : ''}`;
+    }
+    return `${t('Eliminar')} ID ${payload.id}: "${base.nombre}"`;
+  },
+
+  async showConflicts() {
+    const queue = (await OfflineStore.getQueue()).filter(a => a.conflict);
+
+    if (queue.length === 0) {
+      Utils.getElement('conflictModal').classList.remove('active');
+      return;
+    }
+
+    let html = '<div class="user-list">';
+    queue.forEach(entry => {
+      const current = entry.conflict.current;
+      let detail = '';
+      if (entry.conflict.error) {
+        detail = entry.conflict.error;
+      } else if (!current) {
+        detail = t('El usuario ya no existe en el dispositivo');
+      } else {
+        const changed = this.changedFields(entry, current);
+        if (changed.length) detail = `${t('En el dispositivo ahora:')} ${changed.map(key => this.fieldValue(key, current[key])).join(', ')}`;
+      }
+      if (entry.conflict.owner) {
+        const owner = entry.usuario ? t('Encolado por la cuenta {usuario}', { usuario: entry.usuario }) : t('Encolado por otra cuenta');
+        detail = detail ? `${owner} · ${detail}` : owner;
+      }
+
+      html += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">${Utils.escapeHtml(this.describe(entry))}</div>
+            <div class="user-meta">${Utils.escapeHtml(detail)}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-primary" style="padding:10px 18px;font-size:.85em" onclick="Offline.resolve(${entry.qid}, true)">${t('Aplicar')}</button>
+            <button class="btn btn-secondary" style="padding:10px 18px;font-size:.85em" onclick="Offline.resolve(${entry.qid}, false)">${t('Descartar')}</button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+
+    Utils.setHTML('conflictsList', html);
+    Utils.getElement('conflictModal').classList.add('active');
+  },
+
+  async resolve(qid, apply) {
+    const entry = (await OfflineStore.getQueue()).find(a => a.qid === qid);
+    if (!entry) return;
+
+    if (apply) {
+      try {
+        await this.apply(entry);
+        Notification.show(`✓ ${t('Cambio aplicado')}`, 'success');
+        Users.load();
+        Database.load(true);
+      } catch (error) {
+        Notification.show(`Error: ${error.message}`, 'error');
+        return;
+      }
+    }
+
+    await OfflineStore.dequeue(qid);
+    this.showConflicts();
+    this.updateBanner();
+  }
+};
+
+// ============================================
+// VALIDACIÓN DE NOMBRE Y DOCUMENTO EN TIEMPO REAL
+// El nombre puede repetirse si hay documento (que los distingue);
+// el documento nunca.
+// ============================================
+const NameValidator = {
+  timeout: null,
+  lastChecked: '',
+
+  // Un nombre repetido solo se admite si ambos usuarios tienen documento
+  conflictMessage(documento) {
+    return documento
+      ? 'Ya hay un usuario con este nombre y sin documento: asígnele uno para distinguirlos'
+      : 'Este nombre ya está registrado: ingrese el documento para distinguirlos';
+  },
+  
+  async check() {
+    const input = Utils.getElement('userName');
+    const feedback = Utils.getElement('name-feedback');
+    const docInput = Utils.getElement('userDocument');
+    const docFeedback = Utils.getElement('document-feedback');
+    
+    if (!input || !feedback) return;
+
+    const name = input.value.trim();
+    const documento = docInput ? docInput.value.trim() : '';
+    
+    // Resetear estilos
+    this.mark(input, feedback, '', '');
+    if (docInput && docFeedback) this.mark(docInput, docFeedback, '', '');
+    
+    // Validación mínima
+    if (name.length < 3 && !documento) {
+      if (name.length > 0) this.mark(input, feedback, t('Mínimo 3 caracteres'), 'warning');
+      this.lastChecked = '';
+      return;
+    }
+    
+    // No verificar si ya se chequeó este nombre con este documento
+    const key = `${name}|${documento}`;
+    if (key === this.lastChecked) return;
+    this.lastChecked = key;
+    
+    // Mostrar verificando
+    this.mark(input, feedback, t('Verificando...'), 'info');
+    
+    try {
+      const { data } = await API.checkName(name, { documento });
+      let blocked = false;
+
+      if (name.length < 3) {
+        this.mark(input, feedback, t('Mínimo 3 caracteres'), 'warning');
+      } else if (data.conflicto) {
+        this.mark(input, feedback, `❌ ${t(this.conflictMessage(documento))}`, 'error');
+        blocked = true;
+      } else if (data.exists) {
+        this.mark(input, feedback, `⚠️ ${t('Ya hay un usuario con este nombre; el documento los distingue')}`, 'warning');
+      } else {
+        this.mark(input, feedback, `✓ ${t('Nombre disponible')}`, 'success');
+      }
+
+      if (documento && docInput && docFeedback) {
+        if (data.documentoExiste) {
+          this.mark(docInput, docFeedback, `❌ ${t('Este documento ya está registrado')}`, 'error');
+          blocked = true;
+        } else {
+          this.mark(docInput, docFeedback, `✓ ${t('Documento disponible')}`, 'success');
+        }
+      }
+
+      // Deshabilitar o habilitar el botón de registro
+      const registerBtn = Utils.getElement('registerBtn');
+      if (registerBtn) {
+        registerBtn.disabled = blocked;
+        registerBtn.title = blocked ? t('Este nombre o documento ya existe') : '';
+      }
+    } catch (error) {
+      console.error('Error verificando nombre:', error);
+      this.mark(input, feedback, '', '');
+    }
+  },
+
+  // type: '', 'info', 'success', 'warning' o 'error'
+  mark(input, feedback, text, type) {
+    const colors = { success: '#28a745', warning: '#ffc107', error: '#dc3545' };
+    input.style.borderColor = colors[type] || '';
+    feedback.textContent = text;
+    feedback.className = type ? `input-feedback ${type}` : 'input-feedback';
+  },
+  
+  debounced() {
+    clearTimeout(this.timeout);
+    this.timeout = setTimeout(() => this.check(), 500);
+  },
+  
+  reset() {
+    this.lastChecked = '';
+    [['userName', 'name-feedback'], ['userDocument', 'document-feedback']].forEach(([inputId, feedbackId]) => {
+      const input = Utils.getElement(inputId);
+      const feedback = Utils.getElement(feedbackId);
+      if (input && feedback) this.mark(input, feedback, '', '');
+    });
+
+    const registerBtn = Utils.getElement('registerBtn');
+    if (registerBtn) {
+      registerBtn.disabled = false;
+      registerBtn.title = '';
+    }
+  }
+};
+
+// ============================================
+// CAPTURA DE HUELLA
+// ============================================
+// ============================================
+// CAPTURA DE HUELLA CON DETECCIÓN DE DUPLICADOS
+// ============================================
+const Fingerprint = {
+  state: {
+    attempts: 0,
+    maxAttempts: Math.floor(CONFIG.CAPTURE_TIMEOUT / CONFIG.CAPTURE_INTERVAL)
+  },
+  // Captura para un usuario existente ({id, slot, dedo}, ver Fingers); null es un usuario nuevo
+  target: null,
+
+  // Parámetros con los que el ESP32 sabe a quién va la captura
+  query() {
+    return this.target ? `?usuario=${this.target.id}&slot=${this.target.slot}` : '';
+  },
+
+  async showNextID() {
+    try {
+      const { data } = await API.getNextId();
+      const input = Utils.getElement('fingerprintId');
+      if (input) {
+        input.placeholder = t('Siguiente ID: {id}', { id: data.nextId });
+      }
+    } catch (error) {
+      console.error('Error obteniendo siguiente ID:', error);
+    }
+  },
+
+  async start(target = null) {
+    if (State.flags.captureActive) {
+      Notification.show(t('Ya hay una captura en proceso'), 'warning');
+      return;
+    }
+
+    IntervalManager.clear('attendance');
+    State.flags.captureActive = true;
+    this.target = target;
+
+    if (!target) {
+      try {
+        const { data: idData } = await API.getNextId();
+        const nextID = idData.nextId;
+        Utils.getElement('fingerprintId').value = nextID;
+        Notification.show(t('Siguiente ID disponible: {id}', { id: nextID }), 'info');
+      } catch (error) {
+        console.error('Error obteniendo siguiente ID:', error);
+      }
+    }
+
+    this.updateUI(t('Iniciando captura...'), false, true);
+    this.state.attempts = 0;
+
+    if (State.flags.pushActive) {
+      try {
+        await API.startEnrollment(this.query());
+      } catch (error) {
+        console.error('Error iniciando enrolamiento por eventos:', error);
+        EventStream.fallback();
+      }
+    }
+
+    IntervalManager.set('capture', () => this.captureStep(), CONFIG.CAPTURE_INTERVAL);
+  },
+
+  async captureStep() {
+    this.state.attempts++;
+
+    if (this.state.attempts > this.state.maxAttempts) {
+      this.stop(t('Tiempo agotado. Intente nuevamente.'));
+      this.target = null;
+      Notification.show(t('Tiempo de captura agotado'), 'warning');
+      if (State.flags.pushActive) API.cancelEnrollment().catch(() => {});
+      Attendance.startMonitoring();
+      return;
+    }
+
+    // Con el canal de eventos los pasos llegan por EventStream
+    if (State.flags.pushActive) return;
+
+    try {
+      const response = await fetch(`${CONFIG.API_BASE}/api/fingerprint/start${this.query()}`, { headers: Auth.headers() });
+      const data = await response.json();
+      if (response.status === 401) return Auth.expired();
+      this.handleStep(response.status, data);
+    } catch (error) {
+      // Silencioso - requests normales sin huella
+    }
+  },
+
+  handleStep(status, data) {
+    if (!State.flags.captureActive) return;
+    if (this.target) {
+      Fingers.handleStep(status, data);
+      return;
+    }
+
+    // ⭐ DETECTAR HUELLA DUPLICADA (código 409 o step -1)
+    if (status === 409 || data.step === -1) {
+      this.stop(`❌ ${t('Esta huella ya está registrada')}`);
+      
+      const mensaje = data.nombre ? 
+        t('Esta huella pertenece a: {nombre} (ID: {id})', { nombre: data.nombre, id: data.id }) :
+        t('Esta huella ya está registrada en el sistema');
+      
+      Notification.show(mensaje, 'error');
+      
+      // Mostrar mensaje de error más prominente
+      const statusEl = Utils.getElement('fingerprint-status');
+      if (statusEl) {
+        statusEl.innerHTML = `
+          <div style="color:#dc3545;font-weight:700;margin-bottom:10px">
+            ❌ ${t('Huella Duplicada')}
+          </div>
+          <div style="color:#6c757d;font-size:0.9em">
+            ${mensaje}
+          </div>
+        `;
+      }
+      
+      // Reiniciar después de 4 segundos
+      setTimeout(() => {
+        this.resetForm();
+        Attendance.startMonitoring();
+      }, 4000);
+      
+      return;
+    }
+
+    if (data.step === 0) {
+      this.updateUI(t('Coloque el dedo en el sensor...'), false, true);
+    } else if (data.step === 1) {
+      this.updateUI(t('Primera lectura OK. Retire el dedo...'), true, true);
+      Notification.show(t('Primera lectura completada'), 'success');
+    } else if (data.step === 2 && data.id) {
+      this.stop(t('¡Huella capturada correctamente! ID: {id}', { id: data.id }));
+      Utils.getElement('fingerprintId').value = data.id;
+      this.showRegisterButton();
+      Notification.show(t('Huella capturada - ID: {id}', { id: data.id }), 'success');
+      setTimeout(() => Attendance.startMonitoring(), 2000);
+    }
+  },
+
+  stop(message) {
+    IntervalManager.clear('capture');
+    State.flags.captureActive = false;
+    this.updateUI(message, true, false);
+  },
+
+  updateUI(message, showSteps, disableButton) {
+    if (this.target) {
+      Fingers.status(message, disableButton);
+      return;
+    }
+
+    Utils.setContent('fingerprint-status', message);
+    
+    const steps = Utils.getElement('fingerprint-steps');
+    if (steps) steps.style.display = showSteps ? 'block' : 'none';
+
+    const btn = Utils.getElement('captureBtn');
+    if (btn) btn.disabled = disableButton;
+  },
+
+  showRegisterButton() {
+    const registerBtn = Utils.getElement('registerBtn');
+    const captureBtn = Utils.getElement('captureBtn');
+
+    if (registerBtn) registerBtn.style.display = 'inline-flex';
+    if (captureBtn) captureBtn.style.display = 'none';
+  },
+
+  resetForm() {
+    Utils.getElement('fingerprintId').value = '';
+    Utils.getElement('userName').value = '';
+    Utils.getElement('userRole').value = 'Estudiante';
+    Utils.getElement('userFinger').value = 'indice-der';
+    Groups.renderChecks('user-groups', []);
+    Profile.fill('registro');
+    Photos.reset('registro');
+
+    const registerBtn = Utils.getElement('registerBtn');
+    const captureBtn = Utils.getElement('captureBtn');
+
+    if (registerBtn) {
+      registerBtn.style.display = 'none';
+      registerBtn.disabled = false;
+      registerBtn.innerHTML = t('Guardar Usuario');
+    }
+
+    if (captureBtn) {
+      captureBtn.style.display = 'inline-flex';
+      captureBtn.disabled = false;
+    }
+
+    this.updateUI(t('Esperando huella...'), false, false);
+    this.showNextID();
+    NameValidator.reset();
+    Pending.fill();
+  }
+};
+
+// ============================================
+// REGISTRO DE USUARIO CON VALIDACIÓN
+// ============================================
+// ============================================
+// REGISTRO CON MANEJO DE ERRORES MEJORADO
+// ============================================
+const Registration = {
+  async register() {
+    const id = Utils.getElement('fingerprintId').value.trim();
+    const name = Utils.getElement('userName').value.trim();
+    const role = Utils.getElement('userRole').value.trim();
+    const dedo = Utils.getElement('userFinger').value;
+
+    if (!id) {
+      Notification.show(t('Debe capturar la huella primero'), 'error');
+      return;
+    }
+
+    if (!name || name.length < 3) {
+      Notification.show(t('Ingrese un nombre válido (mínimo 3 caracteres)'), 'error');
+      return;
+    }
+
+    const perfil = Profile.read('registro');
+    const errorPerfil = Profile.validate(perfil);
+    if (errorPerfil) {
+      Notification.show(`❌ ${errorPerfil}`, 'error');
+      return;
+    }
+
+    // Verificar nombre y documento antes de registrar
+    try {
+      const { data } = await API.checkName(name, { documento: perfil.documento });
+      const conflict = data.documentoExiste ? 'userDocument' : (data.conflicto ? 'userName' : '');
+
+      if (conflict) {
+        Notification.show(`❌ ${t(data.documentoExiste ? 'Este documento ya está registrado' : NameValidator.conflictMessage(perfil.documento))}`, 'error');
+        const input = Utils.getElement(conflict);
+        if (input) {
+          input.style.borderColor = '#dc3545';
+          input.focus();
+        }
+        return;
+      }
+    } catch (error) {
+      console.error('Error verificando nombre:', error);
+    }
+
+    const registerBtn = Utils.getElement('registerBtn');
+    const originalText = registerBtn.innerHTML;
+
+    registerBtn.disabled = true;
+    registerBtn.innerHTML = `<span class="spinner"></span> ${t('Registrando...')}`;
+
+    let grupos;
+    try {
+      grupos = await Groups.selectedWithPending();
+    } catch (error) {
+      Notification.show(`❌ ${t('No se pudo crear el grupo: {error}', { error: error.message })}`, 'error');
+      registerBtn.disabled = false;
+      registerBtn.innerHTML = originalText;
+      return;
+    }
+
+    try {
+      const response = await fetch(`${CONFIG.API_BASE}/api/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...Auth.headers() },
+        body: JSON.stringify({
+          id: parseInt(id),
+          name,
+          role,
+          grupos,
+          ...perfil,
+          dedo,
+          pendiente: Pending.current ? Pending.current.pid : ''
+        })
+      });
+
+      const data = await response.json();
+
+      if (response.status === 401) {
+        Auth.expired();
+        return;
+      }
+
+      // ⭐ MANEJAR ERRORES DE DUPLICADO (409)
+      if (response.status === 409) {
+        let mensaje = data.message || 'Error de duplicado';
+        
+        if (mensaje.includes('nombre') || mensaje.includes('documento')) {
+          Notification.show(`❌ ${t(mensaje)}`, 'error');
+          const input = Utils.getElement(mensaje.includes('nombre') ? 'userName' : 'userDocument');
+          if (input) {
+            input.style.borderColor = '#dc3545';
+            input.focus();
+          }
+        } else if (mensaje.includes('ID')) {
+          Notification.show(`❌ ${t('Este ID ya está registrado. Intente capturar nuevamente.')}`, 'error');
+          Fingerprint.resetForm();
+        } else if (mensaje.includes('huella')) {
+          Notification.show(`❌ ${t('Esta huella ya está registrada')}`, 'error');
+          Fingerprint.resetForm();
+        } else {
+          Notification.show(`❌ ${t(mensaje)}`, 'error');
+        }
+        
+        registerBtn.disabled = false;
+        registerBtn.innerHTML = originalText;
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(t(data.message || `Error ${response.status}`));
+      }
+
+      Notification.show(`✓ ${t('Usuario registrado. Puede agregar más dedos desde Usuarios → Editar')}`, 'success');
+
+      // La foto necesita el usuario ya creado
+      try {
+        await Photos.save('registro', parseInt(id));
+      } catch (error) {
+        Notification.show(`⚠️ ${t('El usuario se registró, pero la foto no se guardó: {error}', { error: error.message })}`, 'warning');
+      }
+
+      Pending.current = null;
+      Fingerprint.resetForm();
+      Pending.next();
+
+      setTimeout(() => {
+        Database.load();
+        Users.load();
+      }, 1000);
+
+    } catch (error) {
+      Notification.show(`Error: ${error.message}`, 'error');
+      registerBtn.disabled = false;
+      registerBtn.innerHTML = originalText;
+    }
+  }
+};
+
+// ============================================
+// HUELLAS POR USUARIO (VARIOS DEDOS)
+// Cada dedo ocupa su propio slot del sensor; el primero usa el slot igual al ID.
+// Agregar o reemplazar un dedo conserva el ID y el historial del usuario.
+// ============================================
+const Fingers = {
+  user: null,
+
+  // [{slot, dedo}]; los usuarios anteriores no tienen lista y su único dedo está en el slot del ID
+  of(user) {
+    return Array.isArray(user.huellas) ? user.huellas : [{ slot: Number(user.id), dedo: '' }];
+  },
+
+  label(dedo) {
+    return t(CONFIG.FINGERS[dedo] || 'Dedo sin especificar');
+  },
+
+  // Slots marcados desde el panel del sensor porque ya no están en él
+  missing(user) {
+    return Array.isArray(user.reenrolar) ? user.reenrolar : [];
+  },
+
+  describe(huellas) {
+    return huellas.map(h => this.label(h.dedo)).join(', ');
+  },
+
+  // Lista del modal de edición
+  render(user) {
+    this.user = user;
+    const huellas = this.of(user);
+    const faltan = this.missing(user);
+
+    let html = '<div class="user-list">';
+    huellas.forEach(h => {
+      const falta = faltan.includes(h.slot);
+      html += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">${this.label(h.dedo)}</div>
+            <div class="user-meta">Slot ${h.slot}${falta ? ` · <span class="badge badge-warning">${t('Falta en el sensor')}</span>` : ''}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn ${falta ? 'btn-primary' : 'btn-outline'}" style="padding:8px 14px;font-size:.85em" onclick="Fingers.enroll(${h.slot})">${t('Reemplazar')}</button>
+            <button class="btn btn-danger" style="padding:8px 14px;font-size:.85em" onclick="Fingers.remove(${h.slot})" ${huellas.length <= 1 ? 'disabled' : ''}>${t('Quitar')}</button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+    Utils.setHTML('edit-user-fingers', html);
+
+    // Solo los dedos que aún no tiene
+    const used = huellas.map(h => h.dedo);
+    const select = Utils.getElement('finger-new');
+    select.innerHTML = '';
+    Object.entries(CONFIG.FINGERS)
+      .filter(([key]) => !used.includes(key))
+      .forEach(([key]) => select.add(new Option(this.label(key), key)));
+
+    const full = huellas.length >= CONFIG.MAX_FINGERS;
+    select.disabled = full;
+    Utils.getElement('addFingerBtn').disabled = full;
+    Utils.setContent('finger-status', full ? t('Máximo {n} dedos por usuario', { n: CONFIG.MAX_FINGERS }) : '');
+  },
+
+  // slot -1 agrega un dedo; si no, se reemplaza el de ese slot
+  enroll(slot = -1) {
+    if (!this.user) return;
+
+    const entry = this.of(this.user).find(h => h.slot === slot);
+    const dedo = entry ? entry.dedo : Utils.getElement('finger-new').value;
+    Fingerprint.start({ id: this.user.id, slot, dedo });
+  },
+
+  status(message, busy) {
+    Utils.setContent('finger-status', message);
+    document.querySelectorAll('#edit-user-fingers button').forEach(btn => { btn.disabled = busy; });
+    Utils.getElement('addFingerBtn').disabled = busy;
+  },
+
+  handleStep(status, data) {
+    if (status === 409 || data.step === -1) {
+      const mensaje = data.nombre
+        ? t('Esta huella pertenece a: {nombre} (ID: {id})', { nombre: data.nombre, id: data.id })
+        : t('Esta huella ya está registrada');
+      Fingerprint.stop(`❌ ${mensaje}`);
+      Fingerprint.target = null;
+      Notification.show(mensaje, 'error');
+      Attendance.startMonitoring();
+      return;
+    }
+
+    if (data.step === 0) {
+      this.status(t('Coloque el dedo en el sensor...'), true);
+    } else if (data.step === 1) {
+      this.status(t('Primera lectura OK. Retire el dedo y vuelva a colocarlo...'), true);
+    } else if (data.step === 2) {
+      this.save();
+    }
+  },
+
+  async save() {
+    const target = Fingerprint.target;
+    Fingerprint.stop(t('Guardando huella...'));
+    Fingerprint.target = null;
+
+    try {
+      await API.saveFinger(target);
+      Notification.show(`✓ ${t(target.slot >= 0 ? '{dedo} reenrolado' : '{dedo} agregado', { dedo: this.label(target.dedo) })}`, 'success');
+      await this.reload(target.id);
+    } catch (error) {
+      this.status(`❌ ${error.message}`, false);
+      Notification.show(`Error: ${error.message}`, 'error');
+    } finally {
+      Attendance.startMonitoring();
+    }
+  },
+
+  async remove(slot) {
+    if (!this.user) return;
+    const entry = this.of(this.user).find(h => h.slot === slot);
+    if (!entry || !confirm(t('¿Quitar {dedo} de {nombre}?', { dedo: this.label(entry.dedo).toLowerCase(), nombre: this.user.nombre }))) return;
+
+    try {
+      await API.deleteFinger(this.user.id, slot);
+      Notification.show(t('Huella eliminada'), 'success');
+      await this.reload(this.user.id);
+    } catch (error) {
+      Notification.show(`Error: ${error.message}`, 'error');
+    }
+  },
+
+  async reload(id) {
+    await Users.load();
+    const user = State.data.users.find(u => u.id === id);
+    if (user && Utils.getElement('editModal').classList.contains('active')) this.render(user);
+  },
+
+  // Al cerrar el modal se abandona una captura en curso
+  close() {
+    if (Fingerprint.target && State.flags.captureActive) {
+      Fingerprint.stop(t('Captura cancelada'));
+      if (State.flags.pushActive) API.cancelEnrollment().catch(() => {});
+      Attendance.startMonitoring();
+    }
+    Fingerprint.target = null;
+    this.user = null;
+  }
+};
+
+// ============================================
+// SESIONES ENTRADA / SALIDA
+// ============================================
+const Sessions = {
+  // Empareja las marcaciones consecutivas de cada usuario por día:
+  // 1ª entrada, 2ª salida, 3ª entrada... Las horas trabajadas se
+  // asignan a la fila de salida para que la suma en Excel sea directa.
+  annotate(records) {
+    const annotated = records.map(r => ({ ...r }));
+    const groups = new Map();
+
+    annotated.forEach(r => {
+      const key = `${r.id}|${r.fecha}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    });
+
+    groups.forEach(punches => {
+      punches.sort((a, b) => Dates.timeToSeconds(a.hora) - Dates.timeToSeconds(b.hora));
+
+      punches.forEach((r, i) => {
+        if (i % 2 === 0) {
+          r.tipo = 'entrada';
+          r.horas = null;
+          r.incompleta = !punches[i + 1];
+        } else {
+          r.tipo = 'salida';
+          r.horas = this.hoursBetween(punches[i - 1].hora, r.hora);
+          r.incompleta = false;
+        }
+      });
+    });
+
+    return annotated;
+  },
+
+  hoursBetween(start, end) {
+    const seconds = Dates.timeToSeconds(end) - Dates.timeToSeconds(start);
+    return Math.max(seconds, 0) / 3600;
+  },
+
+  // Tipo de una marcación recién registrada según las previas del mismo día.
+  // Sin historial cargado (operador o kiosco) vale el tipo que calculó el ESP32.
+  typeFor(record) {
+    if (State.data.full.length === 0) return record.tipo || 'entrada';
+
+    const previous = State.data.full.filter(r =>
+      this.isPunch(r) &&
+      String(r.id) === String(record.id) &&
+      r.fecha === record.fecha &&
+      Dates.timeToSeconds(r.hora) < Dates.timeToSeconds(record.hora)
+    ).length;
+
+    return previous % 2 === 0 ? 'entrada' : 'salida';
+  },
+
+  // Marcación vigente: ni ausencia generada ni marcación anulada por una corrección
+  isPunch(record) {
+    return !record.ausente && !record.anulado;
+  },
+
+  sessionLabel(record) {
+    if (record.anulado) return t('Anulada');
+    if (record.ausente) return '---';
+    if (record.incompleta) return t('Sin salida');
+    return t('Completa');
+  }
+};
+
+// ============================================
+// HORARIOS Y TURNOS
+// ============================================
+const Schedules = {
+  DAY_NAMES: ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'],
+
+  async load() {
+    try {
+      const data = await Offline.fetch('schedules', () => API.getSchedules());
+      State.data.schedules = {
+        turnos: data.turnos || [],
+        roles: data.roles || {},
+        usuarios: data.usuarios || {}
+      };
+    } catch (error) {
+      console.error('Error cargando horarios:', error);
+    }
+    return State.data.schedules;
+  },
+
+  async save() {
+    try {
+      await API.saveSchedules(State.data.schedules);
+      Notification.show(`✓ ${t('Horarios guardados')}`, 'success');
+      Database.load();
+    } catch (error) {
+      Notification.show(`Error: ${error.message}`, 'error');
+    }
+  },
+
+  async open() {
+    await this.load();
+    await Users.ensureLoaded();
+    this.render();
+  },
+
+  // La asignación por usuario tiene prioridad sobre la del cargo
+  shiftFor(userId, rol) {
+    const { turnos, roles, usuarios } = State.data.schedules;
+    const shiftId = usuarios[String(userId)] || roles[rol];
+    return turnos.find(t => t.id === shiftId) || null;
+  },
+
+  isScheduledDay(shift, fecha) {
+    return shift.dias.includes(Dates.weekday(fecha));
+  },
+
+  // estado: 'a_tiempo' | 'tarde' | 'fuera' | 'no_laborable' | null (sin turno ese día)
+  classify(record) {
+    const motivo = WorkCalendar.reason(record.fecha);
+    if (motivo) return { estado: 'no_laborable', minutos: 0, motivo };
+
+    const shift = this.shiftFor(record.id, record.rol);
+    if (!shift || !this.isScheduledDay(shift, record.fecha)) {
+      return { estado: null, minutos: 0 };
+    }
+
+    const time = Dates.timeToSeconds(record.hora);
+    const start = Dates.timeToSeconds(shift.inicio);
+    const end = Dates.timeToSeconds(shift.fin);
+    const margin = CONFIG.SHIFT_MARGIN_MINUTES * 60;
+
+    if (time < start - margin || time > end + margin) {
+      return { estado: 'fuera', minutos: 0 };
+    }
+
+    if (record.tipo === 'entrada' && time > start + shift.tolerancia * 60) {
+      return { estado: 'tarde', minutos: Math.ceil((time - start) / 60) };
+    }
+
+    return { estado: 'a_tiempo', minutos: 0 };
+  },
+
+  classifyAll(records) {
+    return records.map(r => ({ ...r, ...this.classify(r) }));
+  },
+
+  // Marcación en un día laborable de su turno: es lo que cuenta frente a las ausencias
+  // para el porcentaje de asistencia
+  onWorkingDay(record) {
+    return Sessions.isPunch(record) && Boolean(record.estado) && record.estado !== 'no_laborable';
+  },
+
+  // Primer día en que se espera asistencia de cada usuario activo (id → fecha):
+  // su fecha de alta o, si se registró antes de guardarla, su primera marcación.
+  // Inactivos, suspendidos y usuarios sin ninguna de las dos no tienen ausencias
+  startDates(records) {
+    const first = new Map();
+    records.forEach(r => {
+      if (!Sessions.isPunch(r)) return;
+      const id = String(r.id);
+      if (!first.has(id) || r.fecha < first.get(id)) first.set(id, r.fecha);
+    });
+
+    const starts = new Map();
+    State.data.users.forEach(user => {
+      if ((user.estado || 'activo') !== 'activo') return;
+      const start = user.alta || first.get(String(user.id));
+      if (start) starts.set(String(user.id), start);
+    });
+    return starts;
+  },
+
+  // Genera filas de ausencia para cada día programado y laborable sin marcación,
+  // desde el inicio de cada usuario (ver startDates) hasta hoy
+  absences(records) {
+    if (records.length === 0 || State.data.schedules.turnos.length === 0) return [];
+
+    const present = new Set(records.map(r => `${r.id}|${r.fecha}`));
+    const starts = this.startDates(records);
+    const now = Dates.now();
+    const today = Dates.dateKey(now);
+    const nowSeconds = now.getHours() * 3600 + now.getMinutes() * 60;
+    const result = [];
+
+    State.data.users.forEach(user => {
+      const shift = this.shiftFor(user.id, user.rol);
+      const start = starts.get(String(user.id));
+      if (!shift || !start) return;
+
+      for (let fecha = start; fecha <= today; fecha = Dates.addDays(fecha, 1)) {
+        if (!this.isScheduledDay(shift, fecha) || !WorkCalendar.isWorkingDay(fecha)) continue;
+        if (fecha === today && nowSeconds < Dates.timeToSeconds(shift.fin)) continue;
+        if (present.has(`${user.id}|${fecha}`)) continue;
+
+        result.push({
+          id: String(user.id),
+          nombre: user.nombre,
+          rol: user.rol,
+          fecha,
+          hora: '',
+          tipo: '',
+          horas: null,
+          incompleta: false,
+          ausente: true,
+          estado: 'ausente',
+          minutos: 0
+        });
+      }
+    });
+
+    return result;
+  },
+
+  statusBadge(record) {
+    const badges = {
+      a_tiempo: `<span class="badge badge-success">${t('A tiempo')}</span>`,
+      tarde: `<span class="badge badge-warning">${t('Tarde ({n} min)', { n: record.minutos })}</span>`,
+      fuera: `<span class="badge badge-muted">${t('Fuera de turno')}</span>`,
+      ausente: `<span class="badge badge-danger">${t('Ausente')}</span>`,
+      no_laborable: `<span class="badge badge-muted">${Utils.escapeHtml(record.motivo || t('No laborable'))}</span>`
+    };
+    return badges[record.estado] || '---';
+  },
+
+  statusLabel(record) {
+    const labels = {
+      a_tiempo: t('A tiempo'),
+      tarde: t('Tarde ({n} min)', { n: record.minutos }),
+      fuera: t('Fuera de turno'),
+      ausente: t('Ausente'),
+      no_laborable: `${t('No laborable')} (${record.motivo})`
+    };
+    return labels[record.estado] || '';
+  },
+
+  addShift() {
+    const nombre = Utils.getElement('shift-name').value.trim();
+    const inicio = Utils.getElement('shift-start').value;
+    const fin = Utils.getElement('shift-end').value;
+    const tolerancia = parseInt(Utils.getElement('shift-tolerance').value, 10) || 0;
+    const dias = [...document.querySelectorAll('#shift-days input:checked')].map(c => parseInt(c.value, 10));
+
+    if (!nombre || !inicio || !fin) {
+      Notification.show(t('Complete nombre, inicio y fin del turno'), 'error');
+      return;
+    }
+
+    if (Dates.timeToSeconds(fin) <= Dates.timeToSeconds(inicio)) {
+      Notification.show(t('La hora de fin debe ser posterior al inicio'), 'error');
+      return;
+    }
+
+    if (dias.length === 0) {
+      Notification.show(t('Seleccione al menos un día'), 'error');
+      return;
+    }
+
+    State.data.schedules.turnos.push({
+      id: `t${Date.now().toString(36)}`,
+      nombre,
+      inicio,
+      fin,
+      tolerancia,
+      dias
+    });
+
+    Utils.getElement('shift-name').value = '';
+    this.render();
+    this.save();
+  },
+
+  removeShift(id) {
+    const schedules = State.data.schedules;
+    const shift = schedules.turnos.find(t => t.id === id);
+    if (!shift || !confirm(t('¿Eliminar el turno "{nombre}"?\n\nSe quitarán sus asignaciones.', { nombre: shift.nombre }))) return;
+
+    schedules.turnos = schedules.turnos.filter(t => t.id !== id);
+    Object.keys(schedules.roles).forEach(k => { if (schedules.roles[k] === id) delete schedules.roles[k]; });
+    Object.keys(schedules.usuarios).forEach(k => { if (schedules.usuarios[k] === id) delete schedules.usuarios[k]; });
+
+    this.render();
+    this.save();
+  },
+
+  assignRole(rol, shiftId) {
+    if (shiftId) {
+      State.data.schedules.roles[rol] = shiftId;
+    } else {
+      delete State.data.schedules.roles[rol];
+    }
+    this.save();
+  },
+
+  assignUser() {
+    const userId = Utils.getElement('assign-user').value;
+    const shiftId = Utils.getElement('assign-shift').value;
+
+    if (!userId) {
+      Notification.show(t('Seleccione un usuario'), 'error');
+      return;
+    }
+
+    if (shiftId) {
+      State.data.schedules.usuarios[userId] = shiftId;
+    } else {
+      delete State.data.schedules.usuarios[userId];
+    }
+
+    this.render();
+    this.save();
+  },
+
+  removeUserAssignment(userId) {
+    delete State.data.schedules.usuarios[userId];
+    this.render();
+    this.save();
+  },
+
+  shiftOptions(selected, emptyLabel) {
+    let html = `<option value="">${emptyLabel}</option>`;
+    State.data.schedules.turnos.forEach(t => {
+      html += `<option value="${t.id}" ${t.id === selected ? 'selected' : ''}>${Utils.escapeHtml(t.nombre)}</option>`;
+    });
+    return html;
+  },
+
+  render() {
+    const { turnos, roles, usuarios } = State.data.schedules;
+
+    if (turnos.length === 0) {
+      Utils.setHTML('shiftsList', `<p style="text-align:center;color:#6c757d;padding:20px">${t('No hay turnos definidos')}</p>`);
+    } else {
+      let html = '<div class="user-list">';
+      turnos.forEach(shift => {
+        const dias = shift.dias.map(d => t(this.DAY_NAMES[d])).join(', ');
+        html += `
+          <div class="user-item">
+            <div class="user-info">
+              <div class="user-name">${Utils.escapeHtml(shift.nombre)} · ${shift.inicio}–${shift.fin}</div>
+              <div class="user-meta">${t('Tolerancia {n} min', { n: shift.tolerancia })} · ${dias}</div>
+            </div>
+            <div class="user-actions">
+              <button class="btn btn-danger" style="padding:10px 18px;font-size:.85em" onclick="Schedules.removeShift('${shift.id}')">${t('Eliminar')}</button>
+            </div>
+          </div>
+        `;
+      });
+      html += '</div>';
+      Utils.setHTML('shiftsList', html);
+    }
+
+    let rolesHtml = '';
+    CONFIG.ROLES.forEach(rol => {
+      rolesHtml += `
+        <div class="form-group">
+          <label class="form-label">${t(rol)}</label>
+          <select class="form-select" onchange="Schedules.assignRole('${rol}', this.value)">
+            ${this.shiftOptions(roles[rol], t('Sin turno'))}
+          </select>
+        </div>
+      `;
+    });
+    Utils.setHTML('roleAssignments', rolesHtml);
+
+    let usersHtml = `<option value="">${t('Seleccione usuario')}</option>`;
+    [...State.data.users].sort((a, b) => a.nombre.localeCompare(b.nombre)).forEach(u => {
+      usersHtml += `<option value="${u.id}">${Utils.escapeHtml(u.nombre)}</option>`;
+    });
+    Utils.setHTML('assign-user', usersHtml);
+    Utils.setHTML('assign-shift', this.shiftOptions('', t('Usar turno del cargo')));
+
+    const assigned = Object.keys(usuarios);
+    if (assigned.length === 0) {
+      Utils.setHTML('userAssignments', '');
+      return;
+    }
+
+    let assignedHtml = '<div class="user-list">';
+    assigned.forEach(userId => {
+      const user = State.data.users.find(u => String(u.id) === userId);
+      const shift = turnos.find(t => t.id === usuarios[userId]);
+      assignedHtml += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">${Utils.escapeHtml(user ? user.nombre : `ID ${userId}`)}</div>
+            <div class="user-meta">${Utils.escapeHtml(shift ? shift.nombre : '---')}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-outline" style="padding:10px 18px;font-size:.85em" onclick="Schedules.removeUserAssignment('${userId}')">${t('Quitar')}</button>
+          </div>
+        </div>
+      `;
+    });
+    assignedHtml += '</div>';
+    Utils.setHTML('userAssignments', assignedHtml);
+  }
+};
+
+// ============================================
+// CALENDARIO INSTITUCIONAL
+// /calendario.json: {descanso: [días de la semana 0-6], dias: [{id, desde, hasta, tipo, nombre}]}
+// Un día no laborable no genera ausencias ni cuenta para el porcentaje de asistencia.
+// ============================================
+const WorkCalendar = {
+  TYPES: { feriado: 'Feriado', vacaciones: 'Vacaciones', cierre: 'Cierre' },
+  data: { descanso: [0, 6], dias: [] },
+
+  async load() {
+    try {
+      const data = await Offline.fetch('calendar', () => API.getCalendar());
+      this.data = {
+        descanso: Array.isArray(data.descanso) ? data.descanso : [0, 6],
+        dias: Array.isArray(data.dias) ? data.dias : []
+      };
+    } catch (error) {
+      console.error('Error cargando calendario:', error);
+    }
+    return this.data;
+  },
+
+  async open() {
+    await this.load();
+    this.render();
+  },
+
+  async save() {
+    try {
+      await API.saveCalendar(this.data);
+      Notification.show(`✓ ${t('Calendario guardado')}`, 'success');
+      Database.load();
+    } catch (error) {
+      Notification.show(`Error: ${error.message}`, 'error');
+    }
+  },
+
+  // Motivo por el que la fecha no es laborable, o null si lo es
+  reason(fecha) {
+    const entry = this.data.dias.find(d => d.desde <= fecha && fecha <= d.hasta);
+    if (entry) return `${t(this.TYPES[entry.tipo] || 'No laborable')}: ${entry.nombre}`;
+    if (this.data.descanso.includes(Dates.weekday(fecha))) return t('Descanso semanal');
+    return null;
+  },
+
+  isWorkingDay(fecha) {
+    return this.reason(fecha) === null;
+  },
+
+  // 'YYYY-MM-DD' → fecha corta del idioma del panel
+  formatDay(fecha) {
+    return Dates.formatDate(fecha);
+  },
+
+  setRest() {
+    this.data.descanso = [...document.querySelectorAll('#calendar-rest input:checked')].map(c => parseInt(c.value, 10));
+    this.save();
+  },
+
+  addDay() {
+    const desde = Utils.getElement('holiday-from').value;
+    const hasta = Utils.getElement('holiday-to').value || desde;
+    const tipo = Utils.getElement('holiday-type').value;
+    const nombre = Utils.getElement('holiday-name').value.trim();
+
+    if (!desde || !nombre) {
+      Notification.show(t('Complete la fecha y el motivo'), 'error');
+      return;
+    }
+
+    if (hasta < desde) {
+      Notification.show(t('La fecha final debe ser igual o posterior a la inicial'), 'error');
+      return;
+    }
+
+    this.data.dias.push({ id: `d${Date.now().toString(36)}`, desde, hasta, tipo, nombre });
+    this.data.dias.sort((a, b) => a.desde.localeCompare(b.desde));
+
+    ['holiday-from', 'holiday-to', 'holiday-name'].forEach(id => { Utils.getElement(id).value = ''; });
+    this.render();
+    this.save();
+  },
+
+  removeDay(id) {
+    const entry = this.data.dias.find(d => d.id === id);
+    if (!entry || !confirm(t('¿Quitar "{nombre}" del calendario?', { nombre: entry.nombre }))) return;
+
+    this.data.dias = this.data.dias.filter(d => d.id !== id);
+    this.render();
+    this.save();
+  },
+
+  render() {
+    document.querySelectorAll('#calendar-rest input').forEach(c => {
+      c.checked = this.data.descanso.includes(parseInt(c.value, 10));
+    });
+
+    if (this.data.dias.length === 0) {
+      Utils.setHTML('calendarDays', `<p style="text-align:center;color:#6c757d;padding:20px">${t('No hay feriados ni periodos cargados')}</p>`);
+      return;
+    }
+
+    const today = Dates.today();
+    let html = '<div class="user-list">';
+    this.data.dias.forEach(d => {
+      const range = d.hasta === d.desde ? this.formatDay(d.desde) : `${this.formatDay(d.desde)} – ${this.formatDay(d.hasta)}`;
+      html += `
+        <div class="user-item" ${d.hasta < today ? 'style="opacity:.6"' : ''}>
+          <div class="user-info">
+            <div class="user-name">${Utils.escapeHtml(d.nombre)}</div>
+            <div class="user-meta">${t(this.TYPES[d.tipo] || d.tipo)} · ${range}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-danger" style="padding:10px 18px;font-size:.85em" onclick="WorkCalendar.removeDay('${d.id}')">${t('Quitar')}</button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+    Utils.setHTML('calendarDays', html);
+  }
+};
+
+// ============================================
+// CALENDARIO DE ASISTENCIA (MAPA DE CALOR)
+// ============================================
+const CalendarView = {
+  WEEK_HEADER: ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'],
+  month: null,
+
+  show() {
+    if (!this.month) this.month = Dates.today().slice(0, 7);
+    Utils.getElement('calendar-month').value = this.month;
+    this.setView('calendar');
+    this.render();
+  },
+
+  hide() {
+    this.setView('table');
+  },
+
+  // Vistas de reportes: tabla, calendario o planilla mensual
+  setView(view) {
+    Utils.getElement('tableView').style.display = view === 'table' ? 'block' : 'none';
+    Utils.getElement('calendarView').style.display = view === 'calendar' ? 'block' : 'none';
+    Utils.getElement('sheetView').style.display = view === 'sheet' ? 'block' : 'none';
+    Utils.getElement('showTableBtn').classList.toggle('active', view === 'table');
+    Utils.getElement('showCalendarBtn').classList.toggle('active', view === 'calendar');
+    Utils.getElement('showSheetBtn').classList.toggle('active', view === 'sheet');
+  },
+
+  changeMonth(month) {
+    if (!month) return;
+    this.month = month;
+    this.render();
+  },
+
+  // Días de la semana con celdas vacías para alinear el 1 con su día (lunes primero)
+  gridDays(month) {
+    const days = Dates.monthDays(month);
+    const offset = (Dates.weekday(days[0]) + 6) % 7;
+    return [...Array(offset).fill(null), ...days];
+  },
+
+  render() {
+    const month = this.month;
+    const starts = Schedules.startDates(State.data.full);
+    const today = Dates.today();
+    const presentByDay = new Map();
+
+    State.data.full.forEach(r => {
+      if (!Sessions.isPunch(r) || !r.fecha.startsWith(month)) return;
+      if (!presentByDay.has(r.fecha)) presentByDay.set(r.fecha, new Set());
+      presentByDay.get(r.fecha).add(String(r.id));
+    });
+
+    let html = '<div class="calendar-grid">';
+    this.WEEK_HEADER.forEach(d => { html += `<div class="calendar-head">${t(d)}</div>`; });
+
+    this.gridDays(month).forEach(fecha => {
+      if (!fecha) {
+        html += '<div class="calendar-cell empty"></div>';
+        return;
+      }
+
+      const day = parseInt(fecha.slice(8), 10);
+      const count = presentByDay.has(fecha) ? presentByDay.get(fecha).size : 0;
+      // Usuarios activos que ya estaban dados de alta ese día
+      const totalUsers = [...starts.values()].filter(start => start <= fecha).length;
+      const pct = totalUsers > 0 ? Math.min(100, Math.round((count / totalUsers) * 100)) : 0;
+      const offReason = WorkCalendar.reason(fecha);
+      const future = fecha > today;
+      const style = count > 0 ? `background:rgba(102,126,234,${(0.12 + (pct / 100) * 0.78).toFixed(2)});${pct >= 55 ? 'color:#fff' : ''}` : '';
+
+      html += `
+        <div class="calendar-cell ${offReason ? 'non-working' : ''} ${future ? 'future' : ''}" style="${style}"
+             title="${t('{n} de {total} usuarios', { n: count, total: totalUsers })}${offReason ? ` · ${Utils.escapeHtml(offReason).replace(/"/g, '&quot;')}` : ''}" onclick="CalendarView.openDay('${fecha}')">
+          <div class="calendar-day">${day}</div>
+          ${future ? '' : `<div class="calendar-count">${count}/${totalUsers}</div><div class="calendar-pct">${pct}%</div>`}
+        </div>
+      `;
+    });
+
+    html += '</div>';
+    Utils.setHTML('calendarGrid', html);
+    Utils.setContent('calendar-title', Dates.formatMonth(month));
+  },
+
+  // Al pulsar un día se abre la tabla filtrada por esa fecha
+  openDay(fecha) {
+    State.filters.from = fecha;
+    State.filters.to = fecha;
+    Filters.write();
+    this.hide();
+    Database.filter();
+  }
+};
+
+// ============================================
+// HISTORIAL POR USUARIO
+// ============================================
+const History = {
+  userId: null,
+  month: null,
+
+  async open(id) {
+    this.userId = id;
+    this.month = Dates.today().slice(0, 7);
+
+    await Database.ensureComplete();
+
+    Utils.getElement('historyModal').classList.add('active');
+    this.render();
+  },
+
+  close() {
+    Utils.getElement('historyModal').classList.remove('active');
+  },
+
+  changeMonth(delta) {
+    this.month = Dates.shiftMonth(this.month, delta);
+    this.render();
+  },
+
+  // Día laborable: abierto según el calendario institucional y, si tiene turno, uno de sus días
+  isWorkingDay(user, fecha) {
+    if (!WorkCalendar.isWorkingDay(fecha)) return false;
+    const shift = Schedules.shiftFor(user.id, user.rol);
+    return shift ? Schedules.isScheduledDay(shift, fecha) : true;
+  },
+
+  // starts: Schedules.startDates(), para no recalcularlo por cada usuario de la planilla
+  monthStats(user, month, starts = Schedules.startDates(State.data.full)) {
+    const today = Dates.today();
+    const start = starts.get(String(user.id));
+    const punches = State.data.full.filter(r => Sessions.isPunch(r) && String(r.id) === String(user.id) && r.fecha.startsWith(month));
+    const presentDays = new Set(punches.map(r => r.fecha));
+    const lateDays = new Set(punches.filter(r => r.estado === 'tarde').map(r => r.fecha));
+
+    let workingDays = 0;
+    let attendedWorking = 0;
+    let streak = 0;
+    let bestStreak = 0;
+    const days = {};
+
+    Dates.monthDays(month).forEach(fecha => {
+      // Antes del alta, o si no está activo, el día no se le exige
+      const working = Boolean(start) && fecha >= start && this.isWorkingDay(user, fecha);
+      const present = presentDays.has(fecha);
+      let mark = 'none';
+
+      if (present) mark = lateDays.has(fecha) ? 'late' : 'present';
+      else if (fecha > today) mark = 'future';
+      else if (working) mark = fecha === today ? 'pending' : 'absent';
+      else if (!start || fecha < start) mark = 'none';
+      else mark = 'off';
+
+      days[fecha] = mark;
+
+      // Hoy sin marcar no cuenta aún como ausencia ni corta la racha
+      if (!working || fecha > today || (fecha === today && !present)) return;
+
+      workingDays++;
+      if (present) {
+        attendedWorking++;
+        streak++;
+        bestStreak = Math.max(bestStreak, streak);
+      } else {
+        streak = 0;
+      }
+    });
+
+    return {
+      days,
+      presentCount: presentDays.size,
+      lateCount: lateDays.size,
+      absences: workingDays - attendedWorking,
+      rate: workingDays > 0 ? Math.round((attendedWorking / workingDays) * 100) : 0,
+      currentStreak: streak,
+      bestStreak
+    };
+  },
+
+  render() {
+    const user = State.data.users.find(u => u.id === this.userId);
+    if (!user) return;
+
+    const stats = this.monthStats(user, this.month);
+
+    Utils.setContent('history-title', user.nombre);
+    Utils.setContent('history-month', Dates.formatMonth(this.month));
+    Utils.setHTML('history-stats', `
+      <div class="mini-stat"><strong>${stats.presentCount}</strong><span>${t('Días asistidos')}</span></div>
+      <div class="mini-stat"><strong>${stats.absences}</strong><span>${t('Ausencias')}</span></div>
+      <div class="mini-stat"><strong>${stats.rate}%</strong><span>${t('Asistencia')}</span></div>
+      <div class="mini-stat"><strong>${stats.lateCount}</strong><span>${t('Tardanzas')}</span></div>
+      <div class="mini-stat"><strong>${stats.currentStreak}</strong><span>${t('Racha actual')}</span></div>
+      <div class="mini-stat"><strong>${stats.bestStreak}</strong><span>${t('Mejor racha')}</span></div>
+    `);
+
+    let html = '<div class="calendar-grid small">';
+    CalendarView.WEEK_HEADER.forEach(d => { html += `<div class="calendar-head">${t(d)}</div>`; });
+    CalendarView.gridDays(this.month).forEach(fecha => {
+      if (!fecha) {
+        html += '<div class="calendar-cell empty"></div>';
+        return;
+      }
+      html += `<div class="calendar-cell mark-${stats.days[fecha]}"><div class="calendar-day">${parseInt(fecha.slice(8), 10)}</div></div>`;
+    });
+    html += '</div>';
+
+    Utils.setHTML('history-calendar', html);
+  }
+};
+
+// ============================================
+// PLANILLA MENSUAL (IMPRESIÓN Y PDF)
+// ============================================
+const MonthlySheet = {
+  MARKS: { present: 'P', late: 'T', absent: 'A', off: '-' },
+  COLORS: { present: [212, 237, 218], late: [255, 243, 205], absent: [248, 215, 218], off: [241, 243, 245] },
+  SIGNATURES: ['Responsable', 'Dirección', 'Fecha'],
+  month: null,
+  sheet: null,
+
+  async show() {
+    if (!this.month) this.month = Dates.today().slice(0, 7);
+    Utils.getElement('sheet-month').value = this.month;
+    CalendarView.setView('sheet');
+
+    await Database.ensureComplete();
+    await Users.ensureLoaded();
+    await Groups.ensureLoaded();
+    this.fillScopes();
+    this.render();
+  },
+
+  changeMonth(month) {
+    if (!month) return;
+    this.month = month;
+    this.render();
+  },
+
+  // Cargos de CONFIG.ROLES y grupos de los usuarios (con Option para no escapar a mano)
+  fillScopes() {
+    const select = Utils.getElement('sheet-scope');
+    const current = select.value;
+    const groups = [...Groups.list].sort((a, b) => a.nombre.localeCompare(b.nombre));
+
+    select.innerHTML = '';
+    select.add(new Option(t('Todos los usuarios'), ''));
+
+    [
+      [t('Cargo'), CONFIG.ROLES.map(r => [t(r), `rol:${r}`])],
+      [t('Grupo'), groups.map(g => [g.nombre, `grupo:${g.id}`])]
+    ].forEach(([label, options]) => {
+      if (options.length === 0) return;
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = label;
+      options.forEach(([text, value]) => optgroup.appendChild(new Option(text, value)));
+      select.appendChild(optgroup);
+    });
+
+    select.value = current;
+    if (select.value !== current) select.value = '';
+  },
+
+  // Usuarios del alcance elegido con la marca de cada día (ver History.monthStats)
+  build() {
+    const scope = Utils.getElement('sheet-scope').value;
+    const kind = scope.slice(0, scope.indexOf(':'));
+    const value = scope.slice(scope.indexOf(':') + 1);
+    const days = Dates.monthDays(this.month);
+
+    const users = State.data.users
+      .filter(u => !scope || (kind === 'rol' ? u.rol === value : Groups.of(u).includes(value)))
+      .sort((a, b) => a.nombre.localeCompare(b.nombre));
+    const starts = Schedules.startDates(State.data.full);
+
+    return {
+      title: `${t('Planilla de asistencia')} · ${Dates.formatMonth(this.month)}`,
+      scope: scope ? `${t(kind === 'rol' ? 'Cargo' : 'Grupo')}: ${kind === 'rol' ? t(value) : Groups.names([value])}` : t('Todos los usuarios'),
+      filtered: Boolean(scope),
+      days,
+      rows: users.map(user => {
+        const stats = History.monthStats(user, this.month, starts);
+        return {
+          user,
+          marks: days.map(fecha => stats.days[fecha]),
+          present: stats.presentCount,
+          late: stats.lateCount,
+          absent: stats.absences
+        };
+      })
+    };
+  },
+
+  // Inicial del día en el idioma del panel (L M X… / M T W…)
+  weekday(fecha) {
+    return Dates.formatDate(fecha, { weekday: 'narrow' });
+  },
+
+  mark(mark) {
+    return this.MARKS[mark] ? t(this.MARKS[mark]) : '';
+  },
+
+  render() {
+    const sheet = this.sheet = this.build();
+
+    const dayHeads = sheet.days.map(fecha =>
+      `<th>${parseInt(fecha.slice(8), 10)}<br><small>${this.weekday(fecha)}</small></th>`
+    ).join('');
+
+    const rows = sheet.rows.map((row, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        <td class="sheet-name">${Utils.escapeHtml(row.user.nombre)}</td>
+        ${row.marks.map(mark => `<td class="mark-${mark}">${this.mark(mark)}</td>`).join('')}
+        <td><strong>${row.present}</strong></td>
+        <td>${row.late}</td>
+        <td>${row.absent}</td>
+      </tr>
+    `).join('');
+
+    Utils.setHTML('sheetPreview', `
+      <div class="sheet-header">
+        <h2>${sheet.title}</h2>
+        <div>${Utils.escapeHtml(sheet.scope)} · ${t('{n} usuario(s)', { n: sheet.rows.length })}</div>
+      </div>
+      <div class="sheet-scroll">
+        <table class="sheet-table">
+          <thead><tr><th>#</th><th>${t('Nombre')}</th>${dayHeads}<th>${t('Asist.')}</th><th>${t('Tard.')}</th><th>${t('Aus.')}</th></tr></thead>
+          <tbody>${rows || `<tr><td colspan="${sheet.days.length + 5}">${t('Sin usuarios para este filtro')}</td></tr>`}</tbody>
+        </table>
+      </div>
+      <div class="sheet-legend">${t('P presente · T tarde · A ausente · - no laborable · Asist. incluye tardanzas')}</div>
+      <div class="sheet-signatures">
+        ${this.SIGNATURES.map(label => `<div><span></span>${t(label)}</div>`).join('')}
+      </div>
+    `);
+  },
+
+  // print.css solo muestra la planilla mientras body tiene .printing-sheet
+  print() {
+    if (!this.sheet) return;
+    document.body.classList.add('printing-sheet');
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-sheet'), { once: true });
+    window.print();
+  },
+
+  // A4 horizontal; el encabezado de la tabla se repite en cada página
+  downloadPDF() {
+    const sheet = this.sheet;
+    if (!sheet) return;
+
+    const pdf = PDFLite.create(PDFLite.A4_LANDSCAPE);
+    const margin = 28;
+    const rowHeight = 14;
+    const headHeight = 22;
+    const nameWidth = 150;
+    const totalWidth = 26;
+    const dayWidth = (pdf.width - margin * 2 - 18 - nameWidth - totalWidth * 3) / sheet.days.length;
+    const footerHeight = 70;
+
+    const columns = [{ label: '#', width: 18 }, { label: t('Nombre'), width: nameWidth, align: 'left' }];
+    sheet.days.forEach(fecha => columns.push({
+      label: String(parseInt(fecha.slice(8), 10)),
+      sub: this.weekday(fecha),
+      width: dayWidth
+    }));
+    ['Asist.', 'Tard.', 'Aus.'].forEach(label => columns.push({ label: t(label), width: totalWidth }));
+
+    const cellText = (text, x, width, y, options = {}) => {
+      if (options.align === 'left') pdf.text(pdf.fit(text, 7, width - 6), x + 3, y, { size: 7, bold: options.bold });
+      else pdf.text(text, x + width / 2, y, { size: 7, bold: options.bold, align: 'center' });
+    };
+
+    const drawHeader = (pageNumber) => {
+      pdf.text(sheet.title, margin, margin + 12, { size: 14, bold: true });
+      pdf.text(`${sheet.scope} · ${t('{n} usuario(s)', { n: sheet.rows.length })}`, margin, margin + 26, { size: 9, color: [108, 117, 125] });
+      pdf.text(t('Página {n}', { n: pageNumber }), pdf.width - margin, margin + 12, { size: 8, align: 'right', color: [108, 117, 125] });
+
+      const top = margin + 36;
+      let x = margin;
+      columns.forEach(col => {
+        pdf.rect(x, top, col.width, headHeight, { fill: [102, 126, 234], stroke: [255, 255, 255] });
+        if (col.sub) {
+          pdf.text(col.label, x + col.width / 2, top + 9, { size: 7, bold: true, align: 'center', color: [255, 255, 255] });
+          pdf.text(col.sub, x + col.width / 2, top + 18, { size: 6, align: 'center', color: [255, 255, 255] });
+        } else if (col.align === 'left') {
+          pdf.text(col.label, x + 3, top + 14, { size: 7, bold: true, color: [255, 255, 255] });
+        } else {
+          pdf.text(col.label, x + col.width / 2, top + 14, { size: 7, bold: true, align: 'center', color: [255, 255, 255] });
+        }
+        x += col.width;
+      });
+      return top + headHeight;
+    };
+
+    let page = 1;
+    let y = drawHeader(page);
+
+    sheet.rows.forEach((row, i) => {
+      if (y + rowHeight > pdf.height - margin) {
+        pdf.addPage();
+        y = drawHeader(++page);
+      }
+
+      const values = [String(i + 1), row.user.nombre, ...row.marks.map(m => this.mark(m)),
+        String(row.present), String(row.late), String(row.absent)];
+      let x = margin;
+
+      columns.forEach((col, c) => {
+        const mark = c >= 2 && c < 2 + sheet.days.length ? row.marks[c - 2] : null;
+        pdf.rect(x, y, col.width, rowHeight, { fill: this.COLORS[mark], stroke: [206, 212, 218] });
+        cellText(values[c], x, col.width, y + 10, { align: col.align, bold: c === columns.length - 3 });
+        x += col.width;
+      });
+      y += rowHeight;
+    });
+
+    // Leyenda y firmas (en página nueva si no caben)
+    if (y + footerHeight > pdf.height - margin) {
+      pdf.addPage();
+      y = drawHeader(++page);
+    }
+    pdf.text(t('P presente · T tarde · A ausente · - no laborable · Asist. incluye tardanzas'), margin, y + 14, { size: 7, color: [108, 117, 125] });
+
+    const signWidth = (pdf.width - margin * 2 - 40 * (this.SIGNATURES.length - 1)) / this.SIGNATURES.length;
+    this.SIGNATURES.forEach((label, i) => {
+      const x = margin + i * (signWidth + 40);
+      pdf.line(x, y + 52, x + signWidth, y + 52);
+      pdf.text(t(label), x + signWidth / 2, y + 62, { size: 8, align: 'center' });
+    });
+
+    const suffix = !sheet.filtered ? '' : sheet.scope.replace(/^\w+: /, '').replace(/[^\w-]+/g, '_');
+    Database.downloadFile(pdf.output(), `planilla_${this.month}${suffix ? `_${suffix}` : ''}.pdf`);
+    Notification.show(`✓ ${t('PDF generado ({n} usuarios, {pages} página(s))', { n: sheet.rows.length, pages: page })}`, 'success');
+  }
+};
+
+// ============================================
+// ASISTENCIA
+// ============================================
+const Attendance = {
+  async check() {
+    if (State.flags.captureActive) return;
+
+    try {
+      const response = await fetch(`${CONFIG.API_BASE}/api/attendance`);
+      const data = await response.json();
+      this.handleResult(response.status, data);
+    } catch (error) {
+      // Silencioso - normal cuando no hay huella
+    }
+  },
+
+  // Procesa una lectura del sensor, venga del sondeo o del canal de eventos
+  handleResult(status, data) {
+    if (State.flags.captureActive) return;
+    if (Kiosk.active) {
+      Kiosk.show(status, data);
+      return;
+    }
+
+    const lastRecord = Utils.getElement('last-record');
+    const attStatus = Utils.getElement('attendance-status');
+
+    if (status === 409) {
+      lastRecord.classList.add('warning');
+      Utils.setContent('last-user', data.nombre || '---');
+      Utils.setContent('last-time', t('Lectura repetida'));
+      Utils.setContent('last-type', t('Duplicado'));
+
+      if (attStatus) {
+        attStatus.textContent = t('Tu marcación ya fue registrada');
+      }
+
+      Notification.show(t('{nombre} ya marcó hace un momento', { nombre: data.nombre || t('Usuario') }), 'warning');
+
+      setTimeout(() => {
+        lastRecord.classList.remove('warning');
+        if (attStatus) {
+          attStatus.textContent = t('Esperando huella para asistencia...');
+        }
+      }, 5000);
+      return;
+    }
+
+    if (status === 403) {
+      const motivo = Attendance.refusal(data);
+      lastRecord.classList.add('warning');
+      Utils.setContent('last-user', data.nombre || '---');
+      Utils.setContent('last-time', motivo);
+      Utils.setContent('last-type', t('Rechazada'));
+
+      if (attStatus) {
+        attStatus.textContent = motivo;
+      }
+
+      Notification.show(`${data.nombre || t('Usuario')}: ${motivo}`, 'error');
+
+      setTimeout(() => {
+        lastRecord.classList.remove('warning');
+        if (attStatus) {
+          attStatus.textContent = t('Esperando huella para asistencia...');
+        }
+      }, 5000);
+      return;
+    }
+
+    if (status !== 200) return;
+
+    const tipo = Sessions.typeFor(data);
+
+    lastRecord.classList.remove('warning');
+    Utils.setContent('last-user', data.nombre || '---');
+    Utils.setContent('last-time', `${data.fecha || '---'} ${data.hora || '---'}`);
+    Utils.setContent('last-type', `✓ ${t(tipo)}`);
+
+    if (attStatus) {
+      attStatus.textContent = t('Asistencia registrada correctamente');
+    }
+
+    Notification.show(t(tipo === 'salida' ? 'Salida registrada: {nombre}' : 'Entrada registrada: {nombre}', { nombre: data.nombre }), 'success');
+    
+    setTimeout(() => {
+      Database.load();
+      if (attStatus) {
+        attStatus.textContent = t('Esperando huella para asistencia...');
+      }
+    }, 3000);
+  },
+
+  // 403 del lector: el usuario no está activo
+  refusal(data) {
+    const motivos = {
+      inactivo: 'Usuario inactivo: no puede marcar asistencia',
+      suspendido: 'Usuario suspendido: no puede marcar asistencia',
+      eliminado: 'Usuario eliminado: no puede marcar asistencia'
+    };
+    return t(motivos[data.error] || 'No puede marcar asistencia');
+  },
+
+  startMonitoring() {
+    // Con el canal de eventos activo el ESP32 lee el sensor por su cuenta
+    if (State.flags.pushActive) {
+      IntervalManager.clear('attendance');
+      return;
+    }
+    IntervalManager.set('attendance', () => this.check(), CONFIG.ATTENDANCE_INTERVAL);
+  }
+};
+
+// ============================================
+// MODO KIOSCO (kiosk.html)
+// Pantalla del lector sin sesión: reloj, saludo tras marcar y últimas
+// marcaciones del día. Las lecturas llegan por Attendance (sondeo o eventos).
+// Mientras está activo, el navegador queda bloqueado en el kiosco hasta
+// ingresar el PIN configurado por un administrador.
+// ============================================
+const Kiosk = {
+  active: false,
+  recent: [],
+  last: '',
+  resetTimer: null,
+  audio: null,
+
+  init() {
+    this.active = true;
+    localStorage.setItem(CONFIG.KIOSK_KEY, '1');
+
+    this.tick();
+    IntervalManager.set('clock', () => this.tick(), 1000);
+    this.loadRecent();
+    IntervalManager.set('recent', () => this.loadRecent(), CONFIG.KIOSK_RECENT_INTERVAL);
+    this.idle();
+
+    // La pantalla completa y el audio necesitan un gesto del usuario
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('#kioskPinModal, #kioskExitBtn')) return;
+      if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+        document.documentElement.requestFullscreen().catch(() => {});
+      }
+      if (this.audio) this.audio.resume();
+    });
+
+    Utils.getElement('kioskExitBtn').addEventListener('click', () => this.askPin());
+    Utils.getElement('kioskUnlockBtn').addEventListener('click', () => this.unlock());
+    Utils.getElement('kioskCancelBtn').addEventListener('click', () => this.closePin());
+    Utils.getElement('kiosk-pin').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.unlock();
+      if (e.key === 'Escape') this.closePin();
+    });
+
+    SystemStatus.startMonitoring();
+    Attendance.startMonitoring();
+    EventStream.connect();
+  },
+
+  // Desde el panel: el equipo queda en modo kiosco, solo si hay PIN para salir.
+  // La sesión se cierra: quien use el lector no debe poder volver al panel con ella
+  async open() {
+    try {
+      const { data } = await API.getKiosk();
+      if (!data.pin) {
+        Notification.show(`⚠️ ${t('Configure el PIN del kiosco en Usuarios antes de activarlo')}`, 'warning');
+        return;
+      }
+    } catch (error) {
+      Notification.show(`❌ ${error.offline ? t('Sin conexión con el ESP32') : error.message}`, 'error');
+      return;
+    }
+
+    try {
+      await API.logout();
+    } catch (error) {
+      // La sesión se descarta en el navegador aunque el ESP32 no responda
+    }
+    Auth.clear();
+    window.location.href = 'kiosk.html';
+  },
+
+  tick() {
+    const now = Dates.now();
+    Utils.setContent('kiosk-time', now.toLocaleTimeString(I18n.locale(), { hour: '2-digit', minute: '2-digit', second: '2-digit' }));
+    const date = now.toLocaleDateString(I18n.locale(), { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    Utils.setContent('kiosk-date', date.charAt(0).toUpperCase() + date.slice(1));
+  },
+
+  greeting(hora) {
+    const hour = parseInt(hora, 10);
+    if (hour < 12) return t('¡Buenos días!');
+    if (hour < 19) return t('¡Buenas tardes!');
+    return t('¡Buenas noches!');
+  },
+
+  render(kind, icon, title, name, detail) {
+    Utils.getElement('kiosk-panel').className = `kiosk-panel ${kind}`;
+    Utils.getElement('kiosk-photo').style.display = 'none';
+    Utils.getElement('kiosk-icon').style.display = '';
+    Utils.setContent('kiosk-icon', icon);
+    Utils.setContent('kiosk-greeting', title);
+    Utils.setContent('kiosk-name', name);
+    Utils.setContent('kiosk-detail', detail);
+  },
+
+  idle() {
+    this.last = '';
+    this.render('', '👆', t('Coloque su dedo en el lector'), '', t('La asistencia se registra automáticamente'));
+  },
+
+  // Misma lectura que Attendance.handleResult: 200 registrada, 409 repetida,
+  // 403 usuario no activo, 404 desconocida
+  show(status, data) {
+    const key = `${status}|${data.id}|${data.hora || ''}`;
+    const repeated = key === this.last;
+    this.last = key;
+
+    if (status === 200) {
+      const tipo = Sessions.typeFor(data);
+      this.render('success', '✓', tipo === 'salida' ? t('¡Hasta luego!') : this.greeting(data.hora),
+        data.nombre || '', `${t(tipo === 'salida' ? 'Salida registrada' : 'Entrada registrada')} · ${Utils.formatTime(data.hora)}`);
+      if (data.foto) this.showPhoto(key, data.id);
+      if (!repeated) {
+        this.tone([880, 1320]);
+        this.recent.unshift({ id: data.id, nombre: data.nombre, hora: data.hora, tipo });
+        this.renderRecent();
+      }
+    } else if (status === 409) {
+      this.render('warning', '⏱', t('Ya registrado'), data.nombre || '', t('Su marcación anterior ya fue guardada'));
+      if (!repeated) this.tone([520, 520]);
+    } else if (status === 403) {
+      this.render('error', '⛔', Attendance.refusal(data), data.nombre || '', t('Consulte con administración'));
+      if (!repeated) this.tone([260, 260]);
+    } else if (status === 404) {
+      this.render('error', '✗', t('Huella no registrada'), '', t('Intente de nuevo o consulte con administración'));
+      if (!repeated) this.tone([260]);
+    } else {
+      return;
+    }
+
+    clearTimeout(this.resetTimer);
+    this.resetTimer = setTimeout(() => this.idle(), CONFIG.KIOSK_RESULT_MS);
+  },
+
+  // La foto reemplaza al ícono si llega antes de otra lectura (key)
+  async showPhoto(key, id) {
+    const foto = await Photos.get(id);
+    if (!foto || this.last !== key) return;
+
+    const img = Utils.getElement('kiosk-photo');
+    img.src = foto;
+    img.style.display = '';
+    Utils.getElement('kiosk-icon').style.display = 'none';
+  },
+
+  // Tonos cortos en el navegador, además del buzzer del ESP32
+  tone(frequencies) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    if (!this.audio) this.audio = new AudioCtx();
+
+    frequencies.forEach((frequency, i) => {
+      const osc = this.audio.createOscillator();
+      const gain = this.audio.createGain();
+      const start = this.audio.currentTime + i * 0.18;
+      osc.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      osc.connect(gain).connect(this.audio.destination);
+      osc.start(start);
+      osc.stop(start + 0.15);
+    });
+  },
+
+  async loadRecent() {
+    try {
+      const { data } = await API.getRecent();
+      this.recent = data;
+      this.renderRecent();
+    } catch (error) {
+      console.error('Error cargando marcaciones recientes:', error);
+    }
+  },
+
+  renderRecent() {
+    this.recent = this.recent.slice(0, 10);
+
+    if (this.recent.length === 0) {
+      Utils.setHTML('kiosk-recent', `<li class="kiosk-empty">${t('Todavía no hay marcaciones hoy')}</li>`);
+      return;
+    }
+
+    Utils.setHTML('kiosk-recent', this.recent.map(r => `
+      <li>
+        <span class="kiosk-recent-name">${Utils.escapeHtml(r.nombre || `ID ${r.id}`)}</span>
+        <span class="badge ${r.tipo === 'salida' ? 'badge-exit' : ''}">${t(r.tipo)}</span>
+        <span class="kiosk-recent-time">${Utils.formatTime(r.hora).slice(0, 5)}</span>
+      </li>
+    `).join(''));
+  },
+
+  askPin() {
+    Utils.getElement('kiosk-pin').value = '';
+    Utils.setContent('kiosk-pin-error', '');
+    Utils.getElement('kioskPinModal').classList.add('active');
+    Utils.getElement('kiosk-pin').focus();
+  },
+
+  closePin() {
+    Utils.getElement('kioskPinModal').classList.remove('active');
+  },
+
+  async unlock() {
+    const pin = Utils.getElement('kiosk-pin').value.trim();
+
+    try {
+      await API.unlockKiosk(pin);
+      localStorage.removeItem(CONFIG.KIOSK_KEY);
+      IntervalManager.clearAll();
+      EventStream.close();
+      if (document.fullscreenElement) await document.exitFullscreen().catch(() => {});
+      window.location.href = './';
+    } catch (error) {
+      Utils.setContent('kiosk-pin-error', error.offline ? t('Sin conexión con el ESP32') : error.message);
+      Utils.getElement('kiosk-pin').value = '';
+    }
+  },
+
+  // Tarjeta "Modo kiosco" de Usuarios (administradores)
+  async loadPin() {
+    try {
+      const { data } = await API.getKiosk();
+      Utils.setContent('kiosk-pin-status', data.pin
+        ? t('PIN configurado: se pide para salir del kiosco.')
+        : t('Sin PIN: el modo kiosco no se puede activar.'));
+    } catch (error) {
+      Utils.setContent('kiosk-pin-status', t('No se pudo consultar el PIN'));
+    }
+  },
+
+  async savePin(clear = false) {
+    const input = Utils.getElement('kiosk-pin-new');
+    const pin = clear ? '' : input.value.trim();
+
+    if (!clear && !/^\d{4,8}$/.test(pin)) {
+      Notification.show(t('El PIN debe tener de 4 a 8 dígitos'), 'error');
+      return;
+    }
+
+    try {
+      await API.saveKioskPin(pin);
+      input.value = '';
+      Notification.show(`✓ ${t(clear ? 'PIN del kiosco eliminado' : 'PIN del kiosco guardado')}`, 'success');
+      this.loadPin();
+    } catch (error) {
+      Notification.show(`Error: ${error.message}`, 'error');
+    }
+  }
+};
+
+// ============================================
+// FILTROS DE REPORTES (PERSISTIDOS EN LA URL)
+// ============================================
+const Filters = {
+  FIELDS: {
+    from: 'filter-from',
+    to: 'filter-to',
+    user: 'filter-user',
+    role: 'filter-role',
+    group: 'filter-group',
+    q: 'filter-search',
+    timeFrom: 'filter-time-from',
+    timeTo: 'filter-time-to'
+  },
+
+  SORTERS: {
+    id: r => parseInt(r.id, 10) || 0,
+    nombre: r => (r.nombre || '').toLowerCase(),
+    fecha: r => `${r.fecha} ${(r.hora || '').padStart(8, '0')}`,
+    hora: r => Dates.timeToSeconds(r.hora),
+    tipo: r => r.tipo || '',
+    horas: r => r.horas || 0,
+    sesion: r => Sessions.sessionLabel(r),
+    estado: r => Schedules.statusLabel(r),
+    rol: r => r.rol || '',
+    correccion: r => Corrections.label(r)
+  },
+
+  read() {
+    Object.entries(this.FIELDS).forEach(([key, id]) => {
+      const el = Utils.getElement(id);
+      if (el) State.filters[key] = el.value.trim();
+    });
+  },
+
+  write() {
+    Object.entries(this.FIELDS).forEach(([key, id]) => {
+      const el = Utils.getElement(id);
+      if (el) el.value = State.filters[key];
+    });
+    this.updateHeaders();
+  },
+
+  reset() {
+    Object.keys(this.FIELDS).forEach(key => { State.filters[key] = ''; });
+    State.filters.sort = 'fecha';
+    State.filters.dir = 'desc';
+  },
+
+  // #reportes?from=2026-03-01&to=2026-03-31&role=Profesor&sort=nombre&dir=asc
+  toHash() {
+    const params = new URLSearchParams();
+    Object.keys(this.FIELDS).forEach(key => {
+      if (State.filters[key]) params.set(key, State.filters[key]);
+    });
+    if (State.filters.sort !== 'fecha' || State.filters.dir !== 'desc') {
+      params.set('sort', State.filters.sort);
+      params.set('dir', State.filters.dir);
+    }
+
+    const query = params.toString();
+    history.replaceState(null, '', `#reportes${query ? `?${query}` : ''}`);
+  },
+
+  fromHash() {
+    const hash = window.location.hash;
+    if (!hash.startsWith('#reportes')) return false;
+
+    this.reset();
+    new URLSearchParams(hash.split('?')[1] || '').forEach((value, key) => {
+      if (key in State.filters) State.filters[key] = value;
+    });
+    if (!this.SORTERS[State.filters.sort]) State.filters.sort = 'fecha';
+    if (State.filters.dir !== 'asc') State.filters.dir = 'desc';
+    return true;
+  },
+
+  normalize(text) {
+    return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  },
+
+  apply(records) {
+    const f = State.filters;
+    const q = this.normalize(f.q);
+    const timeFrom = f.timeFrom ? Dates.timeToSeconds(f.timeFrom) : null;
+    const timeTo = f.timeTo ? Dates.timeToSeconds(f.timeTo) + 59 : null;
+    const members = f.group ? Groups.members(f.group) : null;
+
+    const filtered = records.filter(r => {
+      if (f.from && r.fecha < f.from) return false;
+      if (f.to && r.fecha > f.to) return false;
+      if (f.user && String(r.id) !== f.user) return false;
+      if (f.role && r.rol !== f.role) return false;
+      if (members && !members.has(String(r.id))) return false;
+      if (q && !this.normalize(r.nombre || '').includes(q) && String(r.id) !== f.q) return false;
+
+      if (timeFrom !== null || timeTo !== null) {
+        if (!r.hora) return false;
+        const time = Dates.timeToSeconds(r.hora);
+        if (timeFrom !== null && time < timeFrom) return false;
+        if (timeTo !== null && time > timeTo) return false;
+      }
+
+      return true;
+    });
+
+    return this.sort(filtered);
+  },
+
+  sort(records) {
+    const key = this.SORTERS[State.filters.sort] || this.SORTERS.fecha;
+    const dir = State.filters.dir === 'asc' ? 1 : -1;
+
+    return [...records].sort((a, b) => {
+      const va = key(a);
+      const vb = key(b);
+      if (va < vb) return -dir;
+      if (va > vb) return dir;
+      return 0;
+    });
+  },
+
+  toggleSort(key) {
+    if (State.filters.sort === key) {
+      State.filters.dir = State.filters.dir === 'asc' ? 'desc' : 'asc';
+    } else {
+      State.filters.sort = key;
+      State.filters.dir = 'asc';
+    }
+    this.updateHeaders();
+    Database.filter();
+  },
+
+  updateHeaders() {
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+      th.classList.remove('sorted-asc', 'sorted-desc');
+      if (th.dataset.sort === State.filters.sort) th.classList.add(`sorted-${State.filters.dir}`);
+    });
+  }
+};
+
+// ============================================
+// CORRECCIONES MANUALES DE ASISTENCIA
+// ============================================
+const Corrections = {
+  list: [],
+  // Marcación que se corrige o anula; null al agregar una nueva
+  target: null,
+
+  async load() {
+    try {
+      this.list = await Offline.fetch('corrections', () => API.getCorrections());
+    } catch (error) {
+      console.error('Error cargando correcciones:', error);
+      this.list = [];
+    }
+  },
+
+  key: (id, fecha, hora) => `${id}|${fecha}|${hora}`,
+
+  // Aplica las correcciones en orden sobre las marcaciones de asistencia.csv.
+  // La marcación original nunca se descarta: queda con anulado = true.
+  apply(records) {
+    const rows = [];
+    const index = new Map();
+
+    const add = (row) => {
+      const k = this.key(row.id, row.fecha, row.hora);
+      if (!index.has(k)) index.set(k, []);
+      index.get(k).push(row);
+      rows.push(row);
+    };
+
+    records.forEach(r => add({ ...r }));
+
+    this.list.forEach(c => {
+      if (c.tipo !== 'agregar') {
+        const candidates = index.get(this.key(c.id, c.original.fecha, c.original.hora)) || [];
+        const original = candidates.find(r => !r.anulado);
+        if (!original) return;
+
+        original.anulado = true;
+        original.correccion = c;
+      }
+
+      if (c.tipo !== 'anular') {
+        // Usuarios en la papelera: el nombre sale de sus propias marcaciones
+        const user = State.data.users.find(u => String(u.id) === String(c.id)) ||
+          records.find(r => String(r.id) === String(c.id)) || {};
+        add({
+          id: String(c.id),
+          nombre: user.nombre || t('Desconocido'),
+          rol: user.rol || '',
+          fecha: c.fecha,
+          hora: c.hora,
+          correccion: c
+        });
+      }
+    });
+
+    return rows;
+  },
+
+  label(record) {
+    const c = record.correccion;
+    if (!c) return '';
+    if (record.anulado) return t(c.tipo === 'anular' ? 'Anulada' : 'Reemplazada');
+    return t(c.tipo === 'agregar' ? 'Agregada' : 'Corregida');
+  },
+
+  // Texto para exportaciones: estado, motivo, autor y marcación original
+  describe(record) {
+    const c = record.correccion;
+    if (!c) return '';
+
+    let text = `${this.label(record)}: ${c.motivo} (${c.actor}, ${c.creado})`;
+    if (c.tipo === 'corregir' && !record.anulado) text += ` · ${t('original')} ${c.original.fecha} ${c.original.hora}`;
+    return text;
+  },
+
+  cell(record, index) {
+    const c = record.correccion;
+    const badge = c
+      ? `<span class="badge ${record.anulado ? 'badge-muted' : 'badge-info'}" title="${Utils.escapeHtml(`${c.motivo} · ${c.actor}`)}">${this.label(record)}</span> `
+      : '';
+
+    if (record.anulado) return badge;
+    const action = t(record.ausente ? 'Justificar' : 'Corregir');
+    return `${badge}<button class="btn btn-outline btn-small" onclick="Corrections.open(${index})">${action}</button>`;
+  },
+
+  // Desde una fila de la tabla: corrige la marcación o, si es una ausencia, agrega una
+  open(index) {
+    const record = State.data.filtered[index];
+    if (!record) return;
+
+    if (record.ausente) {
+      const turno = Schedules.shiftFor(record.id, record.rol);
+      this.openAdd(record.id, record.fecha, turno ? turno.inicio : '');
+      return;
+    }
+
+    this.target = record;
+    this.showModal(t('Corregir Marcación'), record.id, record.fecha, record.hora);
+    Utils.setContent('correction-original', `${t('Original:')} ${Dates.formatDate(record.fecha)} ${record.hora} · ${record.nombre}`);
+  },
+
+  openAdd(id = '', fecha = Dates.today(), hora = '') {
+    this.target = null;
+    this.showModal(t('Agregar Marcación'), id, fecha, hora);
+    Utils.setContent('correction-original', t('La marcación se agrega sin modificar el registro del sensor.'));
+  },
+
+  showModal(title, id, fecha, hora) {
+    const users = [...State.data.users].sort((a, b) => a.nombre.localeCompare(b.nombre));
+    const select = Utils.getElement('correction-user');
+    select.innerHTML = users.map(u =>
+      `<option value="${u.id}">${Utils.escapeHtml(u.nombre)} (ID ${u.id})</option>`
+    ).join('');
+    select.value = String(id);
+    select.disabled = this.target !== null;
+
+    Utils.setContent('correction-title', title);
+    Utils.getElement('correction-date').value = fecha;
+    Utils.getElement('correction-time').value = hora;
+    Utils.getElement('correction-reason').value = '';
+    Utils.getElement('voidCorrectionBtn').style.display = this.target ? '' : 'none';
+
+    Utils.getElement('correctionModal').classList.add('active');
+  },
+
+  close() {
+    Utils.getElement('correctionModal').classList.remove('active');
+    this.target = null;
+  },
+
+  reason() {
+    const motivo = Utils.getElement('correction-reason').value.trim();
+    if (motivo.length < 3) {
+      Notification.show(`❌ ${t('El motivo es obligatorio')}`, 'error');
+      Utils.getElement('correction-reason').focus();
+      return null;
+    }
+    return motivo;
+  },
+
+  async save() {
+    const motivo = this.reason();
+    if (!motivo) return;
+
+    const fecha = Utils.getElement('correction-date').value;
+    let hora = Utils.getElement('correction-time').value;
+    if (hora.length === 5) hora += ':00';
+
+    if (!fecha || !hora) {
+      Notification.show(t('Indique fecha y hora'), 'warning');
+      return;
+    }
+
+    if (this.target) {
+      if (fecha === this.target.fecha && hora === this.target.hora) {
+        Notification.show(t('La fecha y hora no cambiaron'), 'warning');
+        return;
+      }
+      await this.submit({
+        tipo: 'corregir',
+        id: parseInt(this.target.id, 10),
+        fecha,
+        hora,
+        original: { fecha: this.target.fecha, hora: this.target.hora },
+        motivo
+      });
+    } else {
+      const id = Utils.getElement('correction-user').value;
+      if (id === '') {
+        Notification.show(t('Seleccione un usuario'), 'warning');
+        return;
+      }
+      await this.submit({ tipo: 'agregar', id: parseInt(id, 10), fecha, hora, motivo });
+    }
+  },
+
+  async voidPunch() {
+    const motivo = this.reason();
+    if (!motivo || !this.target) return;
+
+    if (!confirm(t('¿Anular esta marcación? El registro original se conserva.'))) return;
+
+    await this.submit({
+      tipo: 'anular',
+      id: parseInt(this.target.id, 10),
+      original: { fecha: this.target.fecha, hora: this.target.hora },
+      motivo
+    });
+  },
+
+  async submit(payload) {
+    try {
+      const { data } = await API.saveCorrection(payload);
+      this.list.push(data);
+
+      const labels = { agregar: 'Marcación agregada', corregir: 'Marcación corregida', anular: 'Marcación anulada' };
+      Notification.show(`✓ ${t(labels[payload.tipo])}`, 'success');
+
+      this.close();
+      Database.process(Database.raw);
+    } catch (error) {
+      Notification.show(`❌ ${error.offline ? t('Sin conexión: la corrección no se guardó') : error.message}`, 'error');
+    }
+  }
+};
+
+// ============================================
+// TABLA VIRTUAL (SOLO SE DIBUJAN LAS FILAS VISIBLES)
+// ============================================
+const VirtualTable = {
+  rows: [],
+  renderRow: null,
+  first: -1,
+  frame: null,
+
+  container: () => Utils.getElement('table-scroll'),
+
+  init() {
+    const container = this.container();
+    if (container) container.addEventListener('scroll', () => this.schedule());
+  },
+
+  setRows(rows, renderRow = null) {
+    this.rows = rows;
+    this.renderRow = renderRow;
+    this.render(true);
+  },
+
+  scrollToTop() {
+    const container = this.container();
+    if (container) container.scrollTop = 0;
+  },
+
+  schedule() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render(false);
+    });
+  },
+
+  // Filas de alto fijo (CONFIG.ROW_HEIGHT); dos filas espaciadoras mantienen la barra de desplazamiento
+  render(force) {
+    const tbody = Utils.getElement('attendance-table');
+    const container = this.container();
+    if (!tbody || !container || this.rows.length === 0) return;
+
+    const height = CONFIG.ROW_HEIGHT;
+    const visible = Math.ceil((container.clientHeight || 600) / height) + CONFIG.TABLE_OVERSCAN * 2;
+    const first = Math.max(0, Math.min(
+      Math.floor(container.scrollTop / height) - CONFIG.TABLE_OVERSCAN,
+      this.rows.length - visible
+    ));
+    if (!force && first === this.first) return;
+    this.first = first;
+
+    const last = Math.min(this.rows.length, first + visible);
+    const fragment = document.createDocumentFragment();
+
+    fragment.appendChild(this.spacer(first * height));
+    for (let i = first; i < last; i++) {
+      fragment.appendChild(this.renderRow(this.rows[i], i));
+    }
+    fragment.appendChild(this.spacer((this.rows.length - last) * height));
+
+    tbody.innerHTML = '';
+    tbody.appendChild(fragment);
+  },
+
+  spacer(px) {
+    const row = document.createElement('tr');
+    row.className = 'spacer-row';
+    row.style.height = `${px}px`;
+    return row;
+  }
+};
+
+// ============================================
+// BASE DE DATOS - EXPORTACIÓN CSV CORREGIDA
+// ============================================
+const Database = {
+  // Columnas de la tabla exportada (CSV y hoja "Marcaciones")
+  COLUMNS: ['ID', 'Nombre', 'Fecha', 'Hora', 'Tipo', 'Horas', 'Sesión', 'Estado', 'Cargo', 'Grupos', 'Corrección'],
+  raw: [],
+  end: 0,
+  loading: null,
+
+  // Descarga las marcaciones nuevas desde el último cursor; full vuelve a leer
+  // todo el historial (necesario cuando cambian nombres o cargos de usuarios)
+  load(full = false) {
+    if (!Auth.canView('reportes')) return Promise.resolve();
+
+    if (this.loading) {
+      return full ? this.loading.then(() => this.load(true)) : this.loading;
+    }
+    this.loading = this.loadPages(full).finally(() => { this.loading = null; });
+    return this.loading;
+  },
+
+  async loadPages(full) {
+    State.flags.dbLoading = true;
+
+    try {
+      await Users.ensureLoaded();
+      await Groups.ensureLoaded();
+      await Schedules.load();
+      await WorkCalendar.load();
+      await Corrections.load();
+
+      let shown = 0;
+      const data = await Offline.fetch('database', () => this.fetchPages(full ? 0 : this.end, records => {
+        // Procesar todo el historial en cada página sería cuadrático: como máximo una vez por segundo
+        if (Date.now() - shown < 1000) return;
+        shown = Date.now();
+        this.process(records);
+      }));
+
+      // Copia en caché: la próxima carga con conexión debe ser completa
+      if (State.flags.offline) {
+        this.raw = data;
+        this.end = 0;
+      }
+
+      this.process(data);
+
+    } catch (error) {
+      console.error('Error cargando base de datos:', error);
+      Notification.show(t('No se pudo cargar la base de datos'), 'error');
+
+      VirtualTable.setRows([]);
+      Utils.setHTML('attendance-table',
+        `<tr><td colspan='10' style='text-align:center;padding:32px;color:#dc3545'>${t('Error al cargar datos')}</td></tr>`);
+    } finally {
+      this.updateProgress(null);
+      State.flags.dbLoading = false;
+    }
+  },
+
+  // Recorre /api/database desde el cursor (posición en bytes de asistencia.csv)
+  // hasta el final. Si el archivo es más corto que el cursor, se recreó y se empieza de cero.
+  async fetchPages(start, onPage) {
+    let records = start > 0 ? [...this.raw] : [];
+    let cursor = start;
+
+    while (cursor !== null) {
+      const { data } = await API.getDatabase(cursor);
+      // Firmware anterior: arreglo sin paginar
+      const page = Array.isArray(data) ? { records: data, next: null, size: 0 } : data;
+
+      if (cursor > 0 && page.size < cursor) {
+        records = [];
+        cursor = 0;
+        continue;
+      }
+
+      records.push(...page.records);
+      cursor = page.next;
+
+      this.raw = records;
+      this.end = cursor !== null ? cursor : page.size;
+
+      if (cursor !== null) {
+        this.updateProgress(cursor / page.size);
+        onPage(records);
+      }
+    }
+
+    return { data: records };
+  },
+
+  // Las exportaciones y el historial necesitan todas las páginas
+  async ensureComplete() {
+    if (this.loading) {
+      await this.loading;
+    } else if (State.data.full.length === 0) {
+      await this.load();
+    }
+  },
+
+  updateProgress(fraction) {
+    Utils.setContent('db-progress', fraction === null ? '' : t('Cargando historial... {n}%', { n: Math.round(fraction * 100) }));
+  },
+
+  // Calcula sesiones, estados y ausencias sobre las marcaciones descargadas
+  process(data) {
+    const rows = Corrections.apply(data);
+    const punches = Schedules.classifyAll(Sessions.annotate(rows.filter(r => !r.anulado)));
+    const voided = rows.filter(r => r.anulado);
+    const records = [...punches, ...voided, ...Schedules.absences(punches)]
+      .sort((a, b) => a.fecha.localeCompare(b.fecha) || Dates.timeToSeconds(a.hora) - Dates.timeToSeconds(b.hora));
+    State.data.full = records;
+
+    this.fillUserFilter(records);
+    this.refresh();
+    if (CalendarView.month) CalendarView.render();
+  },
+
+  filter() {
+    Filters.read();
+    Filters.toHash();
+    VirtualTable.scrollToTop();
+    this.refresh();
+  },
+
+  // Aplica State.filters; tabla, estadísticas y exportaciones usan el mismo resultado
+  refresh() {
+    const filtered = Filters.apply(State.data.full);
+    State.data.filtered = filtered;
+    this.renderTable(filtered);
+    this.updateStats(filtered);
+  },
+
+  clearFilters() {
+    Filters.reset();
+    Filters.write();
+    Filters.toHash();
+    VirtualTable.scrollToTop();
+    this.refresh();
+    Notification.show(t('Filtros limpiados'), 'info');
+  },
+
+  renderTable(data) {
+    const tbody = Utils.getElement('attendance-table');
+    if (!tbody) return;
+
+    if (!data || data.length === 0) {
+      VirtualTable.setRows([]);
+      Utils.setHTML('attendance-table',
+        `<tr><td colspan='10' style='text-align:center;padding:32px;color:#6c757d'>${t('No hay registros')}</td></tr>`);
+      return;
+    }
+
+    VirtualTable.setRows(data, (reg, index) => this.buildRow(reg, index));
+  },
+
+  // index es la posición en State.data.filtered (la usa el botón de corrección)
+  buildRow(reg, index) {
+    const row = document.createElement('tr');
+    if (reg.ausente) row.className = 'row-absent';
+    else if (reg.anulado) row.className = 'row-voided';
+    else if (reg.correccion) row.className = 'row-corrected';
+    else if (reg.estado === 'no_laborable') row.className = 'row-non-working';
+    row.innerHTML = `
+      <td><strong style="color:#667eea">${reg.id || '---'}</strong></td>
+      <td><strong>${Utils.escapeHtml(reg.nombre || t('Desconocido'))}</strong></td>
+      <td>${Dates.formatDate(reg.fecha) || '---'}</td>
+      <td>${Utils.formatTime(reg.hora) || '---'}</td>
+      <td>${reg.tipo ? `<span class="badge ${reg.tipo === 'salida' ? 'badge-exit' : ''}">${t(reg.tipo)}</span>` : '---'}</td>
+      <td>${reg.tipo === 'salida' ? Utils.formatHours(reg.horas) : '---'}</td>
+      <td>${reg.incompleta ? `<span class="badge badge-warning">${t('Sin salida')}</span>` : Sessions.sessionLabel(reg)}</td>
+      <td>${Schedules.statusBadge(reg)}</td>
+      <td><span class="badge">${Utils.escapeHtml(reg.rol ? t(reg.rol) : 'N/A')}</span></td>
+      <td>${Corrections.cell(reg, index)}</td>
+    `;
+    return row;
+  },
+
+  // Por ID: dos usuarios pueden llamarse igual y el documento los distingue
+  fillUserFilter(data) {
+    const names = new Map(data.map(r => [String(r.id), r.nombre || '']));
+    const documents = new Map(State.data.users.map(u => [String(u.id), u.documento || '']));
+    const users = [...names.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+    const select = Utils.getElement('filter-user');
+
+    if (!select) return;
+
+    let html = `<option value="">${t('Todos los usuarios')}</option>`;
+    users.forEach(([id, nombre]) => {
+      const documento = documents.get(id);
+      const label = documento ? `${nombre} (${documento})` : nombre;
+      html += `<option value="${Utils.escapeHtml(id)}">${Utils.escapeHtml(label)}</option>`;
+    });
+
+    select.innerHTML = html;
+    select.value = State.filters.user;
+  },
+
+  updateStats(data) {
+    const punches = data.filter(r => Sessions.isPunch(r));
+    Utils.setContent('stat-total', punches.length);
+
+    const today = Dates.today();
+    const todayCount = punches.filter(r => r.fecha === today).length;
+    Utils.setContent('stat-today', todayCount);
+
+    const uniqueUsers = new Set(punches.map(r => String(r.id))).size;
+    Utils.setContent('stat-users', uniqueUsers);
+
+    Utils.setContent('stat-late', punches.filter(r => r.estado === 'tarde').length);
+    const absent = data.filter(r => r.ausente).length;
+    Utils.setContent('stat-absent', absent);
+
+    // Días-usuario asistidos frente a ausencias, solo en días laborables de cada turno
+    const attended = new Set(punches.filter(r => Schedules.onWorkingDay(r)).map(r => `${r.id}|${r.fecha}`)).size;
+    Utils.setContent('stat-rate', attended + absent > 0 ? `${Math.round(attended / (attended + absent) * 100)}%` : '---');
+    Groups.renderSummary(data);
+  },
+
+  // ⭐ FUNCIÓN CORREGIDA: CSV con celdas separadas correctamente
+  async exportCSV() {
+    await this.ensureComplete();
+
+    if (State.data.filtered.length === 0) {
+      Notification.show(t('No hay datos para exportar'), 'warning');
+      return;
+    }
+
+    // Crear CSV con formato correcto (sin comillas dobles innecesarias)
+    let csv = `${this.COLUMNS.map(c => t(c)).join(';')}\n`;
+    const groupNames = Groups.userNames();
+
+    State.data.filtered.forEach(row => {
+      // Limpiar y formatear cada campo
+      const id = (row.id || '').toString().trim();
+      const nombre = (row.nombre || '').trim();
+      const fecha = (row.fecha || '').trim();
+      const hora = (row.hora || '').trim();
+      const rol = t((row.rol || '').trim());
+      const tipo = row.tipo ? t(row.tipo) : '';
+      const horas = row.tipo === 'salida' ? Utils.formatHours(row.horas) : '';
+      const sesion = Sessions.sessionLabel(row);
+      const estado = Schedules.statusLabel(row);
+      const correccion = Corrections.describe(row);
+      const grupos = groupNames.get(String(row.id)) || '';
+
+      // Solo usar comillas si el campo contiene comas o comillas
+      const formatField = (field) => {
+        if (!field) return '';
+        if (field.includes(',') || field.includes(';') || field.includes('"') || field.includes('\n')) {
+          return `"${field.replace(/"/g, '""')}"`;
+        }
+        return field;
+      };
+      // Construir línea CSV
+      csv += `${id};${formatField(nombre)};${fecha};${hora};${tipo};${horas};${sesion};${estado};${formatField(rol)};${formatField(grupos)};${formatField(correccion)}\n`;
+    });
+
+    // Crear y descargar archivo
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    this.downloadFile(blob, `asistencia_${this.getDateString()}.csv`);
+
+    Notification.show(`✓ ${t('CSV exportado: {n} registros', { n: State.data.filtered.length })}`, 'success');
+  },
+
+  downloadFile(blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+  },
+
+  getDateString() {
+    return Dates.today();
+  },
+  async exportXLSX() {
+    await this.ensureComplete();
+
+    const rows = State.data.filtered;
+    if (rows.length === 0) {
+      Notification.show(t('No hay datos para exportar'), 'warning');
+      return;
+    }
+
+    const groupNames = Groups.userNames();
+    const punches = [this.COLUMNS.map(c => t(c))];
+    rows.forEach(r => {
+      punches.push([
+        r.id || '',
+        r.nombre || '',
+        { value: Dates.excelDate(r.fecha), style: 'date' },
+        { value: Dates.excelTime(r.hora), style: 'time' },
+        r.tipo ? t(r.tipo) : '',
+        r.tipo === 'salida' ? Math.round(r.horas * 100) / 100 : '',
+        Sessions.sessionLabel(r),
+        Schedules.statusLabel(r),
+        r.rol ? t(r.rol) : '',
+        groupNames.get(String(r.id)) || '',
+        Corrections.describe(r)
+      ]);
+    });
+
+    const sheets = [
+      { name: t('Marcaciones'), rows: punches, cols: [6, 35, 12, 10, 10, 8, 12, 18, 15, 25, 40] },
+      { name: t('Resumen'), rows: this.summarySheet(rows, groupNames), cols: [6, 35, 14, 15, 25, 10, 10, 10, 10, 12, 12] },
+      this.matrixSheet(rows)
+    ];
+    if (Groups.list.length) {
+      sheets.push({ name: t('Por grupo'), rows: this.groupSheet(rows), cols: [25, 10, 10, 10, 10, 12] });
+    }
+
+    const blob = XLSXLite.write(sheets);
+    this.downloadFile(blob, `asistencia_${this.getDateString()}.xlsx`);
+
+    Notification.show(`✓ ${t('Excel exportado ({n} registros)', { n: rows.length })}`, 'success');
+  },
+
+  // Agrupa las filas por usuario, ordenado por nombre
+  byUser(rows) {
+    const users = new Map();
+    rows.forEach(r => {
+      const key = String(r.id);
+      if (!users.has(key)) users.set(key, { id: r.id, nombre: r.nombre || '', rol: r.rol || '', rows: [] });
+      users.get(key).rows.push(r);
+    });
+    return [...users.values()].sort((a, b) => a.nombre.localeCompare(b.nombre));
+  },
+
+  // Hoja "Resumen": una fila por usuario
+  summarySheet(rows, groupNames) {
+    const sheet = [['ID', 'Nombre', 'Documento', 'Cargo', 'Grupos', 'Presentes', 'Ausencias', 'Tardanzas', 'Marcaciones', 'Horas', 'Asistencia %'].map(c => t(c))];
+    // El documento distingue a usuarios con el mismo nombre
+    const documents = new Map(State.data.users.map(u => [String(u.id), u.documento || '']));
+
+    this.byUser(rows).forEach(user => {
+      const punches = user.rows.filter(r => Sessions.isPunch(r));
+      const present = new Set(punches.map(r => r.fecha)).size;
+      const worked = new Set(punches.filter(r => Schedules.onWorkingDay(r)).map(r => r.fecha)).size;
+      const absent = new Set(user.rows.filter(r => r.ausente).map(r => r.fecha)).size;
+      const late = new Set(punches.filter(r => r.estado === 'tarde').map(r => r.fecha)).size;
+      const hours = punches.reduce((sum, r) => sum + (r.tipo === 'salida' && r.horas ? r.horas : 0), 0);
+      const rate = worked + absent > 0 ? Math.round(worked / (worked + absent) * 1000) / 10 : '';
+
+      sheet.push([
+        user.id, user.nombre, documents.get(String(user.id)) || '', t(user.rol), groupNames.get(String(user.id)) || '',
+        present, absent, late, punches.length,
+        Math.round(hours * 100) / 100,
+        rate === '' ? '' : { value: rate, style: rate >= 90 ? 'ok' : (rate >= 75 ? 'warn' : 'bad') }
+      ]);
+    });
+
+    return sheet;
+  },
+
+  // Hoja "Por grupo": ver Groups.summary
+  groupSheet(rows) {
+    const sheet = [['Grupo', 'Usuarios', 'Presentes', 'Tardanzas', 'Ausencias', 'Asistencia %'].map(c => t(c))];
+    Groups.summary(rows).forEach(s => {
+      sheet.push([s.grupo, s.usuarios, s.presentes, s.tardanzas, s.ausencias, s.tasa === null ? '' : s.tasa]);
+    });
+    return sheet;
+  },
+
+  // Hoja "Por día": usuarios × días del rango exportado (P presente, T tarde, A ausente, - no laborable)
+  matrixSheet(rows) {
+    const dates = rows.map(r => r.fecha).filter(Boolean).sort();
+    const days = [];
+    if (dates.length) {
+      days.push(...Dates.range(dates[0], dates[dates.length - 1]));
+    }
+
+    const dayLabel = (fecha) => Dates.formatDate(fecha, { day: '2-digit', month: '2-digit' });
+    const header = ['ID', t('Nombre'), ...days.map(dayLabel), t('Presentes'), t('Ausencias')];
+    const sheet = [header];
+
+    this.byUser(rows).forEach(user => {
+      const present = new Set();
+      const late = new Set();
+      const absent = new Set();
+
+      user.rows.forEach(r => {
+        if (r.ausente) absent.add(r.fecha);
+        else if (Sessions.isPunch(r)) {
+          present.add(r.fecha);
+          if (r.estado === 'tarde') late.add(r.fecha);
+        }
+      });
+
+      const cells = days.map(fecha => {
+        if (present.has(fecha)) return late.has(fecha) ? { value: t('T'), style: 'warn' } : { value: t('P'), style: 'ok' };
+        if (absent.has(fecha)) return { value: t('A'), style: 'bad' };
+        return WorkCalendar.isWorkingDay(fecha) ? '' : { value: '-', style: 'muted' };
+      });
+
+      sheet.push([user.id, user.nombre, ...cells, present.size, absent.size]);
+    });
+
+    return {
+      name: t('Por día'),
+      rows: sheet,
+      cols: [6, 30, ...days.map(() => 6), 10, 10],
+      freeze: { rows: 1, cols: 2 }
+    };
+  }
+};
+// ============================================
+// GESTIÓN DE USUARIOS
+// ============================================
+const Users = {
+  async load() {
+    if (State.flags.usersLoading) return;
+    State.flags.usersLoading = true;
+
+    const container = Utils.getElement('usersList');
+    if (!container) return;
+
+    try {
+      const data = await Offline.fetch('users', () => API.getUsers());
+      State.data.users = data;
+
+      if (data.length === 0) {
+        Utils.setHTML('usersList', `
+          <div style="text-align:center;padding:60px 20px;color:#6c757d">
+            <div style="font-size:4em;margin-bottom:16px">👥</div>
+            <div style="font-size:1.3em;font-weight:700;margin-bottom:8px">${t('No hay usuarios registrados')}</div>
+            <div style="font-size:1em">${t('Registra tu primer usuario en la pestaña "Nuevo Usuario"')}</div>
+          </div>
+        `);
+        return;
+      }
+
+      this.render(data);
+
+    } catch (error) {
+      console.error('Error:', error);
+      Utils.setHTML('usersList', `
+        <div style="text-align:center;padding:40px;color:#dc3545">
+          <div style="font-size:3em;margin-bottom:16px">✗</div>
+          <div style="font-size:1.1em;font-weight:600">${t('Error al cargar usuarios')}</div>
+        </div>
+      `);
+    } finally {
+      State.flags.usersLoading = false;
+    }
+  },
+
+  async ensureLoaded() {
+    if (State.data.users.length > 0) return State.data.users;
+
+    try {
+      State.data.users = await Offline.fetch('users', () => API.getUsers());
+    } catch (error) {
+      console.error('Error cargando usuarios:', error);
+    }
+    return State.data.users;
+  },
+
+  statusOf(user) {
+    return CONFIG.USER_STATUS[user.estado] ? user.estado : 'activo';
+  },
+
+  statusBadge(user) {
+    const estado = this.statusOf(user);
+    const clase = { activo: 'badge-success', inactivo: 'badge-muted', suspendido: 'badge-warning' }[estado];
+    return `<span class="badge ${clase}">${t(CONFIG.USER_STATUS[estado])}</span>`;
+  },
+
+  // Usuarios del filtro de estado (lista y exportaciones)
+  filtered() {
+    const select = Utils.getElement('users-status');
+    const estado = select ? select.value : '';
+    return State.data.users.filter(u => !estado || this.statusOf(u) === estado);
+  },
+
+  render(users) {
+    users.sort((a, b) => a.id - b.id);
+    const visibles = this.filtered();
+
+    let html = `
+      <div style="background:linear-gradient(135deg,#e7f3ff,#d6e9ff);padding:20px;border-radius:16px;margin-bottom:24px;text-align:center;border-left:5px solid #667eea">
+        <strong style="font-size:1.2em;color:#667eea">${visibles.length === users.length
+          ? t('Total: {n} usuarios registrados', { n: users.length })
+          : t('{n} de {total} usuarios', { n: visibles.length, total: users.length })}</strong>
+      </div>
+      <div class="user-list">
+    `;
+
+    visibles.forEach(user => {
+      html += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">
+              <span style="background:linear-gradient(135deg,#667eea,#764ba2);color:white;padding:4px 12px;border-radius:8px;font-size:.85em;margin-right:10px;font-weight:700">ID ${user.id}</span>
+              ${Utils.escapeHtml(user.nombre)}
+              ${this.statusBadge(user)}
+            </div>
+            <div class="user-meta">${user.documento ? `🪪 ${Utils.escapeHtml(user.documento)} · ` : ''}${Utils.escapeHtml(t(user.rol))}${Groups.of(user).length ? ` · ${Utils.escapeHtml(Groups.names(Groups.of(user)))}` : ''}</div>
+            <div class="user-meta" title="${Fingers.describe(Fingers.of(user))}">🖐 ${t('{n} huella(s)', { n: Fingers.of(user).length })}${
+              Fingers.missing(user).length ? ` · <span class="badge badge-warning">${t('Reenrolar huella')}</span>` : ''}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-secondary" style="padding:10px 18px;font-size:.85em" onclick="History.open(${user.id})">
+              ${t('Historial')}
+            </button>
+            <button class="btn btn-outline" style="padding:10px 18px;font-size:.85em" onclick="Users.edit(${user.id})">
+              ${t('Editar')}
+            </button>
+            <button class="btn btn-danger" style="padding:10px 18px;font-size:.85em" onclick="Users.delete(${user.id}, '${Utils.escapeHtml(user.nombre).replace(/'/g, "\\'")}')">
+              ${t('Eliminar')}
+            </button>
+          </div>
+        </div>
+      `;
+    });
+
+    html += "</div>";
+    Utils.setHTML('usersList', html);
+  },
+
+  edit(id) {
+    const user = State.data.users.find(u => u.id === id);
+    if (!user) return;
+
+    Utils.getElement('edit-user-id').value = user.id;
+    Utils.getElement('edit-user-name').value = user.nombre;
+    Utils.getElement('edit-user-role').value = user.rol;
+    Utils.getElement('edit-user-status').value = this.statusOf(user);
+    Groups.renderChecks('edit-user-groups', Groups.of(user));
+    Profile.fill('edicion', user);
+    Photos.show('edicion', user);
+    Fingers.render(user);
+
+    Utils.getElement('editModal').classList.add('active');
+  },
+
+  closeEditModal() {
+    Utils.getElement('editModal').classList.remove('active');
+    Fingers.close();
+    Photos.reset('edicion');
+    
+    // Limpiar feedback
+    ['edit-user-name', 'edit-user-document'].forEach(inputId => {
+      const input = Utils.getElement(inputId);
+      if (input) input.style.borderColor = '';
+    });
+  },
+
+  async saveEdit() {
+    const id = Utils.getElement('edit-user-id').value;
+    const nombre = Utils.getElement('edit-user-name').value.trim();
+    const rol = Utils.getElement('edit-user-role').value;
+    const estado = Utils.getElement('edit-user-status').value;
+    const grupos = Groups.selected('edit-user-groups');
+    const perfil = Profile.read('edicion');
+
+    if (!nombre || nombre.length < 3) {
+      Notification.show(t('El nombre debe tener al menos 3 caracteres'), 'error');
+      return;
+    }
+
+    const errorPerfil = Profile.validate(perfil);
+    if (errorPerfil) {
+      Notification.show(`❌ ${errorPerfil}`, 'error');
+      return;
+    }
+
+    // ⭐ VERIFICAR NOMBRE (si cambió y no hay documento) Y DOCUMENTO (excepto el mismo usuario)
+    const originalUser = State.data.users.find(u => u.id === parseInt(id));
+    const nameChanged = originalUser && originalUser.nombre.toLowerCase().trim() !== nombre.toLowerCase().trim();
+    
+    if (nameChanged || perfil.documento) {
+      try {
+        const { data } = await API.checkName(nombre, { documento: perfil.documento, id: parseInt(id) });
+        const conflict = data.documentoExiste ? 'edit-user-document' : (nameChanged && data.conflicto ? 'edit-user-name' : '');
+        
+        if (conflict) {
+          Notification.show(`❌ ${t(data.documentoExiste ? 'Este documento ya está registrado por otro usuario' : NameValidator.conflictMessage(perfil.documento))}`, 'error');
+          const input = Utils.getElement(conflict);
+          if (input) {
+            input.style.borderColor = '#dc3545';
+            input.focus();
+          }
+          return;
+        }
+      } catch (error) {
+        console.error('Error verificando nombre:', error);
+      }
+    }
+
+    try {
+      await API.editUser({ id: parseInt(id), nombre, rol, estado, grupos, ...perfil });
+
+      try {
+        await Photos.save('edicion', parseInt(id));
+      } catch (error) {
+        Notification.show(`⚠️ ${t('Los datos se guardaron, pero la foto no: {error}', { error: error.message })}`, 'warning');
+      }
+
+      Notification.show(`✓ ${t('Usuario actualizado')}`, 'success');
+      this.closeEditModal();
+      
+      setTimeout(() => {
+        this.load();
+        Database.load(true);
+      }, 800);
+
+    } catch (error) {
+      if (error.offline && originalUser) {
+        // La foto no entra en la cola: se vuelve a elegir con conexión.
+        // La base lleva todos los campos enviados para detectar cambios hechos en el dispositivo
+        const payload = { id: parseInt(id), nombre, rol, estado, grupos, ...perfil };
+        await Offline.queue('edit-user', payload,
+          Offline.snapshot(originalUser, Object.keys(payload).filter(key => key !== 'id')));
+        Object.assign(originalUser, { nombre, rol, estado, grupos });
+        Profile.apply(originalUser, perfil);
+        this.closeEditModal();
+        this.render(State.data.users);
+      } else if (error.status === 409) {
+        Notification.show(`❌ ${error.message}`, 'error');
+      } else {
+        Notification.show(`Error: ${error.message}`, 'error');
+      }
+    }
+  },
+
+  async delete(id, nombre) {
+    if (!confirm(t('¿Eliminar a "{nombre}"?\n\nPasará a la papelera: no podrá marcar y se podrá restaurar con sus huellas durante {dias} días.\n\nLos registros históricos se mantendrán.', { nombre, dias: CONFIG.TRASH_DAYS }))) {
+      return;
+    }
+
+    try {
+      await API.deleteUser(id);
+
+      Notification.show(t('Usuario enviado a la papelera'), 'success');
+      
+      setTimeout(() => {
+        this.load();
+        Trash.load();
+        Database.load(true);
+      }, 800);
+
+    } catch (error) {
+      const user = State.data.users.find(u => u.id === id);
+
+      if (error.offline && user) {
+        await Offline.queue('delete-user', { id }, { nombre: user.nombre, rol: user.rol });
+        State.data.users = State.data.users.filter(u => u.id !== id);
+        this.render(State.data.users);
+        return;
+      }
+
+      Notification.show(`Error: ${error.message}`, 'error');
+    }
+  },
+
+  exportExcel() {
+    const users = this.filtered();
+    if (users.length === 0) {
+      Notification.show(t('No hay usuarios para exportar'), 'warning');
+      return;
+    }
+
+    let html = `
+      <html xmlns:x="urn:schemas-microsoft-com:office:excel">
+      <head>
+        <meta charset="UTF-8">
+        <xml>
+          <x:ExcelWorkbook>
+            <x:ExcelWorksheets>
+              <x:ExcelWorksheet>
+                <x:Name>${t('Usuarios')}</x:Name>
+                <x:WorksheetOptions><x:DisplayGridlines/></x:WorksheetOptions>
+              </x:ExcelWorksheet>
+            </x:ExcelWorksheets>
+          </x:ExcelWorkbook>
+        </xml>
+        <style>
+          table{border-collapse:collapse;width:100%}
+          th{background-color:#667eea;color:white;font-weight:bold;padding:10px;border:1px solid #ddd}
+          td{padding:8px;border:1px solid #ddd}
+          tr:nth-child(even){background-color:#f2f2f2}
+        </style>
+      </head>
+      <body>
+        <table>
+          <thead>
+            <tr><th>ID</th><th>${t('Nombre Completo')}</th><th>${t('Documento')}</th><th>${t('Cargo')}</th><th>${t('Grupos')}</th><th>${t('Estado')}</th><th>${t('Correo')}</th><th>${t('Teléfono')}</th>${
+              Profile.fields.map(f => `<th>${Utils.escapeHtml(f.nombre)}</th>`).join('')}<th>${t('Foto')}</th></tr>
+          </thead>
+          <tbody>
+    `;
+
+    users.forEach(user => {
+      html += `<tr>
+        <td>${user.id}</td>
+        <td>${Utils.escapeHtml(user.nombre)}</td>
+        <td style="mso-number-format:'\\@'">${Utils.escapeHtml(user.documento || '')}</td>
+        <td>${Utils.escapeHtml(t(user.rol))}</td>
+        <td>${Utils.escapeHtml(Groups.names(Groups.of(user)))}</td>
+        <td>${t(CONFIG.USER_STATUS[this.statusOf(user)])}</td>
+        <td>${Utils.escapeHtml(user.email || '')}</td>
+        <td style="mso-number-format:'\\@'">${Utils.escapeHtml(user.telefono || '')}</td>
+        ${Profile.fields.map(f => `<td>${Utils.escapeHtml((user.campos || {})[f.id] || '')}</td>`).join('')}
+        <td>${t(user.foto ? 'Sí' : 'No')}</td>
+      </tr>`;
+    });
+
+    html += '</tbody></table></body></html>';
+
+    const blob = new Blob([html], { type: 'application/vnd.ms-excel' });
+    Database.downloadFile(blob, `usuarios_${Database.getDateString()}.xls`);
+
+    Notification.show(t('Excel exportado: {n} usuarios', { n: users.length }), 'success');
+  },
+
+  exportJSON() {
+    const users = this.filtered();
+    if (users.length === 0) {
+      Notification.show(t('No hay usuarios para exportar'), 'warning');
+      return;
+    }
+
+    // Campos personalizados por su nombre, no por su id interno
+    const jsonData = JSON.stringify(users.map(u => {
+      const user = { ...u, estado: this.statusOf(u) };
+      if (u.campos) {
+        user.campos = Object.fromEntries(Object.entries(u.campos).map(([id, valor]) => [Profile.label(id), valor]));
+      }
+      return user;
+    }), null, 2);
+    const blob = new Blob([jsonData], { type: 'application/json' });
+    Database.downloadFile(blob, `usuarios_${Database.getDateString()}.json`);
+
+    Notification.show(t('JSON exportado: {n} usuarios', { n: users.length }), 'success');
+  }
+};
+
+// ============================================
+// PAPELERA DE USUARIOS
+// Los usuarios eliminados quedan CONFIG.TRASH_DAYS días en /papelera.json
+// con "eliminado": fecha. Sus huellas siguen en el sensor (el lector las
+// rechaza) y su ID no se reutiliza: al restaurar vuelven tal cual.
+// ============================================
+const Trash = {
+  users: [],
+
+  async load() {
+    if (!Auth.can('admin')) return;
+
+    try {
+      const { data } = await API.getTrash();
+      this.users = data;
+      this.render();
+    } catch (error) {
+      console.error('Error cargando papelera:', error);
+      Utils.setHTML('trashList', `<p style="text-align:center;color:#dc3545;padding:20px">${t('Error al cargar la papelera')}</p>`);
+    }
+  },
+
+  // Días que faltan para que se borre por completo
+  daysLeft(user) {
+    if (!Dates.isDateKey(user.eliminado)) return CONFIG.TRASH_DAYS;
+    const vence = Dates.addDays(user.eliminado, CONFIG.TRASH_DAYS);
+    return Math.max(0, Math.round((Dates.utc(vence) - Dates.utc(Dates.today())) / Dates.DAY_MS));
+  },
+
+  render() {
+    if (this.users.length === 0) {
+      Utils.setHTML('trashList', `<p style="text-align:center;color:#6c757d;padding:20px">${t('La papelera está vacía')}</p>`);
+      return;
+    }
+
+    let html = '<div class="user-list">';
+    this.users.forEach(user => {
+      html += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">ID ${user.id} · ${Utils.escapeHtml(user.nombre)}</div>
+            <div class="user-meta">${Utils.escapeHtml(t(user.rol))} · ${t('Eliminado el {fecha}', { fecha: Dates.formatDate(user.eliminado) })} · ${
+              t('se borra en {n} día(s)', { n: this.daysLeft(user) })}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-success" style="padding:8px 14px;font-size:.85em" onclick="Trash.restore(${user.id})">${t('Restaurar')}</button>
+            <button class="btn btn-danger" style="padding:8px 14px;font-size:.85em" onclick="Trash.purge(${user.id})">${t('Borrar definitivamente')}</button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+    Utils.setHTML('trashList', html);
+  },
+
+  async restore(id) {
+    try {
+      await API.restoreUser(id);
+      Notification.show(`✓ ${t('Usuario restaurado')}`, 'success');
+      await Promise.all([this.load(), Users.load()]);
+      Database.load(true);
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  async purge(id) {
+    const user = this.users.find(u => u.id === id);
+    if (!user || !confirm(t('¿Borrar definitivamente a "{nombre}"?\n\nSus huellas se borran del sensor y ya no podrá restaurarse.', { nombre: user.nombre }))) return;
+
+    try {
+      await API.purgeUser(id);
+      Notification.show(t('Usuario eliminado definitivamente'), 'success');
+      await this.load();
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  }
+};
+
+// ============================================
+// GRUPOS (CURSOS, SECCIONES, TURNOS)
+// /grupos.json guarda [{id, nombre}]; cada usuario lleva "grupos" con los ids.
+// Los usuarios importados antes tienen "grupo" con el nombre en texto.
+// ============================================
+const Groups = {
+  list: [],
+  loaded: false,
+  editing: null,
+
+  async load() {
+    try {
+      const data = await Offline.fetch('groups', () => API.getGroups());
+      this.list = Array.isArray(data) ? data : [];
+      this.loaded = true;
+    } catch (error) {
+      console.error('Error cargando grupos:', error);
+    }
+
+    this.render();
+    this.fillFilter();
+    this.renderChecks('user-groups', this.selected('user-groups'));
+    return this.list;
+  },
+
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+    return this.list;
+  },
+
+  byId(id) {
+    return this.list.find(g => g.id === id) || null;
+  },
+
+  byName(nombre) {
+    const key = Filters.normalize(nombre).trim();
+    return this.list.find(g => Filters.normalize(g.nombre).trim() === key) || null;
+  },
+
+  // Ids de grupo vigentes del usuario
+  of(user) {
+    const ids = Array.isArray(user.grupos) ? user.grupos.filter(id => this.byId(id)) : [];
+    const legacy = user.grupo ? this.byName(user.grupo) : null;
+    if (legacy && !ids.includes(legacy.id)) ids.push(legacy.id);
+    return ids;
+  },
+
+  names(ids) {
+    return ids.map(id => {
+      const group = this.byId(id);
+      return group ? group.nombre : `${id} (${t('eliminado')})`;
+    }).join(', ');
+  },
+
+  // Id de usuario (texto) → nombres de sus grupos, para exportaciones
+  userNames() {
+    return new Map(State.data.users.map(u => [String(u.id), this.names(this.of(u))]));
+  },
+
+  // Totales por grupo sobre las filas dadas; un usuario suma en cada uno de sus grupos.
+  // Presentes, tardanzas y ausencias se cuentan en días-usuario.
+  summary(rows) {
+    const totals = new Map(this.list.map(g => [g.id, {
+      grupo: g.nombre, usuarios: 0, presentes: new Set(), laborables: new Set(), tardanzas: new Set(), ausencias: new Set()
+    }]));
+    const groupsOf = new Map();
+
+    State.data.users.forEach(u => {
+      const ids = this.of(u);
+      groupsOf.set(String(u.id), ids);
+      ids.forEach(id => totals.get(id).usuarios++);
+    });
+
+    rows.forEach(r => {
+      const day = `${r.id}|${r.fecha}`;
+      (groupsOf.get(String(r.id)) || []).forEach(id => {
+        const t = totals.get(id);
+        if (r.ausente) t.ausencias.add(day);
+        else if (Sessions.isPunch(r)) {
+          t.presentes.add(day);
+          if (Schedules.onWorkingDay(r)) t.laborables.add(day);
+          if (r.estado === 'tarde') t.tardanzas.add(day);
+        }
+      });
+    });
+
+    return [...totals.values()]
+      .map(t => {
+        const laborables = t.laborables.size;
+        const ausencias = t.ausencias.size;
+        return {
+          grupo: t.grupo,
+          usuarios: t.usuarios,
+          presentes: t.presentes.size,
+          tardanzas: t.tardanzas.size,
+          ausencias,
+          tasa: laborables + ausencias > 0 ? Math.round(laborables / (laborables + ausencias) * 1000) / 10 : null
+        };
+      })
+      .sort((a, b) => a.grupo.localeCompare(b.grupo));
+  },
+
+  // Tarjeta "Por grupo" de reportes
+  renderSummary(rows) {
+    const card = Utils.getElement('groupStats');
+    if (!card) return;
+
+    if (this.list.length === 0) {
+      card.style.display = 'none';
+      return;
+    }
+
+    const body = this.summary(rows).map(s => `
+      <tr>
+        <td><strong>${Utils.escapeHtml(s.grupo)}</strong></td>
+        <td>${s.usuarios}</td>
+        <td>${s.presentes}</td>
+        <td>${s.tardanzas}</td>
+        <td>${s.ausencias}</td>
+        <td>${s.tasa === null ? '---' : `${s.tasa}%`}</td>
+      </tr>
+    `).join('');
+
+    Utils.setHTML('groupStatsTable', body);
+    card.style.display = 'block';
+  },
+
+  // Ids de usuario (texto) que pertenecen al grupo
+  members(groupId) {
+    return new Set(State.data.users.filter(u => this.of(u).includes(groupId)).map(u => String(u.id)));
+  },
+
+  render() {
+    if (!Utils.getElement('groupsList')) return;
+
+    if (this.list.length === 0) {
+      Utils.setHTML('groupsList', `<p style="text-align:center;color:#6c757d;padding:20px">${t('No hay grupos creados')}</p>`);
+      return;
+    }
+
+    const sorted = [...this.list].sort((a, b) => a.nombre.localeCompare(b.nombre));
+    let html = '<div class="user-list">';
+    sorted.forEach(g => {
+      html += `
+        <div class="user-item${this.editing === g.id ? ' active' : ''}">
+          <div class="user-info">
+            <div class="user-name">${Utils.escapeHtml(g.nombre)}</div>
+            <div class="user-meta">${t('{n} usuario(s)', { n: this.members(g.id).size })}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-outline" style="padding:10px 18px;font-size:.85em" onclick="Groups.edit('${g.id}')">${t('Renombrar')}</button>
+            <button class="btn btn-danger" style="padding:10px 18px;font-size:.85em" onclick="Groups.remove('${g.id}')">${t('Eliminar')}</button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+    Utils.setHTML('groupsList', html);
+  },
+
+  // Casillas de grupos (formulario de registro y modal de edición)
+  renderChecks(containerId, selectedIds) {
+    const container = Utils.getElement(containerId);
+    if (!container) return;
+
+    if (this.list.length === 0) {
+      container.innerHTML = `<span class="form-hint">${t('Sin grupos. Créelos en la pestaña Usuarios.')}</span>`;
+      return;
+    }
+
+    container.innerHTML = '';
+    [...this.list].sort((a, b) => a.nombre.localeCompare(b.nombre)).forEach(g => {
+      const label = document.createElement('label');
+      label.className = 'chip';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = g.id;
+      input.checked = selectedIds.includes(g.id);
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${g.nombre}`));
+      container.appendChild(label);
+    });
+  },
+
+  selected(containerId) {
+    return [...document.querySelectorAll(`#${containerId} input:checked`)].map(c => c.value);
+  },
+
+  // Al registrar un pendiente, su grupo en texto se crea si aún no existe
+  async selectedWithPending() {
+    const ids = this.selected('user-groups');
+    const nombre = Pending.current ? (Pending.current.grupo || '').trim() : '';
+    if (!nombre) return ids;
+
+    const group = this.byName(nombre) || await this.create(nombre);
+    if (!ids.includes(group.id)) ids.push(group.id);
+    return ids;
+  },
+
+  fillFilter() {
+    const select = Utils.getElement('filter-group');
+    if (!select) return;
+
+    select.innerHTML = '';
+    select.add(new Option(t('Todos los grupos'), ''));
+    [...this.list].sort((a, b) => a.nombre.localeCompare(b.nombre))
+      .forEach(g => select.add(new Option(g.nombre, g.id)));
+    select.value = State.filters.group;
+  },
+
+  async persist(list) {
+    await API.saveGroups(list);
+    this.list = list;
+    this.render();
+    this.fillFilter();
+    this.renderChecks('user-groups', this.selected('user-groups'));
+  },
+
+  async create(nombre) {
+    const group = { id: `g${Date.now().toString(36)}`, nombre };
+    await this.persist([...this.list, group]);
+    return group;
+  },
+
+  edit(id) {
+    const group = this.byId(id);
+    if (!group) return;
+
+    this.editing = id;
+    Utils.getElement('group-name').value = group.nombre;
+    Utils.getElement('saveGroupBtn').textContent = t('Guardar');
+    Utils.getElement('group-name').focus();
+    this.render();
+  },
+
+  cancelEdit() {
+    this.editing = null;
+    Utils.getElement('group-name').value = '';
+    Utils.getElement('saveGroupBtn').textContent = t('Agregar grupo');
+    this.render();
+  },
+
+  async save() {
+    const nombre = Utils.getElement('group-name').value.trim();
+    if (nombre.length < 2) {
+      Notification.show(t('El nombre del grupo debe tener al menos 2 caracteres'), 'warning');
+      return;
+    }
+
+    const duplicate = this.byName(nombre);
+    if (duplicate && duplicate.id !== this.editing) {
+      Notification.show(`❌ ${t('Ya existe un grupo con ese nombre')}`, 'error');
+      return;
+    }
+
+    try {
+      if (this.editing) {
+        await this.persist(this.list.map(g => g.id === this.editing ? { ...g, nombre } : g));
+        Notification.show(`✓ ${t('Grupo renombrado')}`, 'success');
+      } else {
+        await this.create(nombre);
+        Notification.show(`✓ ${t('Grupo creado')}`, 'success');
+      }
+      this.cancelEdit();
+      if (State.data.users.length) Users.render(State.data.users);
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  // Los usuarios conservan el id del grupo eliminado; of() lo ignora
+  async remove(id) {
+    const group = this.byId(id);
+    if (!group) return;
+
+    const count = this.members(id).size;
+    const detail = count ? `\n\n${t('{n} usuario(s) dejarán de pertenecer a él.', { n: count })}` : '';
+    if (!confirm(`${t('¿Eliminar el grupo "{nombre}"?', { nombre: group.nombre })}${detail}`)) return;
+
+    try {
+      await this.persist(this.list.filter(g => g.id !== id));
+      if (State.filters.group === id) {
+        State.filters.group = '';
+        Database.refresh();
+      }
+      if (this.editing === id) this.cancelEdit();
+      if (State.data.users.length) Users.render(State.data.users);
+      Notification.show(t('Grupo eliminado'), 'success');
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  }
+};
+
+// ============================================
+// PERFIL DEL USUARIO
+// documento (DNI o código: único, permite nombres repetidos), email,
+// telefono y campos {id: valor} definidos por el administrador en
+// /campos.json. Sin la clave en la línea, el dato está vacío.
+// ============================================
+const Profile = {
+  // Mismos límites que el firmware
+  DOCUMENT_MAX: 20,
+  CONTACT_MAX: 64,
+  MAX_FIELDS: 8,
+  FIELD_MAX: 40,
+  // Controles del formulario de registro y del modal de edición
+  FORMS: {
+    registro: { documento: 'userDocument', email: 'userEmail', telefono: 'userPhone', campos: 'user-fields' },
+    edicion: { documento: 'edit-user-document', email: 'edit-user-email', telefono: 'edit-user-phone', campos: 'edit-user-fields' }
+  },
+  fields: [],
+  loaded: false,
+
+  async load() {
+    try {
+      const data = await Offline.fetch('fields', () => API.getFields());
+      this.fields = Array.isArray(data) ? data : [];
+      this.loaded = true;
+    } catch (error) {
+      console.error('Error cargando campos:', error);
+    }
+
+    this.render();
+    this.renderInputs('registro', this.read('registro').campos);
+    return this.fields;
+  },
+
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+    return this.fields;
+  },
+
+  label(id) {
+    const field = this.fields.find(f => f.id === id);
+    return field ? field.nombre : id;
+  },
+
+  // {id: valor} → "Campo: valor, ..." (auditoría)
+  describe(campos) {
+    return Object.entries(campos || {}).map(([id, valor]) => `${this.label(id)}: ${valor}`).join(', ');
+  },
+
+  read(form) {
+    const ids = this.FORMS[form];
+    const value = (id) => (Utils.getElement(id) ? Utils.getElement(id).value.trim() : '');
+    const campos = {};
+    document.querySelectorAll(`#${ids.campos} input[data-field]`).forEach(input => {
+      campos[input.dataset.field] = input.value.trim();
+    });
+    return { documento: value(ids.documento), email: value(ids.email), telefono: value(ids.telefono), campos };
+  },
+
+  fill(form, user = {}) {
+    const ids = this.FORMS[form];
+    ['documento', 'email', 'telefono'].forEach(clave => {
+      const input = Utils.getElement(ids[clave]);
+      if (input) input.value = user[clave] || '';
+    });
+    this.renderInputs(form, user.campos || {});
+  },
+
+  // Un campo de texto por campo definido, con los valores del usuario
+  renderInputs(form, values) {
+    const container = Utils.getElement(this.FORMS[form].campos);
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = this.fields.length ? '' : 'none';
+    this.fields.forEach(f => {
+      const group = document.createElement('div');
+      group.className = 'form-group';
+      const label = document.createElement('label');
+      label.className = 'form-label';
+      label.textContent = f.nombre;
+      const input = document.createElement('input');
+      input.className = 'form-input';
+      input.type = 'text';
+      input.maxLength = this.FIELD_MAX;
+      input.dataset.field = f.id;
+      input.value = values[f.id] || '';
+      group.appendChild(label);
+      group.appendChild(input);
+      container.appendChild(group);
+    });
+  },
+
+  // Como copiarPerfil() del firmware: los datos vacíos se quitan de la línea
+  apply(user, perfil) {
+    ['documento', 'email', 'telefono'].forEach(clave => {
+      if (perfil[clave]) user[clave] = perfil[clave];
+      else delete user[clave];
+    });
+    const campos = Object.fromEntries(Object.entries(perfil.campos).filter(([, valor]) => valor));
+    if (Object.keys(campos).length) user.campos = campos;
+    else delete user.campos;
+  },
+
+  // Mismas reglas que el firmware; devuelve el mensaje o null
+  validate(perfil) {
+    if (perfil.documento.length > this.DOCUMENT_MAX || !/^[A-Za-z0-9-]*$/.test(perfil.documento)) {
+      return t('El documento solo admite letras, números y guiones (máximo {n})', { n: this.DOCUMENT_MAX });
+    }
+    if (perfil.email.length > this.CONTACT_MAX || (perfil.email && !/^[^@\s]+@[^@\s]+$/.test(perfil.email))) {
+      return t('Correo inválido');
+    }
+    if (perfil.telefono.length > this.CONTACT_MAX || !/^[0-9+\-() ]*$/.test(perfil.telefono)) {
+      return t('Teléfono inválido');
+    }
+    return null;
+  },
+
+  // Lista de campos definidos (pestaña Usuarios)
+  render() {
+    if (!Utils.getElement('fieldsList')) return;
+
+    if (this.fields.length === 0) {
+      Utils.setHTML('fieldsList', `<p style="text-align:center;color:#6c757d;padding:20px">${t('No hay campos personalizados')}</p>`);
+      return;
+    }
+
+    const used = (id) => State.data.users.filter(u => u.campos && u.campos[id]).length;
+    let html = '<div class="user-list">';
+    this.fields.forEach(f => {
+      html += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">${Utils.escapeHtml(f.nombre)}</div>
+            <div class="user-meta">${t('{n} usuario(s) con dato', { n: used(f.id) })}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-danger" style="padding:10px 18px;font-size:.85em" onclick="Profile.remove('${f.id}')">${t('Eliminar')}</button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+    Utils.setHTML('fieldsList', html);
+  },
+
+  async persist(list) {
+    await API.saveFields(list);
+    this.fields = list;
+    this.render();
+    this.renderInputs('registro', this.read('registro').campos);
+  },
+
+  async add() {
+    const input = Utils.getElement('field-name');
+    const nombre = input.value.trim();
+    if (nombre.length < 2) {
+      Notification.show(t('El nombre del campo debe tener al menos 2 caracteres'), 'warning');
+      return;
+    }
+    if (this.fields.length >= this.MAX_FIELDS) {
+      Notification.show(t('Máximo {n} campos personalizados', { n: this.MAX_FIELDS }), 'warning');
+      return;
+    }
+    if (this.fields.some(f => Filters.normalize(f.nombre).trim() === Filters.normalize(nombre))) {
+      Notification.show(`❌ ${t('Ya existe un campo con ese nombre')}`, 'error');
+      return;
+    }
+
+    try {
+      await this.persist([...this.fields, { id: `c${Date.now().toString(36)}`, nombre }]);
+      input.value = '';
+      Notification.show(`✓ ${t('Campo agregado')}`, 'success');
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  // Los usuarios conservan el valor del campo eliminado, pero ya no se muestra
+  async remove(id) {
+    const field = this.fields.find(f => f.id === id);
+    if (!field || !confirm(t('¿Eliminar el campo "{nombre}"?', { nombre: field.nombre }))) return;
+
+    try {
+      await this.persist(this.fields.filter(f => f.id !== id));
+      Notification.show(t('Campo eliminado'), 'success');
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  }
+};
+
+// ============================================
+// FOTO DEL USUARIO
+// Se recorta cuadrada y se reduce a CONFIG.PHOTO_SIZE px en el navegador
+// antes de subirla; el ESP32 la guarda como data URL en /fotos/<id>.json.
+// ============================================
+const Photos = {
+  FORMS: {
+    registro: { file: 'userPhoto', preview: 'userPhotoPreview', clear: 'userPhotoClear' },
+    edicion: { file: 'edit-user-photo', preview: 'edit-user-photo-preview', clear: 'edit-user-photo-clear' }
+  },
+  // Foto elegida por formulario y aún no guardada ('' = quitar)
+  pending: {},
+
+  // Archivo de imagen → data URL JPEG cuadrada
+  read(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        const size = CONFIG.PHOTO_SIZE;
+        const side = Math.min(img.width, img.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        canvas.getContext('2d').drawImage(img, (img.width - side) / 2, (img.height - side) / 2, side, side, 0, 0, size, size);
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/jpeg', CONFIG.PHOTO_QUALITY));
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(t('No se pudo leer la imagen')));
+      };
+      img.src = url;
+    });
+  },
+
+  async pick(form, file) {
+    if (!file) return;
+    try {
+      this.pending[form] = await this.read(file);
+      this.preview(form, this.pending[form]);
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  clear(form) {
+    this.pending[form] = '';
+    this.preview(form, '');
+  },
+
+  // Olvida la foto elegida (al abrir o limpiar el formulario)
+  reset(form) {
+    delete this.pending[form];
+    this.preview(form, '');
+    const input = Utils.getElement(this.FORMS[form].file);
+    if (input) input.value = '';
+  },
+
+  preview(form, src) {
+    const ids = this.FORMS[form];
+    const img = Utils.getElement(ids.preview);
+    const clear = Utils.getElement(ids.clear);
+    if (img) {
+      img.src = src || '';
+      img.style.display = src ? '' : 'none';
+    }
+    if (clear) clear.style.display = src ? '' : 'none';
+  },
+
+  // Foto guardada del usuario (null si no tiene o no se pudo leer)
+  async get(id) {
+    try {
+      const { data } = await API.getPhoto(id);
+      return data.foto || null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // Modal de edición: muestra la foto actual sin marcarla como cambio
+  async show(form, user) {
+    this.reset(form);
+    if (!user.foto) return;
+
+    const foto = await this.get(user.id);
+    if (foto && this.pending[form] === undefined) this.preview(form, foto);
+  },
+
+  // Sube la foto elegida, si la hay; devuelve si hubo cambio
+  async save(form, id) {
+    if (this.pending[form] === undefined) return false;
+    await API.savePhoto(id, this.pending[form]);
+    delete this.pending[form];
+    return true;
+  }
+};
+
+// ============================================
+// IMPORTACIÓN DE USUARIOS (CSV / XLSX / JSON)
+// ============================================
+const Import = {
+  // Encabezados aceptados para cada columna (sin tildes ni mayúsculas)
+  HEADERS: {
+    nombre: ['nombre', 'name', 'nombre completo', 'usuario'],
+    rol: ['rol', 'role', 'cargo'],
+    grupo: ['grupo', 'group', 'curso', 'seccion', 'clase']
+  },
+  BATCH_SIZE: 50,
+  rows: [],
+
+  // Misma regla que /api/check-name: sin distinguir mayúsculas ni espacios extremos
+  nameKey: (name) => String(name || '').trim().toLowerCase(),
+
+  async preview(file) {
+    if (!file) return;
+
+    try {
+      const records = await this.readFile(file);
+      await Users.ensureLoaded();
+      await Pending.load();
+
+      this.rows = this.validate(records);
+      this.render(file.name);
+    } catch (error) {
+      console.error('Error importando:', error);
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  async readFile(file) {
+    const ext = file.name.split('.').pop().toLowerCase();
+
+    if (ext === 'json') {
+      const data = JSON.parse(await file.text());
+      if (!Array.isArray(data)) throw new Error(t('El JSON debe ser una lista de usuarios'));
+      return data.map((obj, i) => ({ ...this.fromObject(obj), fila: i + 1 }));
+    }
+
+    if (ext === 'xlsx' || ext === 'xls') {
+      if (ext === 'xls') throw new Error(t('Formato .xls no soportado; guárdelo como .xlsx o CSV'));
+      const [sheet] = await XLSXLite.read(await file.arrayBuffer());
+      if (!sheet) throw new Error(t('El libro no tiene hojas'));
+      return this.fromTable(sheet.rows.filter(row => row.some(cell => String(cell).trim())));
+    }
+
+    return this.fromTable(this.parseCSV(await file.text()));
+  },
+
+  // CSV con ";" o "," (el que más aparezca en la primera línea) y comillas dobles
+  parseCSV(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/)[0];
+    const sep = (firstLine.split(';').length >= firstLine.split(',').length) ? ';' : ',';
+
+    const table = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === sep) {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        table.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+
+    if (cell || row.length) {
+      row.push(cell);
+      table.push(row);
+    }
+    return table;
+  },
+
+  columnFor(header) {
+    const key = Filters.normalize(String(header).trim());
+    return Object.keys(this.HEADERS).find(col => this.HEADERS[col].includes(key));
+  },
+
+  // Con fila de encabezados se respetan sus columnas; sin ella se asume nombre, rol, grupo
+  fromTable(table) {
+    if (table.length === 0) return [];
+
+    const mapped = table[0].map(h => this.columnFor(h));
+    const hasHeader = mapped.includes('nombre');
+    const columns = hasHeader ? mapped : ['nombre', 'rol', 'grupo'];
+
+    const offset = hasHeader ? 1 : 0;
+
+    // fila: número de fila en el archivo, para que el usuario la ubique
+    return table.slice(offset).map((cells, i) => {
+      const record = { nombre: '', rol: '', grupo: '', fila: i + offset + 1 };
+      columns.forEach((col, i) => {
+        if (col && cells[i] !== undefined) record[col] = String(cells[i]).trim();
+      });
+      return record;
+    });
+  },
+
+  fromObject(obj) {
+    const record = { nombre: '', rol: '', grupo: '' };
+    Object.entries(obj || {}).forEach(([key, value]) => {
+      const col = this.columnFor(key);
+      if (col) record[col] = String(value === null || value === undefined ? '' : value).trim();
+    });
+    return record;
+  },
+
+  validate(records) {
+    const registered = new Set(State.data.users.map(u => this.nameKey(u.nombre)));
+    const pending = new Set(Pending.list.map(p => this.nameKey(p.nombre)));
+    const seen = new Map();
+    const rows = [];
+
+    records.forEach(record => {
+      const { fila } = record;
+      if (!record.nombre && !record.rol && !record.grupo) return;
+
+      const errores = [];
+      const key = this.nameKey(record.nombre);
+      // El cargo puede venir en español o en el idioma del panel
+      const rol = CONFIG.ROLES.find(r => [r, t(r)].some(name => Filters.normalize(name) === Filters.normalize(record.rol)));
+
+      if (record.nombre.length < 3) errores.push(t('Nombre muy corto'));
+      if (!record.rol) errores.push(t('Falta el cargo'));
+      else if (!rol) errores.push(t('Cargo desconocido: {rol}', { rol: record.rol }));
+      if (registered.has(key)) errores.push(t('Ya registrado'));
+      if (pending.has(key)) errores.push(t('Ya está pendiente'));
+      if (seen.has(key)) errores.push(t('Repetido (fila {n})', { n: seen.get(key) }));
+
+      if (key && !seen.has(key)) seen.set(key, fila);
+      rows.push({ fila, nombre: record.nombre, rol: rol || record.rol, grupo: record.grupo, errores });
+    });
+
+    return rows;
+  },
+
+  render(fileName) {
+    const valid = this.rows.filter(r => r.errores.length === 0).length;
+    const invalid = this.rows.length - valid;
+
+    let html = `
+      <div class="import-summary">
+        <strong>${Utils.escapeHtml(fileName)}</strong> · ${t('{n} filas', { n: this.rows.length })} ·
+        <span style="color:#28a745">${t('{n} válidas', { n: valid })}</span> ·
+        <span style="color:#dc3545">${t('{n} con errores', { n: invalid })}</span>
+      </div>
+      <div class="table-scroll" style="max-height:360px">
+        <table>
+          <thead><tr><th>${t('Fila')}</th><th>${t('Nombre')}</th><th>${t('Cargo')}</th><th>${t('Grupo')}</th><th>${t('Estado')}</th></tr></thead>
+          <tbody>
+    `;
+
+    this.rows.forEach(r => {
+      html += `
+        <tr class="${r.errores.length ? 'row-absent' : ''}">
+          <td>${r.fila}</td>
+          <td>${Utils.escapeHtml(r.nombre) || '---'}</td>
+          <td>${Utils.escapeHtml(t(r.rol)) || '---'}</td>
+          <td>${Utils.escapeHtml(r.grupo) || '---'}</td>
+          <td>${r.errores.length
+            ? r.errores.map(e => `<span class="badge badge-danger">${Utils.escapeHtml(e)}</span>`).join(' ')
+            : '<span class="badge badge-success">OK</span>'}</td>
+        </tr>
+      `;
+    });
+
+    html += '</tbody></table></div>';
+    Utils.setHTML('importPreview', html);
+
+    const confirmBtn = Utils.getElement('confirmImportBtn');
+    confirmBtn.textContent = t('Crear {n} pendiente(s)', { n: valid });
+    confirmBtn.disabled = valid === 0;
+    Utils.getElement('importActions').style.display = 'flex';
+  },
+
+  // Envía las filas válidas por lotes; el ESP32 vuelve a validar cada nombre
+  async confirm() {
+    const valid = this.rows.filter(r => r.errores.length === 0)
+      .map(({ nombre, rol, grupo }) => ({ nombre, rol, grupo }));
+    if (valid.length === 0) return;
+
+    const btn = Utils.getElement('confirmImportBtn');
+    btn.disabled = true;
+
+    let agregados = 0;
+    const omitidos = [];
+
+    try {
+      for (let i = 0; i < valid.length; i += this.BATCH_SIZE) {
+        btn.textContent = t('Enviando {desde}-{hasta} de {total}...', { desde: i + 1, hasta: Math.min(i + this.BATCH_SIZE, valid.length), total: valid.length });
+        const { data } = await API.addPending(valid.slice(i, i + this.BATCH_SIZE));
+        agregados += data.agregados;
+        omitidos.push(...data.omitidos);
+      }
+
+      Notification.show(`✓ ${t('{n} usuario(s) pendientes de enrolar', { n: agregados })}` +
+        (omitidos.length ? ` · ${t('{n} omitido(s)', { n: omitidos.length })}` : ''), omitidos.length ? 'warning' : 'success');
+      if (omitidos.length) console.warn('Omitidos por el ESP32:', omitidos);
+
+      this.cancel();
+      Pending.load();
+    } catch (error) {
+      Notification.show(`❌ ${t('Importación interrumpida ({n} creados): {error}', { n: agregados, error: error.message })}`, 'error');
+      btn.disabled = false;
+    }
+  },
+
+  cancel() {
+    this.rows = [];
+    Utils.setHTML('importPreview', '');
+    Utils.getElement('importActions').style.display = 'none';
+    Utils.getElement('importFile').value = '';
+  }
+};
+
+// ============================================
+// USUARIOS PENDIENTES DE ENROLAR
+// ============================================
+const Pending = {
+  list: [],
+  current: null,
+
+  async load() {
+    if (!Auth.can('admin')) return;
+
+    try {
+      const { data } = await API.getPending();
+      this.list = data;
+    } catch (error) {
+      console.error('Error cargando pendientes:', error);
+    }
+    this.render();
+  },
+
+  render() {
+    const card = Utils.getElement('pendingCard');
+    if (!card) return;
+
+    card.style.display = this.list.length ? '' : 'none';
+    Utils.setContent('pending-count', this.list.length);
+
+    let html = '<div class="user-list">';
+    this.list.forEach(p => {
+      const active = this.current && this.current.pid === p.pid;
+      html += `
+        <div class="user-item${active ? ' active' : ''}">
+          <div class="user-info">
+            <div class="user-name">${Utils.escapeHtml(p.nombre)}</div>
+            <div class="user-meta">${Utils.escapeHtml(t(p.rol))}${p.grupo ? ` · ${Utils.escapeHtml(p.grupo)}` : ''}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-primary btn-small" onclick="Pending.select('${p.pid}')">${t(active ? 'En curso' : 'Enrolar')}</button>
+            <button class="btn btn-danger btn-small" onclick="Pending.remove('${p.pid}')">${t('Quitar')}</button>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+    Utils.setHTML('pendingList', html);
+  },
+
+  select(pid) {
+    this.current = this.list.find(p => p.pid === pid) || null;
+    this.fill();
+    this.render();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  },
+
+  // Copia nombre y cargo del pendiente en curso al formulario de registro
+  fill() {
+    const banner = Utils.getElement('pending-banner');
+
+    if (!this.current) {
+      if (banner) banner.style.display = 'none';
+      return;
+    }
+
+    Utils.getElement('userName').value = this.current.nombre;
+    Utils.getElement('userRole').value = this.current.rol;
+    const grupo = this.current.grupo ? Groups.byName(this.current.grupo) : null;
+    Groups.renderChecks('user-groups', grupo ? [grupo.id] : []);
+    NameValidator.check();
+
+    if (banner) {
+      const pos = this.list.findIndex(p => p.pid === this.current.pid) + 1;
+      banner.textContent = t('Enrolando pendiente {n} de {total}: {nombre}', { n: pos, total: this.list.length, nombre: this.current.nombre });
+      banner.style.display = 'block';
+    }
+  },
+
+  // Tras registrar: recarga la lista (el ESP32 ya quitó al usuario) y pasa al siguiente
+  async next() {
+    await this.load();
+    if (this.list.length === 0) return;
+
+    this.select(this.list[0].pid);
+    Notification.show(t('Siguiente: {nombre}', { nombre: this.list[0].nombre }), 'info');
+  },
+
+  async remove(pid) {
+    const item = this.list.find(p => p.pid === pid);
+    if (!item || !confirm(t('¿Quitar a "{nombre}" de los pendientes?', { nombre: item.nombre }))) return;
+
+    try {
+      await API.deletePending(pid);
+      if (this.current && this.current.pid === pid) {
+        this.current = null;
+        this.fill();
+      }
+      this.load();
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  async clearAll() {
+    if (!confirm(t('¿Quitar los {n} usuarios pendientes?', { n: this.list.length }))) return;
+
+    try {
+      await API.clearPending();
+      this.current = null;
+      this.fill();
+      this.load();
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  }
+};
+
+// ============================================
+// AUDITORÍA DE CAMBIOS ADMINISTRATIVOS
+// ============================================
+const Audit = {
+  ACTIONS: {
+    registrar: 'Registro',
+    editar: 'Edición',
+    eliminar: 'Eliminación',
+    'cuenta-crear': 'Cuenta creada',
+    'cuenta-editar': 'Cuenta editada',
+    'cuenta-eliminar': 'Cuenta eliminada',
+    'asistencia-agregar': 'Marcación agregada',
+    'asistencia-corregir': 'Marcación corregida',
+    'asistencia-anular': 'Marcación anulada',
+    importar: 'Importación',
+    restaurar: 'Restauración',
+    'kiosco-pin': 'PIN del kiosco',
+    'huella-agregar': 'Dedo agregado',
+    'huella-reemplazar': 'Dedo reenrolado',
+    'huella-quitar': 'Dedo quitado',
+    configuracion: 'Configuración del equipo',
+    reloj: 'Reloj sincronizado',
+    'sensor-purgar': 'Huérfanas borradas',
+    reenrolar: 'Marcado para reenrolar',
+    'usuario-restaurar': 'Usuario restaurado',
+    'usuario-purgar': 'Eliminado definitivamente',
+    'foto-cambiar': 'Foto cambiada',
+    'foto-quitar': 'Foto quitada'
+  },
+  FIELDS: {
+    nombre: 'Nombre', rol: 'Rol', password: 'Contraseña', fecha: 'Fecha', hora: 'Hora', motivo: 'Motivo',
+    usuarios: 'Usuarios', archivos: 'Archivos', grupos: 'Grupos', huellas: 'Huellas', ssid: 'Red Wi-Fi', zona: 'Zona horaria',
+    eliminados: 'Slots borrados', reenrolar: 'Slots por reenrolar', estado: 'Estado',
+    documento: 'Documento', email: 'Correo', telefono: 'Teléfono', campos: 'Campos personalizados'
+  },
+  entries: [],
+  filtered: [],
+
+  async load() {
+    if (!Auth.can('admin')) return;
+
+    try {
+      const entries = [];
+      let cursor = 0;
+
+      while (cursor !== null) {
+        const { data } = await API.getAudit(cursor);
+        entries.push(...data.records);
+        cursor = data.next;
+      }
+
+      // Más recientes primero
+      this.entries = entries.reverse();
+      this.filter();
+    } catch (error) {
+      console.error('Error cargando auditoría:', error);
+      Utils.setHTML('auditList', `<p style="text-align:center;color:#dc3545;padding:20px">${t('Error al cargar auditoría')}</p>`);
+    }
+  },
+
+  filter() {
+    const accion = Utils.getElement('audit-action').value;
+    const from = Utils.getElement('audit-from').value;
+    const to = Utils.getElement('audit-to').value;
+
+    this.filtered = this.entries.filter(e =>
+      (!accion || e.accion === accion) &&
+      (!from || e.fecha >= from) &&
+      (!to || e.fecha <= to)
+    );
+    this.render();
+  },
+
+  // Campos presentes antes o después de la acción
+  changes(entry) {
+    const antes = entry.antes || {};
+    const despues = entry.despues || {};
+    const campos = [...new Set([...Object.keys(antes), ...Object.keys(despues)])];
+
+    return campos.map(campo => {
+      const before = this.value(campo, antes[campo]);
+      const after = this.value(campo, despues[campo]);
+      return { campo, antes: before, despues: after, cambio: before !== after };
+    });
+  },
+
+  // Listas como texto para compararlas y mostrarlas (grupos por nombre)
+  value(campo, value) {
+    if (value === undefined) return undefined;
+    if (campo === 'grupos') return Groups.names(value || []);
+    if (campo === 'huellas') return (value || []).map(h => `${Fingers.label(h.dedo)} (slot ${h.slot})`).join(', ');
+    if (campo === 'rol' && typeof value === 'string') return t(value);
+    if (campo === 'estado' && CONFIG.USER_STATUS[value]) return t(CONFIG.USER_STATUS[value]);
+    if (campo === 'campos') return Profile.describe(value);
+    return Array.isArray(value) ? value.join(', ') : value;
+  },
+
+  describe(entry) {
+    if (entry.accion === 'importar') return t('Usuarios pendientes');
+    if (entry.accion === 'kiosco-pin') return t('Modo kiosco');
+    if (entry.accion === 'sensor-purgar') return t('Sensor de huellas');
+    return entry.accion.startsWith('cuenta') ? t('Cuenta {id}', { id: entry.id }) : t('Usuario ID {id}', { id: entry.id });
+  },
+
+  badgeClass(accion) {
+    if (accion.endsWith('eliminar') || accion.endsWith('anular') || accion.endsWith('quitar') || accion.endsWith('purgar')) return 'badge-danger';
+    if (accion === 'registrar' || accion === 'importar' || accion.endsWith('crear') || accion.endsWith('agregar')) return 'badge-success';
+    return 'badge-warning';
+  },
+
+  renderChange(c) {
+    const label = t(this.FIELDS[c.campo] || c.campo);
+    const antes = Utils.escapeHtml(String(c.antes === undefined ? '' : c.antes));
+    const despues = Utils.escapeHtml(String(c.despues === undefined ? '' : c.despues));
+
+    if (c.antes === undefined) return `<div><strong>${label}:</strong> <span class="diff-new">${despues}</span></div>`;
+    if (c.despues === undefined) return `<div><strong>${label}:</strong> <span class="diff-old">${antes}</span></div>`;
+    if (!c.cambio) return `<div class="diff-same"><strong>${label}:</strong> ${antes}</div>`;
+    return `<div><strong>${label}:</strong> <span class="diff-old">${antes}</span> → <span class="diff-new">${despues}</span></div>`;
+  },
+
+  render() {
+    if (this.filtered.length === 0) {
+      Utils.setHTML('auditList', `<p style="text-align:center;color:#6c757d;padding:20px">${t('No hay cambios registrados')}</p>`);
+      return;
+    }
+
+    let html = '<div class="user-list">';
+    this.filtered.forEach(entry => {
+      html += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">
+              <span class="badge ${this.badgeClass(entry.accion)}">${this.ACTIONS[entry.accion] ? t(this.ACTIONS[entry.accion]) : Utils.escapeHtml(entry.accion)}</span>
+              ${Utils.escapeHtml(this.describe(entry))}
+            </div>
+            <div class="user-meta">${Dates.formatDate(entry.fecha)} ${entry.hora} · ${t('por {actor}', { actor: Utils.escapeHtml(entry.actor) })}</div>
+            <div class="audit-diff">${this.changes(entry).map(c => this.renderChange(c)).join('')}</div>
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+    Utils.setHTML('auditList', html);
+  },
+
+  // Una fila por campo para que cada cambio quede en su propia celda
+  exportCSV() {
+    if (this.filtered.length === 0) {
+      Notification.show(t('No hay datos para exportar'), 'warning');
+      return;
+    }
+
+    const field = (value) => {
+      const text = value === undefined ? '' : String(value);
+      return /[;"\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    let csv = ['Fecha', 'Hora', 'Realizado por', 'Acción', 'Objetivo', 'Campo', 'Antes', 'Después'].map(c => t(c)).join(';') + '\n';
+    this.filtered.forEach(entry => {
+      const base = [entry.fecha, entry.hora, entry.actor, t(this.ACTIONS[entry.accion] || entry.accion), this.describe(entry)];
+      this.changes(entry).forEach(c => {
+        csv += [...base, t(this.FIELDS[c.campo] || c.campo), c.antes, c.despues].map(field).join(';') + '\n';
+      });
+    });
+
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    Database.downloadFile(blob, `auditoria_${Database.getDateString()}.csv`);
+
+    Notification.show(`✓ ${t('Auditoría exportada: {n} cambios', { n: this.filtered.length })}`, 'success');
+  }
+};
+
+// ============================================
+// RESPALDO Y RESTAURACIÓN (SOLO ADMIN)
+// ============================================
+const Backup = {
+  FORMAT: 'asistencia-respaldo',
+  VERSION: 1,
+  CHUNK_SIZE: 8192,      // igual que BACKUP_CHUNK en el ESP32
+  TEMPLATE_MAX: 768,     // bytes por plantilla (TEMPLATE_MAX en el ESP32)
+  files: [],
+  archive: null,
+
+  async load() {
+    if (!Auth.can('admin')) return;
+
+    try {
+      const { data } = await API.getBackupFiles();
+      this.files = data;
+      this.renderFiles();
+    } catch (error) {
+      Utils.setHTML('backupFiles', `<p style="text-align:center;color:#dc3545;padding:20px">Error: ${Utils.escapeHtml(error.message)}</p>`);
+    }
+  },
+
+  renderFiles() {
+    Utils.setHTML('backupFiles', `
+      <div class="user-list">
+        ${this.files.map(f => `
+          <div class="user-item">
+            <div class="user-info">
+              <strong>${f.nombre}</strong>
+              <div class="user-meta">${f.existe ? this.formatSize(f.tamano) : t('No existe')}</div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `);
+  },
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+  },
+
+  countLines(text) {
+    return text.split('\n').filter(line => line.trim()).length;
+  },
+
+  parseUsers(text) {
+    return text.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try { return JSON.parse(line); } catch (e) { return null; }
+      })
+      .filter(u => u && u.id !== undefined);
+  },
+
+  // Descarga el archivo por fragmentos hasta el tamaño listado (la foto del momento)
+  async download(file) {
+    const parts = [];
+    let offset = 0;
+
+    while (offset < file.tamano) {
+      Utils.setContent('backupProgress', t('Descargando {archivo} ({hecho} de {total})...', { archivo: file.nombre, hecho: this.formatSize(offset), total: this.formatSize(file.tamano) }));
+      const { data } = await API.downloadBackupFile(file.nombre, offset);
+      if (data.byteLength === 0) break;
+      parts.push(new Uint8Array(data));
+      offset += data.byteLength;
+    }
+
+    return new Blob(parts).text();
+  },
+
+  async create() {
+    const btn = Utils.getElement('createBackupBtn');
+    const withTemplates = Utils.getElement('backup-templates').checked;
+    btn.disabled = true;
+
+    try {
+      const { data: files } = await API.getBackupFiles();
+      this.files = files;
+
+      const archivos = {};
+      for (const file of files.filter(f => f.existe)) {
+        archivos[file.nombre] = await this.download(file);
+      }
+
+      // Plantillas de todos los dedos de cada usuario (ver Fingers.of)
+      const users = this.parseUsers(archivos['usuarios.json'] || '');
+      const slots = users.flatMap(u => Fingers.of(u).map(h => h.slot));
+      const huellas = [];
+      if (withTemplates) {
+        for (let i = 0; i < slots.length; i++) {
+          Utils.setContent('backupProgress', t('Exportando huella {n} de {total}...', { n: i + 1, total: slots.length }));
+          try {
+            const { data } = await API.getTemplate(slots[i]);
+            huellas.push(data);
+          } catch (error) {
+            if (error.status !== 404) throw error;
+            console.warn(`Slot ${slots[i]} sin plantilla en el sensor`);
+          }
+        }
+      }
+
+      const archive = {
+        formato: this.FORMAT,
+        version: this.VERSION,
+        creado: new Date().toISOString(),
+        resumen: {
+          usuarios: users.length,
+          marcaciones: this.countLines(archivos['asistencia.csv'] || ''),
+          huellas: huellas.length
+        },
+        archivos,
+        huellas
+      };
+
+      const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+      Database.downloadFile(blob, `respaldo_${Database.getDateString()}.json`);
+
+      const { resumen } = archive;
+      Notification.show(`✓ ${t('Respaldo creado: {usuarios} usuarios, {marcaciones} marcaciones, {huellas} huellas', resumen)}`, 'success');
+      this.renderFiles();
+    } catch (error) {
+      Notification.show(`❌ ${t('Error creando respaldo: {error}', { error: error.message })}`, 'error');
+    } finally {
+      btn.disabled = false;
+      Utils.setContent('backupProgress', '');
+    }
+  },
+
+  isTemplate(data) {
+    if (typeof data !== 'string' || data.length === 0) return false;
+    try {
+      const bytes = atob(data).length;
+      return bytes > 0 && bytes <= this.TEMPLATE_MAX;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  validate(archive) {
+    if (!archive || typeof archive !== 'object' || archive.formato !== this.FORMAT) {
+      return [t('El archivo no es un respaldo de este sistema')];
+    }
+
+    const errores = [];
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+      errores.push(t('Versión de respaldo inválida'));
+    } else if (archive.version > this.VERSION) {
+      errores.push(t('Respaldo versión {version}: este panel admite hasta la versión {max}', { version: archive.version, max: this.VERSION }));
+    }
+
+    const archivos = archive.archivos;
+    if (!archivos || typeof archivos !== 'object' || Object.keys(archivos).length === 0) {
+      errores.push(t('El respaldo no contiene archivos'));
+    } else {
+      Object.keys(archivos).forEach(nombre => {
+        if (!this.files.some(f => f.nombre === nombre)) errores.push(t('Archivo no reconocido: {nombre}', { nombre }));
+        else if (typeof archivos[nombre] !== 'string') errores.push(t('Contenido inválido en {nombre}', { nombre }));
+      });
+
+      const users = archivos['usuarios.json'];
+      if (typeof users === 'string' && this.parseUsers(users).length !== this.countLines(users)) {
+        errores.push(t('usuarios.json tiene líneas dañadas'));
+      }
+    }
+
+    if (!Array.isArray(archive.huellas)) {
+      errores.push(t('Falta la lista de huellas'));
+    } else {
+      archive.huellas.forEach((h, i) => {
+        if (!h || !Number.isInteger(h.slot) || h.slot < 0 || h.slot > 255 || !this.isTemplate(h.data)) {
+          errores.push(t('Huella {n} inválida', { n: i + 1 }));
+        }
+      });
+    }
+
+    return errores;
+  },
+
+  async preview(file) {
+    if (!file) return;
+    this.archive = null;
+    Utils.getElement('restoreActions').style.display = 'none';
+
+    try {
+      if (this.files.length === 0) await this.load();
+
+      const archive = JSON.parse(await file.text());
+      const errores = this.validate(archive);
+      if (errores.length) {
+        Utils.setHTML('restorePreview', `
+          <div class="import-summary"><strong>${Utils.escapeHtml(file.name)}</strong> · ${t('respaldo no válido')}</div>
+          ${errores.map(e => `<span class="badge badge-danger">${Utils.escapeHtml(e)}</span>`).join(' ')}
+        `);
+        return;
+      }
+
+      const { data: users } = await API.getUsers();
+      this.archive = archive;
+      this.renderPreview(file.name, users);
+    } catch (error) {
+      Notification.show(`❌ ${t('No se pudo leer el respaldo: {error}', { error: error.message })}`, 'error');
+    }
+  },
+
+  diffUsers(current, restored) {
+    const byId = new Map(current.map(u => [String(u.id), u]));
+    const nuevos = [];
+    const modificados = [];
+
+    restored.forEach(u => {
+      const actual = byId.get(String(u.id));
+      if (!actual) nuevos.push(u);
+      else if (actual.nombre !== u.nombre || actual.rol !== u.rol) modificados.push(u);
+      byId.delete(String(u.id));
+    });
+
+    return { nuevos, modificados, eliminados: [...byId.values()] };
+  },
+
+  renderPreview(fileName, currentUsers) {
+    const { archivos, huellas } = this.archive;
+
+    const rows = this.files.map(f => {
+      const text = archivos[f.nombre];
+      const incluido = typeof text === 'string';
+      const cambio = t(!incluido ? 'Se conserva' : (f.existe ? 'Se reemplaza' : 'Se crea'));
+      const badge = !incluido ? 'badge-info' : (f.existe ? 'badge-warning' : 'badge-success');
+
+      return `
+        <tr>
+          <td>${f.nombre}</td>
+          <td>${f.existe ? this.formatSize(f.tamano) : '---'}</td>
+          <td>${incluido ? `${this.formatSize(new Blob([text]).size)} · ${t('{n} líneas', { n: this.countLines(text) })}` : '---'}</td>
+          <td><span class="badge ${badge}">${cambio}</span></td>
+        </tr>
+      `;
+    }).join('');
+
+    let usersHtml = '';
+    if (typeof archivos['usuarios.json'] === 'string') {
+      const diff = this.diffUsers(currentUsers, this.parseUsers(archivos['usuarios.json']));
+      const names = (list) => list.slice(0, 10).map(u => Utils.escapeHtml(u.nombre)).join(', ') +
+        (list.length > 10 ? ` ${t('y {n} más', { n: list.length - 10 })}` : '');
+
+      usersHtml = `
+        <div class="import-summary">
+          <strong>${t('Usuarios')}:</strong>
+          <span style="color:#28a745">${t('{n} nuevos', { n: diff.nuevos.length })}</span> ·
+          <span style="color:#ffc107">${t('{n} modificados', { n: diff.modificados.length })}</span> ·
+          <span style="color:#dc3545">${t('{n} eliminados', { n: diff.eliminados.length })}</span>
+        </div>
+        ${diff.nuevos.length ? `<p class="user-meta">${t('Nuevos')}: ${names(diff.nuevos)}</p>` : ''}
+        ${diff.modificados.length ? `<p class="user-meta">${t('Modificados')}: ${names(diff.modificados)}</p>` : ''}
+        ${diff.eliminados.length ? `<p class="user-meta">${t('Eliminados')}: ${names(diff.eliminados)}</p>` : ''}
+      `;
+    }
+
+    Utils.setHTML('restorePreview', `
+      <div class="import-summary">
+        <strong>${Utils.escapeHtml(fileName)}</strong> · ${t('versión {version}', { version: this.archive.version })} ·
+        ${t('creado {fecha}', { fecha: Utils.escapeHtml(Dates.formatInstant(this.archive.creado)) })}
+      </div>
+      <div class="table-scroll" style="max-height:360px">
+        <table>
+          <thead><tr><th>${t('Archivo')}</th><th>${t('En el dispositivo')}</th><th>${t('En el respaldo')}</th><th>${t('Cambio')}</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${usersHtml}
+      <div class="import-summary">
+        <strong>${t('Huellas')}:</strong> ${t('{n} plantilla(s) para cargar en el sensor', { n: huellas.length })}
+      </div>
+    `);
+
+    const templates = Utils.getElement('restore-templates');
+    templates.checked = huellas.length > 0;
+    templates.disabled = huellas.length === 0;
+    Utils.getElement('confirmRestoreBtn').disabled = false;
+    Utils.getElement('restoreActions').style.display = 'flex';
+  },
+
+  async upload(nombre, text) {
+    const bytes = new TextEncoder().encode(text);
+    let offset = 0;
+
+    // Siempre al menos un envío: un archivo vacío también reemplaza al actual
+    do {
+      Utils.setContent('restoreProgress', t('Subiendo {archivo} ({hecho} de {total})...', { archivo: nombre, hecho: this.formatSize(offset), total: this.formatSize(bytes.length) }));
+      const chunk = bytes.subarray(offset, offset + this.CHUNK_SIZE);
+      await API.uploadBackupFile(nombre, offset, chunk);
+      offset += chunk.length;
+    } while (offset < bytes.length);
+  },
+
+  async restore() {
+    const archive = this.archive;
+    if (!archive) return;
+    if (!confirm(t('¿Reemplazar los datos del dispositivo con este respaldo? Esta acción no se puede deshacer.'))) return;
+
+    const btn = Utils.getElement('confirmRestoreBtn');
+    const withTemplates = Utils.getElement('restore-templates').checked;
+    btn.disabled = true;
+
+    try {
+      // Los archivos se suben a temporales y se aplican juntos al final
+      const nombres = Object.keys(archive.archivos);
+      for (const nombre of nombres) {
+        await this.upload(nombre, archive.archivos[nombre]);
+      }
+      Utils.setContent('restoreProgress', t('Aplicando archivos...'));
+      await API.commitBackup(nombres);
+
+      const fallidas = [];
+      if (withTemplates) {
+        for (let i = 0; i < archive.huellas.length; i++) {
+          Utils.setContent('restoreProgress', t('Cargando huella {n} de {total} en el sensor...', { n: i + 1, total: archive.huellas.length }));
+          try {
+            await API.restoreTemplate(archive.huellas[i]);
+          } catch (error) {
+            if (error.offline || error.status === 401) throw error;
+            fallidas.push(archive.huellas[i].slot);
+          }
+        }
+      }
+
+      if (fallidas.length) {
+        Notification.show(`✓ ${t('Datos restaurados · {n} huella(s) no se cargaron (slots {slots})', { n: fallidas.length, slots: fallidas.join(', ') })}`, 'warning');
+      } else {
+        Notification.show(`✓ ${t('Respaldo restaurado')}`, 'success');
+      }
+
+      this.cancel();
+      State.data.users = [];
+      Database.load(true);
+      this.load();
+    } catch (error) {
+      Notification.show(`❌ ${t('Restauración interrumpida: {error}', { error: error.message })}`, 'error');
+      btn.disabled = false;
+    } finally {
+      Utils.setContent('restoreProgress', '');
+    }
+  },
+
+  cancel() {
+    this.archive = null;
+    Utils.setHTML('restorePreview', '');
+    Utils.getElement('restoreActions').style.display = 'none';
+    Utils.getElement('restoreFile').value = '';
+  }
+};
+
+// ============================================
+// CUENTAS DEL PANEL (SOLO ADMIN)
+// ============================================
+const Accounts = {
+  ROLE_LABELS: { operador: 'Operador (kiosco)', supervisor: 'Supervisor (reportes)', admin: 'Administrador' },
+  list: [],
+
+  async load() {
+    if (!Auth.can('admin')) return;
+
+    try {
+      const { data } = await API.getAccounts();
+      this.list = data;
+      this.render();
+    } catch (error) {
+      console.error('Error cargando cuentas:', error);
+      Utils.setHTML('accountsList', `<p style="text-align:center;color:#dc3545;padding:20px">${t('Error al cargar cuentas')}</p>`);
+    }
+  },
+
+  render() {
+    let html = '<div class="user-list">';
+    this.list.forEach(c => {
+      const propia = c.usuario === Auth.session.usuario;
+      html += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">${Utils.escapeHtml(c.usuario)}${propia ? ` (${t('usted')})` : ''}</div>
+            <div class="user-meta">${this.ROLE_LABELS[c.rol] ? t(this.ROLE_LABELS[c.rol]) : Utils.escapeHtml(c.rol)}</div>
+          </div>
+          <div class="user-actions">
+            <button class="btn btn-outline" style="padding:10px 18px;font-size:.85em" onclick="Accounts.edit('${Utils.escapeHtml(c.usuario)}')">${t('Editar')}</button>
+            ${propia ? '' : `<button class="btn btn-danger" style="padding:10px 18px;font-size:.85em" onclick="Accounts.remove('${Utils.escapeHtml(c.usuario)}')">${t('Eliminar')}</button>`}
+          </div>
+        </div>
+      `;
+    });
+    html += '</div>';
+    Utils.setHTML('accountsList', html);
+  },
+
+  edit(usuario) {
+    const cuenta = this.list.find(c => c.usuario === usuario);
+    if (!cuenta) return;
+
+    Utils.getElement('account-user').value = cuenta.usuario;
+    Utils.getElement('account-password').value = '';
+    Utils.getElement('account-role').value = cuenta.rol;
+    Utils.getElement('account-password').focus();
+  },
+
+  async save() {
+    const usuario = Utils.getElement('account-user').value.trim();
+    const password = Utils.getElement('account-password').value;
+    const rol = Utils.getElement('account-role').value;
+
+    if (!/^[A-Za-z0-9._-]{3,32}$/.test(usuario)) {
+      Notification.show(t('Usuario: 3 a 32 letras, números, punto, guion o guion bajo'), 'warning');
+      return;
+    }
+
+    try {
+      const { data } = await API.saveAccount({ usuario, password, rol });
+      Notification.show(`✓ ${t(data.message)}`, 'success');
+
+      Utils.getElement('account-user').value = '';
+      Utils.getElement('account-password').value = '';
+      this.load();
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  async remove(usuario) {
+    if (!confirm(t('¿Eliminar la cuenta "{usuario}"?', { usuario }))) return;
+
+    try {
+      await API.deleteAccount(usuario);
+      Notification.show(t('Cuenta eliminada'), 'success');
+      this.load();
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  }
+};
+
+// ============================================
+// CONFIGURACIÓN DEL EQUIPO
+// Red Wi-Fi del AP, nombre del equipo y reloj. Un cambio de red corta la
+// conexión: el navegador tiene que volver a unirse a la red nueva.
+// ============================================
+const Settings = {
+  current: null,
+
+  active() {
+    const section = Utils.getElement('configuracion');
+    return Boolean(section && section.classList.contains('active'));
+  },
+
+  async load() {
+    if (!Auth.can('admin')) return;
+
+    try {
+      const { data } = await API.getSettings();
+      this.current = data;
+      Utils.getElement('settings-name').value = data.nombre || '';
+      Utils.getElement('settings-ssid').value = data.ssid || '';
+      Utils.getElement('settings-password').value = '';
+      Utils.getElement('settings-zone').value = data.zona || '';
+      this.fillZones();
+    } catch (error) {
+      Notification.show(`❌ ${t('No se pudo leer la configuración: {error}', { error: error.message })}`, 'error');
+    }
+
+    await SystemStatus.check();
+    this.renderClock();
+  },
+
+  async save() {
+    const nombre = Utils.getElement('settings-name').value.trim();
+    const ssid = Utils.getElement('settings-ssid').value.trim();
+    const password = Utils.getElement('settings-password').value;
+    const zona = Utils.getElement('settings-zone').value.trim();
+
+    if (!/^[A-Za-z0-9-]{1,32}$/.test(nombre)) {
+      Notification.show(t('Nombre del equipo: 1 a 32 letras, números o guiones'), 'warning');
+      return;
+    }
+    if (!ssid || ssid.length > 32) {
+      Notification.show(t('El nombre de la red debe tener de 1 a 32 caracteres'), 'warning');
+      return;
+    }
+    if (password && (password.length < 8 || password.length > 63)) {
+      Notification.show(t('La contraseña Wi-Fi debe tener de 8 a 63 caracteres'), 'warning');
+      return;
+    }
+    if (zona && !Dates.validZone(zona)) {
+      Notification.show(t('Zona horaria desconocida: use un nombre como America/Lima'), 'warning');
+      return;
+    }
+
+    const cambiaRed = !this.current || ssid !== this.current.ssid || Boolean(password);
+    if (cambiaRed && !confirm(t('El equipo reiniciará su red Wi-Fi y esta página perderá la conexión. ¿Continuar?'))) return;
+
+    try {
+      const { data } = await API.saveSettings({ nombre, ssid, password, zona });
+      Utils.getElement('settings-password').value = '';
+      this.current = { nombre, ssid, zona };
+      if (Dates.setZone(zona) && State.data.full.length) Database.refresh();
+      this.renderClock();
+
+      if (data.reconectar) {
+        Notification.show(t('Configuración guardada. Conéctese a la red "{ssid}" para seguir usando el panel', { ssid }), 'warning');
+      } else {
+        Notification.show(`✓ ${t(data.message)}`, 'success');
+      }
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  // Sugerencias para el campo de zona (si el navegador sabe listarlas)
+  fillZones() {
+    const list = Utils.getElement('zone-list');
+    if (!list || list.options.length || !Intl.supportedValuesOf) return;
+    list.innerHTML = Intl.supportedValuesOf('timeZone').map(z => `<option value="${z}">`).join('');
+  },
+
+  // Envía la hora actual en la zona del equipo
+  async syncClock() {
+    const now = Dates.now();
+
+    try {
+      const { data } = await API.syncClock(Dates.dateKey(now), Dates.clock(now));
+      Notification.show(`✓ ${t(data.message)}`, 'success');
+      await SystemStatus.check();
+      this.renderClock();
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+  },
+
+  renderClock() {
+    const device = SystemStatus.device;
+    const browser = Dates.now();
+    let html = `<div class="user-meta">${t('Zona horaria')}: <strong>${Utils.escapeHtml(CONFIG.TIMEZONE || t('la del navegador'))}</strong></div>`;
+    html += `<div class="user-meta">${t('Navegador')}: <strong>${Dates.dateKey(browser)} ${Dates.clock(browser)}</strong></div>`;
+
+    if (!device) {
+      html += `<div class="user-meta">${t('El equipo no informó su hora')}</div>`;
+    } else {
+      const time = new Date(device.time + (Dates.now().getTime() - device.at));
+      const drift = Math.round((device.time - device.at) / 1000);
+      const desfasado = Math.abs(drift * 1000) > CONFIG.CLOCK_DRIFT_MS;
+      html += `<div class="user-meta">${t('Equipo')}: <strong>${Dates.dateKey(time)} ${Dates.clock(time)}</strong></div>`;
+      html += `<div class="form-hint" style="color:${desfasado ? '#dc3545' : '#28a745'}">${
+        drift === 0 ? t('Sin diferencia con el navegador') : t('Diferencia: {segundos} s', { segundos: drift > 0 ? `+${drift}` : drift })}</div>`;
+    }
+
+    Utils.setHTML('settingsClock', html);
+  }
+};
+
+// ============================================
+// SENSOR DE HUELLAS
+// Plantillas del sensor cruzadas con usuarios.json: huérfanas (sin
+// usuario) y usuarios con dedos que ya no están en el sensor
+// ============================================
+const Sensor = {
+  data: null,
+
+  async load() {
+    if (!Auth.can('admin')) return;
+    Utils.setHTML('sensorInfo', `<p style="text-align:center;color:#6c757d;padding:20px">${t('Revisando el sensor...')}</p>`);
+
+    try {
+      const { data } = await API.getSensor();
+      this.data = data;
+      this.render();
+    } catch (error) {
+      this.data = null;
+      Utils.setHTML('sensorInfo', `<p style="text-align:center;color:#dc3545;padding:20px">❌ ${Utils.escapeHtml(error.message)}</p>`);
+    }
+  },
+
+  render() {
+    const { capacidad, usados, huerfanos, sinHuella } = this.data;
+    const sinMarcar = sinHuella.filter(u => !u.reenrolar);
+
+    let html = `
+      <div class="stats">
+        <div class="stat-box"><div class="stat-number">${usados} / ${capacidad}</div><div class="stat-label">${t('Slots usados')}</div></div>
+        <div class="stat-box"><div class="stat-number">${huerfanos.length}</div><div class="stat-label">${t('Plantillas huérfanas')}</div></div>
+        <div class="stat-box"><div class="stat-number">${sinHuella.length}</div><div class="stat-label">${t('Usuarios sin plantilla')}</div></div>
+      </div>
+      <h3 style="margin:0 0 10px">${t('Plantillas sin usuario')}</h3>
+    `;
+
+    if (huerfanos.length === 0) {
+      html += `<p class="form-hint">${t('Todas las plantillas del sensor tienen usuario.')}</p>`;
+    } else {
+      html += `
+        <div class="chip-group" style="margin-bottom:12px">${huerfanos.map(slot => `<span class="badge badge-danger">Slot ${slot}</span>`).join('')}</div>
+        <button class="btn btn-danger" onclick="Sensor.purge()">${t('Borrar huérfanas ({n})', { n: huerfanos.length })}</button>
+      `;
+    }
+
+    html += `<h3 style="margin:24px 0 10px">${t('Usuarios sin plantilla en el sensor')}</h3>`;
+
+    if (sinHuella.length === 0) {
+      html += `<p class="form-hint">${t('Todos los usuarios tienen sus huellas en el sensor.')}</p>`;
+    } else {
+      html += '<div class="user-list">';
+      sinHuella.forEach(u => {
+        html += `
+          <div class="user-item">
+            <div class="user-info">
+              <div class="user-name">ID ${u.id} · ${Utils.escapeHtml(u.nombre)}</div>
+              <div class="user-meta">${t('Faltan')}: ${u.huellas.map(h => `${Fingers.label(h.dedo)} (slot ${h.slot})`).join(', ')}${
+                u.reenrolar ? ` · <span class="badge badge-warning">${t('Marcado para reenrolar')}</span>` : ''}</div>
+            </div>
+            <div class="user-actions">
+              <button class="btn btn-outline" style="padding:8px 14px;font-size:.85em" onclick="Sensor.edit(${u.id})">${t('Editar')}</button>
+            </div>
+          </div>
+        `;
+      });
+      html += '</div>';
+
+      if (sinMarcar.length) {
+        html += `<button class="btn btn-primary" style="margin-top:12px" onclick="Sensor.flag()">${t('Marcar para reenrolar ({n})', { n: sinMarcar.length })}</button>`;
+      }
+    }
+
+    Utils.setHTML('sensorInfo', html);
+  },
+
+  // Solo se borran los slots que el equipo aún ve huérfanos
+  async purge() {
+    const slots = this.data.huerfanos;
+    if (!confirm(t('¿Borrar {n} plantilla(s) sin usuario del sensor? No se puede deshacer.', { n: slots.length }))) return;
+
+    try {
+      const { data } = await API.purgeSensor(slots);
+      Notification.show(`✓ ${t('{n} plantilla(s) borradas del sensor', { n: data.eliminados })}`, 'success');
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+    await this.load();
+  },
+
+  async flag() {
+    const ids = this.data.sinHuella.filter(u => !u.reenrolar).map(u => u.id);
+
+    try {
+      const { data } = await API.flagReenroll(ids);
+      Notification.show(`✓ ${t('{n} usuario(s) marcados para reenrolar', { n: data.marcados })}`, 'success');
+      await Users.load();
+    } catch (error) {
+      Notification.show(`❌ ${error.message}`, 'error');
+    }
+    await this.load();
+  },
+
+  // El reenrolado se hace desde el modal de edición (Reemplazar)
+  async edit(id) {
+    await Users.load();
+    Users.edit(id);
+  }
+};
+
+// ============================================
+// EVENT LISTENERS
+// ============================================
+function setupEventListeners() {
+  // Navegación
+  Navigation.init();
+  VirtualTable.init();
+
+  // Idioma del panel
+  const langSelect = Utils.getElement('lang-select');
+  if (langSelect) {
+    langSelect.value = I18n.lang;
+    langSelect.addEventListener('change', (e) => I18n.set(e.target.value));
+  }
+
+  // Sesión
+  const loginBtn = Utils.getElement('loginBtn');
+  if (loginBtn) loginBtn.addEventListener('click', () => Auth.login());
+
+  const loginPassword = Utils.getElement('login-password');
+  if (loginPassword) loginPassword.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') Auth.login();
+  });
+
+  const logoutBtn = Utils.getElement('logoutBtn');
+  if (logoutBtn) logoutBtn.addEventListener('click', () => Auth.logout());
+
+  const saveAccountBtn = Utils.getElement('saveAccountBtn');
+  if (saveAccountBtn) saveAccountBtn.addEventListener('click', () => Accounts.save());
+
+  // Configuración del equipo
+  const saveSettingsBtn = Utils.getElement('saveSettingsBtn');
+  if (saveSettingsBtn) saveSettingsBtn.addEventListener('click', () => Settings.save());
+
+  const syncClockBtn = Utils.getElement('syncClockBtn');
+  if (syncClockBtn) syncClockBtn.addEventListener('click', () => Settings.syncClock());
+
+  const sensorRefreshBtn = Utils.getElement('sensorRefreshBtn');
+  if (sensorRefreshBtn) sensorRefreshBtn.addEventListener('click', () => Sensor.load());
+
+  // Auditoría
+  ['audit-action', 'audit-from', 'audit-to'].forEach(id => {
+    const el = Utils.getElement(id);
+    if (el) el.addEventListener('change', () => Audit.filter());
+  });
+
+  const exportAuditBtn = Utils.getElement('exportAuditBtn');
+  if (exportAuditBtn) exportAuditBtn.addEventListener('click', () => Audit.exportCSV());
+
+  // Grupos
+  const saveGroupBtn = Utils.getElement('saveGroupBtn');
+  if (saveGroupBtn) saveGroupBtn.addEventListener('click', () => Groups.save());
+
+  const groupName = Utils.getElement('group-name');
+  if (groupName) groupName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') Groups.save();
+    if (e.key === 'Escape') Groups.cancelEdit();
+  });
+
+  // Campos personalizados del perfil
+  const addFieldBtn = Utils.getElement('addFieldBtn');
+  if (addFieldBtn) addFieldBtn.addEventListener('click', () => Profile.add());
+
+  const fieldName = Utils.getElement('field-name');
+  if (fieldName) fieldName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') Profile.add();
+  });
+
+  // Foto de perfil (registro y edición)
+  Object.entries(Photos.FORMS).forEach(([form, ids]) => {
+    const file = Utils.getElement(ids.file);
+    if (file) file.addEventListener('change', (e) => Photos.pick(form, e.target.files[0]));
+    const clear = Utils.getElement(ids.clear);
+    if (clear) clear.addEventListener('click', () => Photos.clear(form));
+  });
+
+  // PIN del kiosco
+  const saveKioskPinBtn = Utils.getElement('saveKioskPinBtn');
+  if (saveKioskPinBtn) saveKioskPinBtn.addEventListener('click', () => Kiosk.savePin());
+
+  const clearKioskPinBtn = Utils.getElement('clearKioskPinBtn');
+  if (clearKioskPinBtn) clearKioskPinBtn.addEventListener('click', () => Kiosk.savePin(true));
+
+  // Respaldo
+  const createBackupBtn = Utils.getElement('createBackupBtn');
+  if (createBackupBtn) createBackupBtn.addEventListener('click', () => Backup.create());
+
+  const restoreFile = Utils.getElement('restoreFile');
+  if (restoreFile) restoreFile.addEventListener('change', (e) => Backup.preview(e.target.files[0]));
+
+  const confirmRestoreBtn = Utils.getElement('confirmRestoreBtn');
+  if (confirmRestoreBtn) confirmRestoreBtn.addEventListener('click', () => Backup.restore());
+
+  const cancelRestoreBtn = Utils.getElement('cancelRestoreBtn');
+  if (cancelRestoreBtn) cancelRestoreBtn.addEventListener('click', () => Backup.cancel());
+
+  // Importación y pendientes
+  const importFile = Utils.getElement('importFile');
+  if (importFile) importFile.addEventListener('change', (e) => Import.preview(e.target.files[0]));
+
+  const confirmImportBtn = Utils.getElement('confirmImportBtn');
+  if (confirmImportBtn) confirmImportBtn.addEventListener('click', () => Import.confirm());
+
+  const cancelImportBtn = Utils.getElement('cancelImportBtn');
+  if (cancelImportBtn) cancelImportBtn.addEventListener('click', () => Import.cancel());
+
+  const clearPendingBtn = Utils.getElement('clearPendingBtn');
+  if (clearPendingBtn) clearPendingBtn.addEventListener('click', () => Pending.clearAll());
+
+  // Correcciones de asistencia
+  const addPunchBtn = Utils.getElement('addPunchBtn');
+  if (addPunchBtn) addPunchBtn.addEventListener('click', () => Corrections.openAdd());
+
+  const saveCorrectionBtn = Utils.getElement('saveCorrectionBtn');
+  if (saveCorrectionBtn) saveCorrectionBtn.addEventListener('click', () => Corrections.save());
+
+  const voidCorrectionBtn = Utils.getElement('voidCorrectionBtn');
+  if (voidCorrectionBtn) voidCorrectionBtn.addEventListener('click', () => Corrections.voidPunch());
+
+  ['closeCorrectionBtn', 'cancelCorrectionBtn'].forEach(id => {
+    const btn = Utils.getElement(id);
+    if (btn) btn.addEventListener('click', () => Corrections.close());
+  });
+
+  // Captura de huella
+  const captureBtn = Utils.getElement('captureBtn');
+  if (captureBtn) {
+    captureBtn.addEventListener('click', () => Fingerprint.start());
+  }
+
+  // Registro de usuario
+  const registerBtn = Utils.getElement('registerBtn');
+  if (registerBtn) {
+    registerBtn.addEventListener('click', () => Registration.register());
+  }
+
+  // ⭐ VALIDACIÓN EN TIEMPO REAL DEL NOMBRE
+  const userName = Utils.getElement('userName');
+  if (userName) {
+    userName.addEventListener('input', () => NameValidator.debounced());
+    
+    userName.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        const regBtn = Utils.getElement('registerBtn');
+        if (regBtn && regBtn.style.display !== 'none' && !regBtn.disabled) {
+          Registration.register();
+        }
+      }
+    });
+  }
+
+  const userDocument = Utils.getElement('userDocument');
+  if (userDocument) userDocument.addEventListener('input', () => NameValidator.debounced());
+
+  // ⭐ VALIDACIÓN EN MODAL DE EDICIÓN
+  ['edit-user-name', 'edit-user-document'].forEach(inputId => {
+    const input = Utils.getElement(inputId);
+    if (input) {
+      input.addEventListener('input', (e) => {
+        // Limpiar borde rojo al escribir
+        e.target.style.borderColor = '';
+      });
+    }
+  });
+
+  // Filtros de reportes
+  ['filter-from', 'filter-to', 'filter-user', 'filter-role', 'filter-group', 'filter-time-from', 'filter-time-to'].forEach(id => {
+    const el = Utils.getElement(id);
+    if (el) el.addEventListener('change', () => Database.filter());
+  });
+
+  const filterSearch = Utils.getElement('filter-search');
+  if (filterSearch) filterSearch.addEventListener('input', Utils.debounce(() => Database.filter(), 300));
+
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => Filters.toggleSort(th.dataset.sort));
+  });
+
+  // Enlaces compartidos: aplicar filtros al cambiar el hash a mano
+  window.addEventListener('hashchange', () => {
+    if (Filters.fromHash()) {
+      Filters.write();
+      Navigation.switchTab('reportes');
+      Database.refresh();
+    }
+  });
+
+  // Limpiar filtros
+  const clearBtn = Utils.getElement('clearFiltersBtn');
+  if (clearBtn) clearBtn.addEventListener('click', () => Database.clearFilters());
+
+  // Exportar CSV
+  const exportCsvBtn = Utils.getElement('exportCsvBtn');
+  if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => Database.exportCSV());
+
+  // Exportar usuarios
+  const usersStatus = Utils.getElement('users-status');
+  if (usersStatus) usersStatus.addEventListener('change', () => Users.render(State.data.users));
+
+  const exportExcelBtn = Utils.getElement('exportExcelBtn');
+  const exportJsonBtn = Utils.getElement('exportJsonBtn');
+  if (exportExcelBtn) exportExcelBtn.addEventListener('click', () => Users.exportExcel());
+  if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => Users.exportJSON());
+
+  // Modal de edición
+  const closeModalBtn = Utils.getElement('closeModalBtn');
+  const cancelEditBtn = Utils.getElement('cancelEditBtn');
+  const saveEditBtn = Utils.getElement('saveEditBtn');
+  
+  if (closeModalBtn) closeModalBtn.addEventListener('click', () => Users.closeEditModal());
+  if (cancelEditBtn) cancelEditBtn.addEventListener('click', () => Users.closeEditModal());
+
+  const addFingerBtn = Utils.getElement('addFingerBtn');
+  if (addFingerBtn) addFingerBtn.addEventListener('click', () => Fingers.enroll());
+  if (saveEditBtn) saveEditBtn.addEventListener('click', () => Users.saveEdit());
+
+  // Vista de calendario en reportes
+  const showTableBtn = Utils.getElement('showTableBtn');
+  const showCalendarBtn = Utils.getElement('showCalendarBtn');
+  const calendarMonth = Utils.getElement('calendar-month');
+  if (showTableBtn) showTableBtn.addEventListener('click', () => CalendarView.hide());
+  if (showCalendarBtn) showCalendarBtn.addEventListener('click', () => CalendarView.show());
+  if (calendarMonth) calendarMonth.addEventListener('change', (e) => CalendarView.changeMonth(e.target.value));
+
+  // Planilla mensual
+  const showSheetBtn = Utils.getElement('showSheetBtn');
+  const sheetMonth = Utils.getElement('sheet-month');
+  const sheetScope = Utils.getElement('sheet-scope');
+  const printSheetBtn = Utils.getElement('printSheetBtn');
+  const pdfSheetBtn = Utils.getElement('pdfSheetBtn');
+  if (showSheetBtn) showSheetBtn.addEventListener('click', () => MonthlySheet.show());
+  if (sheetMonth) sheetMonth.addEventListener('change', (e) => MonthlySheet.changeMonth(e.target.value));
+  if (sheetScope) sheetScope.addEventListener('change', () => MonthlySheet.render());
+  if (printSheetBtn) printSheetBtn.addEventListener('click', () => MonthlySheet.print());
+  if (pdfSheetBtn) pdfSheetBtn.addEventListener('click', () => MonthlySheet.downloadPDF());
+
+  // Historial por usuario
+  const closeHistoryBtn = Utils.getElement('closeHistoryBtn');
+  const historyPrevBtn = Utils.getElement('historyPrevBtn');
+  const historyNextBtn = Utils.getElement('historyNextBtn');
+  if (closeHistoryBtn) closeHistoryBtn.addEventListener('click', () => History.close());
+  if (historyPrevBtn) historyPrevBtn.addEventListener('click', () => History.changeMonth(-1));
+  if (historyNextBtn) historyNextBtn.addEventListener('click', () => History.changeMonth(1));
+
+  // Modal de conflictos de sincronización
+  const closeConflictsBtn = Utils.getElement('closeConflictsBtn');
+  if (closeConflictsBtn) {
+    closeConflictsBtn.addEventListener('click', () => Utils.getElement('conflictModal').classList.remove('active'));
+  }
+
+  // Horarios
+  const addShiftBtn = Utils.getElement('addShiftBtn');
+  const assignUserBtn = Utils.getElement('assignUserBtn');
+  if (addShiftBtn) addShiftBtn.addEventListener('click', () => Schedules.addShift());
+  if (assignUserBtn) assignUserBtn.addEventListener('click', () => Schedules.assignUser());
+
+  // Calendario institucional
+  const calendarRest = Utils.getElement('calendar-rest');
+  const addHolidayBtn = Utils.getElement('addHolidayBtn');
+  if (calendarRest) calendarRest.addEventListener('change', () => WorkCalendar.setRest());
+  if (addHolidayBtn) addHolidayBtn.addEventListener('click', () => WorkCalendar.addDay());
+}
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+function init() {
+  console.log('🚀 Sistema de asistencia inicializado');
+
+  // Traducir el HTML estático antes de que los módulos pinten contenido
+  I18n.apply();
+
+  // Simulador del dispositivo (?sim=1 o CONFIG.API_BASE = 'sim:')
+  if (Simulator.enabled()) Simulator.install();
+
+  if (document.body.dataset.page === 'kiosk') {
+    Kiosk.init();
+    return;
+  }
+
+  // Equipo bloqueado en modo kiosco: el panel solo se abre con el PIN
+  if (localStorage.getItem(CONFIG.KIOSK_KEY)) {
+    window.location.replace('kiosk.html');
+    return;
+  }
+
+  // Configurar eventos
+  setupEventListeners();
+
+  // Restaurar filtros desde la URL
+  Filters.fromHash();
+  Filters.write();
+  const initialTab = window.location.hash.slice(1).split('?')[0];
+
+  // Pestaña inicial y datos según el rol de la sesión
+  Auth.init(() => {
+    if (initialTab && Utils.getElement(initialTab)) Navigation.switchTab(initialTab);
+    Database.load();
+    if (Auth.can('admin')) Fingerprint.showNextID();
+  });
+
+  // Iniciar monitoreo (por sondeo hasta que conecte el canal de eventos)
+  SystemStatus.startMonitoring();
+  Attendance.startMonitoring();
+  EventStream.connect();
+
+  // Aviso de cambios pendientes de una sesión anterior
+  Offline.updateBanner();
+
+  // Limpiar intervalos al cerrar
+  window.addEventListener('beforeunload', () => {
+    IntervalManager.clearAll();
+    EventStream.close();
+  });
+
+  console.log('✅ Sistema listo');
+}
+
+// Iniciar cuando el DOM esté listo
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
 }
\ No newline at end of file
@@ -0,0 +1,1440 @@
+// ============================================
+// SIMULADOR DEL DISPOSITIVO
+// Responde en el navegador a todos los endpoints /api/* del ESP32 para
+// usar el panel sin hardware (capacitación y desarrollo). Se activa con
+// ?sim=1 en la URL (?sim=0 lo apaga) o con CONFIG.API_BASE = 'sim:'.
+// Los archivos de la SD y las plantillas del sensor viven en localStorage
+// con el mismo formato que en la tarjeta; sesiones, paso de captura y
+// marcaciones repetidas se llevan en memoria como en el firmware.
+// ============================================
+const Simulator = {
+  BASE: 'sim:',
+  FLAG_KEY: 'asistencia-simulador',
+  STORAGE_KEY: 'asistencia-simulador-datos',
+  LATENCY: 150,
+  LEVELS: { operador: 1, supervisor: 2, admin: 3 },
+  // Mismos límites que el firmware
+  MAX_SESSIONS: 8,
+  SESSION_TTL_MS: 28800000,
+  PUNCH_REPEAT_MS: 60000,
+  RECENT_MAX: 10,
+  KIOSK_MAX_FAILS: 5,
+  KIOSK_LOCK_MS: 60000,
+  LOGIN_MAX_FAILS: 5,
+  LOGIN_LOCK_MS: 60000,
+  DATABASE_PAGE_MAX: 100,
+  AUDIT_PAGE_MAX: 50,
+  PENDING_BATCH_MAX: 50,
+  BACKUP_CHUNK: 8192,
+  TEMPLATE_SIZE: 512,
+  TEMPLATE_MAX: 768,
+  CAPACIDAD_SENSOR: 300,
+  DEFAULT_CONFIG: { ssid: 'AguasFrescas', password: '12345678', nombre: 'AguasFrescas-ESP32', zona: '' },
+  MAX_GRUPOS_USUARIO: 16,
+  MAX_HUELLAS_USUARIO: 5,
+  PAPELERA_DIAS: 30,
+  ESTADOS: ['activo', 'inactivo', 'suspendido'],
+  DOCUMENTO_MAX: 20,
+  CONTACTO_MAX: 64,
+  MAX_CAMPOS: 8,
+  CAMPO_MAX: 40,
+  MOTIVO_MAX: 200,
+  FOTO_MAX: 16384,
+  ARCHIVOS: [
+    'usuarios.json', 'asistencia.csv', 'horarios.json', 'correcciones.json',
+    'pendientes.json', 'admins.json', 'auditoria.log', 'grupos.json', 'calendario.json',
+    'kiosco.json', 'papelera.json', 'campos.json'
+  ],
+
+  // Tabla de rutas, como los server.on() del firmware
+  // (texto: el cuerpo no es JSON y se lee de req.raw)
+  ROUTES: {
+    'GET /api/fingerprint/start': { rol: 'admin', fn: 'startFingerprint' },
+    'GET /api/fingerprint/enroll': { rol: 'admin', fn: 'startEnrollment' },
+    'GET /api/fingerprint/cancel': { rol: 'admin', fn: 'cancelEnrollment' },
+    'POST /api/register': { rol: 'admin', fn: 'register' },
+    'POST /api/fingerprint/finger': { rol: 'admin', fn: 'saveFinger' },
+    'POST /api/fingerprint/finger/delete': { rol: 'admin', fn: 'deleteFinger' },
+    'GET /api/attendance': { fn: 'attendance' },
+    'GET /api/recent': { fn: 'recent' },
+    'GET /api/kiosk': { rol: 'operador', fn: 'kioskStatus' },
+    'POST /api/kiosk/pin': { rol: 'admin', fn: 'kioskPin' },
+    'POST /api/kiosk/unlock': { fn: 'kioskUnlock' },
+    'GET /api/database': { rol: 'supervisor', fn: 'database' },
+    'POST /api/login': { fn: 'login' },
+    'POST /api/logout': { fn: 'logout' },
+    'GET /api/accounts': { rol: 'admin', fn: 'accounts' },
+    'POST /api/accounts': { rol: 'admin', fn: 'saveAccount' },
+    'POST /api/accounts/delete': { rol: 'admin', fn: 'deleteAccount' },
+    'GET /api/audit': { rol: 'admin', fn: 'audit' },
+    'GET /api/corrections': { rol: 'supervisor', fn: 'corrections' },
+    'POST /api/corrections': { rol: 'supervisor', fn: 'saveCorrection' },
+    'GET /api/pending': { rol: 'admin', fn: 'pending' },
+    'POST /api/pending': { rol: 'admin', fn: 'addPending' },
+    'POST /api/pending/delete': { rol: 'admin', fn: 'deletePending' },
+    'GET /api/backup/files': { rol: 'admin', fn: 'backupFiles' },
+    'GET /api/backup/file': { rol: 'admin', fn: 'backupDownload' },
+    'POST /api/backup/file': { rol: 'admin', fn: 'backupUpload' },
+    'POST /api/backup/commit': { rol: 'admin', fn: 'backupCommit' },
+    'GET /api/backup/template': { rol: 'admin', fn: 'backupTemplate' },
+    'POST /api/backup/template': { rol: 'admin', fn: 'restoreTemplate' },
+    'GET /api/sensor': { rol: 'admin', fn: 'sensor' },
+    'POST /api/sensor/purge': { rol: 'admin', fn: 'sensorPurge' },
+    'POST /api/sensor/reenroll': { rol: 'admin', fn: 'sensorReenroll' },
+    'GET /api/next-id': { rol: 'admin', fn: 'nextIdRoute' },
+    'GET /api/system-status': { fn: 'systemStatus' },
+    'POST /api/check-name': { rol: 'admin', fn: 'checkName' },
+    'POST /api/delete-user': { rol: 'admin', fn: 'deleteUser' },
+    'GET /api/users': { rol: 'supervisor', fn: 'users' },
+    'POST /api/edit-user': { rol: 'admin', fn: 'editUser' },
+    'GET /api/photo': { fn: 'photo' },
+    'POST /api/photo': { rol: 'admin', fn: 'savePhoto', texto: true },
+    'GET /api/trash': { rol: 'admin', fn: 'trash' },
+    'POST /api/trash/restore': { rol: 'admin', fn: 'trashRestore' },
+    'POST /api/trash/delete': { rol: 'admin', fn: 'trashDelete' },
+    'GET /api/schedules': { rol: 'supervisor', fn: 'schedules' },
+    'POST /api/schedules': { rol: 'admin', fn: 'saveSchedules' },
+    'GET /api/groups': { rol: 'supervisor', fn: 'groups' },
+    'POST /api/groups': { rol: 'admin', fn: 'saveGroups' },
+    'GET /api/fields': { rol: 'supervisor', fn: 'fields' },
+    'POST /api/fields': { rol: 'admin', fn: 'saveFields' },
+    'GET /api/calendar': { rol: 'supervisor', fn: 'calendar' },
+    'POST /api/calendar': { rol: 'admin', fn: 'saveCalendar' },
+    'GET /api/settings': { rol: 'admin', fn: 'settings' },
+    'POST /api/settings': { rol: 'admin', fn: 'saveSettings' },
+    'POST /api/clock': { rol: 'admin', fn: 'clock' }
+  },
+
+  active: false,
+  data: null,          // { archivos, plantillas, sesiones, reloj } persistidos
+  finger: null,        // plantilla apoyada en el lector (se consume en una lectura)
+  newTemplate: null,   // "dedo nuevo" del panel: el mismo hasta que se enrola
+  capture: { step: 0, id: -1, ready: false, usuario: -1, reemplazo: -1, template: null },
+  lastPunch: { id: -1, ms: 0 },
+  pinFails: 0,
+  pinLockedAt: 0,
+  loginFails: 0,
+  loginLockedAt: 0,
+  uploads: {},
+
+  enabled() {
+    const flag = new URLSearchParams(window.location.search).get('sim');
+    if (flag === '1') sessionStorage.setItem(this.FLAG_KEY, '1');
+    if (flag === '0') sessionStorage.removeItem(this.FLAG_KEY);
+    return CONFIG.API_BASE === this.BASE || sessionStorage.getItem(this.FLAG_KEY) === '1';
+  },
+
+  install() {
+    this.active = true;
+    CONFIG.API_BASE = this.BASE;
+    // Caché sin conexión aparte para no mezclar datos simulados con los del equipo
+    CONFIG.OFFLINE_DB = `${CONFIG.OFFLINE_DB}-sim`;
+    this.load();
+
+    const realFetch = window.fetch.bind(window);
+    window.fetch = (url, options = {}) => (String(url).startsWith(this.BASE)
+      ? this.handle(String(url), options)
+      : realFetch(url, options));
+
+    this.renderPanel();
+    console.log('🧪 Simulador del dispositivo activo');
+  },
+
+  // ---------- Almacenamiento (la "SD") ----------
+
+  load() {
+    try {
+      this.data = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+    } catch (error) {
+      this.data = null;
+    }
+    if (!this.data || !this.data.archivos) this.seed();
+  },
+
+  save() {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
+  },
+
+  read(nombre) {
+    const text = this.data.archivos[nombre];
+    return typeof text === 'string' ? text : null;
+  },
+
+  write(nombre, text) {
+    this.data.archivos[nombre] = text;
+  },
+
+  append(nombre, line) {
+    this.write(nombre, (this.read(nombre) || '') + line + '\n');
+  },
+
+  remove(nombre) {
+    delete this.data.archivos[nombre];
+  },
+
+  // Archivos de una línea JSON por registro; las dañadas se omiten
+  lines(nombre) {
+    return (this.read(nombre) || '').split('\n')
+      .filter(line => line.trim().length >= 5)
+      .map(line => {
+        try { return JSON.parse(line); } catch (e) { return null; }
+      })
+      .filter(Boolean);
+  },
+
+  writeLines(nombre, list) {
+    this.write(nombre, list.map(item => JSON.stringify(item) + '\n').join(''));
+  },
+
+  readJSON(nombre, fallback) {
+    try {
+      const text = this.read(nombre);
+      return text === null ? fallback : JSON.parse(text);
+    } catch (e) {
+      return fallback;
+    }
+  },
+
+  byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  },
+
+  // Datos de ejemplo: cuenta admin/admin, cuatro usuarios y dos semanas de marcaciones
+  seed() {
+    this.data = { archivos: {}, plantillas: {}, sesiones: [], reloj: 0 };
+    this.writeLines('admins.json', [{ usuario: 'admin', hash: this.hash('admin', 'admin'), rol: 'admin' }]);
+
+    const users = [
+      { id: 1, nombre: 'Ana Torres', rol: 'Profesor' },
+      { id: 2, nombre: 'Luis Gómez', rol: 'Estudiante' },
+      { id: 3, nombre: 'María Rojas', rol: 'Estudiante' },
+      { id: 4, nombre: 'Carlos Díaz', rol: 'Administrativo' }
+    ].map(u => ({ ...u, huellas: [{ slot: u.id, dedo: 'indice-der' }] }));
+    this.writeLines('usuarios.json', users);
+    users.forEach(u => { this.data.plantillas[u.id] = this.randomTemplate(); });
+
+    const random = (from, to) => from + Math.floor(Math.random() * (to - from));
+    const time = (seconds) => [seconds / 3600, (seconds % 3600) / 60, seconds % 60]
+      .map(n => String(Math.floor(n)).padStart(2, '0')).join(':');
+
+    let csv = '';
+    for (let back = 14; back >= 1; back--) {
+      const day = new Date();
+      day.setDate(day.getDate() - back);
+      if (day.getDay() === 0 || day.getDay() === 6) continue;
+
+      const fecha = Dates.dateKey(day);
+      const punches = [];
+      users.forEach(u => {
+        if (Math.random() < 0.15) return;
+        punches.push([random(7 * 3600 + 45 * 60, 8 * 3600 + 25 * 60), u.id]);
+        punches.push([random(13 * 3600 + 30 * 60, 15 * 3600), u.id]);
+      });
+      punches.sort((a, b) => a[0] - b[0]).forEach(([seconds, id]) => {
+        csv += `${id},${fecha},${time(seconds)}\n`;
+      });
+    }
+    this.write('asistencia.csv', csv);
+    this.save();
+  },
+
+  // Sustituto de sha256 del firmware: no es criptográfico, solo datos de demostración
+  hash(usuario, clave) {
+    let h = 0x811c9dc5;
+    for (const ch of `${usuario}:${clave}`) {
+      h ^= ch.codePointAt(0);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, '0');
+  },
+
+  token(length = 32) {
+    let out = '';
+    while (out.length < length) out += Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+    return out.slice(0, length);
+  },
+
+  randomTemplate() {
+    let bytes = '';
+    for (let i = 0; i < this.TEMPLATE_SIZE; i++) bytes += String.fromCharCode(Math.floor(Math.random() * 256));
+    return btoa(bytes);
+  },
+
+  // Reloj del RTC: la hora local del navegador más el desfase que haya dejado /api/clock
+  now() {
+    const date = new Date(Date.now() + (this.data.reloj || 0));
+    return { fecha: Dates.dateKey(date), hora: Dates.clock(date) };
+  },
+
+  // ---------- Peticiones ----------
+
+  async handle(url, options) {
+    await new Promise(r => setTimeout(r, this.LATENCY));
+
+    const [path, search = ''] = url.slice(this.BASE.length).split('?');
+    const route = this.ROUTES[`${(options.method || 'GET').toUpperCase()} ${path}`];
+    const raw = options.body instanceof Uint8Array ? options.body : (options.body || '');
+
+    let body;
+    try {
+      body = typeof raw === 'string' && raw && !(route && route.texto) ? JSON.parse(raw) : {};
+    } catch (e) {
+      body = null;
+    }
+
+    const req = { query: new URLSearchParams(search), raw, body, session: this.session(options.headers || {}) };
+    let res;
+    if (!route) {
+      res = this.reply(404, { message: 'No encontrado' });
+    } else if (route.rol && !req.session) {
+      res = this.reply(401, { message: 'Sesión requerida' });
+    } else if (route.rol && req.session.nivel < this.LEVELS[route.rol]) {
+      res = this.reply(403, { message: 'Permiso insuficiente' });
+    } else if (body === null) {
+      res = this.reply(400, { message: 'JSON invalido' });
+    } else {
+      res = this[route.fn](req);
+    }
+
+    this.save();
+    this.refreshFingers();
+
+    return res.bytes
+      ? new Response(res.bytes, { status: res.status, headers: { 'Content-Type': 'application/octet-stream' } })
+      : new Response(JSON.stringify(res.body), { status: res.status, headers: { 'Content-Type': 'application/json' } });
+  },
+
+  reply(status, body) {
+    return { status, body };
+  },
+
+  // Sesión del encabezado Authorization; renueva el uso como el firmware
+  session(headers) {
+    const auth = headers.Authorization || '';
+    if (!auth.startsWith('Bearer ')) return null;
+
+    const token = auth.slice(7);
+    const s = this.data.sesiones.find(x => x.token === token);
+    if (!s) return null;
+
+    if (Date.now() - s.ultimoUso > this.SESSION_TTL_MS) {
+      this.data.sesiones = this.data.sesiones.filter(x => x !== s);
+      return null;
+    }
+    s.ultimoUso = Date.now();
+    return s;
+  },
+
+  logAudit(req, accion, id, antes, despues) {
+    const { fecha, hora } = this.now();
+    const entry = { fecha, hora, actor: req.session ? req.session.usuario : 'desconocido', accion, id: String(id) };
+    if (antes) entry.antes = antes;
+    if (despues) entry.despues = despues;
+    this.append('auditoria.log', JSON.stringify(entry));
+  },
+
+  // ---------- Usuarios y sensor ----------
+
+  usersList() {
+    return this.lines('usuarios.json');
+  },
+
+  findUser(id) {
+    return this.usersList().find(u => u.id === id) || null;
+  },
+
+  replaceUser(user) {
+    this.writeLines('usuarios.json', this.usersList().map(u => (u.id === user.id ? user : u)));
+  },
+
+  // Sin lista "huellas" (usuarios anteriores) el único slot es el ID
+  fingersOf(user) {
+    return Array.isArray(user.huellas) ? user.huellas : [{ slot: user.id, dedo: '' }];
+  },
+
+  // Quita el slot de la lista "reenrolar" (se borra la lista al quedar vacía)
+  clearReenroll(user, slot) {
+    if (!Array.isArray(user.reenrolar)) return;
+    user.reenrolar = user.reenrolar.filter(s => s !== slot);
+    if (!user.reenrolar.length) delete user.reenrolar;
+  },
+
+  userBySlot(slot) {
+    const user = this.usersList().find(u => this.fingersOf(u).some(h => h.slot === slot));
+    return user ? user.id : -1;
+  },
+
+  // También en la papelera: su historial conserva el nombre
+  nameOf(id) {
+    const user = this.findUser(id) || this.trashList().find(u => u.id === id);
+    return user ? user.nombre : 'Desconocido';
+  },
+
+  // Con documento solo chocan los homónimos que no lo tienen
+  nameTaken(nombre, exceptId = -1, conDocumento = false) {
+    const key = String(nombre).trim().toLowerCase();
+    return this.usersList().some(u => u.id !== exceptId && !(conDocumento && u.documento) &&
+      String(u.nombre).trim().toLowerCase() === key);
+  },
+
+  // ---------- Perfil (documento, contacto, campos y foto) ----------
+
+  // El documento es único; con él, dos usuarios pueden llamarse igual
+  documentTaken(documento, exceptId = -1) {
+    const key = String(documento || '').trim().toLowerCase();
+    return key !== '' && this.usersList().some(u => u.id !== exceptId && String(u.documento || '').toLowerCase() === key);
+  },
+
+  profileError(body) {
+    const text = (value) => (typeof value === 'string' ? value : '');
+    const documento = text(body.documento);
+    const email = text(body.email);
+    const telefono = text(body.telefono);
+
+    if (documento.length > this.DOCUMENTO_MAX || !/^[A-Za-z0-9-]*$/.test(documento)) return 'Documento invalido';
+    if (email.length > this.CONTACTO_MAX || (email && !email.includes('@'))) return 'Correo invalido';
+    if (telefono.length > this.CONTACTO_MAX || !/^[0-9+\-() ]*$/.test(telefono)) return 'Telefono invalido';
+
+    const campos = body.campos;
+    if (campos === undefined || campos === null) return null;
+    if (typeof campos !== 'object' || Array.isArray(campos) || Object.keys(campos).length > this.MAX_CAMPOS ||
+      Object.values(campos).some(v => typeof v !== 'string' || v.length > this.CAMPO_MAX)) return 'Campos invalidos';
+    return null;
+  },
+
+  // Pasa al usuario las claves del perfil presentes en `from`; las vacías se quitan
+  copyProfile(from, user) {
+    ['documento', 'email', 'telefono'].forEach(clave => {
+      if (!(clave in from)) return;
+      const valor = String(from[clave] || '').trim();
+      if (valor) user[clave] = valor;
+      else delete user[clave];
+    });
+
+    if (!('campos' in from)) return;
+    delete user.campos;
+    Object.entries(from.campos || {}).forEach(([clave, valor]) => {
+      if (!String(valor).trim()) return;
+      user.campos = user.campos || {};
+      user.campos[clave] = String(valor).trim();
+    });
+  },
+
+  // Campos del perfil que cambian, para la auditoría
+  profileDiff(original, user, antes, despues) {
+    ['documento', 'email', 'telefono', 'campos'].forEach(clave => {
+      if (JSON.stringify(original[clave]) === JSON.stringify(user[clave])) return;
+      if (original[clave] !== undefined) antes[clave] = original[clave];
+      if (user[clave] !== undefined) despues[clave] = user[clave];
+    });
+  },
+
+  photoFile(id) {
+    return `fotos/${id}.json`;
+  },
+
+  // Sin sesión (kiosco) solo se ve la foto de la marcación recién registrada
+  photo(req) {
+    const id = parseInt(req.query.get('id'), 10);
+    const reciente = id >= 0 && id === this.lastPunch.id && Date.now() - this.lastPunch.ms < this.PUNCH_REPEAT_MS;
+    if (!reciente && !req.session) return this.reply(401, { message: 'Sesión requerida' });
+    if (!reciente && req.session.nivel < this.LEVELS.supervisor) return this.reply(403, { message: 'Permiso insuficiente' });
+
+    const foto = this.readJSON(this.photoFile(id), null);
+    return foto ? this.reply(200, foto) : this.reply(404, { message: 'Sin foto' });
+  },
+
+  savePhoto(req) {
+    const id = parseInt(req.query.get('id'), 10);
+    const foto = String(req.raw || '').trim();
+
+    const user = id >= 0 ? this.findUser(id) : null;
+    if (!user) return this.reply(404, { message: 'Usuario no encontrado' });
+    if (foto && (foto.length > this.FOTO_MAX || !/^data:image\/jpeg;base64,[A-Za-z0-9+/=]*$/.test(foto))) {
+      return this.reply(400, { message: 'Foto invalida' });
+    }
+
+    this.remove(this.photoFile(id));
+    if (foto) {
+      this.write(this.photoFile(id), JSON.stringify({ foto }));
+      user.foto = true;
+    } else {
+      delete user.foto;
+    }
+    this.replaceUser(user);
+
+    this.logAudit(req, foto ? 'foto-cambiar' : 'foto-quitar', id, null, null);
+    return this.reply(200, { message: foto ? 'Foto guardada' : 'Foto quitada' });
+  },
+
+  // Los usuarios de la papelera cuentan: su ID y sus slots siguen reservados
+  nextId() {
+    return [...this.usersList(), ...this.trashList()].reduce((max, u) =>
+      Math.max(max, u.id, ...this.fingersOf(u).map(h => h.slot)), 0) + 1;
+  },
+
+  groupIds(grupos) {
+    if (!Array.isArray(grupos)) return [];
+    return grupos.filter(g => typeof g === 'string' && g).slice(0, this.MAX_GRUPOS_USUARIO);
+  },
+
+  // Lectura del sensor: el dedo apoyado se consume en una sola lectura
+  takeImage() {
+    const template = this.finger;
+    this.finger = null;
+    this.updatePanel();
+    return template;
+  },
+
+  search(template) {
+    const slot = Object.keys(this.data.plantillas).find(s => this.data.plantillas[s] === template);
+    return slot === undefined ? -1 : Number(slot);
+  },
+
+  // ---------- Captura de huella (pasos 0/1/2) ----------
+
+  target(query) {
+    const usuario = query.has('usuario') ? parseInt(query.get('usuario'), 10) : -1;
+    const reemplazo = usuario >= 0 && query.has('slot') ? parseInt(query.get('slot'), 10) : -1;
+    if (usuario === this.capture.usuario && reemplazo === this.capture.reemplazo) return;
+    this.capture = { step: 0, id: -1, ready: false, usuario, reemplazo, template: null };
+  },
+
+  // 409 si la huella ya está enrolada (salvo el mismo dedo que se reemplaza)
+  rejectDuplicate(template) {
+    const slot = this.search(template);
+    if (slot < 0 || slot === this.capture.reemplazo) return null;
+
+    let id = this.userBySlot(slot);
+    if (id < 0) id = slot;
+    const nombre = this.nameOf(id);
+    this.capture.step = 0;
+    return this.reply(409, { step: -1, error: 'duplicate', id, nombre, msg: `Esta huella ya pertenece a ${nombre}` });
+  },
+
+  captureStep() {
+    const c = this.capture;
+
+    if (c.step === 0) {
+      const template = this.takeImage();
+      if (!template) return this.reply(200, { step: 0, msg: 'Coloque el dedo' });
+
+      const duplicate = this.rejectDuplicate(template);
+      if (duplicate) return duplicate;
+
+      c.template = template;
+      c.step = 1;
+      return this.reply(200, { step: 1, msg: 'Retire el dedo' });
+    }
+
+    if (c.step === 1) {
+      const template = this.takeImage();
+      if (!template) return this.reply(200, { step: 1, msg: 'Coloque el dedo nuevamente' });
+
+      if (template !== c.template) {
+        c.step = 0;
+        return this.reply(200, { step: 0, msg: 'Las huellas no coinciden' });
+      }
+
+      const duplicate = this.rejectDuplicate(template);
+      if (duplicate) return duplicate;
+
+      c.id = c.reemplazo >= 0 ? c.reemplazo : this.nextId();
+      c.ready = true;
+      c.step = 2;
+      return this.reply(200, { step: 2, id: c.id, msg: 'Huella capturada' });
+    }
+
+    return this.reply(200, { step: 2, id: c.id, msg: 'Huella ya capturada' });
+  },
+
+  resetCapture() {
+    this.capture = { step: 0, id: -1, ready: false, usuario: -1, reemplazo: -1, template: null };
+  },
+
+  startFingerprint(req) {
+    this.target(req.query);
+    return this.captureStep();
+  },
+
+  startEnrollment(req) {
+    this.target(req.query);
+    Object.assign(this.capture, { step: 0, id: -1, ready: false, template: null });
+    return this.reply(200, { message: 'Enrolamiento iniciado' });
+  },
+
+  cancelEnrollment() {
+    if (this.capture.step !== 2) this.capture.step = 0;
+    return this.reply(200, { message: 'Enrolamiento cancelado' });
+  },
+
+  nextIdRoute() {
+    return this.reply(200, { nextId: this.nextId() });
+  },
+
+  // {name, documento?, id?}: también si el documento es de otro usuario
+  checkName(req) {
+    const nombre = req.body.name || '';
+    const id = req.body.id === undefined ? -1 : req.body.id;
+    const exists = nombre.length >= 3 && this.nameTaken(nombre);
+    const documento = String(req.body.documento || '').trim();
+    const res = {
+      exists,
+      conflicto: exists && this.nameTaken(nombre, -1, !!documento),
+      documentoExiste: this.documentTaken(documento, id)
+    };
+    if (exists) res.message = 'Este nombre ya está registrado';
+    return this.reply(200, res);
+  },
+
+  register(req) {
+    const { id = -1, name: nombre = '', role = '', grupos, dedo = '', pendiente = '' } = req.body;
+    const c = this.capture;
+
+    if (!Number.isInteger(id) || id < 0 || id > 255) return this.reply(400, { message: 'ID invalido (0-255)' });
+    if (nombre.length < 3) return this.reply(400, { message: 'Nombre muy corto' });
+    const errorPerfil = this.profileError(req.body);
+    if (errorPerfil) return this.reply(400, { message: errorPerfil });
+    const documento = String(req.body.documento || '').trim();
+    if (this.nameTaken(nombre, -1, !!documento)) return this.reply(409, { message: 'Este nombre ya está registrado' });
+    if (this.documentTaken(documento)) return this.reply(409, { message: 'Este documento ya está registrado' });
+    if (!c.ready || c.id !== id || c.usuario >= 0) {
+      return this.reply(400, { message: 'Huella no capturada o ID no coincide' });
+    }
+    if (this.findUser(id)) return this.reply(409, { message: 'Este ID ya está registrado' });
+
+    this.data.plantillas[id] = c.template;
+
+    const user = { id, nombre, rol: role };
+    const ids = this.groupIds(grupos);
+    if (ids.length) user.grupos = ids;
+    this.copyProfile(req.body, user);
+    user.alta = this.now().fecha;
+    user.huellas = [{ slot: id, dedo }];
+    this.append('usuarios.json', JSON.stringify(user));
+
+    if (pendiente) this.removePending(pendiente);
+
+    const despues = { nombre, rol: role };
+    if (ids.length) despues.grupos = ids;
+    this.copyProfile(req.body, despues);
+    this.logAudit(req, 'registrar', id, null, despues);
+
+    this.resetCapture();
+    return this.reply(200, { message: 'Usuario registrado correctamente' });
+  },
+
+  editUser(req) {
+    const { id = -1, nombre = '', rol = '' } = req.body;
+    const cambiaGrupos = 'grupos' in req.body;
+    const cambiaEstado = 'estado' in req.body;
+
+    if (id < 0 || nombre.length < 3) return this.reply(400, { message: 'Datos invalidos' });
+    if (cambiaEstado && !this.ESTADOS.includes(req.body.estado)) return this.reply(400, { message: 'Estado invalido' });
+    const errorPerfil = this.profileError(req.body);
+    if (errorPerfil) return this.reply(400, { message: errorPerfil });
+
+    // Perfil que quedará: el nombre puede repetirse si hay documento
+    const original = this.findUser(id) || {};
+    const perfil = { ...original };
+    this.copyProfile(req.body, perfil);
+    if (this.nameTaken(nombre, id, !!perfil.documento)) {
+      return this.reply(409, { message: 'Este nombre ya está registrado por otro usuario' });
+    }
+    if (this.documentTaken(perfil.documento, id)) {
+      return this.reply(409, { message: 'Este documento ya está registrado por otro usuario' });
+    }
+
+    const user = this.findUser(id);
+    if (!user) return this.reply(404, { message: 'Usuario no encontrado' });
+
+    const antes = { nombre: user.nombre, rol: user.rol || '' };
+    const despues = { nombre, rol };
+    user.nombre = nombre;
+    user.rol = rol;
+
+    if (cambiaGrupos) {
+      antes.grupos = user.grupos || null;
+      // El grupo en texto de las importaciones queda reemplazado por la lista
+      delete user.grupo;
+      delete user.grupos;
+      const ids = this.groupIds(req.body.grupos);
+      if (ids.length) {
+        user.grupos = ids;
+        despues.grupos = ids;
+      }
+    }
+
+    if (cambiaEstado && (user.estado || 'activo') !== req.body.estado) {
+      antes.estado = user.estado || 'activo';
+      despues.estado = req.body.estado;
+    }
+    if (cambiaEstado) user.estado = req.body.estado;
+
+    this.copyProfile(req.body, user);
+    this.profileDiff(original, user, antes, despues);
+
+    this.replaceUser(user);
+    this.logAudit(req, 'editar', id, antes, despues);
+    return this.reply(200, { message: 'Usuario actualizado correctamente' });
+  },
+
+  // La línea pasa a la papelera con la fecha; las huellas quedan en el
+  // sensor hasta que se borre de ahí o venza
+  deleteUser(req) {
+    const id = req.body.id === undefined ? -1 : req.body.id;
+    if (id < 0) return this.reply(400, { message: 'ID invalido' });
+
+    const user = this.findUser(id);
+    if (!user) return this.reply(404, { message: 'Usuario no encontrado' });
+
+    this.writeLines('usuarios.json', this.usersList().filter(u => u.id !== id));
+    this.append('papelera.json', JSON.stringify({ ...user, eliminado: this.now().fecha }));
+
+    this.logAudit(req, 'eliminar', id, { nombre: user.nombre, rol: user.rol || '' }, null);
+    return this.reply(200, { message: 'Usuario enviado a la papelera', nombre: user.nombre });
+  },
+
+  // ---------- Papelera ----------
+
+  trashList() {
+    return this.lines('papelera.json');
+  },
+
+  // Quita de la papelera el usuario `id` y los vencidos (borrando sus huellas);
+  // devuelve la línea de `id` o null
+  rewriteTrash(req, id = -1) {
+    const hoy = Dates.utc(this.now().fecha);
+    let quitado = null;
+
+    const quedan = this.trashList().filter(u => {
+      if (u.id === id) {
+        quitado = u;
+        return false;
+      }
+      if (Dates.isDateKey(u.eliminado) && (hoy - Dates.utc(u.eliminado)) / Dates.DAY_MS >= this.PAPELERA_DIAS) {
+        this.fingersOf(u).forEach(h => { delete this.data.plantillas[h.slot]; });
+        this.remove(this.photoFile(u.id));
+        this.logAudit(req, 'usuario-purgar', u.id, { nombre: u.nombre, rol: u.rol || '' }, { motivo: 'Retención vencida' });
+        return false;
+      }
+      return true;
+    });
+
+    this.writeLines('papelera.json', quedan);
+    return quitado;
+  },
+
+  trash(req) {
+    this.rewriteTrash(req);
+    return this.reply(200, this.trashList());
+  },
+
+  trashRestore(req) {
+    const id = req.body.id === undefined ? -1 : req.body.id;
+    const user = this.trashList().find(u => u.id === id);
+    if (!user) return this.reply(404, { message: 'Usuario no encontrado en la papelera' });
+    if (this.findUser(id)) return this.reply(409, { message: 'Este ID ya está registrado' });
+    if (this.nameTaken(user.nombre, -1, !!user.documento)) return this.reply(409, { message: 'Este nombre ya está registrado por otro usuario' });
+    if (this.documentTaken(user.documento)) return this.reply(409, { message: 'Este documento ya está registrado por otro usuario' });
+
+    this.rewriteTrash(req, id);
+    delete user.eliminado;
+    this.append('usuarios.json', JSON.stringify(user));
+
+    this.logAudit(req, 'usuario-restaurar', id, null, { nombre: user.nombre, rol: user.rol || '' });
+    return this.reply(200, { message: 'Usuario restaurado' });
+  },
+
+  trashDelete(req) {
+    const id = req.body.id === undefined ? -1 : req.body.id;
+    const user = this.rewriteTrash(req, id);
+    if (!user) return this.reply(404, { message: 'Usuario no encontrado en la papelera' });
+
+    this.fingersOf(user).forEach(h => { delete this.data.plantillas[h.slot]; });
+    this.remove(this.photoFile(id));
+    this.logAudit(req, 'usuario-purgar', id, { nombre: user.nombre, rol: user.rol || '' }, null);
+    return this.reply(200, { message: 'Usuario eliminado definitivamente' });
+  },
+
+  users() {
+    return this.reply(200, this.usersList());
+  },
+
+  // {id, dedo, slot?}: sin slot agrega un dedo, con slot reemplaza ese dedo
+  saveFinger(req) {
+    const { id = -1, slot = -1, dedo = '' } = req.body;
+    const c = this.capture;
+
+    if (id < 0 || !c.ready || c.usuario !== id || c.reemplazo !== slot) {
+      return this.reply(400, { message: 'Huella no capturada para este usuario' });
+    }
+
+    const user = this.findUser(id);
+    if (!user) return this.reply(404, { message: 'Usuario no encontrado' });
+
+    const huellas = this.fingersOf(user).map(h => ({ ...h }));
+    const antes = { huellas: this.fingersOf(user) };
+
+    if (slot >= 0) {
+      const existente = huellas.find(h => h.slot === slot);
+      if (!existente) return this.reply(404, { message: 'El usuario no tiene ese dedo' });
+      if (dedo) existente.dedo = dedo;
+      this.clearReenroll(user, slot);
+    } else {
+      if (huellas.length >= this.MAX_HUELLAS_USUARIO) {
+        return this.reply(409, { message: 'El usuario ya tiene el máximo de huellas' });
+      }
+      huellas.push({ slot: c.id, dedo });
+    }
+
+    this.data.plantillas[c.id] = c.template;
+    user.huellas = huellas;
+    this.replaceUser(user);
+    this.logAudit(req, slot >= 0 ? 'huella-reemplazar' : 'huella-agregar', id, antes, { huellas });
+
+    const saved = c.id;
+    this.resetCapture();
+    return this.reply(200, { message: 'Huella guardada', slot: saved });
+  },
+
+  deleteFinger(req) {
+    const { id = -1, slot = -1 } = req.body;
+    const user = id >= 0 ? this.findUser(id) : null;
+    if (!user) return this.reply(404, { message: 'Usuario no encontrado' });
+
+    const antes = this.fingersOf(user);
+    if (!antes.some(h => h.slot === slot)) return this.reply(404, { message: 'El usuario no tiene ese dedo' });
+    if (antes.length <= 1) return this.reply(409, { message: 'El usuario debe conservar al menos una huella' });
+
+    user.huellas = antes.filter(h => h.slot !== slot);
+    this.clearReenroll(user, slot);
+    delete this.data.plantillas[slot];
+    this.replaceUser(user);
+    this.logAudit(req, 'huella-quitar', id, { huellas: antes }, { huellas: user.huellas });
+    return this.reply(200, { message: 'Huella eliminada' });
+  },
+
+  // ---------- Asistencia y kiosco ----------
+
+  punchesToday() {
+    const { fecha } = this.now();
+    return (this.read('asistencia.csv') || '').split('\n')
+      .map(line => line.trim().split(','))
+      .filter(parts => parts.length >= 3 && parts[1] === fecha)
+      .map(([id, , hora]) => ({ id: parseInt(id, 10), hora }));
+  },
+
+  attendance() {
+    const template = this.takeImage();
+    if (!template) return this.reply(400, { error: 'No hay dedo' });
+
+    const slot = this.search(template);
+    if (slot < 0) return this.reply(404, { error: 'Huella no registrada' });
+
+    // El slot puede ser un dedo extra: la marcación se guarda con el ID del usuario
+    let id = this.userBySlot(slot);
+    const eliminado = id < 0 ? this.trashList().find(u => this.fingersOf(u).some(h => h.slot === slot)) : null;
+    if (id < 0) id = eliminado ? eliminado.id : slot;
+    const nombre = eliminado ? eliminado.nombre : this.nameOf(id);
+
+    // Inactivos, suspendidos y eliminados no marcan
+    const user = this.findUser(id);
+    const estado = eliminado ? 'eliminado' : (user && user.estado) || 'activo';
+    if (estado !== 'activo') return this.reply(403, { id, nombre, error: estado });
+
+    if (id === this.lastPunch.id && Date.now() - this.lastPunch.ms < this.PUNCH_REPEAT_MS) {
+      return this.reply(409, { id, nombre, error: 'repetida' });
+    }
+
+    const { fecha, hora } = this.now();
+    const previas = this.punchesToday().filter(p => p.id === id).length;
+    this.append('asistencia.csv', `${id},${fecha},${hora}`);
+    this.lastPunch = { id, ms: Date.now() };
+
+    const res = {
+      id,
+      nombre,
+      confidence: 80 + Math.floor(Math.random() * 120),
+      fecha,
+      hora,
+      tipo: previas % 2 === 0 ? 'entrada' : 'salida'
+    };
+    if (this.read(this.photoFile(id)) !== null) res.foto = true;
+    return this.reply(200, res);
+  },
+
+  // Últimas marcaciones de hoy, la más reciente primero
+  recent() {
+    const counts = {};
+    const list = this.punchesToday().map(p => {
+      const previas = counts[p.id] || 0;
+      counts[p.id] = previas + 1;
+      return { id: p.id, nombre: this.nameOf(p.id), hora: p.hora, tipo: previas % 2 === 0 ? 'entrada' : 'salida' };
+    });
+    return this.reply(200, list.slice(-this.RECENT_MAX).reverse());
+  },
+
+  kioskStatus() {
+    return this.reply(200, { pin: this.read('kiosco.json') !== null });
+  },
+
+  kioskPin(req) {
+    const pin = String(req.body.pin || '');
+    if (pin && !/^\d{4,8}$/.test(pin)) return this.reply(400, { message: 'El PIN debe tener de 4 a 8 dígitos' });
+
+    this.remove('kiosco.json');
+    if (pin) this.write('kiosco.json', JSON.stringify({ hash: this.hash('kiosco', pin) }));
+
+    this.logAudit(req, 'kiosco-pin', 'kiosco', null, null);
+    return this.reply(200, { message: pin ? 'PIN guardado' : 'PIN eliminado' });
+  },
+
+  kioskUnlock(req) {
+    if (this.pinFails >= this.KIOSK_MAX_FAILS) {
+      if (Date.now() - this.pinLockedAt < this.KIOSK_LOCK_MS) {
+        return this.reply(429, { message: 'Demasiados intentos. Espere un minuto' });
+      }
+      this.pinFails = 0;
+    }
+
+    const kiosco = this.readJSON('kiosco.json', null);
+    if (this.read('kiosco.json') === null) return this.reply(403, { message: 'Sin PIN configurado' });
+
+    if (!kiosco || this.hash('kiosco', String(req.body.pin || '')) !== kiosco.hash) {
+      this.pinFails++;
+      if (this.pinFails >= this.KIOSK_MAX_FAILS) this.pinLockedAt = Date.now();
+      return this.reply(403, { message: 'PIN incorrecto' });
+    }
+
+    this.pinFails = 0;
+    return this.reply(200, { message: 'Kiosco desbloqueado' });
+  },
+
+  // Páginas por cursor como /api/database y /api/audit; aquí el cursor es la
+  // posición en caracteres del texto, igual de opaca para el panel
+  page(nombre, query, max, map) {
+    const text = this.read(nombre);
+    if (text === null) return { records: [], next: null, size: 0 };
+
+    let cursor = Math.min(parseInt(query.get('cursor'), 10) || 0, text.length);
+    let limit = parseInt(query.get('limit'), 10) || max;
+    if (limit <= 0 || limit > max) limit = max;
+
+    const records = [];
+    while (cursor < text.length && records.length < limit) {
+      let end = text.indexOf('\n', cursor);
+      if (end < 0) end = text.length;
+      const record = map(text.slice(cursor, end).trim());
+      if (record) records.push(record);
+      cursor = end + 1;
+    }
+
+    return { records, next: cursor < text.length ? cursor : null, size: text.length };
+  },
+
+  database(req) {
+    if (this.read('asistencia.csv') === null) this.write('asistencia.csv', '');
+    const users = new Map([...this.trashList(), ...this.usersList()].map(u => [u.id, u]));
+
+    return this.reply(200, this.page('asistencia.csv', req.query, this.DATABASE_PAGE_MAX, line => {
+      const [id, fecha, hora] = line.split(',');
+      if (line.length < 3 || hora === undefined) return null;
+      const user = users.get(parseInt(id, 10));
+      return { id, nombre: user ? user.nombre : 'Desconocido', fecha, hora, rol: user ? user.rol : 'N/A' };
+    }));
+  },
+
+  audit(req) {
+    return this.reply(200, this.page('auditoria.log', req.query, this.AUDIT_PAGE_MAX, line => {
+      if (line.length < 5) return null;
+      try { return JSON.parse(line); } catch (e) { return null; }
+    }));
+  },
+
+  // ---------- Sesiones y cuentas ----------
+
+  account(usuario) {
+    return this.lines('admins.json').find(a => a.usuario === usuario) || null;
+  },
+
+  login(req) {
+    const usuario = String(req.body.usuario || '');
+    const clave = String(req.body.password || '');
+    const cuenta = this.account(usuario);
+
+    if (this.loginFails >= this.LOGIN_MAX_FAILS) {
+      if (Date.now() - this.loginLockedAt < this.LOGIN_LOCK_MS) {
+        return this.reply(429, { message: 'Demasiados intentos. Espere un minuto' });
+      }
+      this.loginFails = 0;
+    }
+
+    if (!cuenta || cuenta.hash !== this.hash(usuario, clave) || !this.LEVELS[cuenta.rol]) {
+      this.loginFails++;
+      if (this.loginFails >= this.LOGIN_MAX_FAILS) this.loginLockedAt = Date.now();
+      return this.reply(401, { message: 'Usuario o contraseña incorrectos' });
+    }
+    this.loginFails = 0;
+
+    // Hueco libre o, si no hay, la sesión usada hace más tiempo
+    const sesiones = this.data.sesiones;
+    if (sesiones.length >= this.MAX_SESSIONS) {
+      sesiones.sort((a, b) => a.ultimoUso - b.ultimoUso).shift();
+    }
+    const token = this.token();
+    sesiones.push({ token, usuario, nivel: this.LEVELS[cuenta.rol], ultimoUso: Date.now() });
+
+    return this.reply(200, { token, usuario, rol: cuenta.rol, porDefecto: usuario === 'admin' && clave === 'admin' });
+  },
+
+  logout(req) {
+    if (req.session) this.data.sesiones = this.data.sesiones.filter(s => s !== req.session);
+    return this.reply(200, { message: 'Sesión cerrada' });
+  },
+
+  closeSessionsOf(usuario) {
+    this.data.sesiones = this.data.sesiones.filter(s => s.usuario !== usuario);
+  },
+
+  accounts() {
+    return this.reply(200, this.lines('admins.json').map(a => ({ usuario: a.usuario, rol: a.rol })));
+  },
+
+  // Crea la cuenta o cambia su rol/contraseña (password vacío conserva la actual)
+  saveAccount(req) {
+    const usuario = String(req.body.usuario || '');
+    const clave = String(req.body.password || '');
+    const rol = String(req.body.rol || '');
+
+    if (!/^[A-Za-z0-9._-]{3,32}$/.test(usuario) || !this.LEVELS[rol]) {
+      return this.reply(400, { message: 'Usuario o rol invalido' });
+    }
+
+    const cuenta = this.account(usuario);
+    if (req.session.usuario === usuario && cuenta && rol !== cuenta.rol) {
+      return this.reply(400, { message: 'No puede cambiar su propio rol' });
+    }
+    if (clave && clave.length < 4) return this.reply(400, { message: 'La contraseña debe tener al menos 4 caracteres' });
+    if (!cuenta && !clave) return this.reply(400, { message: 'Contraseña requerida' });
+
+    const hash = clave ? this.hash(usuario, clave) : cuenta.hash;
+    const others = this.lines('admins.json').filter(a => a.usuario !== usuario);
+    this.writeLines('admins.json', [...others, { usuario, hash, rol }]);
+
+    const despues = { rol };
+    if (clave) despues.password = 'cambiada';
+    this.logAudit(req, cuenta ? 'cuenta-editar' : 'cuenta-crear', usuario, cuenta ? { rol: cuenta.rol } : null, despues);
+
+    // Las sesiones abiertas de esa cuenta quedan con permisos viejos
+    if (req.session.usuario !== usuario) this.closeSessionsOf(usuario);
+
+    return this.reply(200, { message: cuenta ? 'Cuenta actualizada' : 'Cuenta creada' });
+  },
+
+  deleteAccount(req) {
+    const usuario = String(req.body.usuario || '');
+    if (req.session.usuario === usuario) return this.reply(400, { message: 'No puede eliminar su propia cuenta' });
+
+    const cuenta = this.account(usuario);
+    if (!cuenta) return this.reply(404, { message: 'Cuenta no encontrada' });
+
+    this.writeLines('admins.json', this.lines('admins.json').filter(a => a.usuario !== usuario));
+    this.closeSessionsOf(usuario);
+    this.logAudit(req, 'cuenta-eliminar', usuario, { rol: cuenta.rol }, null);
+    return this.reply(200, { message: 'Cuenta eliminada' });
+  },
+
+  // ---------- Correcciones y pendientes ----------
+
+  corrections() {
+    return this.reply(200, this.lines('correcciones.json'));
+  },
+
+  saveCorrection(req) {
+    const { tipo = '', id = -1, fecha = '', hora = '' } = req.body;
+    const original = req.body.original || {};
+    const motivo = String(req.body.motivo || '').trim();
+    const fechaValida = (f) => /^\d{4}-\d{2}-\d{2}$/.test(f || '');
+    const horaValida = (h) => /^\d{2}:\d{2}:\d{2}$/.test(h || '');
+
+    if (!['agregar', 'corregir', 'anular'].includes(tipo)) return this.reply(400, { message: 'Tipo de corrección invalido' });
+    if (id < 0 || motivo.length < 3) return this.reply(400, { message: 'El motivo es obligatorio' });
+    if (new TextEncoder().encode(motivo).length > this.MOTIVO_MAX) return this.reply(400, { message: 'Motivo muy largo' });
+    if (tipo !== 'anular' && (!fechaValida(fecha) || !horaValida(hora))) {
+      return this.reply(400, { message: 'Fecha u hora invalida' });
+    }
+    if (tipo !== 'agregar' && (!fechaValida(original.fecha) || !horaValida(original.hora))) {
+      return this.reply(400, { message: 'Falta la marcación original' });
+    }
+
+    const now = this.now();
+    const linea = { tipo, id };
+    if (tipo !== 'anular') Object.assign(linea, { fecha, hora });
+    if (tipo !== 'agregar') linea.original = { fecha: original.fecha, hora: original.hora };
+    Object.assign(linea, { motivo, actor: req.session.usuario, creado: `${now.fecha} ${now.hora}` });
+    this.append('correcciones.json', JSON.stringify(linea));
+
+    const despues = tipo !== 'anular' ? { fecha, hora, motivo } : { motivo };
+    this.logAudit(req, `asistencia-${tipo}`, id, tipo !== 'agregar' ? { ...linea.original } : null, despues);
+    return this.reply(200, linea);
+  },
+
+  pending() {
+    return this.reply(200, this.lines('pendientes.json'));
+  },
+
+  removePending(pid) {
+    const list = this.lines('pendientes.json');
+    const rest = list.filter(p => p.pid !== pid);
+    this.writeLines('pendientes.json', rest);
+    return rest.length < list.length;
+  },
+
+  // {"usuarios":[{"nombre","rol","grupo"}, ...]} (hasta PENDING_BATCH_MAX)
+  addPending(req) {
+    const usuarios = req.body.usuarios;
+    if (!Array.isArray(usuarios) || usuarios.length > this.PENDING_BATCH_MAX) {
+      return this.reply(400, { message: 'Lista de usuarios invalida' });
+    }
+
+    const omitidos = [];
+    let agregados = 0;
+    usuarios.forEach(u => {
+      const nombre = String(u.nombre || '').trim();
+      const key = nombre.toLowerCase();
+      let motivo = null;
+      if (nombre.length < 3) motivo = 'Nombre muy corto';
+      else if (this.nameTaken(nombre)) motivo = 'Ya registrado';
+      else if (this.lines('pendientes.json').some(p => String(p.nombre).trim().toLowerCase() === key)) motivo = 'Ya está pendiente';
+
+      if (motivo) {
+        omitidos.push({ nombre, motivo });
+        return;
+      }
+
+      const linea = { pid: this.token(8), nombre, rol: u.rol || 'Estudiante' };
+      if (u.grupo) linea.grupo = u.grupo;
+      this.append('pendientes.json', JSON.stringify(linea));
+      agregados++;
+    });
+
+    if (agregados > 0) this.logAudit(req, 'importar', 'pendientes', null, { usuarios: agregados });
+    return this.reply(200, { omitidos, agregados });
+  },
+
+  // {"pid":"..."} o {"todos":true}
+  deletePending(req) {
+    if (req.body.todos) {
+      this.remove('pendientes.json');
+      return this.reply(200, { message: 'Pendientes eliminados' });
+    }
+    if (!this.removePending(String(req.body.pid || ''))) return this.reply(404, { message: 'Pendiente no encontrado' });
+    return this.reply(200, { message: 'Pendiente eliminado' });
+  },
+
+  // ---------- Configuración (horarios, grupos, calendario) ----------
+
+  jsonFile(nombre, fallback) {
+    return this.reply(200, this.readJSON(nombre, fallback));
+  },
+
+  saveJSON(nombre, body, message) {
+    this.write(nombre, JSON.stringify(body));
+    return this.reply(200, { message });
+  },
+
+  schedules() {
+    return this.jsonFile('horarios.json', { turnos: [], roles: {}, usuarios: {} });
+  },
+
+  saveSchedules(req) {
+    return this.saveJSON('horarios.json', req.body, 'Horarios guardados');
+  },
+
+  groups() {
+    return this.jsonFile('grupos.json', []);
+  },
+
+  saveGroups(req) {
+    return this.saveJSON('grupos.json', req.body, 'Grupos guardados');
+  },
+
+  fields() {
+    return this.jsonFile('campos.json', []);
+  },
+
+  saveFields(req) {
+    return this.saveJSON('campos.json', req.body, 'Campos guardados');
+  },
+
+  calendar() {
+    return this.jsonFile('calendario.json', { descanso: [0, 6], dias: [] });
+  },
+
+  saveCalendar(req) {
+    return this.saveJSON('calendario.json', req.body, 'Calendario guardado');
+  },
+
+  // ---------- Respaldo ----------
+
+  backupFiles() {
+    return this.reply(200, this.ARCHIVOS.map(nombre => {
+      const text = this.read(nombre);
+      return { nombre, existe: text !== null, tamano: text === null ? 0 : this.byteLength(text) };
+    }));
+  },
+
+  // GET ?name=&offset=: hasta BACKUP_CHUNK bytes crudos desde offset
+  backupDownload(req) {
+    const nombre = req.query.get('name');
+    if (!this.ARCHIVOS.includes(nombre)) return this.reply(403, { message: 'Archivo no permitido' });
+
+    const bytes = new TextEncoder().encode(this.read(nombre) || '');
+    const offset = parseInt(req.query.get('offset'), 10) || 0;
+    return { status: 200, bytes: bytes.slice(offset, offset + this.BACKUP_CHUNK) };
+  },
+
+  // POST ?name=&offset=: los fragmentos se juntan aparte hasta el commit
+  backupUpload(req) {
+    const nombre = req.query.get('name');
+    const offset = parseInt(req.query.get('offset'), 10) || 0;
+    if (!this.ARCHIVOS.includes(nombre)) return this.reply(403, { message: 'Archivo no permitido' });
+
+    if (offset === 0) this.uploads[nombre] = [];
+    const parts = this.uploads[nombre] || [];
+    const size = parts.reduce((sum, p) => sum + p.length, 0);
+    if (size !== offset) return this.reply(409, { message: 'Fragmento fuera de orden' });
+
+    const chunk = req.raw instanceof Uint8Array ? req.raw : new TextEncoder().encode(req.raw);
+    parts.push(chunk);
+    this.uploads[nombre] = parts;
+    return this.reply(200, { size: size + chunk.length });
+  },
+
+  backupCommit(req) {
+    const archivos = Array.isArray(req.body.archivos) ? req.body.archivos : [];
+
+    // Primero se comprueba que estén todos, para no dejar una restauración a medias
+    const missing = archivos.find(nombre => !this.ARCHIVOS.includes(nombre) || !this.uploads[nombre]);
+    if (missing !== undefined) return this.reply(400, { message: `Falta el archivo ${missing}` });
+
+    archivos.forEach(nombre => {
+      const parts = this.uploads[nombre];
+      const bytes = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+      let offset = 0;
+      parts.forEach(p => {
+        bytes.set(p, offset);
+        offset += p.length;
+      });
+      this.write(nombre, new TextDecoder().decode(bytes));
+      delete this.uploads[nombre];
+    });
+
+    // Con otras cuentas se cierran todas las sesiones. La actual sigue
+    // (para cargar las huellas) solo si su cuenta quedó con el mismo rol.
+    if (archivos.includes('admins.json')) {
+      const cuenta = this.account(req.session.usuario);
+      const vigente = cuenta && this.LEVELS[cuenta.rol] === req.session.nivel;
+      this.data.sesiones = this.data.sesiones.filter(s => vigente && s === req.session);
+    }
+    this.logAudit(req, 'restaurar', 'respaldo', null, { archivos: archivos.length });
+    return this.reply(200, { message: 'Archivos restaurados' });
+  },
+
+  backupTemplate(req) {
+    const slot = parseInt(req.query.get('slot'), 10);
+    const data = this.data.plantillas[slot];
+    if (!data) return this.reply(404, { message: 'Slot sin plantilla' });
+    return this.reply(200, { slot, data });
+  },
+
+  restoreTemplate(req) {
+    const { slot = -1, data = '' } = req.body;
+    let bytes = 0;
+    try {
+      bytes = atob(data).length;
+    } catch (e) {
+      bytes = 0;
+    }
+
+    if (!Number.isInteger(slot) || slot < 0 || slot > 255 || bytes === 0 || bytes > this.TEMPLATE_MAX) {
+      return this.reply(500, { message: 'No se pudo cargar la plantilla en el sensor' });
+    }
+    this.data.plantillas[slot] = data;
+    return this.reply(200, { message: 'Plantilla restaurada' });
+  },
+
+  // ---------- Sensor vs usuarios.json ----------
+
+  sensorState() {
+    const capacidad = this.CAPACIDAD_SENSOR;
+    const ocupados = Object.keys(this.data.plantillas).map(Number).filter(s => s < capacidad);
+    // Los dedos de la papelera siguen en el sensor a propósito: no son huérfanos
+    const asignados = new Set(this.trashList().flatMap(u => this.fingersOf(u).map(h => h.slot)));
+    const sinHuella = [];
+
+    this.usersList().forEach(user => {
+      const faltan = this.fingersOf(user).filter(h => {
+        asignados.add(h.slot);
+        return !this.data.plantillas[h.slot] || h.slot >= capacidad;
+      });
+      if (faltan.length) {
+        sinHuella.push({ id: user.id, nombre: user.nombre, reenrolar: Array.isArray(user.reenrolar), huellas: faltan });
+      }
+    });
+
+    const huerfanos = ocupados.filter(s => !asignados.has(s)).sort((a, b) => a - b);
+    return { capacidad, usados: ocupados.length, huerfanos, sinHuella };
+  },
+
+  sensor() {
+    return this.reply(200, this.sensorState());
+  },
+
+  sensorPurge(req) {
+    if (!Array.isArray(req.body.slots)) return this.reply(400, { message: 'JSON invalido' });
+
+    const huerfanos = this.sensorState().huerfanos;
+    const eliminados = req.body.slots.filter(s => huerfanos.includes(s));
+    eliminados.forEach(s => { delete this.data.plantillas[s]; });
+
+    this.logAudit(req, 'sensor-purgar', 'sensor', null, { eliminados });
+    return this.reply(200, { message: 'Huellas huérfanas eliminadas', eliminados: eliminados.length });
+  },
+
+  sensorReenroll(req) {
+    if (!Array.isArray(req.body.ids)) return this.reply(400, { message: 'JSON invalido' });
+
+    let marcados = 0;
+    this.sensorState().sinHuella
+      .filter(fila => req.body.ids.includes(fila.id))
+      .forEach(fila => {
+        const user = this.findUser(fila.id);
+        const antes = Array.isArray(user.reenrolar) ? { reenrolar: user.reenrolar } : null;
+        user.reenrolar = fila.huellas.map(h => h.slot);
+        this.replaceUser(user);
+        this.logAudit(req, 'reenrolar', fila.id, antes, { reenrolar: user.reenrolar });
+        marcados++;
+      });
+
+    return this.reply(200, { message: 'Usuarios marcados para reenrolar', marcados });
+  },
+
+  // ---------- Configuración del equipo y reloj ----------
+
+  config() {
+    return { ...this.DEFAULT_CONFIG, ...this.readJSON('config.json', {}) };
+  },
+
+  settings() {
+    const { ssid, nombre, zona } = this.config();
+    return this.reply(200, { ssid, nombre, zona });
+  },
+
+  // Aquí no hay red que reiniciar: solo se guarda y se informa como el firmware
+  saveSettings(req) {
+    const ssid = String(req.body.ssid || '').trim();
+    const password = String(req.body.password || '');
+    const nombre = String(req.body.nombre || '').trim();
+    const zona = String(req.body.zona || '').trim();
+
+    if (!ssid || ssid.length > 32) return this.reply(400, { message: 'El nombre de la red debe tener de 1 a 32 caracteres' });
+    if (password && (password.length < 8 || password.length > 63)) {
+      return this.reply(400, { message: 'La contraseña Wi-Fi debe tener de 8 a 63 caracteres' });
+    }
+    if (!/^[A-Za-z0-9-]{1,32}$/.test(nombre)) return this.reply(400, { message: 'Nombre del equipo invalido' });
+    if (!/^[A-Za-z0-9/_+-]{0,40}$/.test(zona)) return this.reply(400, { message: 'Zona horaria invalida' });
+
+    const actual = this.config();
+    const nueva = { ssid, password: password || actual.password, nombre, zona };
+    this.write('config.json', JSON.stringify(nueva));
+
+    const despues = { ssid, nombre, zona };
+    if (nueva.password !== actual.password) despues.password = 'cambiada';
+    this.logAudit(req, 'configuracion', 'equipo', { ssid: actual.ssid, nombre: actual.nombre, zona: actual.zona }, despues);
+
+    const reconectar = ssid !== actual.ssid || nueva.password !== actual.password || nombre !== actual.nombre;
+    return this.reply(200, { message: 'Configuración guardada', reconectar });
+  },
+
+  clock(req) {
+    const fecha = String(req.body.fecha || '');
+    const hora = String(req.body.hora || '');
+    const nueva = new Date(`${fecha}T${hora}`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha) || !/^\d{2}:\d{2}:\d{2}$/.test(hora) || isNaN(nueva)) {
+      return this.reply(400, { message: 'Fecha u hora invalida' });
+    }
+
+    const antes = this.now();
+    this.data.reloj = nueva.getTime() - Date.now();
+    this.logAudit(req, 'reloj', 'equipo', antes, { fecha, hora });
+    return this.reply(200, { message: 'Reloj sincronizado', datetime: `${fecha} ${hora}` });
+  },
+
+  systemStatus() {
+    const { fecha, hora } = this.now();
+    const { nombre, zona } = this.config();
+    return this.reply(200, { esp32: true, sensor: true, rtc: true, sd: true, nombre, zona, datetime: `${fecha} ${hora}` });
+  },
+
+  // ---------- Panel de demostración ----------
+
+  renderPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'sim-panel';
+    panel.id = 'sim-panel';
+    panel.innerHTML = `
+      <strong>🧪 ${t('Simulador')}</strong>
+      <select class="form-select" id="sim-finger" aria-label="${t('Dedo a apoyar')}"></select>
+      <button class="btn btn-primary btn-small" id="simTouchBtn">👆 ${t('Apoyar dedo')}</button>
+      <button class="btn btn-outline btn-small" id="simResetBtn">${t('Reiniciar datos')}</button>
+      <span class="sim-sensor" id="sim-sensor"></span>
+    `;
+    document.body.appendChild(panel);
+
+    Utils.getElement('simTouchBtn').addEventListener('click', () => this.touch());
+    Utils.getElement('simResetBtn').addEventListener('click', () => this.reset());
+    this.refreshFingers();
+    this.updatePanel();
+  },
+
+  // "Dedo nuevo" o cualquiera de los dedos enrolados
+  refreshFingers() {
+    const select = Utils.getElement('sim-finger');
+    if (!select) return;
+
+    const current = select.value;
+    const options = [`<option value="nuevo">${t('Dedo nuevo (no enrolado)')}</option>`];
+    this.usersList().forEach(u => {
+      this.fingersOf(u).forEach(h => {
+        options.push(`<option value="${h.slot}">${Utils.escapeHtml(u.nombre)} · ${Fingers.label(h.dedo)}</option>`);
+      });
+    });
+    select.innerHTML = options.join('');
+    if ([...select.options].some(o => o.value === current)) select.value = current;
+  },
+
+  // Se usa el mismo dedo nuevo hasta que quede enrolado, para poder repetir la lectura
+  touch() {
+    const value = Utils.getElement('sim-finger').value;
+    if (value === 'nuevo') {
+      if (!this.newTemplate || this.search(this.newTemplate) >= 0) this.newTemplate = this.randomTemplate();
+      this.finger = this.newTemplate;
+    } else {
+      this.finger = this.data.plantillas[value] || null;
+    }
+    this.updatePanel();
+  },
+
+  updatePanel() {
+    Utils.setContent('sim-sensor', this.finger ? t('Dedo en el lector') : t('Lector libre'));
+  },
+
+  reset() {
+    if (!confirm(t('¿Borrar los datos del simulador y volver a los de ejemplo?'))) return;
+    localStorage.removeItem(this.STORAGE_KEY);
+    sessionStorage.removeItem(CONFIG.SESSION_KEY);
+    window.location.reload();
+  }
+};
@@ -0,0 +1,392 @@
+// ============================================
+// XLSX LITE
+// Lectura y escritura mínima de .xlsx sin dependencias externas:
+// el ESP32 sirve su propio AP sin internet, así que no hay CDN.
+// Escritura: ZIP sin compresión (stored) con cadenas en línea.
+// Lectura: descomprime con DecompressionStream('deflate-raw').
+// ============================================
+const XLSXLite = {
+  MIME: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+
+  // Estilos de celda (índices de cellXfs en styles.xml).
+  // date y time esperan números de serie de Excel (días desde 1899-12-30).
+  STYLES: { normal: 0, header: 1, ok: 2, bad: 3, warn: 4, muted: 5, date: 6, time: 7 },
+
+  // ============================================
+  // ESCRITURA
+  // sheets: [{ name, rows: [[valor | { value, style }]], cols: [ancho], freeze: { rows, cols } }]
+  // La primera fila se escribe con estilo de encabezado.
+  // ============================================
+  write(sheets) {
+    const files = [
+      { name: '[Content_Types].xml', data: this.contentTypes(sheets.length) },
+      { name: '_rels/.rels', data: this.rootRels() },
+      { name: 'xl/workbook.xml', data: this.workbook(sheets) },
+      { name: 'xl/_rels/workbook.xml.rels', data: this.workbookRels(sheets.length) },
+      { name: 'xl/styles.xml', data: this.styles() }
+    ];
+
+    sheets.forEach((sheet, i) => {
+      files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: this.worksheet(sheet) });
+    });
+
+    return new Blob([this.zip(files)], { type: this.MIME });
+  },
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Caracteres de control no válidos en XML
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  },
+
+  // Excel no admite []:*?/\ y limita el nombre a 31 caracteres
+  sheetName(name, index) {
+    const clean = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+    return clean || `Hoja${index + 1}`;
+  },
+
+  // 0 → 'A', 25 → 'Z', 26 → 'AA'
+  columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  },
+
+  cell(value, ref, style) {
+    const s = style ? ` s="${style}"` : '';
+
+    if (value === null || value === undefined || value === '') {
+      return style ? `<c r="${ref}"${s}/>` : '';
+    }
+    if (typeof value === 'number' && isFinite(value)) {
+      return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+      return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${this.escape(value)}</t></is></c>`;
+  },
+
+  worksheet(sheet) {
+    const rows = sheet.rows || [];
+    const freeze = sheet.freeze || { rows: 1, cols: 0 };
+
+    let views = '<sheetViews><sheetView workbookViewId="0">';
+    if (freeze.rows || freeze.cols) {
+      const topLeft = this.columnName(freeze.cols || 0) + ((freeze.rows || 0) + 1);
+      const pane = freeze.rows && freeze.cols ? 'bottomRight' : (freeze.rows ? 'bottomLeft' : 'topRight');
+      views += `<pane${freeze.cols ? ` xSplit="${freeze.cols}"` : ''}${freeze.rows ? ` ySplit="${freeze.rows}"` : ''}` +
+        ` topLeftCell="${topLeft}" activePane="${pane}" state="frozen"/>`;
+    }
+    views += '</sheetView></sheetViews>';
+
+    const cols = (sheet.cols || []).length
+      ? '<cols>' + sheet.cols.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('') + '</cols>'
+      : '';
+
+    const data = rows.map((row, r) => {
+      const cells = row.map((item, c) => {
+        const isObject = item !== null && typeof item === 'object';
+        const value = isObject ? item.value : item;
+        const style = this.STYLES[isObject && item.style ? item.style : (r === 0 ? 'header' : 'normal')];
+        return this.cell(value, this.columnName(c) + (r + 1), style);
+      }).join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `${views}${cols}<sheetData>${data}</sheetData></worksheet>`;
+  },
+
+  contentTypes(count) {
+    let sheets = '';
+    for (let i = 1; i <= count; i++) {
+      sheets += `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`;
+    }
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      `${sheets}</Types>`;
+  },
+
+  rootRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>';
+  },
+
+  workbook(sheets) {
+    const list = sheets.map((sheet, i) =>
+      `<sheet name="${this.escape(this.sheetName(sheet.name, i))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+    ).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${list}</sheets></workbook>`;
+  },
+
+  workbookRels(count) {
+    let rels = '';
+    for (let i = 1; i <= count; i++) {
+      rels += `<Relationship Id="rId${i}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i}.xml"/>`;
+    }
+    rels += `<Relationship Id="rId${count + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`;
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels}</Relationships>`;
+  },
+
+  // Mismos colores que los badges del panel (ver STYLES)
+  styles() {
+    const fill = (rgb) => `<fill><patternFill patternType="solid"><fgColor rgb="FF${rgb}"/><bgColor indexed="64"/></patternFill></fill>`;
+    const xf = (font, fillId, numFmt = 0) => `<xf numFmtId="${numFmt}" fontId="${font}" fillId="${fillId}" borderId="0" xfId="0"` +
+      `${font ? ' applyFont="1"' : ''}${fillId ? ' applyFill="1"' : ''}${numFmt ? ' applyNumberFormat="1"' : ''}/>`;
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+      '<fonts count="3">' +
+      '<font><sz val="11"/><name val="Calibri"/></font>' +
+      '<font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font>' +
+      '<font><sz val="11"/><color rgb="FF6C757D"/><name val="Calibri"/></font>' +
+      '</fonts>' +
+      '<fills count="6">' +
+      '<fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+      fill('667EEA') + fill('D4EDDA') + fill('F8D7DA') + fill('FFF3CD') +
+      '</fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="8">' +
+      xf(0, 0) + xf(1, 2) + xf(0, 3) + xf(0, 4) + xf(0, 5) + xf(2, 0) + xf(0, 0, 164) + xf(0, 0, 21) +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  },
+
+  // ============================================
+  // ZIP (método 0: sin compresión)
+  // ============================================
+  crcTable: null,
+
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  zip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.data);
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);          // versión necesaria
+      local.setUint16(6, 0x0800, true);      // nombres en UTF-8
+      local.setUint16(8, 0, true);           // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+
+      parts.push(new Uint8Array(local.buffer), name, data);
+      central.push(new Uint8Array(entry.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)]);
+  },
+
+  // ============================================
+  // LECTURA
+  // Devuelve [{ name, rows: [[valor]] }] con celdas vacías como ''.
+  // ============================================
+  async read(buffer) {
+    const entries = this.unzipIndex(buffer);
+    const text = async (name) => {
+      const entry = entries[name];
+      return entry ? new TextDecoder().decode(await this.inflate(buffer, entry)) : null;
+    };
+
+    const workbook = await text('xl/workbook.xml');
+    if (!workbook) throw new Error('El archivo no es un libro de Excel (.xlsx)');
+
+    const rels = this.parseXML(await text('xl/_rels/workbook.xml.rels') || '<Relationships/>');
+    const targets = {};
+    this.nodes(rels, 'Relationship').forEach(r => {
+      const target = r.getAttribute('Target').replace(/^\//, '');
+      targets[r.getAttribute('Id')] = target.startsWith('xl/') ? target : `xl/${target}`;
+    });
+
+    const sharedXML = await text('xl/sharedStrings.xml');
+    const shared = sharedXML
+      ? this.nodes(this.parseXML(sharedXML), 'si').map(si => this.nodes(si, 't').map(t => t.textContent).join(''))
+      : [];
+
+    const sheets = [];
+    for (const sheet of this.nodes(this.parseXML(workbook), 'sheet')) {
+      const id = sheet.getAttribute('r:id') || sheet.getAttributeNS(
+        'http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+      const xml = await text(targets[id]);
+      if (xml) sheets.push({ name: sheet.getAttribute('name'), rows: this.sheetRows(this.parseXML(xml), shared) });
+    }
+    return sheets;
+  },
+
+  parseXML(text) {
+    return new DOMParser().parseFromString(text, 'application/xml');
+  },
+
+  // Por nombre local: algunos generadores usan prefijos (x:row)
+  nodes(parent, name) {
+    return [...parent.getElementsByTagNameNS('*', name)];
+  },
+
+  // 'AB12' → 27
+  columnIndex(ref) {
+    const letters = (ref.match(/^[A-Z]+/) || ['A'])[0];
+    return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  },
+
+  sheetRows(doc, shared) {
+    const rows = [];
+
+    this.nodes(doc, 'row').forEach(rowNode => {
+      const r = parseInt(rowNode.getAttribute('r'), 10) - 1 || rows.length;
+      const row = [];
+
+      this.nodes(rowNode, 'c').forEach(c => {
+        const ref = c.getAttribute('r');
+        const col = ref ? this.columnIndex(ref) : row.length;
+        const type = c.getAttribute('t');
+        const v = this.nodes(c, 'v')[0];
+        const raw = v ? v.textContent : '';
+        let value;
+
+        if (type === 's') value = shared[parseInt(raw, 10)] || '';
+        else if (type === 'inlineStr') value = this.nodes(c, 't').map(t => t.textContent).join('');
+        else if (type === 'b') value = raw === '1';
+        else if (type === 'str' || type === 'e') value = raw;
+        else value = raw === '' ? '' : Number(raw);
+
+        while (row.length < col) row.push('');
+        row[col] = value;
+      });
+
+      while (rows.length < r) rows.push([]);
+      rows[r] = row;
+    });
+
+    // Rellenar con '' hasta el ancho máximo
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    return rows.map(row => {
+      while (row.length < width) row.push('');
+      return row;
+    });
+  },
+
+  // Índice del directorio central: nombre → { method, size, offset }
+  unzipIndex(buffer) {
+    const view = new DataView(buffer);
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) throw new Error('El archivo no es un libro de Excel (.xlsx)');
+
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = {};
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pos, true) !== 0x02014b50) break;
+      const nameLength = view.getUint16(pos + 28, true);
+      const extraLength = view.getUint16(pos + 30, true);
+      const commentLength = view.getUint16(pos + 32, true);
+      const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+
+      entries[name] = {
+        method: view.getUint16(pos + 10, true),
+        size: view.getUint32(pos + 20, true),
+        offset: view.getUint32(pos + 42, true)
+      };
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  },
+
+  async inflate(buffer, entry) {
+    const view = new DataView(buffer);
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = new Uint8Array(buffer, start, entry.size);
+
+    if (entry.method === 0) return data;
+    if (entry.method !== 8) throw new Error(`Compresión ZIP no soportada (${entry.method})`);
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('Este navegador no puede leer .xlsx; use CSV');
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+};